@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Knowledge Base Migration Script
+ * Migrates a STAC knowledge base or knowledge base pack written for an older
+ * schema to the current one, then validates it against the schema.
+ *
+ * Usage:
+ *   node scripts/migrate-knowledge-base.js <input.json> [--out <output.json>]
+ *   node scripts/migrate-knowledge-base.js <knowledge-base.json> --out <pack.json> \
+ *     --name <name> --version <version> --author <author> [--description <text>]
+ *   node scripts/migrate-knowledge-base.js --schema <output-dir>
+ *
+ * Without --out the input is only checked. A bare knowledge base (scenario
+ * name -> { threats }) is wrapped into a pack when --name, --version and
+ * --author are given. Exits with 1 when validation errors remain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  KNOWLEDGE_BASE_SCHEMA,
+  KNOWLEDGE_BASE_SCHEMA_VERSION,
+  KNOWLEDGE_PACK_SCHEMA,
+  migrateKnowledgeBase,
+  migrateKnowledgePack,
+  validateKnowledgeBaseSchema,
+  validateKnowledgePackSchema
+} = require('../src/core/analysis/knowledge-base-schema.js');
+
+const JSON_SCHEMA_DIALECT = 'http://json-schema.org/draft-07/schema#';
+const PACK_FIELDS = ['name', 'version', 'author', 'description'];
+
+function parseArgs(argv) {
+  const options = { input: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        console.error(`${arg} requires a value`);
+        process.exit(1);
+      }
+      options[arg.slice(2)] = value;
+    } else {
+      options.input = arg;
+    }
+  }
+  return options;
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log(
+    '  node scripts/migrate-knowledge-base.js <input.json> [--out <output.json>]'
+  );
+  console.log(
+    '  node scripts/migrate-knowledge-base.js <knowledge-base.json> --out <pack.json> \\'
+  );
+  console.log(
+    '    --name <name> --version <version> --author <author> [--description <text>]'
+  );
+  console.log('  node scripts/migrate-knowledge-base.js --schema <output-dir>');
+}
+
+/**
+ * Write the schemas as standalone JSON Schema files for pack authors and editors
+ */
+function writeSchemas(outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const schema of [KNOWLEDGE_BASE_SCHEMA, KNOWLEDGE_PACK_SCHEMA]) {
+    const file = path.join(outputDir, `${schema.$id}.schema.json`);
+    const document = { $schema: JSON_SCHEMA_DIALECT, ...schema };
+    fs.writeFileSync(file, `${JSON.stringify(document, null, 2)}\n`);
+    console.log(`Wrote ${file}`);
+  }
+}
+
+/**
+ * A pack has a scenarios object next to its metadata; anything else is a bare knowledge base
+ */
+function isPack(data) {
+  return Boolean(data.scenarios) && typeof data.scenarios === 'object' && 'name' in data;
+}
+
+function migrate(data, options) {
+  if (isPack(data)) {
+    const { pack, changes } = migrateKnowledgePack(data);
+    return {
+      kind: 'pack',
+      document: pack,
+      changes,
+      errors: validateKnowledgePackSchema(pack)
+    };
+  }
+
+  const { knowledgeBase, changes } = migrateKnowledgeBase(data);
+  if (!options.name) {
+    return {
+      kind: 'knowledge base',
+      document: knowledgeBase,
+      changes,
+      errors: validateKnowledgeBaseSchema(knowledgeBase)
+    };
+  }
+
+  const pack = { schemaVersion: KNOWLEDGE_BASE_SCHEMA_VERSION };
+  for (const field of PACK_FIELDS) {
+    if (options[field] !== undefined) {
+      pack[field] = options[field];
+    }
+  }
+  pack.scenarios = knowledgeBase;
+  changes.push({ path: '(根)', message: '知识库已包装为知识库包' });
+  return {
+    kind: 'pack',
+    document: pack,
+    changes,
+    errors: validateKnowledgePackSchema(pack)
+  };
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.schema) {
+    writeSchemas(options.schema);
+    return;
+  }
+
+  if (!options.input) {
+    printUsage();
+    process.exit(1);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(options.input, 'utf8'));
+  } catch (error) {
+    console.error(`${options.input}: ${error.message}`);
+    process.exit(1);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    console.error(`${options.input}: expected a JSON object`);
+    process.exit(1);
+  }
+
+  const { kind, document, changes, errors } = migrate(data, options);
+
+  console.log(`${options.input}: ${kind}, schema ${KNOWLEDGE_BASE_SCHEMA_VERSION}`);
+  console.log(`  ${changes.length} change(s)`);
+  changes.forEach(change => console.log(`    ${change.path}: ${change.message}`));
+
+  if (errors.length > 0) {
+    console.error(`  ${errors.length} validation error(s)`);
+    errors.forEach(error => console.error(`    ${error.path}: ${error.message}`));
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(document, null, 2));
+    console.log(`  Wrote ${options.out}`);
+  }
+
+  if (errors.length > 0) {
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,6 +1,75 @@
 // background-simple.js - 增强的后台服务脚本
 // 集成STAC知识库和文档解析器
 
+/* eslint-env serviceworker */
+/* global getLLMProviderAdapter, readSSEEvents, isEventStreamResponse */
+/* global readNDJSONEvents, isNDJSONResponse */
+/* global extractAnalysisJSON, normalizeAnalysisResult, validateAnalysisResult */
+/* global sanitizeAnalysisResult, buildAnalysisFormatInstruction, buildAnalysisRepairPrompt */
+/* global ANALYSIS_RESULT_SCHEMA_VERSION, formatJSONSchemaErrors */
+/* global buildAnalysisChunks, mergeAnalysisResults, normalizeForDedupe */
+/* global fetchWithRetry, readResponseBody, RequestError, REQUEST_DEFAULTS, REQUEST_ERROR_HINTS */
+/* global LLM_PROFILES_STORAGE_KEY, normalizeLLMProfiles, getDefaultLLMProfile */
+/* global resolveLLMProfileChain, toLLMConfig, describeLLMProfile */
+/* global resolveImageLimits, applyImageLimits */
+/* global MODEL_PRICING_STORAGE_KEY, IMAGE_TOKEN_ESTIMATE, estimateTokens */
+/* global normalizeModelPricing, buildAnalysisEstimate */
+/* global STACService, buildKnowledgeContext, formatKnowledgeContextPrompt, tagResultOrigins */
+/* global AnalysisJobStore, ANALYSIS_JOB_STATES, PROGRESS_STEP_STATES, isJobFinished */
+/* global hasExhaustedAttempts */
+/* global InputValidator */
+/* global ITEM_ORIGINS, FOLLOW_UP_LIMITS, buildFollowUpSystemPrompt */
+/* global buildFollowUpContext, buildFollowUpMessages, splitFollowUpReply */
+/* global REDACTION_CONFIG_STORAGE_KEY, normalizeRedactionConfig, createRedactionState */
+/* global redactText, rehydrateText, createStreamRehydrator, summarizeRedaction */
+/* global isLocalEndpoint */
+/* global AnalysisResultCache, buildAnalysisCacheKey, sha256Hex, summarizeJobTitle */
+/* global EMBEDDING_CONFIG_STORAGE_KEY, EMBEDDING_SOURCES, EMBEDDING_LIMITS */
+/* global normalizeEmbeddingConfig, buildThreatEmbeddingTexts, buildSectionEmbeddingTexts */
+/* global scoreKnowledgeEmbeddings, KnowledgeEmbeddingStore, extractSectionsFromText */
+/* global KnowledgeOverlayStore, describeKnowledgeBase, KNOWLEDGE_PACK_STRATEGIES */
+/* global buildComplianceMapping, resolveThreatWeaknesses */
+
+// Service Worker 不支持动态导入，共享模块在启动时通过 importScripts 同步加载
+importScripts(
+  '../integrations/llm/llm-providers.js',
+  '../integrations/llm/stream-reader.js',
+  '../utils/constants.js',
+  '../utils/request-client.js',
+  '../utils/llm-profiles.js',
+  '../utils/token-estimator.js',
+  '../utils/json-schema.js',
+  '../utils/indexed-db.js',
+  '../utils/validator.js',
+  '../utils/redaction.js',
+  '../core/analysis/analysis-result-schema.js',
+  '../core/analysis/prd-chunker.js',
+  '../core/analysis/document-images.js',
+  '../core/analysis/knowledge-base-schema.js',
+  '../core/analysis/stac-service.js',
+  '../core/analysis/knowledge-overlay.js',
+  '../core/analysis/knowledge-context.js',
+  '../core/analysis/compliance-mapping.js',
+  '../core/analysis/weakness-mapping.js',
+  '../core/analysis/knowledge-embeddings.js',
+  '../core/analysis/analysis-job-store.js',
+  '../core/analysis/analysis-cache.js',
+  '../core/analysis/follow-up-chat.js'
+);
+
+// popup 通过该名称的长连接端口发起流式分析
+const ANALYSIS_STREAM_PORT = 'analysis-stream';
+
+// 分析任务的系统提示词，由各提供商适配器放入对应的字段
+const ANALYSIS_SYSTEM_PROMPT =
+  '你是一名资深的应用安全专家，负责根据产品需求文档识别安全威胁、梳理安全需求并设计安全测试场景。';
+
+// 分析请求的最大输出token数，用量估算按该上限计算输出
+const ANALYSIS_MAX_TOKENS = 2000;
+
+// 分析模式：hybrid 以知识库匹配结果为上下文由模型分析，stac 优先使用知识库结果，llm 仅使用模型
+const DEFAULT_ANALYSIS_MODE = 'hybrid';
+
 class SecurityAnalysisService {
   constructor() {
     this.llmConfig = {
@@ -9,6 +78,11 @@ class SecurityAnalysisService {
       apiKey: '',
       model: 'deepseek/deepseek-r1-0528-qwen3-8b'
     };
+    this.llmProfiles = normalizeLLMProfiles(null, this.llmConfig);
+    this.analysisConfig = {};
+    this.modelPricing = normalizeModelPricing(null);
+    this.redactionConfig = normalizeRedactionConfig(null);
+    this.embeddingConfig = normalizeEmbeddingConfig(null);
 
     this.threatModelingPlatform = {
       baseUrl: '',
@@ -20,10 +94,24 @@ class SecurityAnalysisService {
     this.documentParser = null;
     this.inputValidator = null;
 
-    // 初始化缓存
-    this.analysisCache = new Map();
-    this.cacheMaxSize = 50;
-    this.cacheExpiryTime = 30 * 60 * 1000; // 30分钟
+    // 分析任务持久化存储，Service Worker 重启后继续执行未完成的任务
+    this.jobStore = new AnalysisJobStore(chrome.storage.local);
+    // 本次运行中排队和执行中的任务（取消控制器、进度回放记录、已连接的popup）
+    this.analysisJobs = new Map();
+    this.queueRunning = false;
+
+    // 分析结果缓存（IndexedDB），按内容、提示词、模型、知识库版本和分析模式寻址
+    this.resultCache = new AnalysisResultCache(self.indexedDB);
+    // 知识库内容摘要，知识库对象变化时重新计算
+    this.knowledgeBaseVersion = null;
+
+    // 知识库编辑器保存的修改（IndexedDB），加载知识库时合并到内置知识库上
+    this.knowledgeOverlayStore = new KnowledgeOverlayStore(self.indexedDB);
+
+    // 知识库威胁的向量索引（IndexedDB），按向量模型和知识库版本区分
+    this.embeddingStore = new KnowledgeEmbeddingStore(self.indexedDB);
+    // 当前使用的索引：key 和加载或构建中的 Promise
+    this.knowledgeEmbeddings = null;
 
     // 工具函数（动态导入）
     this.utils = null;
@@ -41,6 +129,13 @@ class SecurityAnalysisService {
       return true; // 保持异步响应通道开放
     });
 
+    // 监听popup的流式分析连接
+    chrome.runtime.onConnect.addListener(port => {
+      if (port.name === ANALYSIS_STREAM_PORT) {
+        this.handleAnalysisPort(port);
+      }
+    });
+
     // 监听标签页更新，确保Content Script正确注入
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       if (changeInfo.status === 'complete' && tab.url) {
@@ -59,15 +154,22 @@ class SecurityAnalysisService {
     });
 
     // 加载配置
-    this.loadConfig();
+    const configLoaded = this.loadConfig();
 
     // 初始化高级服务
     await this.initializeAdvancedServices();
+
+    // 继续执行上次 Service Worker 被回收时未完成的分析任务
+    await configLoaded;
+    this.processAnalysisQueue();
   }
 
   // 动态初始化高级服务
   async initializeAdvancedServices() {
     try {
+      // 输入验证器不依赖异步资源，最先初始化，避免早到的分析请求跳过筛查
+      await this.initInputValidator();
+
       // 初始化工具函数
       await this.initUtils();
 
@@ -77,9 +179,6 @@ class SecurityAnalysisService {
       // 延迟加载文档解析器
       await this.initDocumentParser();
 
-      // 初始化输入验证器
-      await this.initInputValidator();
-
       console.log('Advanced services initialized successfully');
     } catch (error) {
       console.warn(
@@ -115,9 +214,16 @@ class SecurityAnalysisService {
   }
 
   async initSTACService() {
-    // Service Worker 不支持动态导入，跳过 STAC 服务初始化
-    console.log('STAC service initialization skipped (not supported in Service Worker)');
-    this.stacService = null;
+    this.stacService = new STACService();
+    this.stacService.setOverlayStore(this.knowledgeOverlayStore);
+    try {
+      await this.stacService.loadKnowledgeBase();
+      console.log('STAC knowledge base loaded');
+      this.configureSemanticSearch();
+    } catch (error) {
+      // 加载失败时 STACService 进入回退模式，混合分析退化为纯模型分析
+      console.warn('STAC知识库加载失败:', error);
+    }
   }
 
   async initDocumentParser() {
@@ -129,11 +235,8 @@ class SecurityAnalysisService {
   }
 
   async initInputValidator() {
-    // Service Worker 不支持动态导入，跳过输入验证器初始化
-    console.log(
-      'Input validator initialization skipped (not supported in Service Worker)'
-    );
-    this.inputValidator = null;
+    // 验证器通过 importScripts 加载
+    this.inputValidator = new InputValidator();
   }
 
   async ensureContentScriptInjected(tabId, url) {
@@ -239,7 +342,15 @@ class SecurityAnalysisService {
 
   async loadConfig() {
     try {
-      const result = await chrome.storage.sync.get(['llmConfig', 'threatModelingConfig']);
+      const result = await chrome.storage.sync.get([
+        'llmConfig',
+        LLM_PROFILES_STORAGE_KEY,
+        'threatModelingConfig',
+        'analysisConfig',
+        MODEL_PRICING_STORAGE_KEY,
+        REDACTION_CONFIG_STORAGE_KEY,
+        EMBEDDING_CONFIG_STORAGE_KEY
+      ]);
 
       // 确保包含默认配置
       const defaultConfig = {
@@ -254,6 +365,26 @@ class SecurityAnalysisService {
       } else {
         this.llmConfig = defaultConfig;
       }
+
+      // 旧版只有单一 llmConfig，迁移为默认档案
+      this.llmProfiles = normalizeLLMProfiles(
+        result[LLM_PROFILES_STORAGE_KEY],
+        this.llmConfig
+      );
+      this.llmProfiles.profiles = this.llmProfiles.profiles.map(profile => ({
+        ...defaultConfig,
+        ...profile
+      }));
+      this.llmConfig = toLLMConfig(getDefaultLLMProfile(this.llmProfiles));
+      this.analysisConfig = result.analysisConfig || {};
+      this.modelPricing = normalizeModelPricing(result[MODEL_PRICING_STORAGE_KEY]);
+      this.redactionConfig = normalizeRedactionConfig(
+        result[REDACTION_CONFIG_STORAGE_KEY]
+      );
+      this.embeddingConfig = normalizeEmbeddingConfig(
+        result[EMBEDDING_CONFIG_STORAGE_KEY]
+      );
+      this.configureSemanticSearch();
       if (result.threatModelingConfig) {
         this.threatModelingPlatform = {
           ...this.threatModelingPlatform,
@@ -323,13 +454,138 @@ class SecurityAnalysisService {
           sendResponse(testResult);
           break;
 
+        case 'listLLMModels':
+          sendResponse(await this.listLLMModels(request.data));
+          break;
+
+        case 'cancelAnalysis':
+          sendResponse({
+            success: true,
+            cancelled: await this.cancelAnalysisJob(request.data?.jobId)
+          });
+          break;
+
+        case 'getPendingAnalysis':
+          sendResponse({ success: true, job: await this.getPendingAnalysisJob() });
+          break;
+
+        case 'listAnalysisJobs':
+          sendResponse({
+            success: true,
+            jobs: [...(await this.jobStore.list())].reverse()
+          });
+          break;
+
+        case 'retryAnalysisJob':
+          sendResponse({
+            success: true,
+            job: await this.retryAnalysisJob(request.data?.jobId)
+          });
+          break;
+
+        case 'followUpAnalysis':
+          sendResponse({
+            success: true,
+            data: await this.followUpAnalysis(request.data)
+          });
+          break;
+
+        case 'mergeFollowUpItems':
+          sendResponse({
+            success: true,
+            result: await this.mergeFollowUpItems(request.data)
+          });
+          break;
+
+        case 'screenContent': {
+          const screening = this.screenPromptInjection(request.data?.content);
+          // 只返回检测结果，不回传整段内容
+          delete screening.cleanedText;
+          sendResponse({ success: true, data: screening });
+          break;
+        }
+
+        case 'previewRedaction':
+          sendResponse({
+            success: true,
+            data: this.previewRedaction(request.data)
+          });
+          break;
+
+        case 'listAnalysisCache':
+          sendResponse({ success: true, entries: await this.resultCache.list() });
+          break;
+
+        case 'deleteAnalysisCacheEntry':
+          await this.resultCache.delete(request.data?.key);
+          sendResponse({ success: true });
+          break;
+
+        case 'clearAnalysisCache':
+          await this.resultCache.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'rebuildKnowledgeEmbeddings':
+          sendResponse({
+            success: true,
+            data: await this.rebuildKnowledgeEmbeddings()
+          });
+          break;
+
+        case 'getKnowledgeBaseEditor':
+          sendResponse({ success: true, data: await this.getKnowledgeBaseEditor() });
+          break;
+
+        case 'saveKnowledgeScenario':
+          sendResponse({
+            success: true,
+            data: await this.saveKnowledgeScenario(request.data)
+          });
+          break;
+
+        case 'resetKnowledgeScenario':
+          sendResponse({
+            success: true,
+            data: await this.resetKnowledgeScenario(request.data)
+          });
+          break;
+
+        case 'importKnowledgePack':
+          sendResponse({
+            success: true,
+            data: await this.importKnowledgePack(request.data)
+          });
+          break;
+
+        case 'updateKnowledgePack':
+          sendResponse({
+            success: true,
+            data: await this.updateKnowledgePack(request.data)
+          });
+          break;
+
+        case 'deleteKnowledgePack':
+          sendResponse({
+            success: true,
+            data: await this.deleteKnowledgePack(request.data)
+          });
+          break;
+
+        case 'estimateAnalysis':
+          sendResponse({
+            success: true,
+            data: await this.estimateAnalysis(request.data)
+          });
+          break;
+
         default:
           console.warn('⚠️ 未知操作:', request.action);
           sendResponse({ success: false, error: '未知操作' });
       }
     } catch (error) {
       console.error('❌ 处理消息失败:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, errorKind: error.kind });
     }
   }
 
@@ -408,65 +664,996 @@ class SecurityAnalysisService {
     }
   }
 
-  async analyzeContent(data) {
-    const { content, prompt, source } = data;
+  /**
+   * 处理popup的流式分析连接
+   * analyzeContent 创建新任务，attachAnalysis 连接到已有任务（popup重新打开、从任务列表打开）
+   */
+  handleAnalysisPort(port) {
+    let job = null;
+    const listener = message => port.postMessage(message);
+
+    // popup关闭后任务继续在后台执行
+    port.onDisconnect.addListener(() => {
+      job?.listeners.delete(listener);
+    });
+
+    port.onMessage.addListener(async request => {
+      try {
+        if (request.action === 'analyzeContent') {
+          job = await this.enqueueAnalysisJob(request.data);
+        } else if (request.action === 'attachAnalysis') {
+          job = this.analysisJobs.get(request.jobId);
+          if (!job) {
+            // 已结束的任务直接发送保存的结果
+            await this.replayFinishedJob(request.jobId, listener);
+            return;
+          }
+        } else {
+          port.postMessage({ type: 'error', error: '未知操作' });
+          return;
+        }
+
+        this.attachAnalysisJob(job, listener);
+      } catch (error) {
+        console.error('❌ 分析任务操作失败:', error);
+        port.postMessage({ type: 'error', error: error.message });
+      }
+    });
+  }
+
+  /**
+   * 保存分析任务并加入队列，任务按创建顺序逐个执行
+   * @param {Object} data - analyzeContent 的请求数据
+   * @returns {Promise<Object>} 本次运行中的任务
+   */
+  async enqueueAnalysisJob(data) {
+    const record = await this.jobStore.create(data);
+    const job = this.createJobRuntime(record.id);
+
+    if (this.queueRunning) {
+      this.emitJobEvent(job, {
+        type: 'progress',
+        step: 'parse',
+        status: 'pending',
+        message: '排队中，等待前一个分析任务完成'
+      });
+    }
+    this.processAnalysisQueue();
+
+    return job;
+  }
+
+  createJobRuntime(jobId) {
+    const job = {
+      id: jobId,
+      controller: new AbortController(),
+      events: [],
+      listeners: new Set()
+    };
+    this.analysisJobs.set(jobId, job);
+    return job;
+  }
+
+  // 依次执行未结束的任务，包括上次 Service Worker 回收前执行到一半的任务
+  async processAnalysisQueue() {
+    if (this.queueRunning) {
+      return;
+    }
+    this.queueRunning = true;
+
+    try {
+      let record;
+      while ((record = await this.jobStore.next())) {
+        await this.runAnalysisJob(record);
+      }
+    } catch (error) {
+      console.error('❌ 分析任务队列执行失败:', error);
+    } finally {
+      this.queueRunning = false;
+    }
+  }
+
+  /**
+   * 执行单个任务，状态随分析步骤更新，长文档每完成一个分块就保存中间结果
+   */
+  async runAnalysisJob(record) {
+    const job = this.analysisJobs.get(record.id) || this.createJobRuntime(record.id);
+    const input = await this.jobStore.getInput(record.id);
+
+    if (job.controller.signal.aborted || !input) {
+      await this.finishAnalysisJob(job, ANALYSIS_JOB_STATES.FAILED, {
+        type: 'error',
+        error: input ? '分析已取消' : '任务的需求内容已丢失，请重新发起分析',
+        errorKind: input ? 'aborted' : undefined
+      });
+      return;
+    }
+
+    // 上次执行中 Service Worker 被终止后会恢复执行，多次都未完成时不再继续
+    if (hasExhaustedAttempts(record)) {
+      await this.finishAnalysisJob(job, ANALYSIS_JOB_STATES.FAILED, {
+        type: 'error',
+        error: `分析任务已执行 ${record.attempts} 次仍未完成（后台服务可能在分析过程中被反复终止），已停止自动重试，可在任务列表中手动重试`
+      });
+      return;
+    }
+
+    const partial = (await this.jobStore.getPartial(record.id)) || { chunks: {} };
+    let state = ANALYSIS_JOB_STATES.PARSING;
+    await this.jobStore.update(record.id, {
+      state,
+      attempts: record.attempts + 1,
+      error: null,
+      errorKind: null
+    });
+
+    try {
+      const result = await this.analyzeContent(input, {
+        signal: job.controller.signal,
+        partial,
+        onPartialResult: () => {
+          this.jobStore.savePartial(record.id, partial).catch(error => {
+            console.warn('保存分析中间结果失败:', error);
+          });
+        },
+        onProgress: progress => {
+          this.emitJobEvent(job, { type: 'progress', ...progress });
+          const nextState = PROGRESS_STEP_STATES[progress.step];
+          if (nextState && nextState !== state) {
+            state = nextState;
+            this.jobStore
+              .update(record.id, { state, message: progress.message })
+              .catch(error => console.warn('更新分析任务状态失败:', error));
+          }
+        },
+        onToken: delta => this.emitJobEvent(job, { type: 'token', delta })
+      });
+
+      await this.jobStore.saveResult(record.id, result);
+      await this.finishAnalysisJob(job, ANALYSIS_JOB_STATES.DONE, {
+        type: 'result',
+        data: result
+      });
+    } catch (error) {
+      const cancelled = job.controller.signal.aborted;
+      if (!cancelled) {
+        console.error('❌ 流式分析失败:', error);
+      }
+      await this.finishAnalysisJob(job, ANALYSIS_JOB_STATES.FAILED, {
+        type: 'error',
+        error: cancelled ? '分析已取消' : error.message,
+        errorKind: cancelled ? 'aborted' : error.kind
+      });
+    }
+  }
+
+  emitJobEvent(job, message) {
+    // 合并连续的模型输出片段，控制回放记录的条数
+    const last = job.events.at(-1);
+    if (message.type === 'token' && last?.type === 'token') {
+      last.delta += message.delta;
+    } else {
+      job.events.push({ ...message });
+    }
+    job.listeners.forEach(listener => listener(message));
+  }
+
+  // 通知已连接的popup并保存最终状态，没有popup接收时等下次打开popup再送达
+  async finishAnalysisJob(job, state, message) {
+    this.analysisJobs.delete(job.id);
+    const delivered = job.listeners.size > 0;
+    this.emitJobEvent(job, message);
+    job.listeners.clear();
+
+    await this.jobStore.update(job.id, {
+      state,
+      delivered,
+      message: state === ANALYSIS_JOB_STATES.DONE ? '分析完成' : message.error,
+      error: message.error || null,
+      errorKind: message.errorKind || null
+    });
+  }
+
+  // 先发送任务信息，再按顺序回放本次运行中已有的进度和输出
+  attachAnalysisJob(job, listener) {
+    listener({ type: 'job', jobId: job.id });
+    job.events.forEach(listener);
+    job.listeners.add(listener);
+  }
+
+  async replayFinishedJob(jobId, listener) {
+    const record = await this.jobStore.get(jobId);
+    if (!record) {
+      listener({ type: 'error', error: '分析任务不存在或已被清理' });
+      return;
+    }
+
+    listener({ type: 'job', jobId });
+    const result =
+      record.state === ANALYSIS_JOB_STATES.DONE
+        ? await this.jobStore.getResult(jobId)
+        : null;
+    if (result) {
+      listener({ type: 'result', data: result });
+    } else {
+      listener({
+        type: 'error',
+        error: record.error || '分析结果已丢失，请重试该任务',
+        errorKind: record.errorKind
+      });
+    }
+    await this.jobStore.update(jobId, { delivered: true });
+  }
+
+  /**
+   * 取消排队中或执行中的分析任务
+   * @returns {Promise<boolean>} 是否取消了任务
+   */
+  async cancelAnalysisJob(jobId) {
+    const job = this.analysisJobs.get(jobId);
+    if (job) {
+      job.controller.abort();
+      return true;
+    }
+
+    // 本次运行尚未接手的任务直接标记为已取消
+    const record = await this.jobStore.get(jobId);
+    if (!record || isJobFinished(record)) {
+      return false;
+    }
+    await this.jobStore.update(jobId, {
+      state: ANALYSIS_JOB_STATES.FAILED,
+      error: '分析已取消',
+      errorKind: 'aborted'
+    });
+    return true;
+  }
+
+  /**
+   * 重新执行已结束的任务；失败的任务保留已完成分块的中间结果，从中断处继续
+   * @returns {Promise<Object>} 重新排队的任务
+   */
+  async retryAnalysisJob(jobId) {
+    const record = await this.jobStore.get(jobId);
+    if (!record) {
+      throw new Error('分析任务不存在或已被清理');
+    }
+    if (!isJobFinished(record)) {
+      return record;
+    }
+
+    if (record.state === ANALYSIS_JOB_STATES.DONE) {
+      await this.jobStore.savePartial(jobId, { chunks: {} });
+    }
+    // 手动重试重新计算自动执行次数
+    const job = await this.jobStore.update(jobId, {
+      state: ANALYSIS_JOB_STATES.QUEUED,
+      attempts: 0,
+      delivered: false,
+      message: '',
+      error: null,
+      errorKind: null
+    });
+    this.createJobRuntime(jobId);
+    this.processAnalysisQueue();
+
+    return job;
+  }
+
+  /**
+   * popup打开时查询需要重新连接的任务：最近一个未结束的任务，或结果尚未送达的任务
+   * @returns {Promise<Object|null>} 任务
+   */
+  async getPendingAnalysisJob() {
+    const jobs = await this.jobStore.list();
+    const job = [...jobs].reverse().find(item => !isJobFinished(item) || !item.delivered);
+    return job ? { jobId: job.id, state: job.state, title: job.title } : null;
+  }
+
+  /**
+   * 分析需求内容
+   * @param {Object} options - onProgress、onToken 回调，signal 用于取消分析
+   */
+  async analyzeContent(data, options = {}) {
+    const { prompt, source } = data;
+    const { signal } = options;
+    const reportProgress = options.onProgress || (() => {});
+
+    // 文档中的架构图、流程图，仅发给开启了图片输入的档案
+    const { images, skipped } = applyImageLimits(
+      data.images,
+      resolveImageLimits(this.analysisConfig)
+    );
+    const skippedImages = [...(data.skippedImages || []), ...skipped];
+
+    reportProgress({ step: 'parse', status: 'active', message: '正在验证输入内容' });
+
+    // 输入验证
+    if (this.inputValidator.isEmpty(data.content)) {
+      throw new Error('输入验证失败: 需求内容不能为空');
+    }
+
+    // 提示词注入筛查：记录可疑片段，并去掉对分析没有意义的不可见字符
+    const { cleanedText: content, ...promptInjection } = this.screenPromptInjection(
+      data.content
+    );
+    if (promptInjection.detected) {
+      console.warn('⚠️ 需求内容中发现疑似提示词注入:', promptInjection.indicators);
+      reportProgress({
+        step: 'parse',
+        status: 'active',
+        message: `发现 ${promptInjection.indicatorCount} 处疑似提示词注入，已隔离需求内容后继续分析`
+      });
+    }
+
+    // 检查缓存，强制重新分析时跳过缓存但仍写入新结果
+    const analysisMode = this.getAnalysisMode();
+    const cacheKey = await this.generateCacheKey(content, prompt, images, analysisMode);
+    const cachedResult = data.forceRefresh
+      ? null
+      : await this.getCachedAnalysis(cacheKey);
+    if (cachedResult) {
+      console.log('返回缓存的分析结果');
+      reportProgress({
+        step: 'result',
+        status: 'completed',
+        message: '已返回缓存的分析结果'
+      });
+      return cachedResult;
+    }
+
+    reportProgress({ step: 'parse', status: 'completed', message: '输入内容验证完成' });
+
+    let analysisResult;
+    // 发往远程模型的内容中被替换为占位符的敏感信息统计
+    const redactionLog = [];
+    options = { ...options, redactionLog };
+
+    if (analysisMode === 'hybrid' && this.isKnowledgeBaseReady()) {
+      // 知识库匹配结果作为上下文，由模型结合需求改写并补充
+      console.log('使用STAC知识库 + LLM混合分析');
+      const knowledgeBase = await this.retrieveKnowledgeContext(
+        content,
+        reportProgress,
+        signal
+      );
+      analysisResult = await this.analyzeWithProfileChain(content, prompt, {
+        ...options,
+        images,
+        skippedImages,
+        knowledgeBase
+      });
+      this.tagKnowledgeBaseOrigins(analysisResult, knowledgeBase);
+    } else if (analysisMode === 'stac' && this.stacService && this.stacService.isLoaded) {
+      // 优先使用STAC知识库分析
+      try {
+        console.log('使用STAC知识库进行分析');
+        reportProgress({ step: 'stac', status: 'active', message: '正在匹配STAC知识库' });
+        analysisResult = await this.analyzeWithSTAC(content, prompt, signal);
+        reportProgress({
+          step: 'stac',
+          status: 'completed',
+          message: 'STAC知识库匹配完成'
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        console.warn('STAC分析失败，使用AI回退:', error);
+        reportProgress({
+          step: 'stac',
+          status: 'error',
+          message: 'STAC未命中，改用AI分析'
+        });
+        analysisResult = await this.analyzeWithProfileChain(content, prompt, {
+          ...options,
+          images,
+          skippedImages
+        });
+      }
+    } else {
+      // 回退到LLM分析
+      console.log('使用LLM进行分析');
+      analysisResult = await this.analyzeWithProfileChain(content, prompt, {
+        ...options,
+        images,
+        skippedImages
+      });
+    }
+
+    // STAC分析在生成威胁时已按知识库威胁名称标注
+    if (analysisResult.analysisMethod !== 'STAC') {
+      analysisResult.threats = this.tagThreatWeaknesses(analysisResult.threats);
+    }
+    analysisResult.promptInjection = promptInjection;
+    // 记录参与匹配的知识库包版本，便于追溯结果所用的知识库
+    const knowledgePacks =
+      analysisMode !== 'llm' && this.isKnowledgeBaseReady()
+        ? this.stacService.getActivePacks()
+        : [];
+    if (knowledgePacks.length > 0) {
+      analysisResult.knowledgePacks = knowledgePacks;
+    }
+    // 按知识库威胁引用的标准条款汇总需求涉及的合规要求
+    const compliance =
+      analysisMode !== 'llm' && this.isKnowledgeBaseReady()
+        ? this.mapCompliance(analysisResult)
+        : null;
+    if (compliance) {
+      analysisResult.compliance = compliance;
+    }
+    if (redactionLog.length > 0) {
+      analysisResult.redaction = summarizeRedaction(redactionLog);
+    }
+
+    reportProgress({ step: 'result', status: 'completed', message: '分析结果已生成' });
+
+    // 缓存结果。缓存键按默认档案计算，由后备档案给出的结果不缓存，默认档案恢复后重新分析
+    if (this.isAnsweredByFallbackProfile(analysisResult)) {
+      console.log(`结果由后备档案 ${analysisResult.llmProfile.name} 生成，不写入缓存`);
+    } else {
+      await this.cacheAnalysis(cacheKey, analysisResult, {
+        title: summarizeJobTitle(content),
+        mode: analysisMode
+      });
+    }
+
+    // 可选：发送到威胁建模平台
+    if (this.threatModelingPlatform.baseUrl && analysisResult.securityScenarios) {
+      try {
+        await this.sendToThreatModelingPlatform(analysisResult.securityScenarios);
+      } catch (error) {
+        console.warn('发送到威胁建模平台失败:', error);
+      }
+    }
+
+    return analysisResult;
+  }
+
+  getAnalysisMode() {
+    return this.analysisConfig.analysisMode || DEFAULT_ANALYSIS_MODE;
+  }
+
+  /**
+   * 提示词注入筛查，popup 发送分析前用同样的规则提示用户
+   * @returns {Object} 筛查结果，cleanedText 为去掉不可见字符后的内容
+   */
+  screenPromptInjection(content) {
+    return this.inputValidator.screenPromptInjection(content);
+  }
+
+  // 回退模式下的通用知识库没有参考价值，不作为混合分析的上下文
+  isKnowledgeBaseReady() {
+    return Boolean(
+      this.stacService && this.stacService.isLoaded && !this.stacService.isFallbackMode
+    );
+  }
+
+  /**
+   * 检索与需求匹配的知识库条目，作为混合分析的提示词上下文
+   * 检索失败不影响分析，退化为由模型独立分析
+   * @returns {Promise<Object[]>} buildKnowledgeContext 的结果
+   */
+  async retrieveKnowledgeContext(
+    content,
+    reportProgress = () => {},
+    signal = null,
+    matchOptions = {}
+  ) {
+    reportProgress({ step: 'stac', status: 'active', message: '正在检索STAC知识库' });
+
+    try {
+      const matches = await this.stacService.matchScenarios(content, {
+        ...matchOptions,
+        signal
+      });
+      const entries = buildKnowledgeContext(matches, scenario =>
+        this.stacService.getScenarioData(scenario)
+      );
+      reportProgress({
+        step: 'stac',
+        status: 'completed',
+        message:
+          entries.length > 0
+            ? `已检索到 ${entries.length} 条知识库条目`
+            : '知识库未命中，由模型独立分析'
+      });
+      return entries;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.warn('STAC知识库检索失败:', error);
+      reportProgress({
+        step: 'stac',
+        status: 'error',
+        message: '知识库检索失败，由模型独立分析'
+      });
+      return [];
+    }
+  }
+
+  /**
+   * 按向量检索配置启用或关闭知识库的语义检索，知识库加载完成和配置变化时调用
+   */
+  configureSemanticSearch() {
+    if (!this.isKnowledgeBaseReady()) {
+      return;
+    }
+    if (!this.embeddingConfig.enabled) {
+      this.stacService.setSemanticSearch(null);
+      return;
+    }
+
+    this.stacService.setSemanticSearch({
+      weight: this.embeddingConfig.weight,
+      scoreScenarios: (content, signal) => this.scoreKnowledgeEmbeddings(content, signal)
+    });
+    // 提前加载或构建索引，第一次分析不必等待
+    this.ensureKnowledgeEmbeddings().catch(error => {
+      console.warn('知识库向量索引构建失败:', error);
+    });
+  }
+
+  /**
+   * 向量请求使用的配置：默认档案的提供商，或单独配置的 OpenAI 兼容向量服务
+   */
+  getEmbeddingLLMConfig() {
+    const { source, endpoint, apiKey, model } = this.embeddingConfig;
+    if (source === EMBEDDING_SOURCES.CUSTOM) {
+      return { provider: 'custom', endpoint, apiKey, model };
+    }
+    return { ...this.llmConfig, model };
+  }
+
+  /**
+   * 调用向量接口，按批次请求
+   * @param {string[]} texts - 待向量化的文本
+   * @param {Object} options - signal 用于取消，redact 为 true 时发往远程服务前脱敏
+   * @returns {Promise<number[][]>} 与输入顺序一致的向量
+   */
+  async embedTexts(texts, options = {}) {
+    const llmConfig = this.getEmbeddingLLMConfig();
+    const adapter = getLLMProviderAdapter(llmConfig.provider);
+    if (typeof adapter.buildEmbeddingRequest !== 'function') {
+      throw new Error(
+        `${llmConfig.provider} 不提供向量接口，请在配置页改用 OpenAI 兼容的向量服务`
+      );
+    }
+
+    // 向量请求只用于检索，脱敏后不需要还原
+    let input = texts;
+    if (options.redact && this.shouldRedactFor(llmConfig)) {
+      const redaction = createRedactionState(this.redactionConfig);
+      input = texts.map(text => redactText(text, redaction));
+    }
+
+    const vectors = [];
+    for (let start = 0; start < input.length; start += EMBEDDING_LIMITS.batchSize) {
+      const request = adapter.buildEmbeddingRequest(
+        llmConfig,
+        input.slice(start, start + EMBEDDING_LIMITS.batchSize)
+      );
+      const response = await fetchWithRetry(
+        request.url,
+        {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body)
+        },
+        {
+          ...this.getLLMRequestOptions(llmConfig),
+          label: '向量接口调用失败',
+          extractErrorMessage: errorText => adapter.extractErrorMessage(errorText),
+          signal: options.signal
+        }
+      );
+      vectors.push(
+        ...adapter.parseEmbeddingResponse(
+          await readResponseBody(response, () => response.json())
+        )
+      );
+    }
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`向量接口返回 ${vectors.length} 条结果，应为 ${texts.length} 条`);
+    }
+    return vectors;
+  }
+
+  /**
+   * 加载知识库威胁的向量索引，向量模型或知识库内容变化后自动重新构建
+   * @param {Object} options - rebuild 为 true 时忽略已保存的索引
+   * @returns {Promise<Object>} 索引条目（items 为各威胁的向量）
+   */
+  async ensureKnowledgeEmbeddings(options = {}) {
+    const llmConfig = this.getEmbeddingLLMConfig();
+    const model = `${llmConfig.provider}:${llmConfig.model}`;
+    const knowledgeBaseVersion = await this.getKnowledgeBaseVersion();
+    const key = `${model}|${knowledgeBaseVersion}`;
+
+    if (this.knowledgeEmbeddings?.key !== key || options.rebuild) {
+      const promise = this.loadKnowledgeEmbeddings(key, {
+        model,
+        knowledgeBaseVersion,
+        rebuild: options.rebuild
+      });
+      this.knowledgeEmbeddings = { key, promise };
+      // 失败后下次重新尝试
+      promise.catch(() => {
+        if (this.knowledgeEmbeddings?.promise === promise) {
+          this.knowledgeEmbeddings = null;
+        }
+      });
+    }
+    return this.knowledgeEmbeddings.promise;
+  }
+
+  async loadKnowledgeEmbeddings(key, { model, knowledgeBaseVersion, rebuild }) {
+    if (!rebuild) {
+      try {
+        const stored = await this.embeddingStore.get(key);
+        if (stored) {
+          return stored;
+        }
+      } catch (error) {
+        console.warn('读取知识库向量索引失败:', error);
+      }
+    }
+
+    const threats = buildThreatEmbeddingTexts(this.stacService.knowledgeBase);
+    console.log(`🧭 正在为 ${threats.length} 个知识库威胁构建向量索引`);
+    const vectors = await this.embedTexts(threats.map(threat => threat.text));
+    const entry = {
+      key,
+      model,
+      knowledgeBaseVersion,
+      dimensions: vectors[0]?.length || 0,
+      items: threats.map((threat, index) => ({
+        scenario: threat.scenario,
+        threatIndex: threat.threatIndex,
+        vector: vectors[index]
+      }))
+    };
+
+    try {
+      await this.embeddingStore.replace(entry);
+    } catch (error) {
+      console.warn('保存知识库向量索引失败:', error);
+    }
+    return entry;
+  }
+
+  /**
+   * 计算需求各章节与知识库威胁的语义相似度，供 STACService 与关键词分数融合
+   * @returns {Promise<Map>} scoreKnowledgeEmbeddings 的结果
+   */
+  async scoreKnowledgeEmbeddings(content, signal) {
+    const index = await this.ensureKnowledgeEmbeddings();
+    const sections = buildSectionEmbeddingTexts(extractSectionsFromText(content));
+    if (sections.length === 0) {
+      return new Map();
+    }
+    const vectors = await this.embedTexts(sections, { signal, redact: true });
+    return scoreKnowledgeEmbeddings(index.items, vectors);
+  }
+
+  /**
+   * 配置页手动重建向量索引
+   * @returns {Promise<Object>} 索引信息：模型、威胁数量、向量维度
+   */
+  async rebuildKnowledgeEmbeddings() {
+    if (!this.isKnowledgeBaseReady()) {
+      throw new Error('STAC知识库未加载');
+    }
+    const index = await this.ensureKnowledgeEmbeddings({ rebuild: true });
+    return {
+      model: index.model,
+      count: index.items.length,
+      dimensions: index.dimensions
+    };
+  }
+
+  /**
+   * 知识库编辑器的场景列表（内置和知识库包中的场景及其修改、新增的场景）和已导入的知识库包
+   * @returns {Promise<Object>} scenarios、packs
+   */
+  async getKnowledgeBaseEditor() {
+    const baseKnowledgeBase = this.getEditableKnowledgeBase();
+    const [entries, packs] = await Promise.all([
+      this.knowledgeOverlayStore.list(),
+      this.knowledgeOverlayStore.listPacks()
+    ]);
+    return {
+      scenarios: describeKnowledgeBase(
+        baseKnowledgeBase,
+        entries,
+        this.stacService.knowledgeSources
+      ),
+      packs: packs.map(({ scenarios, ...pack }) => ({
+        ...pack,
+        scenarioCount: Object.keys(scenarios).length,
+        threatCount: Object.values(scenarios).reduce(
+          (total, scenario) => total + scenario.threats.length,
+          0
+        )
+      }))
+    };
+  }
+
+  getEditableKnowledgeBase() {
+    // 回退模式下没有内置知识库，修改无处合并
+    if (!this.stacService?.baseKnowledgeBase) {
+      throw new Error('STAC知识库未加载，无法编辑');
+    }
+    return this.stacService.layeredKnowledgeBase;
+  }
+
+  /**
+   * 导入知识库包，经过与内置知识库相同的清理、结构校验和安全检查；同名的包被新版本替换
+   * @param {Object} data - content（包文件内容）、strategy（场景重名时的合并方式）
+   * @returns {Promise<Object>} 更新后的编辑器数据及导入的包信息
+   */
+  async importKnowledgePack(data) {
+    this.getEditableKnowledgeBase();
+    const strategy = data?.strategy || KNOWLEDGE_PACK_STRATEGIES.OVERRIDE;
+    if (!Object.values(KNOWLEDGE_PACK_STRATEGIES).includes(strategy)) {
+      throw new Error(`未知的合并方式: ${strategy}`);
+    }
+
+    let pack;
+    try {
+      pack = this.stacService.parseKnowledgePack(data?.content);
+    } catch (error) {
+      throw new Error(`知识库包导入失败: ${error.message}`);
+    }
+
+    const previous = await this.knowledgeOverlayStore.getPack(pack.name);
+    const { warnings, migrations, ...packData } = pack;
+    await this.knowledgeOverlayStore.putPack({
+      ...packData,
+      strategy,
+      enabled: true,
+      // 重新导入的包保持原来的合并顺序
+      importedAt: previous?.importedAt || Date.now(),
+      updatedAt: Date.now()
+    });
+    await this.stacService.applyKnowledgeBaseOverlay();
+
+    return {
+      ...(await this.getKnowledgeBaseEditor()),
+      imported: {
+        name: pack.name,
+        version: pack.version,
+        previousVersion: previous?.version || null,
+        scenarioCount: Object.keys(pack.scenarios).length,
+        warningCount: warnings.length,
+        migrationCount: migrations.length
+      }
+    };
+  }
+
+  /**
+   * 启用、停用知识库包或修改其合并方式
+   * @param {Object} data - name、enabled、strategy
+   * @returns {Promise<Object>} 更新后的编辑器数据
+   */
+  async updateKnowledgePack(data) {
+    this.getEditableKnowledgeBase();
+    const pack = await this.knowledgeOverlayStore.getPack(data?.name);
+    if (!pack) {
+      throw new Error(`知识库包"${data?.name}"不存在`);
+    }
+    if (
+      data.strategy !== undefined &&
+      !Object.values(KNOWLEDGE_PACK_STRATEGIES).includes(data.strategy)
+    ) {
+      throw new Error(`未知的合并方式: ${data.strategy}`);
+    }
+
+    await this.knowledgeOverlayStore.putPack({
+      ...pack,
+      enabled: data.enabled === undefined ? pack.enabled : data.enabled === true,
+      strategy: data.strategy || pack.strategy,
+      updatedAt: Date.now()
+    });
+    await this.stacService.applyKnowledgeBaseOverlay();
+    return this.getKnowledgeBaseEditor();
+  }
+
+  async deleteKnowledgePack(data) {
+    this.getEditableKnowledgeBase();
+    await this.knowledgeOverlayStore.deletePack(data?.name);
+    await this.stacService.applyKnowledgeBaseOverlay();
+    return this.getKnowledgeBaseEditor();
+  }
 
-    // 输入验证
-    if (this.inputValidator) {
-      try {
-        this.inputValidator.validateInput(content);
-      } catch (error) {
-        throw new Error(`输入验证失败: ${error.message}`);
+  /**
+   * 保存编辑器中的场景，按内置知识库的规则校验后写入覆盖条目并重新合并
+   * @param {Object} data - scenario、threats（威胁可带 disabled 标记）、disabled、isNew
+   * @returns {Promise<Object>} 更新后的场景列表
+   */
+  async saveKnowledgeScenario(data) {
+    const baseKnowledgeBase = this.getEditableKnowledgeBase();
+    const entry = {
+      scenario: String(data?.scenario || '').trim(),
+      threats: data?.threats,
+      disabled: data?.disabled === true
+    };
+
+    if (data?.isNew) {
+      const entries = await this.knowledgeOverlayStore.list();
+      if (
+        entry.scenario in baseKnowledgeBase ||
+        entries.some(existing => existing.scenario === entry.scenario)
+      ) {
+        throw new Error(`场景"${entry.scenario}"已存在`);
       }
     }
 
-    // 检查缓存
-    const cacheKey = this.generateCacheKey(content, prompt);
-    const cachedResult = this.getCachedAnalysis(cacheKey);
-    if (cachedResult) {
-      console.log('返回缓存的分析结果');
-      return cachedResult;
+    const validation = this.stacService.validateOverlayEntry(entry);
+    if (!validation.isValid) {
+      throw new Error(`知识库条目校验失败: ${validation.errors.join('; ')}`);
     }
 
-    let analysisResult;
+    await this.knowledgeOverlayStore.put(entry);
+    await this.stacService.applyKnowledgeBaseOverlay();
+    return this.getKnowledgeBaseEditor();
+  }
 
-    // 优先使用STAC知识库分析
-    if (this.stacService && this.stacService.isLoaded) {
-      try {
-        console.log('使用STAC知识库进行分析');
-        analysisResult = await this.analyzeWithSTAC(content, prompt);
-      } catch (error) {
-        console.warn('STAC分析失败，使用AI回退:', error);
-        analysisResult = await this.analyzeWithLLM(content, prompt);
-      }
+  /**
+   * 删除场景的覆盖条目：内置场景恢复原内容，新增的场景被删除
+   * @param {Object} data - scenario
+   * @returns {Promise<Object>} 更新后的场景列表
+   */
+  async resetKnowledgeScenario(data) {
+    this.getEditableKnowledgeBase();
+    await this.knowledgeOverlayStore.delete(data?.scenario);
+    await this.stacService.applyKnowledgeBaseOverlay();
+    return this.getKnowledgeBaseEditor();
+  }
+
+  /**
+   * 汇总分析结果涉及的标准条款及其覆盖情况
+   * 知识库优先的结果取匹配到的场景，按结果中是否有威胁的安全需求和测试用例判断覆盖；
+   * 混合分析取注入提示词的知识库条目所在的场景，模型引用了该威胁的威胁条目和测试场景分别视为安全需求和测试用例
+   * @returns {Object|null} buildComplianceMapping 的结果，模型独立分析的结果没有合规映射
+   */
+  mapCompliance(analysisResult) {
+    let scenarioNames;
+    let getCoverage;
+
+    if (analysisResult.analysisMethod === 'STAC') {
+      const sectionKey = section =>
+        section ? `${section.name}|${section.details}` : null;
+      const requirements = new Set(analysisResult.securityRequirements.map(sectionKey));
+      const testCases = new Set(analysisResult.testCases.map(sectionKey));
+      scenarioNames = analysisResult.stacMatches.map(match => match.scenario);
+      getCoverage = (scenario, threat) => ({
+        requirement: requirements.has(sectionKey(threat.security_requirement)),
+        testCase: testCases.has(sectionKey(threat.test_case))
+      });
+    } else if (analysisResult.analysisMethod === 'HYBRID') {
+      const referencedThreats = items =>
+        new Set(
+          (items || [])
+            .filter(item => item.knowledgeBaseRef)
+            .map(
+              item => `${item.knowledgeBaseRef.scenario}|${item.knowledgeBaseRef.threat}`
+            )
+        );
+      const requirements = referencedThreats(analysisResult.threats);
+      const testCases = referencedThreats(analysisResult.testScenarios);
+      scenarioNames = analysisResult.knowledgeBase.entries.map(entry => entry.scenario);
+      getCoverage = (scenario, threat) => ({
+        requirement: requirements.has(`${scenario}|${threat.name}`),
+        testCase: testCases.has(`${scenario}|${threat.name}`)
+      });
     } else {
-      // 回退到LLM分析
-      console.log('使用LLM进行分析');
-      analysisResult = await this.analyzeWithLLM(content, prompt);
+      return null;
     }
 
-    // 缓存结果
-    this.cacheAnalysis(cacheKey, analysisResult);
+    const scenarios = [...new Set(scenarioNames)].map(scenario => ({
+      scenario,
+      threats: this.stacService.getScenarioData(scenario)?.threats || []
+    }));
+    const compliance = buildComplianceMapping(scenarios, getCoverage);
+    // 条款下的威胁同样标注 CWE 和 CAPEC，便于按条款对照扫描工具的结果
+    compliance?.standards.forEach(standard =>
+      standard.clauses.forEach(clause =>
+        clause.threats.forEach(item =>
+          Object.assign(item, resolveThreatWeaknesses([item.threat]))
+        )
+      )
+    );
+    return compliance;
+  }
 
-    // 可选：发送到威胁建模平台
-    if (this.threatModelingPlatform.baseUrl && analysisResult.securityScenarios) {
-      try {
-        await this.sendToThreatModelingPlatform(analysisResult.securityScenarios);
-      } catch (error) {
-        console.warn('发送到威胁建模平台失败:', error);
-      }
+  /**
+   * 为模型给出的威胁标注 CWE 和 CAPEC：改写自知识库的威胁优先按知识库威胁名称查映射表，
+   * 其次按威胁类型和描述，模型返回的 CWE 编号一并保留
+   */
+  tagThreatWeaknesses(threats) {
+    return (threats || []).map(threat => ({
+      ...threat,
+      ...resolveThreatWeaknesses(
+        [threat.knowledgeBaseRef?.threat, threat.type, threat.description],
+        threat.cwe
+      )
+    }));
+  }
+
+  /**
+   * 标注混合分析结果中每个威胁和测试场景的来源（知识库改写或模型补充）
+   */
+  tagKnowledgeBaseOrigins(analysisResult, entries) {
+    const counts = tagResultOrigins(analysisResult, entries);
+    if (entries.length > 0) {
+      analysisResult.analysisMethod = 'HYBRID';
     }
+    analysisResult.knowledgeBase = {
+      entries: entries.map(({ id, scenario, threat, confidence }) => ({
+        id,
+        scenario,
+        threat,
+        confidence
+      })),
+      kbDerivedCount: counts.knowledgeBase,
+      modelGeneratedCount: counts.model
+    };
+  }
 
-    return analysisResult;
+  /**
+   * 估算默认档案分析该内容的token用量和费用，不发起请求
+   * 提示词按实际分块方式构建，长文档的每次分块调用都计入，混合模式计入知识库上下文
+   * @param {Object} data - content、prompt、imageCount
+   * @returns {Promise<Object>} buildAnalysisEstimate 的结果
+   */
+  async estimateAnalysis(data) {
+    const { content, prompt } = data;
+    const profile = getDefaultLLMProfile(this.llmProfiles);
+    const imageCount = profile.visionEnabled
+      ? Math.min(data.imageCount || 0, resolveImageLimits(this.analysisConfig).maxImages)
+      : 0;
+
+    // 估算不发起请求，知识库检索只用关键词匹配
+    const knowledgeBase =
+      this.getAnalysisMode() === 'hybrid' && this.isKnowledgeBaseReady()
+        ? await this.retrieveKnowledgeContext(content, undefined, null, {
+            semantic: false
+          })
+        : [];
+
+    const chunks = buildAnalysisChunks(content);
+    const callPromptTokens = chunks.map(chunk => {
+      const chunkInfo =
+        chunks.length > 1
+          ? { index: chunk.index, total: chunks.length, title: chunk.title }
+          : null;
+      const analysisPrompt = this.buildAnalysisPrompt(chunk.content, prompt, chunkInfo, {
+        knowledgeBase
+      });
+      const imageTokens = chunk.index === 0 ? imageCount * IMAGE_TOKEN_ESTIMATE : 0;
+      return estimateTokens(ANALYSIS_SYSTEM_PROMPT + analysisPrompt) + imageTokens;
+    });
+
+    return buildAnalysisEstimate({
+      callPromptTokens,
+      completionTokensPerCall: ANALYSIS_MAX_TOKENS,
+      contentTokens: estimateTokens(content),
+      provider: profile.provider,
+      model: describeLLMProfile(profile).model,
+      pricingTable: this.modelPricing
+    });
   }
 
   // 使用STAC知识库进行分析
-  async analyzeWithSTAC(content, prompt) {
+  async analyzeWithSTAC(content, prompt, signal = null) {
     try {
       console.log('🔍 开始STAC知识库分析...');
 
       // 使用STAC服务匹配安全场景
-      const stacMatches = await this.stacService.matchScenarios(content);
+      const stacMatches = await this.stacService.matchScenarios(content, { signal });
       console.log('📊 STAC匹配结果:', stacMatches);
 
       if (stacMatches && stacMatches.length > 0) {
@@ -508,6 +1695,7 @@ class SecurityAnalysisService {
           details: threat.details,
           level: threat.riskLevel,
           impact: threat.scenario,
+          ...resolveThreatWeaknesses([threat.name]),
           securityRequirement: threat.securityRequirement
             ? threat.securityRequirement.name
             : null,
@@ -570,67 +1758,356 @@ class SecurityAnalysisService {
     }
   }
 
+  /**
+   * 按默认档案、备用链的顺序进行LLM分析，前一个档案失败时切换到下一个
+   * 结果中记录实际生成结果的档案和模型，以及之前失败的档案
+   */
+  async analyzeWithProfileChain(content, prompt, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+    const chain = resolveLLMProfileChain(this.llmProfiles);
+    const failedProfiles = [];
+    let lastError = null;
+
+    for (const profile of chain) {
+      if (lastError) {
+        reportProgress({
+          step: 'ai',
+          status: 'active',
+          message: `${failedProfiles.at(-1).name} 调用失败，切换到 ${profile.name}`,
+          profile: describeLLMProfile(profile)
+        });
+      }
+
+      // 不支持图片输入的档案只分析文本
+      const images = profile.visionEnabled ? options.images || [] : [];
+
+      try {
+        const analysisResult = await this.analyzeWithLLM(content, prompt, {
+          ...options,
+          llmConfig: toLLMConfig(profile),
+          images
+        });
+        analysisResult.llmProfile = describeLLMProfile(profile);
+        if (options.images?.length > 0 || options.skippedImages?.length > 0) {
+          analysisResult.images = this.describeAttachedImages(images, options, profile);
+        }
+        if (failedProfiles.length > 0) {
+          analysisResult.failedProfiles = failedProfiles;
+        }
+        return analysisResult;
+      } catch (error) {
+        if (error.kind === 'aborted') {
+          throw error;
+        }
+        console.warn(`LLM配置档案 ${profile.name} 分析失败:`, error);
+        lastError = error;
+        failedProfiles.push({
+          ...describeLLMProfile(profile),
+          error: error.message,
+          errorKind: error.kind
+        });
+      }
+    }
+
+    if (failedProfiles.length <= 1) {
+      throw lastError;
+    }
+
+    // 保留最后一个错误的类型，便于弹窗给出对应的处理建议
+    const summary = failedProfiles
+      .map(failure => `${failure.name}: ${failure.error}`)
+      .join('\n');
+    throw Object.assign(new Error(`所有LLM配置档案均调用失败\n${summary}`), {
+      kind: lastError.kind
+    });
+  }
+
+  /**
+   * 结果元数据中记录的图片信息（不含图片数据）
+   */
+  describeAttachedImages(images, options, profile) {
+    const skipped = [...(options.skippedImages || [])];
+    if (images.length === 0) {
+      (options.images || []).forEach(image => {
+        skipped.push({ source: image.source, reason: `${profile.name} 未开启图片输入` });
+      });
+    }
+    return {
+      attached: images.map(image => image.source),
+      skipped
+    };
+  }
+
   // 使用LLM进行分析（原有逻辑）
-  async analyzeWithLLM(content, prompt) {
-    // 构建分析请求
-    const analysisPrompt = this.buildAnalysisPrompt(content, prompt);
+  async analyzeWithLLM(content, prompt, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+
+    // 长文档按章节分块分析后合并
+    const chunks = buildAnalysisChunks(content);
+    if (chunks.length > 1) {
+      return this.analyzeInChunks(content, prompt, chunks, options);
+    }
+
+    reportProgress({ step: 'ai', status: 'active', message: '正在等待模型响应' });
+    const { llmResult, result, report } = await this.analyzeChunk(
+      content,
+      prompt,
+      options
+    );
+    reportProgress({ step: 'ai', status: 'completed', message: '模型响应接收完成' });
+
+    return this.buildLLMAnalysisResult(content, llmResult, result, report);
+  }
+
+  /**
+   * 分析单个分块（短文档即全文）
+   * @param {string} chunkContent - 分块内容
+   * @param {string} prompt - 自定义提示词
+   * @param {Object} options - onToken、onProgress 回调，llmConfig 指定使用的档案配置
+   * @param {Object} chunk - 分块信息（index、total、title），全文分析时省略
+   */
+  async analyzeChunk(chunkContent, prompt, options = {}, chunk = null) {
+    // 分块分析时图片只随第一个分块发送，避免重复计费
+    const images = !chunk || chunk.index === 0 ? options.images || [] : [];
+    const analysisPrompt = this.buildAnalysisPrompt(chunkContent, prompt, chunk, {
+      images,
+      knowledgeBase: options.knowledgeBase
+    });
+
+    // 调用LLM进行分析，提供onToken时以流式方式返回增量文本
+    const reportProgress = options.onProgress || (() => {});
+    const llmResult = await this.callLLM(analysisPrompt, chunkContent, {
+      llmConfig: options.llmConfig,
+      signal: options.signal,
+      images,
+      onToken: options.onToken,
+      responseFormat: 'json',
+      redactionLog: options.redactionLog,
+      onRetry: ({ attempt, delay, error }) => {
+        const reason = REQUEST_ERROR_HINTS[error.kind]?.title || '请求失败';
+        reportProgress({
+          step: 'ai',
+          status: 'active',
+          message: `${reason}，${Math.ceil(delay / 1000)} 秒后第 ${attempt} 次重试`
+        });
+      }
+    });
+
+    // 按结果Schema解析，必要时请求模型修复
+    const { result, report } = await this.parseSecurityScenarios(
+      llmResult,
+      options.onProgress,
+      { llmConfig: options.llmConfig, signal: options.signal }
+    );
+
+    return { llmResult, result, report };
+  }
+
+  /**
+   * Map-Reduce：逐个分析分块，再合并去重
+   * options.partial 中记录已完成分块的结果，任务恢复或重试时跳过这些分块，
+   * 每完成一个分块调用 options.onPartialResult 保存
+   */
+  async analyzeInChunks(content, prompt, chunks, options = {}) {
+    const reportProgress = options.onProgress || (() => {});
+    const chunkResults = [];
+    const rawOutputs = [];
+    const failedChunks = [];
+    const errors = [];
+    let repaired = false;
+    const completedChunks = options.partial
+      ? (options.partial.chunks = options.partial.chunks || {})
+      : {};
+    let resumedChunks = 0;
+
+    for (const chunk of chunks) {
+      const chunkInfo = { index: chunk.index, total: chunks.length, title: chunk.title };
+
+      const completed = completedChunks[chunk.index];
+      if (completed && completed.title === chunk.title) {
+        reportProgress({
+          step: 'ai',
+          status: 'active',
+          message: `第 ${chunk.index + 1}/${chunks.length} 部分已在之前完成，跳过`
+        });
+        chunkResults.push(completed.result);
+        rawOutputs.push(completed.llmResult);
+        repaired = repaired || completed.report.repaired;
+        errors.push(
+          ...completed.report.errors.map(error => `第${chunk.index + 1}部分 ${error}`)
+        );
+        resumedChunks++;
+        continue;
+      }
+
+      reportProgress({
+        step: 'ai',
+        status: 'active',
+        message: `正在分析第 ${chunk.index + 1}/${chunks.length} 部分：${chunk.title}`,
+        chunk: chunkInfo
+      });
+
+      try {
+        const { llmResult, result, report } = await this.analyzeChunk(
+          chunk.content,
+          prompt,
+          options,
+          chunkInfo
+        );
+        chunkResults.push(result);
+        rawOutputs.push(llmResult);
+        repaired = repaired || report.repaired;
+        errors.push(...report.errors.map(error => `第${chunk.index + 1}部分 ${error}`));
 
-    // 调用LLM进行分析
-    const llmResult = await this.callLLM(analysisPrompt, content);
+        completedChunks[chunk.index] = { title: chunk.title, llmResult, result, report };
+        options.onPartialResult?.();
+      } catch (error) {
+        // 认证、额度等不可重试的错误对所有分块都一样，直接终止
+        if (error instanceof RequestError && !error.retryable) {
+          throw error;
+        }
+        // 单个分块失败不影响其余分块，最终结果中记录失败的分块
+        console.warn(`分块 ${chunk.index + 1} 分析失败:`, error);
+        failedChunks.push({
+          index: chunk.index,
+          title: chunk.title,
+          error: error.message
+        });
+      }
+    }
+
+    if (chunkResults.length === 0) {
+      throw new Error(`所有分块分析均失败: ${failedChunks[0].error}`);
+    }
+
+    const merged = mergeAnalysisResults(chunkResults);
+    reportProgress({
+      step: 'ai',
+      status: 'completed',
+      message: `已合并 ${chunkResults.length}/${chunks.length} 个部分的分析结果`
+    });
+
+    const analysisResult = this.buildLLMAnalysisResult(
+      content,
+      rawOutputs.join('\n\n'),
+      merged,
+      { valid: errors.length === 0, repaired, errors }
+    );
+    analysisResult.chunking = {
+      totalChunks: chunks.length,
+      analyzedChunks: chunkResults.length,
+      resumedChunks,
+      failedChunks
+    };
 
-    // 解析安全场景
-    const securityScenarios = this.parseSecurityScenarios(llmResult);
+    return analysisResult;
+  }
 
+  buildLLMAnalysisResult(content, llmResult, result, report) {
     return {
       originalContent: content,
-      analysis: llmResult,
-      securityScenarios,
-      threats: this.extractThreats(llmResult),
-      assets: this.extractAssets(content),
-      recommendations: this.extractRecommendations(llmResult),
+      analysis: result.summary || llmResult,
+      rawOutput: llmResult,
+      summary: result.summary,
+      securityScenarios: result.testScenarios,
+      testScenarios: result.testScenarios,
+      threats: result.threats,
+      assets: result.assets.length > 0 ? result.assets : this.extractAssets(content),
+      recommendations: result.recommendations,
+      schemaVersion: ANALYSIS_RESULT_SCHEMA_VERSION,
+      structuredOutput: report,
       analysisMethod: 'LLM',
       timestamp: new Date().toISOString()
     };
   }
 
-  // 缓存相关方法
-  generateCacheKey(content, prompt) {
-    const hash = this.simpleHash(content + (prompt || ''));
-    return `analysis_${hash}`;
+  /**
+   * 生成缓存键，默认档案的模型或知识库内容变化后不会命中旧结果
+   * @returns {Promise<string>} SHA-256 缓存键
+   */
+  async generateCacheKey(content, prompt, images = [], mode = '') {
+    const profile = describeLLMProfile(getDefaultLLMProfile(this.llmProfiles));
+    return buildAnalysisCacheKey({
+      content,
+      prompt,
+      // 图片数据较大，只取来源和长度参与计算
+      images: images.map(image => `${image.source}:${image.data.length}`),
+      provider: profile.provider,
+      model: profile.model,
+      // 只用LLM分析时知识库不影响结果
+      knowledgeBaseVersion: mode === 'llm' ? '' : await this.getKnowledgeBaseVersion(),
+      mode,
+      retrieval:
+        mode !== 'llm' && this.stacService?.semanticSearch
+          ? `embedding:${this.getEmbeddingLLMConfig().model}`
+          : ''
+    });
   }
 
-  getCachedAnalysis(cacheKey) {
-    const cached = this.analysisCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiryTime) {
-      return cached.result;
+  // 知识库内容的摘要，作为缓存键中的知识库版本
+  async getKnowledgeBaseVersion() {
+    const knowledgeBase = this.stacService?.knowledgeBase;
+    if (!knowledgeBase) {
+      return '';
     }
-    return null;
+    if (this.knowledgeBaseVersion?.source !== knowledgeBase) {
+      this.knowledgeBaseVersion = {
+        source: knowledgeBase,
+        hash: await sha256Hex(JSON.stringify(knowledgeBase))
+      };
+    }
+    return this.knowledgeBaseVersion.hash;
   }
 
-  cacheAnalysis(cacheKey, result) {
-    // 清理过期缓存
-    if (this.analysisCache.size >= this.cacheMaxSize) {
-      const oldestKey = this.analysisCache.keys().next().value;
-      this.analysisCache.delete(oldestKey);
+  /**
+   * 读取缓存的分析结果，结果中的 cache 字段记录缓存时间
+   * 缓存不可用时按未命中处理
+   */
+  async getCachedAnalysis(cacheKey) {
+    try {
+      const entry = await this.resultCache.get(cacheKey);
+      return entry
+        ? { ...entry.result, cache: { hit: true, cachedAt: entry.createdAt } }
+        : null;
+    } catch (error) {
+      console.warn('读取分析缓存失败:', error);
+      return null;
     }
+  }
 
-    this.analysisCache.set(cacheKey, {
-      result,
-      timestamp: Date.now()
-    });
+  // 结果是否由默认档案之外的后备档案生成
+  isAnsweredByFallbackProfile(result) {
+    return Boolean(
+      result.llmProfile && result.llmProfile.id !== getDefaultLLMProfile(this.llmProfiles).id
+    );
   }
 
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32bit integer
+  // 缓存条目记录实际生成结果的档案，知识库分析的结果记录默认档案
+  async cacheAnalysis(cacheKey, result, metadata = {}) {
+    const profile =
+      result.llmProfile || describeLLMProfile(getDefaultLLMProfile(this.llmProfiles));
+    try {
+      await this.resultCache.set({
+        key: cacheKey,
+        title: metadata.title || '',
+        provider: profile.provider,
+        model: profile.model,
+        mode: metadata.mode || '',
+        knowledgeBaseVersion:
+          metadata.mode === 'llm' ? '' : this.knowledgeBaseVersion?.hash || '',
+        result
+      });
+    } catch (error) {
+      console.warn('写入分析缓存失败:', error);
     }
-    return Math.abs(hash).toString(36);
   }
 
-  buildAnalysisPrompt(content, customPrompt) {
+  /**
+   * 构建分析提示词
+   * @param {Object} context - images 为随附的文档图片，knowledgeBase 为混合分析检索到的知识库条目
+   */
+  buildAnalysisPrompt(content, customPrompt, chunk = null, context = {}) {
+    const { images = [], knowledgeBase = [] } = context;
     const defaultPrompt = `
 请对以下产品需求内容进行安全分析，识别潜在的安全威胁和风险点，并生成相应的测试场景。
 
@@ -639,109 +2116,395 @@ class SecurityAnalysisService {
 2. 分析身份认证和授权需求
 3. 评估输入验证和数据处理风险
 4. 识别业务逻辑安全风险
-5. 提供具体的安全测试场景
-
-请以JSON格式返回结果，包含以下字段：
-- summary: 需求概述
-- assets: 关键资产列表
-- threats: 威胁列表（包含类型、描述、风险等级）
-- testScenarios: 测试场景列表
-- recommendations: 安全建议
-
-产品需求内容：`;
-
-    return (customPrompt || defaultPrompt) + '\n\n' + JSON.stringify(content);
+5. 提供具体的安全测试场景`;
+
+    // 分块分析时说明当前位置，避免模型把局部内容当成完整需求
+    const chunkNote =
+      chunk && chunk.total > 1
+        ? `以下内容是需求文档的第 ${chunk.index + 1}/${chunk.total} 部分（${chunk.title}），请只分析这部分涉及的功能。`
+        : null;
+
+    const imageNote =
+      images.length > 0
+        ? `随附 ${images.length} 张文档图片（${images.map(image => image.source).join('、')}），通常是架构图、流程图或界面原型，请结合图中的组件、数据流和信任边界进行分析。`
+        : null;
+
+    // 无论是否使用自定义提示词，都附加统一的输出格式要求
+    return [
+      (customPrompt || defaultPrompt).trim(),
+      buildAnalysisFormatInstruction(),
+      chunkNote,
+      imageNote,
+      formatKnowledgeContextPrompt(knowledgeBase),
+      // 需求内容来自外部文档，用定界符隔离，避免其中的指令被当作分析要求
+      this.inputValidator.fenceUntrustedContent(content)
+    ]
+      .filter(Boolean)
+      .join('\n\n');
   }
 
-  async callLLM(prompt, content) {
-    if (this.llmConfig.provider !== 'custom' && !this.llmConfig.apiKey) {
+  /**
+   * 调用LLM
+   * @param {string} prompt - 用户提示词
+   * @param {string} content - 原始需求内容
+   * @param {Object} options - 可选项，onToken(delta) 存在时使用流式响应，llmConfig 覆盖默认档案，
+   *   images 为随用户消息发送的图片（mediaType、data），signal 用于取消请求，
+   *   redactionLog 数组存在时追加本次请求中被脱敏的条目
+   * @returns {Promise<string>} 完整的模型输出
+   */
+  async callLLM(prompt, content, options = {}) {
+    const llmConfig = options.llmConfig || this.llmConfig;
+    if (!['custom', 'ollama'].includes(llmConfig.provider) && !llmConfig.apiKey) {
       throw new Error('请先配置LLM API密钥');
     }
 
-    try {
-      const headers = {
-        'Content-Type': 'application/json'
-      };
+    // 发往远程模型前把敏感信息替换为占位符，模型输出在本地还原
+    const redaction = this.shouldRedactFor(llmConfig)
+      ? createRedactionState(this.redactionConfig)
+      : null;
+    const redact = text => (redaction ? redactText(text, redaction) : text);
+    const streamRehydrator =
+      redaction && typeof options.onToken === 'function'
+        ? createStreamRehydrator(redaction.mapping, options.onToken)
+        : null;
+    const onToken = streamRehydrator
+      ? delta => streamRehydrator.push(delta)
+      : options.onToken;
+    const stream = typeof onToken === 'function';
 
-      // 只有在API密钥存在时才添加Authorization头
-      if (this.llmConfig.apiKey) {
-        headers.Authorization = `Bearer ${this.llmConfig.apiKey}`;
+    try {
+      const adapter = getLLMProviderAdapter(llmConfig.provider);
+      const system = options.system ? redact(options.system) : ANALYSIS_SYSTEM_PROMPT;
+      // 多轮对话时由调用方传入完整的消息列表
+      const messages = (
+        options.messages || [{ role: 'user', content: prompt, images: options.images }]
+      ).map(message => ({ ...message, content: redact(message.content) }));
+      if (redaction && redaction.matches.length > 0) {
+        console.log(`🔒 已脱敏 ${redaction.matches.length} 处敏感信息`);
+        options.redactionLog?.push(
+          ...redaction.matches.map(({ type, label, placeholder }) => ({
+            type,
+            label,
+            placeholder
+          }))
+        );
       }
 
-      const response = await fetch(this.llmConfig.endpoint, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          model: this.llmConfig.model,
-          messages: [
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 2000,
-          temperature: 0.3
-        })
+      const request = adapter.buildRequest(llmConfig, {
+        system,
+        messages,
+        maxTokens: options.maxTokens || ANALYSIS_MAX_TOKENS,
+        temperature: 0.3,
+        stream,
+        responseFormat: options.responseFormat
       });
 
-      if (!response.ok) {
-        throw new Error(`LLM API调用失败: ${response.status}`);
+      const response = await fetchWithRetry(
+        request.url,
+        {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body)
+        },
+        {
+          ...this.getLLMRequestOptions(llmConfig),
+          label: 'LLM API调用失败',
+          extractErrorMessage: errorText => adapter.extractErrorMessage(errorText),
+          onRetry: options.onRetry,
+          signal: options.signal
+        }
+      );
+
+      const isStreamResponse =
+        adapter.streamFormat === 'ndjson'
+          ? isNDJSONResponse(response)
+          : isEventStreamResponse(response);
+      let output;
+      if (stream && isStreamResponse) {
+        output = await readResponseBody(response, touch =>
+          this.readLLMStream(adapter, response, onToken, touch)
+        );
+      } else {
+        output = adapter.parseResponse(
+          await readResponseBody(response, () => response.json())
+        ).content;
+        if (stream) {
+          // 服务端未按流式返回时，一次性推送完整内容
+          onToken(output);
+        }
       }
+      streamRehydrator?.flush();
 
-      const result = await response.json();
-      return result.choices[0].message.content;
+      // 输出为JSON时按字符串转义还原，原文中的引号和换行不会破坏结构
+      return redaction
+        ? rehydrateText(output, redaction.mapping, { jsonSafe: true })
+        : output;
     } catch (error) {
+      // 读取流式输出时取消，读取器抛出的是 AbortError，统一为取消错误
+      if (options.signal?.aborted) {
+        throw new RequestError('LLM API调用已取消', { kind: 'aborted' });
+      }
       console.error('LLM调用失败:', error);
       throw error;
     }
   }
 
-  parseSecurityScenarios(llmResult) {
+  /**
+   * 是否需要脱敏：已开启脱敏且请求地址不是本机（localhost、127.0.0.1 等）
+   */
+  shouldRedactFor(llmConfig = this.llmConfig) {
+    if (!this.redactionConfig.enabled) {
+      return false;
+    }
     try {
-      return JSON.parse(llmResult);
+      const { url } = getLLMProviderAdapter(llmConfig.provider).buildRequest(llmConfig, {
+        messages: [{ role: 'user', content: '' }],
+        maxTokens: 1
+      });
+      return !isLocalEndpoint(url);
     } catch (error) {
-      // 如果不是JSON格式，进行文本解析
-      return {
-        summary: '需求分析',
-        analysis: llmResult,
-        threats: this.extractThreats(llmResult),
-        testScenarios: this.extractTestScenarios(llmResult)
-      };
+      // 无法确定请求地址时按远程处理
+      return true;
     }
   }
 
-  extractThreats(text) {
-    const threats = [];
-    const lines = text.split('\n');
+  /**
+   * 预览发往当前模型时会被脱敏的内容，供 popup 在分析前确认
+   * @param {Object} data - content、prompt
+   * @returns {Object} enabled、remote，matches 为被替换的原文及其占位符
+   */
+  previewRedaction(data = {}) {
+    const remote = this.shouldRedactFor(this.llmConfig);
+    const state = createRedactionState(this.redactionConfig);
+    redactText(String(data.content || ''), state);
+    redactText(String(data.prompt || ''), state);
+    const summary = summarizeRedaction(state.matches);
 
-    lines.forEach(line => {
-      if (line.includes('威胁') || line.includes('风险') || line.includes('threat')) {
-        threats.push({
-          description: line.trim(),
-          level: this.utils?.assessThreatLevel
-            ? this.utils.assessThreatLevel(line)
-            : 'medium'
-        });
+    return {
+      enabled: this.redactionConfig.enabled,
+      remote,
+      profile: describeLLMProfile(getDefaultLLMProfile(this.llmProfiles)),
+      total: summary.total,
+      counts: summary.counts,
+      matches: state.matches.map(({ label, placeholder, value }) => ({
+        label,
+        placeholder,
+        original: value
+      }))
+    };
+  }
+
+  // LLM请求的超时和重试次数来自配置页
+  getLLMRequestOptions(llmConfig = this.llmConfig) {
+    const timeoutSeconds = Number(llmConfig.timeoutSeconds);
+    const maxRetries = Number(llmConfig.maxRetries);
+
+    return {
+      timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : REQUEST_DEFAULTS.timeoutMs,
+      maxRetries:
+        Number.isInteger(maxRetries) && maxRetries >= 0
+          ? maxRetries
+          : REQUEST_DEFAULTS.maxRetries
+    };
+  }
+
+  // 逐个读取流式事件，转发增量文本并拼接完整输出；每收到一个事件调用 touch 重置空闲超时
+  async readLLMStream(adapter, response, onToken, touch = () => {}) {
+    let content = '';
+    const events =
+      adapter.streamFormat === 'ndjson'
+        ? readNDJSONEvents(response.body)
+        : readSSEEvents(response.body);
+
+    for await (const event of events) {
+      touch();
+      const chunk = adapter.parseStreamEvent(event);
+      if (chunk.delta) {
+        content += chunk.delta;
+        onToken(chunk.delta);
       }
-    });
+      if (chunk.done) {
+        break;
+      }
+    }
 
-    return threats;
+    return content;
   }
 
-  extractTestScenarios(text) {
-    const scenarios = [];
-    const lines = text.split('\n');
+  /**
+   * 针对分析结果追问，以原始需求和当前结果为上下文进行多轮对话
+   * @param {Object} data - jobId（用于读取原始需求）、result、history、question
+   * @returns {Promise<Object>} answer 为回答正文，items 为回答中可合并的新增威胁和测试场景
+   */
+  async followUpAnalysis(data = {}) {
+    const { jobId, result, history, question } = data;
+    if (!result) {
+      throw new Error('没有可追问的分析结果');
+    }
+    if (!question || !question.trim()) {
+      throw new Error('请输入要追问的问题');
+    }
+
+    // 任务输入中保存了完整的需求内容，结果中的原文仅作为后备
+    const input = jobId ? await this.jobStore.getInput(jobId) : null;
+    const content = input?.content || result.originalContent || '';
 
-    lines.forEach(line => {
-      if (line.includes('测试') || line.includes('验证') || line.includes('test')) {
-        scenarios.push({
-          description: line.trim(),
-          type: 'security_test'
-        });
+    // 与分析请求相同：需求内容先筛查提示词注入，再用定界符隔离后放入用户消息
+    const { cleanedText, detected } = this.screenPromptInjection(content);
+    if (detected) {
+      console.warn('⚠️ 追问上下文中的需求内容含疑似提示词注入，已隔离');
+    }
+    const context = buildFollowUpContext(cleanedText, result, text =>
+      this.inputValidator.fenceUntrustedContent(text)
+    );
+
+    const reply = await this.callLLM(null, null, {
+      system: buildFollowUpSystemPrompt(),
+      messages: buildFollowUpMessages(context, history, question.trim()),
+      maxTokens: FOLLOW_UP_LIMITS.maxTokens
+    });
+
+    const { answer, itemsText } = splitFollowUpReply(reply);
+    const extracted = itemsText && extractAnalysisJSON(itemsText);
+    const items = extracted
+      ? sanitizeAnalysisResult(normalizeAnalysisResult(extracted))
+      : { threats: [], testScenarios: [] };
+
+    return {
+      answer: answer || reply,
+      reply,
+      items: {
+        threats: this.tagThreatWeaknesses(items.threats),
+        testScenarios: items.testScenarios
       }
+    };
+  }
+
+  /**
+   * 把追问回答中的新增条目合并到分析结果，与已有条目重复的跳过
+   * 结果属于后台任务时同时更新任务中保存的结果，重新打开时保持一致
+   * @param {Object} data - jobId、result、items（threats、testScenarios）
+   * @returns {Promise<Object>} 合并后的结果
+   */
+  async mergeFollowUpItems(data = {}) {
+    const { jobId, result, items } = data;
+    if (!result) {
+      throw new Error('没有可合并的分析结果');
+    }
+
+    const additions = sanitizeAnalysisResult({
+      threats: items?.threats,
+      testScenarios: items?.testScenarios
     });
+    const mergeItems = (existing, added, keyOf) => {
+      const keys = new Set(existing.map(keyOf));
+      const merged = [...existing];
+      added.forEach(item => {
+        const key = keyOf(item);
+        if (!keys.has(key)) {
+          keys.add(key);
+          merged.push({ ...item, origin: ITEM_ORIGINS.FOLLOW_UP });
+        }
+      });
+      return merged;
+    };
+
+    const threats = mergeItems(result.threats || [], additions.threats, threat =>
+      normalizeForDedupe(`${threat.type}|${threat.description}`)
+    );
+    // 导出和展示使用 securityScenarios，STAC分析的结果只有该字段
+    const existingScenarios = result.securityScenarios || result.testScenarios || [];
+    const scenarios = mergeItems(existingScenarios, additions.testScenarios, scenario =>
+      normalizeForDedupe(`${scenario.category}|${scenario.description}`)
+    );
+    const addedThreats = threats.length - (result.threats || []).length;
+    const addedScenarios = scenarios.length - existingScenarios.length;
+
+    const merged = {
+      ...result,
+      threats,
+      securityScenarios: scenarios,
+      ...(result.testScenarios && { testScenarios: scenarios }),
+      followUp: {
+        mergedThreats: (result.followUp?.mergedThreats || 0) + addedThreats,
+        mergedTestScenarios: (result.followUp?.mergedTestScenarios || 0) + addedScenarios,
+        updatedAt: new Date().toISOString()
+      }
+    };
+
+    if (jobId && (await this.jobStore.get(jobId))) {
+      await this.jobStore.saveResult(jobId, merged);
+    }
+    return merged;
+  }
+
+  /**
+   * 将模型输出解析为符合结果Schema的结构
+   * 依次进行容错提取、字段规范化和Schema校验，不合格时请求模型修复一次
+   * @param {string} llmResult - 模型原始输出
+   * @param {Function} reportProgress - 进度回调
+   * @param {Object} options - llmConfig 为修复请求使用的档案配置（与原请求保持一致），signal 用于取消
+   * @returns {Promise<{result: Object, report: Object}>} 结构化结果和校验报告
+   */
+  async parseSecurityScenarios(llmResult, reportProgress = () => {}, options = {}) {
+    const { llmConfig = null, signal = null } = options;
+    const extracted = extractAnalysisJSON(llmResult);
+    let data = extracted && normalizeAnalysisResult(extracted);
+    let errors = data ? validateAnalysisResult(data) : null;
+    let repaired = false;
+
+    if (!data || errors.length > 0) {
+      console.warn('⚠️ 分析结果不符合Schema，请求模型修复:', errors);
+      reportProgress({
+        step: 'ai',
+        status: 'active',
+        message: '输出格式不完整，正在请求模型修复'
+      });
+
+      try {
+        const repairOutput = await this.callLLM(
+          buildAnalysisRepairPrompt(llmResult, errors),
+          null,
+          { responseFormat: 'json', llmConfig, signal }
+        );
+        const repairedData = extractAnalysisJSON(repairOutput);
+
+        if (repairedData) {
+          const normalized = normalizeAnalysisResult(repairedData);
+          const repairedErrors = validateAnalysisResult(normalized);
+          // 修复结果不比原结果差时才采用
+          if (!data || repairedErrors.length <= errors.length) {
+            data = normalized;
+            errors = repairedErrors;
+            repaired = true;
+          }
+        }
+      } catch (error) {
+        if (error.kind === 'aborted') {
+          throw error;
+        }
+        console.warn('结果修复请求失败:', error);
+      }
+    }
+
+    if (!data) {
+      throw new Error('LLM未返回可解析的JSON分析结果，请检查模型或提示词配置');
+    }
+
+    if (errors.length > 0) {
+      console.warn(
+        `⚠️ 修复后仍有不合格字段，已丢弃对应条目:\n${formatJSONSchemaErrors(errors)}`
+      );
+    }
 
-    return scenarios;
+    return {
+      result: sanitizeAnalysisResult(data),
+      report: {
+        valid: errors.length === 0,
+        repaired,
+        errors: errors.map(error => `${error.path}: ${error.message}`)
+      }
+    };
   }
 
   async parseFile(attachment) {
@@ -862,7 +2625,7 @@ class SecurityAnalysisService {
     }
 
     try {
-      const response = await fetch(
+      const response = await fetchWithRetry(
         `${this.threatModelingPlatform.baseUrl}/api/scenarios`,
         {
           method: 'POST',
@@ -871,12 +2634,11 @@ class SecurityAnalysisService {
             Authorization: `Bearer ${this.threatModelingPlatform.apiKey}`
           },
           body: JSON.stringify(scenarios)
-        }
+        },
+        { timeoutMs: 30000, label: '威胁建模平台请求失败' }
       );
 
-      if (response.ok) {
-        return await response.json();
-      }
+      return await readResponseBody(response, () => response.json());
     } catch (error) {
       console.error('发送到威胁建模平台失败:', error);
     }
@@ -892,53 +2654,111 @@ class SecurityAnalysisService {
   async testLLMConnection(llmConfig) {
     try {
       const testPrompt = "请回复'连接测试成功'来确认API连接正常。";
+      const adapter = getLLMProviderAdapter(llmConfig.provider);
 
-      const response = await fetch(llmConfig.endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${llmConfig.apiKey}`
-        },
-        body: JSON.stringify({
-          model: llmConfig.model,
-          messages: [
-            {
-              role: 'user',
-              content: testPrompt
-            }
-          ],
-          max_tokens: 50,
-          temperature: 0.1
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        return {
-          success: false,
-          error: `API调用失败 (${response.status}): ${errorText}`
-        };
+      // 支持列出本地模型的提供商（Ollama）先确认所选模型已拉取
+      if (adapter.buildModelListRequest) {
+        const listResult = await this.listLLMModels(llmConfig);
+        if (!listResult.success) {
+          return {
+            success: false,
+            error: `连接测试失败: ${listResult.error}`,
+            errorKind: listResult.errorKind
+          };
+        }
+        if (!adapter.isModelAvailable(listResult.models, llmConfig.model)) {
+          return {
+            success: false,
+            error: `模型 ${llmConfig.model} 尚未拉取，请先执行 ollama pull ${llmConfig.model}`,
+            errorKind: 'model_not_found'
+          };
+        }
       }
 
-      const result = await response.json();
+      const request = adapter.buildRequest(llmConfig, {
+        messages: [
+          {
+            role: 'user',
+            content: testPrompt
+          }
+        ],
+        maxTokens: 50,
+        temperature: 0.1
+      });
+
+      // 连接测试只重试一次，避免配置错误时长时间等待
+      const requestOptions = this.getLLMRequestOptions(llmConfig);
+      const response = await fetchWithRetry(
+        request.url,
+        {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body)
+        },
+        {
+          timeoutMs: Math.min(requestOptions.timeoutMs, 30000),
+          maxRetries: Math.min(requestOptions.maxRetries, 1),
+          label: 'API调用失败',
+          extractErrorMessage: errorText => adapter.extractErrorMessage(errorText)
+        }
+      );
 
-      if (result.choices && result.choices[0] && result.choices[0].message) {
+      try {
+        const result = adapter.parseResponse(
+          await readResponseBody(response, () => response.json())
+        );
         return {
           success: true,
           message: '连接测试成功',
-          response: result.choices[0].message.content
+          response: result.content
         };
-      } else {
+      } catch (parseError) {
         return {
           success: false,
-          error: '响应格式不正确: ' + JSON.stringify(result)
+          error: parseError.message
         };
       }
     } catch (error) {
       return {
         success: false,
-        error: `连接测试失败: ${error.message}`
+        error: `连接测试失败: ${error.message}`,
+        errorKind: error.kind
+      };
+    }
+  }
+
+  /**
+   * 获取提供商可用的模型列表（目前只有 Ollama 支持）
+   * @param {Object} llmConfig - LLM配置
+   * @returns {Promise<{success: boolean, models?: Object[], error?: string}>} 模型列表
+   */
+  async listLLMModels(llmConfig) {
+    const adapter = getLLMProviderAdapter(llmConfig.provider);
+    if (!adapter.buildModelListRequest) {
+      return { success: false, error: '该提供商不支持获取模型列表' };
+    }
+
+    try {
+      const request = adapter.buildModelListRequest(llmConfig);
+      const response = await fetchWithRetry(
+        request.url,
+        { method: 'GET', headers: request.headers },
+        {
+          timeoutMs: 10000,
+          maxRetries: 0,
+          label: '获取模型列表失败',
+          extractErrorMessage: errorText => adapter.extractErrorMessage(errorText)
+        }
+      );
+
+      return {
+        success: true,
+        models: adapter.parseModelList(
+          await readResponseBody(response, () => response.json())
+        )
       };
+    } catch (error) {
+      return { success: false, error: error.message, errorKind: error.kind };
     }
   }
 
@@ -1066,24 +2886,6 @@ class SecurityAnalysisService {
 
     return recommendations.length > 0 ? recommendations : ['建议进行全面的安全评估'];
   }
-
-  // 提取推荐信息
-  extractRecommendations(text) {
-    const recommendations = [];
-    const lines = text.split('\n');
-
-    lines.forEach(line => {
-      if (
-        line.includes('建议') ||
-        line.includes('推荐') ||
-        line.includes('recommendation')
-      ) {
-        recommendations.push(line.trim());
-      }
-    });
-
-    return recommendations.length > 0 ? recommendations : ['建议进行安全评估'];
-  }
 }
 
 // 创建服务实例
@@ -0,0 +1,200 @@
+// analysis-cache.js - Persistent Analysis Result Cache
+// 分析结果按内容寻址缓存在 IndexedDB 中，重新打开同一份需求时直接返回结果
+
+/* global requestToPromise */
+// requestToPromise 来自 indexed-db.js：Service Worker 中先于本文件加载，Node 中在此引入
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.requestToPromise = require('../../utils/indexed-db.js').requestToPromise;
+}
+
+const ANALYSIS_CACHE_DB = {
+  name: 'security-analysis-cache',
+  version: 1,
+  store: 'results'
+};
+
+const ANALYSIS_CACHE_LIMITS = {
+  // 超出数量时删除最久未使用的条目
+  maxEntries: 100,
+  // 超过该时长未使用的条目会被清理
+  retentionMs: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 计算文本的 SHA-256 摘要
+ * @returns {Promise<string>} 十六进制摘要
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
+
+/**
+ * 生成缓存键：需求内容、提示词、模型、知识库版本、分析模式或检索方式任一变化都会得到新的键
+ * @param {Object} parts - content、prompt、images（来源和大小的签名）、provider、model、
+ *   knowledgeBaseVersion、mode、retrieval（启用语义检索时的向量模型）
+ * @returns {Promise<string>} 缓存键
+ */
+function buildAnalysisCacheKey(parts) {
+  return sha256Hex(
+    JSON.stringify([
+      parts.content,
+      parts.prompt || '',
+      parts.images || [],
+      parts.provider || '',
+      parts.model || '',
+      parts.knowledgeBaseVersion || '',
+      parts.mode || '',
+      // 未启用语义检索时保持原有的键
+      ...(parts.retrieval ? [parts.retrieval] : [])
+    ])
+  );
+}
+
+// 配置页列表中显示的条目信息，不含分析结果本身
+function describeCacheEntry(entry) {
+  const metadata = { ...entry };
+  delete metadata.result;
+  return metadata;
+}
+
+/**
+ * 分析结果缓存
+ * 条目：key、title、provider、model、mode、knowledgeBaseVersion、createdAt、lastUsedAt、size、result
+ */
+class AnalysisResultCache {
+  /**
+   * @param {IDBFactory} indexedDBFactory - Service Worker 中的 indexedDB
+   */
+  constructor(indexedDBFactory) {
+    this.indexedDB = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      if (!this.indexedDB) {
+        return Promise.reject(new Error('当前环境不支持 IndexedDB'));
+      }
+      const request = this.indexedDB.open(
+        ANALYSIS_CACHE_DB.name,
+        ANALYSIS_CACHE_DB.version
+      );
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ANALYSIS_CACHE_DB.store, { keyPath: 'key' });
+      };
+      this.dbPromise = requestToPromise(request).catch(error => {
+        // 打开失败后允许下次重新尝试
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // 在一个事务中执行操作，事务提交后返回操作结果
+  async transact(mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(ANALYSIS_CACHE_DB.store, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await operation(transaction.objectStore(ANALYSIS_CACHE_DB.store));
+    await completed;
+    return result;
+  }
+
+  /**
+   * 读取缓存条目并记录使用时间，过期的条目视为不存在
+   * @returns {Promise<Object|null>} 缓存条目
+   */
+  async get(key) {
+    const entry = await this.transact('readonly', store =>
+      requestToPromise(store.get(key))
+    );
+    if (!entry) {
+      return null;
+    }
+    if (Date.now() - entry.lastUsedAt > ANALYSIS_CACHE_LIMITS.retentionMs) {
+      await this.delete(key);
+      return null;
+    }
+
+    entry.lastUsedAt = Date.now();
+    await this.transact('readwrite', store => requestToPromise(store.put(entry)));
+    return entry;
+  }
+
+  /**
+   * 写入缓存条目，并清理过期和超出数量的条目
+   * @param {Object} entry - key、result 以及列表中显示的信息
+   */
+  async set(entry) {
+    const now = Date.now();
+    await this.transact('readwrite', store =>
+      requestToPromise(
+        store.put({
+          ...entry,
+          createdAt: now,
+          lastUsedAt: now,
+          size: JSON.stringify(entry.result).length
+        })
+      )
+    );
+    await this.prune();
+  }
+
+  /**
+   * @returns {Promise<Object[]>} 条目信息（不含结果），最近使用的在前
+   */
+  async list() {
+    const entries = await this.transact('readonly', store =>
+      requestToPromise(store.getAll())
+    );
+    return entries.map(describeCacheEntry).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  delete(key) {
+    return this.transact('readwrite', store => requestToPromise(store.delete(key)));
+  }
+
+  clear() {
+    return this.transact('readwrite', store => requestToPromise(store.clear()));
+  }
+
+  async prune() {
+    const now = Date.now();
+    const entries = await this.list();
+    const expired = entries.filter(
+      (entry, index) =>
+        index >= ANALYSIS_CACHE_LIMITS.maxEntries ||
+        now - entry.lastUsedAt > ANALYSIS_CACHE_LIMITS.retentionMs
+    );
+    if (expired.length > 0) {
+      await this.transact('readwrite', store =>
+        Promise.all(expired.map(entry => requestToPromise(store.delete(entry.key))))
+      );
+    }
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    ANALYSIS_CACHE_DB,
+    ANALYSIS_CACHE_LIMITS,
+    AnalysisResultCache,
+    buildAnalysisCacheKey,
+    sha256Hex
+  };
+} else {
+  // Browser / Service Worker environment
+  self.AnalysisResultCache = AnalysisResultCache;
+  self.buildAnalysisCacheKey = buildAnalysisCacheKey;
+  self.sha256Hex = sha256Hex;
+}
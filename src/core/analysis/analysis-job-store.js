@@ -0,0 +1,253 @@
+// analysis-job-store.js - Persistent Analysis Job Queue
+// 分析任务持久化到 chrome.storage.local，Service Worker 被回收后重启时可以继续执行
+
+// 任务列表（不含需求内容和结果）存储在该键下，内容、中间结果和最终结果按任务分键存储
+const ANALYSIS_JOBS_STORAGE_KEY = 'analysisJobs';
+
+const ANALYSIS_JOB_STATES = {
+  QUEUED: 'queued',
+  PARSING: 'parsing',
+  MATCHING: 'matching',
+  LLM: 'llm',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+const ANALYSIS_JOB_STATE_LABELS = {
+  queued: '排队中',
+  parsing: '解析中',
+  matching: '匹配知识库',
+  llm: '模型分析中',
+  done: '已完成',
+  failed: '失败'
+};
+
+// 分析进度步骤对应的任务状态
+const PROGRESS_STEP_STATES = {
+  parse: ANALYSIS_JOB_STATES.PARSING,
+  stac: ANALYSIS_JOB_STATES.MATCHING,
+  ai: ANALYSIS_JOB_STATES.LLM
+};
+
+const ANALYSIS_JOB_LIMITS = {
+  // 超出数量时删除最早结束的任务
+  maxJobs: 20,
+  // 结束超过该时长的任务会被清理
+  retentionMs: 7 * 24 * 60 * 60 * 1000,
+  titleLength: 40,
+  // 每次开始执行（包括重启后的恢复）计一次，用完后不再自动恢复，避免反复终止的任务无限重跑
+  maxAttempts: 3
+};
+
+function isJobFinished(job) {
+  return (
+    job.state === ANALYSIS_JOB_STATES.DONE || job.state === ANALYSIS_JOB_STATES.FAILED
+  );
+}
+
+function hasExhaustedAttempts(job) {
+  return job.attempts >= ANALYSIS_JOB_LIMITS.maxAttempts;
+}
+
+function jobDataKey(jobId, part) {
+  return `analysisJob:${jobId}:${part}`;
+}
+
+// 任务标题取需求内容的第一行非空文本
+function summarizeJobTitle(content) {
+  const firstLine =
+    String(content || '')
+      .split('\n')
+      .map(line => line.trim())
+      .find(Boolean) || '未命名需求';
+  return firstLine.length > ANALYSIS_JOB_LIMITS.titleLength
+    ? `${firstLine.slice(0, ANALYSIS_JOB_LIMITS.titleLength)}…`
+    : firstLine;
+}
+
+/**
+ * 分析任务存储
+ * 任务列表的读改写按顺序执行，避免并发的进度更新互相覆盖
+ */
+class AnalysisJobStore {
+  /**
+   * @param {Object} storageArea - chrome.storage.local 或实现了 get/set/remove 的对象
+   */
+  constructor(storageArea) {
+    this.storage = storageArea;
+    this.pending = Promise.resolve();
+  }
+
+  // 串行执行对任务列表的修改
+  mutate(updater) {
+    const run = this.pending.then(async () => {
+      const jobs = await this.list();
+      const result = await updater(jobs);
+      await this.storage.set({ [ANALYSIS_JOBS_STORAGE_KEY]: jobs });
+      return result;
+    });
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * @returns {Promise<Object[]>} 任务列表，按创建时间从早到晚排列
+   */
+  async list() {
+    const stored = await this.storage.get(ANALYSIS_JOBS_STORAGE_KEY);
+    return Array.isArray(stored[ANALYSIS_JOBS_STORAGE_KEY])
+      ? stored[ANALYSIS_JOBS_STORAGE_KEY]
+      : [];
+  }
+
+  async get(jobId) {
+    return (await this.list()).find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * 创建排队中的任务
+   * @param {Object} input - analyzeContent 的请求数据（content、prompt、source、images 等）
+   * @returns {Promise<Object>} 任务
+   */
+  async create(input) {
+    const now = Date.now();
+    const job = {
+      id: `job_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      state: ANALYSIS_JOB_STATES.QUEUED,
+      title: summarizeJobTitle(input.content),
+      source: input.source || null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      message: '',
+      error: null,
+      errorKind: null,
+      attempts: 0,
+      delivered: false
+    };
+
+    await this.storage.set({ [jobDataKey(job.id, 'input')]: input });
+    await this.mutate(jobs => {
+      jobs.push(job);
+      this.prune(jobs);
+    });
+    return job;
+  }
+
+  /**
+   * 更新任务字段，状态变为 done 或 failed 时记录结束时间
+   * @returns {Promise<Object|null>} 更新后的任务，任务不存在时返回null
+   */
+  update(jobId, patch) {
+    return this.mutate(jobs => {
+      const job = jobs.find(item => item.id === jobId);
+      if (!job) {
+        return null;
+      }
+      Object.assign(job, patch, { updatedAt: Date.now() });
+      if (patch.state) {
+        job.finishedAt = isJobFinished(job) ? job.updatedAt : null;
+      }
+      return { ...job };
+    });
+  }
+
+  async remove(jobId) {
+    await this.mutate(jobs => {
+      const index = jobs.findIndex(job => job.id === jobId);
+      if (index !== -1) {
+        jobs.splice(index, 1);
+      }
+    });
+    await this.removeJobData(jobId);
+  }
+
+  async removeJobData(jobId) {
+    await this.storage.remove(
+      ['input', 'partial', 'result'].map(part => jobDataKey(jobId, part))
+    );
+  }
+
+  async getData(jobId, part) {
+    const key = jobDataKey(jobId, part);
+    const stored = await this.storage.get(key);
+    return stored[key] ?? null;
+  }
+
+  setData(jobId, part, value) {
+    return this.storage.set({ [jobDataKey(jobId, part)]: value });
+  }
+
+  getInput(jobId) {
+    return this.getData(jobId, 'input');
+  }
+
+  // 中间结果：长文档已完成分块的分析结果，重试或恢复时跳过这些分块
+  getPartial(jobId) {
+    return this.getData(jobId, 'partial');
+  }
+
+  savePartial(jobId, partial) {
+    return this.setData(jobId, 'partial', partial);
+  }
+
+  getResult(jobId) {
+    return this.getData(jobId, 'result');
+  }
+
+  saveResult(jobId, result) {
+    return this.setData(jobId, 'result', result);
+  }
+
+  /**
+   * 下一个需要执行的任务：最早创建的未结束任务（包括重启前执行到一半的任务）
+   */
+  async next() {
+    return (await this.list()).find(job => !isJobFinished(job)) || null;
+  }
+
+  // 清理过期和超出数量的已结束任务，未结束的任务始终保留
+  prune(jobs) {
+    const now = Date.now();
+    const finished = jobs
+      .filter(isJobFinished)
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+    const overflow = Math.max(0, jobs.length - ANALYSIS_JOB_LIMITS.maxJobs);
+    const expired = finished.filter(
+      (job, index) =>
+        index < overflow || now - job.finishedAt > ANALYSIS_JOB_LIMITS.retentionMs
+    );
+
+    expired.forEach(job => {
+      jobs.splice(jobs.indexOf(job), 1);
+      this.removeJobData(job.id).catch(error => {
+        console.warn('清理分析任务数据失败:', error);
+      });
+    });
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    ANALYSIS_JOBS_STORAGE_KEY,
+    ANALYSIS_JOB_STATES,
+    ANALYSIS_JOB_STATE_LABELS,
+    PROGRESS_STEP_STATES,
+    ANALYSIS_JOB_LIMITS,
+    AnalysisJobStore,
+    isJobFinished,
+    hasExhaustedAttempts,
+    summarizeJobTitle
+  };
+} else {
+  // Browser / Service Worker environment
+  self.ANALYSIS_JOB_STATES = ANALYSIS_JOB_STATES;
+  self.ANALYSIS_JOB_STATE_LABELS = ANALYSIS_JOB_STATE_LABELS;
+  self.PROGRESS_STEP_STATES = PROGRESS_STEP_STATES;
+  self.AnalysisJobStore = AnalysisJobStore;
+  self.isJobFinished = isJobFinished;
+  self.hasExhaustedAttempts = hasExhaustedAttempts;
+  self.summarizeJobTitle = summarizeJobTitle;
+}
@@ -0,0 +1,401 @@
+// analysis-result-schema.js - LLM Analysis Result Schema
+// 定义LLM分析结果的结构，负责从模型输出中提取JSON、规范化字段并按Schema校验
+
+/* global validateJSONSchema */
+// validateJSONSchema 来自 json-schema.js：Service Worker 中先于本文件加载，Node 中在此引入
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.validateJSONSchema =
+    require('../../utils/json-schema.js').validateJSONSchema;
+}
+
+const ANALYSIS_RESULT_SCHEMA_VERSION = '1.2';
+
+const ANALYSIS_RESULT_SCHEMA = {
+  $id: 'security-analysis-result',
+  version: ANALYSIS_RESULT_SCHEMA_VERSION,
+  type: 'object',
+  required: ['threats', 'testScenarios'],
+  properties: {
+    summary: { type: 'string', description: '需求概述' },
+    assets: {
+      type: 'array',
+      description: '关键资产列表',
+      items: { type: 'string', minLength: 1 }
+    },
+    threats: {
+      type: 'array',
+      description: '威胁列表',
+      items: {
+        type: 'object',
+        required: ['type', 'description', 'level'],
+        properties: {
+          type: { type: 'string', minLength: 1, description: '威胁类型' },
+          description: { type: 'string', minLength: 1, description: '威胁描述' },
+          level: {
+            type: 'string',
+            enum: ['high', 'medium', 'low'],
+            description: '风险等级'
+          },
+          impact: { type: 'string', description: '影响范围' },
+          cwe: {
+            type: 'array',
+            description: '对应的 CWE 编号，如 CWE-79；不确定时省略',
+            items: { type: 'string', pattern: '^CWE-[1-9]\\d*$' }
+          },
+          source: {
+            type: 'string',
+            description: '来源：引用的知识库条目编号（如 KB-1），模型补充的填 model'
+          }
+        }
+      }
+    },
+    testScenarios: {
+      type: 'array',
+      description: '安全测试场景列表',
+      items: {
+        type: 'object',
+        required: ['category', 'description', 'steps'],
+        properties: {
+          category: { type: 'string', minLength: 1, description: '场景分类' },
+          description: { type: 'string', minLength: 1, description: '场景描述' },
+          steps: {
+            type: 'array',
+            description: '测试步骤',
+            items: { type: 'string', minLength: 1 }
+          },
+          expectedResult: { type: 'string', description: '预期结果' },
+          source: {
+            type: 'string',
+            description: '来源：引用的知识库条目编号（如 KB-1），模型补充的填 model'
+          }
+        }
+      }
+    },
+    recommendations: {
+      type: 'array',
+      description: '安全建议',
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// 模型常用的风险等级写法
+const THREAT_LEVEL_ALIASES = {
+  critical: 'high',
+  high: 'high',
+  严重: 'high',
+  高: 'high',
+  高危: 'high',
+  medium: 'medium',
+  moderate: 'medium',
+  中: 'medium',
+  中危: 'medium',
+  low: 'low',
+  info: 'low',
+  低: 'low',
+  低危: 'low'
+};
+
+/**
+ * 去掉推理模型输出的思考过程（如 deepseek-r1 的 <think> 块）
+ */
+function stripReasoningBlocks(text) {
+  let cleaned = text.replace(/<(think|thinking|reasoning)>[\s\S]*?<\/\1>/gi, '');
+
+  // 部分服务会省略开头的 <think>，只保留闭合标签
+  const closingMatch = cleaned.match(/<\/(think|thinking|reasoning)>/i);
+  if (closingMatch) {
+    cleaned = cleaned.slice(closingMatch.index + closingMatch[0].length);
+  }
+
+  return cleaned.trim();
+}
+
+/**
+ * 从指定位置开始截取括号配平的JSON对象文本
+ */
+function sliceBalancedObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+function tryParseObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 从模型输出中提取JSON对象
+ * 依次尝试：整体解析、markdown代码块、首个括号配平的对象
+ * @param {string} text - 模型原始输出
+ * @returns {Object|null} 解析出的对象，找不到时返回null
+ */
+function extractAnalysisJSON(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+
+  const cleaned = stripReasoningBlocks(text);
+
+  const direct = tryParseObject(cleaned);
+  if (direct) {
+    return direct;
+  }
+
+  const fencePattern = /```[a-zA-Z]*\s*\n?([\s\S]*?)```/g;
+  let fenceMatch;
+  while ((fenceMatch = fencePattern.exec(cleaned)) !== null) {
+    const fenced = tryParseObject(fenceMatch[1].trim());
+    if (fenced) {
+      return fenced;
+    }
+  }
+
+  let start = cleaned.indexOf('{');
+  while (start !== -1) {
+    const candidate = sliceBalancedObject(cleaned, start);
+    if (!candidate) {
+      break;
+    }
+    const parsed = tryParseObject(candidate);
+    if (parsed) {
+      return parsed;
+    }
+    start = cleaned.indexOf('{', start + 1);
+  }
+
+  return null;
+}
+
+function toStringList(value, pickText) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map(item => (typeof item === 'string' ? item : pickText(item)))
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+}
+
+function pickObjectText(item) {
+  if (!item || typeof item !== 'object') {
+    return typeof item === 'number' ? String(item) : null;
+  }
+  return item.description || item.name || item.title || item.content || null;
+}
+
+/**
+ * 模型返回的 CWE 编号写法不一（79、"cwe79"、"CWE-079"、逗号分隔的字符串），统一为 CWE-79 数组
+ * 无法识别的编号直接丢弃，避免一个写错的编号让整条威胁校验失败
+ */
+function normalizeCWEIds(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const list = typeof value === 'string' ? value.split(/[,，、;\s]+/) : [].concat(value);
+  const ids = list
+    .map(item => String(item ?? '').match(/^(?:CWE)?[-_\s]*0*([1-9]\d*)$/i))
+    .filter(Boolean)
+    .map(match => `CWE-${match[1]}`);
+  return [...new Set(ids)];
+}
+
+// 仅在字段存在时写回，保留缺失字段以便校验报告“缺少必填字段”
+function assignIfPresent(target, key, value) {
+  if (value !== undefined && value !== null) {
+    target[key] = value;
+  }
+}
+
+/**
+ * 修正模型输出中常见的非致命偏差（等级写法、单值未包成数组、字段别名）
+ * @param {Object} data - 提取出的JSON对象
+ * @returns {Object} 规范化后的新对象
+ */
+function normalizeAnalysisResult(data) {
+  const result = { ...data };
+
+  if (result.summary === undefined && typeof result.overview === 'string') {
+    result.summary = result.overview;
+  }
+
+  ['assets', 'recommendations'].forEach(key => {
+    if (result[key] !== undefined && result[key] !== null) {
+      result[key] = toStringList(result[key], pickObjectText);
+    }
+  });
+
+  if (result.threats && !Array.isArray(result.threats)) {
+    result.threats = [result.threats];
+  }
+  if (Array.isArray(result.threats)) {
+    result.threats = result.threats.map(threat => {
+      if (!threat || typeof threat !== 'object') {
+        return threat;
+      }
+      const normalized = { ...threat };
+      assignIfPresent(
+        normalized,
+        'type',
+        normalized.type || normalized.category || normalized.name
+      );
+      const level = String(normalized.level || normalized.riskLevel || '')
+        .trim()
+        .toLowerCase();
+      assignIfPresent(normalized, 'level', THREAT_LEVEL_ALIASES[level]);
+      const cwe = normalizeCWEIds(
+        normalized.cwe ?? normalized.cweIds ?? normalized.cwe_ids ?? normalized.cwe_id
+      );
+      if (cwe) {
+        normalized.cwe = cwe;
+      }
+      return normalized;
+    });
+  }
+
+  if (result.testScenarios === undefined && result.securityScenarios !== undefined) {
+    result.testScenarios = result.securityScenarios;
+  }
+  if (result.testScenarios && !Array.isArray(result.testScenarios)) {
+    result.testScenarios = [result.testScenarios];
+  }
+  if (Array.isArray(result.testScenarios)) {
+    result.testScenarios = result.testScenarios.map(scenario => {
+      if (!scenario || typeof scenario !== 'object') {
+        return scenario;
+      }
+      const normalized = { ...scenario };
+      assignIfPresent(
+        normalized,
+        'category',
+        normalized.category || normalized.type || normalized.name
+      );
+      if (typeof normalized.steps === 'string') {
+        normalized.steps = normalized.steps.split(/\n+/);
+      }
+      if (normalized.steps !== undefined && normalized.steps !== null) {
+        normalized.steps = toStringList(normalized.steps, pickObjectText);
+      }
+      return normalized;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * 按Schema校验分析结果
+ * @returns {{path: string, message: string}[]} 错误列表
+ */
+function validateAnalysisResult(data) {
+  return validateJSONSchema(ANALYSIS_RESULT_SCHEMA, data);
+}
+
+/**
+ * 丢弃不符合Schema的条目并补齐缺失的顶层字段，保证渲染端拿到的结构始终完整
+ * summary、assets、recommendations 为可选字段，缺失时分别补为空字符串和空数组
+ */
+function sanitizeAnalysisResult(data) {
+  const { properties } = ANALYSIS_RESULT_SCHEMA;
+  const keepValid = (list, itemSchema) =>
+    Array.isArray(list)
+      ? list.filter(item => validateJSONSchema(itemSchema, item).length === 0)
+      : [];
+
+  return {
+    summary: typeof data.summary === 'string' ? data.summary : '',
+    assets: keepValid(data.assets, properties.assets.items),
+    threats: keepValid(data.threats, properties.threats.items),
+    testScenarios: keepValid(data.testScenarios, properties.testScenarios.items),
+    recommendations: keepValid(data.recommendations, properties.recommendations.items)
+  };
+}
+
+/**
+ * 生成追加在提示词末尾的输出格式要求
+ */
+function buildAnalysisFormatInstruction() {
+  return [
+    '请只返回一个JSON对象，不要使用markdown代码块，也不要输出JSON以外的任何文字。',
+    'JSON必须符合以下JSON Schema（level 只能取 high、medium、low；threats 中的 cwe 填写对应的 CWE 编号，如 ["CWE-79"]）：',
+    JSON.stringify(ANALYSIS_RESULT_SCHEMA)
+  ].join('\n');
+}
+
+/**
+ * 生成修复请求：把上一次输出和校验错误交给模型，要求返回修正后的JSON
+ * @param {string} previousOutput - 上一次的模型输出
+ * @param {{path: string, message: string}[]|null} errors - 校验错误，null表示未能解析出JSON
+ */
+function buildAnalysisRepairPrompt(previousOutput, errors) {
+  const problems = errors
+    ? errors.map(error => `- ${error.path}: ${error.message}`).join('\n')
+    : '- 输出中找不到合法的JSON对象';
+
+  return [
+    '你上一次返回的安全分析结果不符合要求的格式，存在以下问题：',
+    problems,
+    '',
+    '上一次的输出：',
+    previousOutput.slice(0, 8000),
+    '',
+    '请修正上述问题，保留原有的分析内容，并补全缺失的字段。',
+    buildAnalysisFormatInstruction()
+  ].join('\n');
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    ANALYSIS_RESULT_SCHEMA,
+    ANALYSIS_RESULT_SCHEMA_VERSION,
+    extractAnalysisJSON,
+    normalizeAnalysisResult,
+    validateAnalysisResult,
+    sanitizeAnalysisResult,
+    buildAnalysisFormatInstruction,
+    buildAnalysisRepairPrompt
+  };
+} else {
+  // Browser / Service Worker environment
+  self.ANALYSIS_RESULT_SCHEMA = ANALYSIS_RESULT_SCHEMA;
+  self.ANALYSIS_RESULT_SCHEMA_VERSION = ANALYSIS_RESULT_SCHEMA_VERSION;
+  self.extractAnalysisJSON = extractAnalysisJSON;
+  self.normalizeAnalysisResult = normalizeAnalysisResult;
+  self.validateAnalysisResult = validateAnalysisResult;
+  self.sanitizeAnalysisResult = sanitizeAnalysisResult;
+  self.buildAnalysisFormatInstruction = buildAnalysisFormatInstruction;
+  self.buildAnalysisRepairPrompt = buildAnalysisRepairPrompt;
+}
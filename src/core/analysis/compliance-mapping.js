@@ -0,0 +1,232 @@
+// compliance-mapping.js - Compliance Mapping of STAC Knowledge Base Citations
+// 按知识库威胁引用的行业标准和法律条款汇总分析结果，标出需求涉及的条款及其安全需求、测试用例的覆盖情况
+
+// 引用的类型，报告中按此顺序排列
+const COMPLIANCE_SOURCE_TYPES = {
+  // 金融行业标准，如 JR/T 0068-2020
+  FINANCIAL_STANDARD: 'financial_standard',
+  // 法律条款，如 网络安全法 第四十二条
+  LAW: 'law',
+  // 只标注了安全类别（如"访问控制"），没有引用具体条款
+  CATEGORY: 'category'
+};
+
+// 条款的覆盖情况
+const COMPLIANCE_STATUSES = {
+  // 结果中有同一威胁的安全需求和测试用例
+  COVERED: 'covered',
+  // 只有安全需求或只有测试用例
+  PARTIAL: 'partial',
+  // 需求涉及该条款，但结果中没有对应的安全需求和测试用例
+  UNCOVERED: 'uncovered'
+};
+
+// 知识库中常用的法律简称
+const LAW_ALIASES = {
+  网安: '网络安全法',
+  网络安全法: '网络安全法',
+  数安: '数据安全法',
+  数据安全法: '数据安全法',
+  个保: '个人信息保护法',
+  个人信息保护法: '个人信息保护法'
+};
+
+const LAW_TITLES = {
+  网络安全法: '中华人民共和国网络安全法',
+  数据安全法: '中华人民共和国数据安全法',
+  个人信息保护法: '中华人民共和国个人信息保护法'
+};
+
+// 知识库引用的金融行业标准名称，未列出的标准只显示编号
+const FINANCIAL_STANDARD_TITLES = {
+  'JR/T 0068-2020': '网上银行系统信息安全通用规范',
+  'JR/T 0071.2-2020': '金融行业网络安全等级保护实施指引 第2部分：基本要求',
+  'JR/T 0185-2020': '商业银行应用程序接口安全管理规范',
+  'JR/T 0223-2021': '金融数据安全 数据生命周期安全规范'
+};
+
+// 兼容 "JR/T 0068/2020"、"JRT0068/2020"、"JR/T  0213/2021" 等写法
+const FINANCIAL_STANDARD_PATTERN =
+  /^JR\s*\/?\s*T\s*(\d{4}(?:\.\d+)?)\s*[/\-—]\s*(\d{4})\s*[：:]?\s*(.*)$/i;
+
+const LAW_PATTERN = new RegExp(
+  `^《?(${Object.keys(LAW_ALIASES).join('|')})》?\\s*(?:第[一二三四五六七八九十百零]+章)?\\s*(第[一二三四五六七八九十百零]+条.*)$`
+);
+
+const NO_CLAUSE = '（未注明条款）';
+
+/**
+ * 统一条款写法：全角括号转为半角，条款号与后面的文字之间留一个空格
+ */
+function normalizeClause(text) {
+  const clause = String(text || '')
+    .replace(/（/g, '(')
+    .replace(/）/g, ')')
+    .replace(/\s+/g, ' ')
+    .replace(/^(\d+(?:\.\d+)*)(?=[^\d.\s])/, '$1 ')
+    .trim();
+  return clause || NO_CLAUSE;
+}
+
+/**
+ * 解析知识库威胁的 industry_standard 引用
+ * @param {string} citation - 如 "JR/T 0068/2020：6.2.2.4 d）"、"网安第四章第四十二条第一款"、"访问控制"
+ * @returns {{type: string, standard: string, title: string|null, clause: string}|null}
+ */
+function parseStandardCitation(citation) {
+  const text = String(citation || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const standardMatch = text.match(FINANCIAL_STANDARD_PATTERN);
+  if (standardMatch) {
+    const standard = `JR/T ${standardMatch[1]}-${standardMatch[2]}`;
+    return {
+      type: COMPLIANCE_SOURCE_TYPES.FINANCIAL_STANDARD,
+      standard,
+      title: FINANCIAL_STANDARD_TITLES[standard] || null,
+      clause: normalizeClause(standardMatch[3])
+    };
+  }
+
+  const lawMatch = text.match(LAW_PATTERN);
+  if (lawMatch) {
+    const standard = LAW_ALIASES[lawMatch[1]];
+    return {
+      type: COMPLIANCE_SOURCE_TYPES.LAW,
+      standard,
+      title: LAW_TITLES[standard],
+      clause: lawMatch[2].trim()
+    };
+  }
+
+  return {
+    type: COMPLIANCE_SOURCE_TYPES.CATEGORY,
+    standard: '安全类别',
+    title: '知识库只标注了安全类别，未引用具体条款',
+    clause: text.replace(/\s+/g, ' ')
+  };
+}
+
+function resolveClauseStatus(threats) {
+  if (threats.some(threat => threat.requirement && threat.testCase)) {
+    return COMPLIANCE_STATUSES.COVERED;
+  }
+  if (threats.some(threat => threat.requirement || threat.testCase)) {
+    return COMPLIANCE_STATUSES.PARTIAL;
+  }
+  return COMPLIANCE_STATUSES.UNCOVERED;
+}
+
+const compareNatural = (a, b) => a.localeCompare(b, 'zh-CN', { numeric: true });
+
+/**
+ * 按标准和条款汇总命中场景中带引用的知识库威胁
+ * @param {{scenario: string, threats: Object[]}[]} scenarios - 需求命中的知识库场景及其威胁
+ * @param {Function} getCoverage - (scenario, threat) => {requirement: boolean, testCase: boolean}，
+ *   表示分析结果中是否有该威胁的安全需求和测试用例
+ * @returns {Object|null} standards（标准 → 条款 → 引用该条款的威胁）和 summary，没有引用时返回null
+ */
+function buildComplianceMapping(scenarios, getCoverage) {
+  const standards = new Map();
+
+  for (const { scenario, threats } of scenarios) {
+    for (const threat of threats || []) {
+      const citation = threat.industry_standard?.name;
+      const parsed = parseStandardCitation(citation);
+      if (!parsed) {
+        continue;
+      }
+
+      if (!standards.has(parsed.standard)) {
+        standards.set(parsed.standard, {
+          type: parsed.type,
+          standard: parsed.standard,
+          title: parsed.title,
+          clauses: new Map()
+        });
+      }
+      const clauses = standards.get(parsed.standard).clauses;
+      if (!clauses.has(parsed.clause)) {
+        clauses.set(parsed.clause, { clause: parsed.clause, citations: [], threats: [] });
+      }
+
+      const clause = clauses.get(parsed.clause);
+      if (!clause.citations.includes(citation)) {
+        clause.citations.push(citation);
+      }
+      const coverage = getCoverage(scenario, threat);
+      // 同一场景下的同名威胁（如多条 XSS）合并为一行，任一条有安全需求或测试用例即视为有
+      const existing = clause.threats.find(
+        item => item.scenario === scenario && item.threat === threat.name
+      );
+      if (existing) {
+        existing.requirement = existing.requirement || coverage.requirement === true;
+        existing.testCase = existing.testCase || coverage.testCase === true;
+      } else {
+        clause.threats.push({
+          scenario,
+          threat: threat.name,
+          requirement: coverage.requirement === true,
+          testCase: coverage.testCase === true
+        });
+      }
+    }
+  }
+
+  if (standards.size === 0) {
+    return null;
+  }
+
+  const typeOrder = Object.values(COMPLIANCE_SOURCE_TYPES);
+  const summary = {
+    standards: 0,
+    clauses: 0,
+    [COMPLIANCE_STATUSES.COVERED]: 0,
+    [COMPLIANCE_STATUSES.PARTIAL]: 0,
+    [COMPLIANCE_STATUSES.UNCOVERED]: 0
+  };
+
+  const result = [...standards.values()]
+    .sort(
+      (a, b) =>
+        typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+        compareNatural(a.standard, b.standard)
+    )
+    .map(standard => {
+      const clauses = [...standard.clauses.values()]
+        .sort((a, b) => compareNatural(a.clause, b.clause))
+        .map(clause => ({ ...clause, status: resolveClauseStatus(clause.threats) }));
+
+      // 安全类别不是条款，不计入覆盖统计
+      if (standard.type !== COMPLIANCE_SOURCE_TYPES.CATEGORY) {
+        summary.standards++;
+        clauses.forEach(clause => {
+          summary.clauses++;
+          summary[clause.status]++;
+        });
+      }
+
+      return { ...standard, clauses };
+    });
+
+  return { standards: result, summary };
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    COMPLIANCE_SOURCE_TYPES,
+    COMPLIANCE_STATUSES,
+    parseStandardCitation,
+    buildComplianceMapping
+  };
+} else {
+  // Browser / Service Worker environment
+  self.COMPLIANCE_SOURCE_TYPES = COMPLIANCE_SOURCE_TYPES;
+  self.COMPLIANCE_STATUSES = COMPLIANCE_STATUSES;
+  self.parseStandardCitation = parseStandardCitation;
+  self.buildComplianceMapping = buildComplianceMapping;
+}
@@ -0,0 +1,360 @@
+// document-images.js - Document Image Extraction for Multimodal Analysis
+// 将PDF页面和DOCX内嵌图片转换为base64图片，供支持图片输入的模型分析架构图、数据流图
+
+// 单次分析的图片上限，可在配置页调整数量和单张大小
+const DOCUMENT_IMAGE_LIMITS = {
+  maxImages: 4,
+  maxImageKB: 800,
+  // 长边像素上限，超过该尺寸的图片会被服务端再次缩放
+  maxDimension: 1568,
+  // 小于该尺寸的多为图标、logo，不值得占用图片名额
+  minDimension: 100,
+  // 最多扫描的PDF页数
+  maxScanPages: 50
+};
+
+// 各视觉模型接口普遍支持的图片格式，EMF/WMF 等需要跳过
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// PDF中绘制位图的操作符
+const PDF_IMAGE_OPERATORS = [
+  'paintImageXObject',
+  'paintImageXObjectRepeat',
+  'paintInlineImageXObject',
+  'paintInlineImageXObjectGroup',
+  'paintImageMaskXObject'
+];
+
+// 流程图、架构图多为矢量图形，由大量路径组成
+const PDF_VECTOR_PATH_THRESHOLD = 40;
+
+/**
+ * 合并用户配置与默认上限
+ * @param {Object} config - analysisConfig 中的 maxImages、maxImageKB
+ * @returns {Object} 图片上限
+ */
+function resolveImageLimits(config = {}) {
+  const limits = { ...DOCUMENT_IMAGE_LIMITS };
+  ['maxImages', 'maxImageKB'].forEach(key => {
+    const value = Number(config[key]);
+    if (Number.isInteger(value) && value >= 0) {
+      limits[key] = value;
+    }
+  });
+  return limits;
+}
+
+function estimateBase64Bytes(base64) {
+  return Math.floor((base64.length * 3) / 4);
+}
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // 分段转换，避免参数过多导致栈溢出
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// 页面中优先使用普通画布，PDF.js 对其兼容性最好；无DOM的环境使用 OffscreenCanvas
+function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * 将画布编码为JPEG，超过大小上限时逐步降低质量
+ * @returns {Promise<{mediaType: string, data: string, bytes: number}|null>} 仍超限时返回null
+ */
+async function encodeCanvas(canvas, limits) {
+  for (const quality of [0.85, 0.7, 0.55]) {
+    const blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+    if (blob && blob.size <= limits.maxImageKB * 1024) {
+      return {
+        mediaType: 'image/jpeg',
+        data: await blobToBase64(blob),
+        bytes: blob.size
+      };
+    }
+  }
+  return null;
+}
+
+function fitScale(width, height, maxDimension) {
+  return Math.min(1, maxDimension / Math.max(width, height));
+}
+
+/**
+ * 渲染包含位图或大量矢量图形的PDF页面
+ * @param {Object} pdfjsLib - PDF.js 全局对象
+ * @param {ArrayBuffer} arrayBuffer - PDF文件内容
+ * @param {Object} limits - 图片上限
+ * @returns {Promise<{images: Object[], skipped: Object[]}>} 图片及跳过原因
+ */
+async function renderPDFImages(pdfjsLib, arrayBuffer, limits) {
+  const images = [];
+  const skipped = [];
+  const ops = pdfjsLib.OPS;
+  const imageOperators = new Set(
+    PDF_IMAGE_OPERATORS.map(name => ops[name]).filter(code => code !== undefined)
+  );
+
+  // PDF.js 会转移传入的缓冲区，复制一份以免影响调用方
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer.slice(0)) })
+    .promise;
+
+  try {
+    const pageCount = Math.min(pdf.numPages, limits.maxScanPages);
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const source = `PDF 第 ${pageNumber} 页`;
+
+      try {
+        const { fnArray } = await page.getOperatorList();
+        const hasImage = fnArray.some(fn => imageOperators.has(fn));
+        const pathCount = fnArray.filter(fn => fn === ops.constructPath).length;
+        if (!hasImage && pathCount < PDF_VECTOR_PATH_THRESHOLD) {
+          continue;
+        }
+
+        if (images.length >= limits.maxImages) {
+          skipped.push({ source, reason: '已达到单次分析的图片数量上限' });
+          continue;
+        }
+
+        const baseViewport = page.getViewport({ scale: 1 });
+        // 页面以72dpi计，按长边上限放大渲染以保证图中文字清晰
+        const scale = Math.min(
+          2,
+          limits.maxDimension / Math.max(baseViewport.width, baseViewport.height)
+        );
+        const viewport = page.getViewport({ scale });
+        const canvas = createCanvas(
+          Math.ceil(viewport.width),
+          Math.ceil(viewport.height)
+        );
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        await page.render({ canvasContext: context, viewport }).promise;
+
+        const encoded = await encodeCanvas(canvas, limits);
+        if (!encoded) {
+          skipped.push({ source, reason: '压缩后仍超过单张图片大小上限' });
+          continue;
+        }
+
+        images.push({
+          id: `pdf_page_${pageNumber}`,
+          source,
+          width: canvas.width,
+          height: canvas.height,
+          ...encoded
+        });
+      } finally {
+        page.cleanup();
+      }
+    }
+
+    if (pdf.numPages > pageCount) {
+      skipped.push({
+        source: `PDF 第 ${pageCount + 1}-${pdf.numPages} 页`,
+        reason: '超出扫描页数上限'
+      });
+    }
+  } finally {
+    pdf.destroy();
+  }
+
+  return { images, skipped };
+}
+
+/**
+ * 缩放并重新编码过大的图片，尺寸和大小都在上限内时保留原图
+ */
+async function normalizeImageBlob(blob, limits) {
+  const bitmap = await createImageBitmap(blob);
+  try {
+    if (Math.max(bitmap.width, bitmap.height) < limits.minDimension) {
+      return { skipReason: '尺寸过小，可能是图标' };
+    }
+
+    const scale = fitScale(bitmap.width, bitmap.height, limits.maxDimension);
+    if (scale === 1 && blob.size <= limits.maxImageKB * 1024) {
+      return {
+        mediaType: blob.type,
+        data: await blobToBase64(blob),
+        bytes: blob.size,
+        width: bitmap.width,
+        height: bitmap.height
+      };
+    }
+
+    const canvas = createCanvas(
+      Math.round(bitmap.width * scale),
+      Math.round(bitmap.height * scale)
+    );
+    const context = canvas.getContext('2d');
+    // 透明背景转JPEG会变黑，先铺白底
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    const encoded = await encodeCanvas(canvas, limits);
+    return encoded
+      ? { ...encoded, width: canvas.width, height: canvas.height }
+      : { skipReason: '压缩后仍超过单张图片大小上限' };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * 提取DOCX中内嵌的图片
+ * @param {Object} mammoth - mammoth.js 全局对象
+ * @param {ArrayBuffer} arrayBuffer - DOCX文件内容
+ * @param {Object} limits - 图片上限
+ * @returns {Promise<{images: Object[], skipped: Object[]}>} 图片及跳过原因
+ */
+async function extractDOCXImages(mammoth, arrayBuffer, limits) {
+  const embedded = [];
+  await mammoth.convertToHtml(
+    { arrayBuffer },
+    {
+      convertImage: mammoth.images.imgElement(async image => {
+        embedded.push({
+          contentType: image.contentType,
+          altText: image.altText || '',
+          data: await image.read('base64')
+        });
+        return { src: '' };
+      })
+    }
+  );
+
+  const images = [];
+  const skipped = [];
+  for (const [index, item] of embedded.entries()) {
+    const source = item.altText
+      ? `DOCX 图片 ${index + 1}（${item.altText}）`
+      : `DOCX 图片 ${index + 1}`;
+
+    if (!SUPPORTED_IMAGE_TYPES.includes(item.contentType)) {
+      skipped.push({ source, reason: `不支持的图片格式 ${item.contentType}` });
+      continue;
+    }
+    if (images.length >= limits.maxImages) {
+      skipped.push({ source, reason: '已达到单次分析的图片数量上限' });
+      continue;
+    }
+
+    const bytes = Uint8Array.from(atob(item.data), char => char.charCodeAt(0));
+    const normalized = await normalizeImageBlob(
+      new Blob([bytes], { type: item.contentType }),
+      limits
+    );
+    if (normalized.skipReason) {
+      skipped.push({ source, reason: normalized.skipReason });
+      continue;
+    }
+
+    images.push({ id: `docx_img_${index + 1}`, source, ...normalized });
+  }
+
+  return { images, skipped };
+}
+
+/**
+ * 按文件类型提取图片，所需的解析库未加载时返回跳过原因而不是报错
+ * @param {File} file - 本地文件
+ * @param {ArrayBuffer} arrayBuffer - 文件内容
+ * @param {Object} limits - 图片上限
+ * @param {Object} libs - pdfjsLib、mammoth
+ */
+async function extractDocumentImages(file, arrayBuffer, limits, libs = {}) {
+  const name = file.name.toLowerCase();
+
+  if (limits.maxImages === 0) {
+    return { images: [], skipped: [] };
+  }
+
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) {
+    if (!libs.pdfjsLib) {
+      return { images: [], skipped: [{ source: file.name, reason: '未加载PDF.js' }] };
+    }
+    return renderPDFImages(libs.pdfjsLib, arrayBuffer, limits);
+  }
+
+  if (name.endsWith('.docx')) {
+    if (!libs.mammoth) {
+      return { images: [], skipped: [{ source: file.name, reason: '未加载mammoth.js' }] };
+    }
+    return extractDOCXImages(libs.mammoth, arrayBuffer, limits);
+  }
+
+  return { images: [], skipped: [] };
+}
+
+/**
+ * 后台收到图片后再次按上限筛选，防止超量或格式不符的图片发往模型
+ * @param {Object[]} images - popup 提交的图片
+ * @param {Object} limits - 图片上限
+ * @returns {{images: Object[], skipped: Object[]}} 保留的图片及跳过原因
+ */
+function applyImageLimits(images, limits) {
+  const accepted = [];
+  const skipped = [];
+
+  (Array.isArray(images) ? images : []).forEach(image => {
+    const source = image?.source || '未知来源';
+    if (
+      !image ||
+      typeof image.data !== 'string' ||
+      !SUPPORTED_IMAGE_TYPES.includes(image.mediaType)
+    ) {
+      skipped.push({ source, reason: '图片数据或格式无效' });
+    } else if (estimateBase64Bytes(image.data) > limits.maxImageKB * 1024) {
+      skipped.push({ source, reason: '超过单张图片大小上限' });
+    } else if (accepted.length >= limits.maxImages) {
+      skipped.push({ source, reason: '已达到单次分析的图片数量上限' });
+    } else {
+      accepted.push({ source, mediaType: image.mediaType, data: image.data });
+    }
+  });
+
+  return { images: accepted, skipped };
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    DOCUMENT_IMAGE_LIMITS,
+    SUPPORTED_IMAGE_TYPES,
+    resolveImageLimits,
+    renderPDFImages,
+    extractDOCXImages,
+    extractDocumentImages,
+    applyImageLimits
+  };
+} else {
+  // Browser / Service Worker environment
+  self.DOCUMENT_IMAGE_LIMITS = DOCUMENT_IMAGE_LIMITS;
+  self.resolveImageLimits = resolveImageLimits;
+  self.extractDocumentImages = extractDocumentImages;
+  self.applyImageLimits = applyImageLimits;
+}
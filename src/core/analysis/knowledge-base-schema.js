@@ -0,0 +1,265 @@
+// knowledge-base-schema.js - STAC Knowledge Base Schema
+// 定义 STAC 知识库和知识库包的结构，负责把旧格式迁移为当前格式并按Schema校验
+// docs/schemas 下发布的 JSON Schema 由 scripts/migrate-knowledge-base.js --schema 从这里生成
+
+/* global validateJSONSchema */
+// validateJSONSchema 来自 json-schema.js：Service Worker 中先于本文件加载，Node 中在此引入
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.validateJSONSchema =
+    require('../../utils/json-schema.js').validateJSONSchema;
+}
+
+const KNOWLEDGE_BASE_SCHEMA_VERSION = '1.0';
+
+// 当前版本能读取的 schemaVersion，旧版本的文档先迁移再校验
+const SUPPORTED_KNOWLEDGE_BASE_SCHEMA_VERSIONS = ['1.0'];
+
+// 安全需求、安全设计、测试用例的结构相同
+const KNOWLEDGE_SECTION_FIELDS = ['security_requirement', 'security_design', 'test_case'];
+
+const KNOWLEDGE_SECTION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'details'],
+  properties: {
+    name: { type: 'string', minLength: 1, description: '名称' },
+    details: { type: 'string', minLength: 1, description: '内容' }
+  }
+};
+
+const KNOWLEDGE_THREAT_SCHEMA = {
+  type: 'object',
+  required: ['name', ...KNOWLEDGE_SECTION_FIELDS],
+  properties: {
+    name: { type: 'string', minLength: 1, description: '威胁名称' },
+    details: { type: ['string', 'null'], description: '威胁描述，可为空' },
+    security_requirement: { ...KNOWLEDGE_SECTION_SCHEMA, description: '安全需求' },
+    security_design: { ...KNOWLEDGE_SECTION_SCHEMA, description: '安全设计' },
+    test_case: { ...KNOWLEDGE_SECTION_SCHEMA, description: '测试用例' },
+    industry_standard: {
+      type: ['object', 'null'],
+      description: '行业标准条款，没有时为 null',
+      required: ['name'],
+      properties: {
+        name: {
+          type: 'string',
+          minLength: 1,
+          description: '标准及条款，如 JR/T 0068/2020：6.2.2.4 d）'
+        },
+        details: { type: ['string', 'null'], description: '条款内容' }
+      }
+    },
+    disabled: { type: 'boolean', description: '知识库编辑器中停用的威胁' }
+  }
+};
+
+const KNOWLEDGE_SCENARIO_SCHEMA = {
+  type: 'object',
+  required: ['threats'],
+  properties: {
+    threats: {
+      type: 'array',
+      description: '场景下的威胁',
+      items: KNOWLEDGE_THREAT_SCHEMA
+    }
+  }
+};
+
+// 场景名称 → 场景
+const KNOWLEDGE_SCENARIOS_SCHEMA = {
+  type: 'object',
+  additionalProperties: KNOWLEDGE_SCENARIO_SCHEMA
+};
+
+// 内置知识库
+const KNOWLEDGE_BASE_SCHEMA = {
+  $id: 'stac-knowledge-base',
+  version: KNOWLEDGE_BASE_SCHEMA_VERSION,
+  description: 'STAC知识库：以场景名称为键，每个场景包含威胁列表',
+  ...KNOWLEDGE_SCENARIOS_SCHEMA
+};
+
+const KNOWLEDGE_PACK_METADATA_SCHEMA = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 200
+};
+
+// 第三方发布的知识库包
+const KNOWLEDGE_PACK_SCHEMA = {
+  $id: 'stac-knowledge-pack',
+  version: KNOWLEDGE_BASE_SCHEMA_VERSION,
+  description: 'STAC知识库包：带名称、版本和作者的一组场景，导入后叠加在内置知识库上',
+  type: 'object',
+  required: ['schemaVersion', 'name', 'version', 'author', 'scenarios'],
+  properties: {
+    $schema: { type: 'string', description: '编辑器使用的 Schema 地址' },
+    schemaVersion: {
+      type: 'string',
+      enum: SUPPORTED_KNOWLEDGE_BASE_SCHEMA_VERSIONS,
+      description: '知识库包遵循的 Schema 版本'
+    },
+    name: {
+      ...KNOWLEDGE_PACK_METADATA_SCHEMA,
+      description: '包名称，重新导入同名的包会替换旧版本'
+    },
+    version: { ...KNOWLEDGE_PACK_METADATA_SCHEMA, description: '包版本' },
+    author: { ...KNOWLEDGE_PACK_METADATA_SCHEMA, description: '作者' },
+    description: { type: 'string', description: '包说明' },
+    scenarios: { ...KNOWLEDGE_SCENARIOS_SCHEMA, description: '场景名称 → {threats}' }
+  }
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function joinKnowledgePath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * 迁移单个威胁：旧格式中安全需求等字段可以是纯文本，行业标准可以是条款文本
+ */
+function migrateKnowledgeThreat(threat, path, changes) {
+  if (!isPlainObject(threat)) {
+    return threat;
+  }
+
+  const migrated = { ...threat };
+
+  for (const field of KNOWLEDGE_SECTION_FIELDS) {
+    if (typeof migrated[field] === 'string') {
+      migrated[field] = { name: migrated.name, details: migrated[field] };
+      changes.push({ path: `${path}.${field}`, message: '文本已转换为 {name, details}' });
+    }
+  }
+
+  if (typeof migrated.industry_standard === 'string') {
+    const name = migrated.industry_standard.trim();
+    migrated.industry_standard = name ? { name, details: null } : null;
+    changes.push({
+      path: `${path}.industry_standard`,
+      message: name ? '条款文本已转换为 {name, details}' : '空文本已转换为 null'
+    });
+  }
+
+  return migrated;
+}
+
+/**
+ * 把旧格式的知识库迁移为当前格式，不修改传入的数据
+ * 旧格式：场景直接是威胁数组、安全需求等字段是纯文本、行业标准是条款文本
+ * @param {Object} knowledgeBase - 场景名称 → 场景
+ * @param {string} [path] - 错误和变更记录中的路径前缀
+ * @returns {{knowledgeBase: Object, changes: {path: string, message: string}[]}}
+ */
+function migrateKnowledgeBase(knowledgeBase, path = '') {
+  const changes = [];
+  if (!isPlainObject(knowledgeBase)) {
+    return { knowledgeBase, changes };
+  }
+
+  const migrated = {};
+  for (const [scenario, scenarioData] of Object.entries(knowledgeBase)) {
+    const scenarioPath = joinKnowledgePath(path, scenario);
+    let data = scenarioData;
+
+    if (Array.isArray(data)) {
+      data = { threats: data };
+      changes.push({ path: scenarioPath, message: '威胁数组已转换为 {threats}' });
+    }
+
+    if (isPlainObject(data) && Array.isArray(data.threats)) {
+      data = {
+        ...data,
+        threats: data.threats.map((threat, index) =>
+          migrateKnowledgeThreat(threat, `${scenarioPath}.threats[${index}]`, changes)
+        )
+      };
+    }
+
+    migrated[scenario] = data;
+  }
+
+  return { knowledgeBase: migrated, changes };
+}
+
+/**
+ * 把旧格式的知识库包迁移为当前格式，不修改传入的数据
+ * 早期的包没有 schemaVersion，版本号可以是数字；声明了不支持的 schemaVersion 时保持原样，由校验报错
+ * @param {Object} pack - 知识库包
+ * @returns {{pack: Object, changes: {path: string, message: string}[]}}
+ */
+function migrateKnowledgePack(pack) {
+  const changes = [];
+  if (!isPlainObject(pack)) {
+    return { pack, changes };
+  }
+  if (
+    pack.schemaVersion !== undefined &&
+    !SUPPORTED_KNOWLEDGE_BASE_SCHEMA_VERSIONS.includes(pack.schemaVersion)
+  ) {
+    return { pack, changes };
+  }
+
+  const migrated = { schemaVersion: KNOWLEDGE_BASE_SCHEMA_VERSION, ...pack };
+  if (pack.schemaVersion === undefined) {
+    changes.push({
+      path: 'schemaVersion',
+      message: `已补充为 ${KNOWLEDGE_BASE_SCHEMA_VERSION}`
+    });
+  }
+
+  if (typeof migrated.version === 'number') {
+    migrated.version = String(migrated.version);
+    changes.push({ path: 'version', message: '数字已转换为字符串' });
+  }
+
+  const scenarios = migrateKnowledgeBase(pack.scenarios, 'scenarios');
+  migrated.scenarios = scenarios.knowledgeBase;
+  changes.push(...scenarios.changes);
+
+  return { pack: migrated, changes };
+}
+
+/**
+ * @param {Object} threat - 威胁
+ * @param {string} [path] - 威胁在知识库中的路径，如 登录.threats[3]
+ * @returns {{path: string, message: string}[]} 错误列表，为空表示通过
+ */
+function validateKnowledgeThreatSchema(threat, path = '') {
+  return validateJSONSchema(KNOWLEDGE_THREAT_SCHEMA, threat, path);
+}
+
+function validateKnowledgeBaseSchema(knowledgeBase) {
+  return validateJSONSchema(KNOWLEDGE_BASE_SCHEMA, knowledgeBase);
+}
+
+function validateKnowledgePackSchema(pack) {
+  return validateJSONSchema(KNOWLEDGE_PACK_SCHEMA, pack);
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    KNOWLEDGE_BASE_SCHEMA,
+    KNOWLEDGE_BASE_SCHEMA_VERSION,
+    KNOWLEDGE_PACK_SCHEMA,
+    KNOWLEDGE_THREAT_SCHEMA,
+    SUPPORTED_KNOWLEDGE_BASE_SCHEMA_VERSIONS,
+    migrateKnowledgeBase,
+    migrateKnowledgePack,
+    validateKnowledgeThreatSchema,
+    validateKnowledgeBaseSchema,
+    validateKnowledgePackSchema
+  };
+} else {
+  // Browser / Service Worker environment
+  self.KNOWLEDGE_BASE_SCHEMA_VERSION = KNOWLEDGE_BASE_SCHEMA_VERSION;
+  self.migrateKnowledgeBase = migrateKnowledgeBase;
+  self.migrateKnowledgePack = migrateKnowledgePack;
+  self.validateKnowledgeThreatSchema = validateKnowledgeThreatSchema;
+  self.validateKnowledgeBaseSchema = validateKnowledgeBaseSchema;
+  self.validateKnowledgePackSchema = validateKnowledgePackSchema;
+}
@@ -0,0 +1,160 @@
+// knowledge-context.js - STAC Knowledge Base Context for Hybrid Analysis
+// 混合分析：把STAC知识库命中的安全需求、安全设计和测试用例作为检索上下文交给模型，并标注结果来源
+
+const KNOWLEDGE_CONTEXT_LIMITS = {
+  // 取置信度最高的前几个场景
+  maxScenarios: 3,
+  // 注入提示词的威胁条目总数
+  maxEntries: 6,
+  // 单个字段的最大字符数，控制提示词长度
+  maxFieldChars: 300
+};
+
+// 结果条目的来源标记
+const ITEM_ORIGINS = {
+  KNOWLEDGE_BASE: 'knowledge_base',
+  MODEL: 'model',
+  // 分析完成后从追问回答中合并的条目
+  FOLLOW_UP: 'follow_up'
+};
+
+function truncateField(text, maxChars) {
+  const value = String(text || '').trim();
+  return value.length > maxChars ? `${value.slice(0, maxChars)}…` : value;
+}
+
+/**
+ * 从STAC匹配结果中挑选注入提示词的知识库条目
+ * 优先使用匹配到的威胁，场景下没有匹配威胁时取该场景的前几个威胁
+ * @param {Object[]} matches - STACService.matchScenarios 的结果（按置信度排序）
+ * @param {Function} getScenarioData - 按场景名称获取知识库数据
+ * @param {Object} limits - 条目上限
+ * @returns {Object[]} 条目列表，id 为提示词中引用的编号（KB-1、KB-2…）
+ */
+function buildKnowledgeContext(
+  matches,
+  getScenarioData,
+  limits = KNOWLEDGE_CONTEXT_LIMITS
+) {
+  const entries = [];
+  const seen = new Set();
+
+  for (const match of (matches || []).slice(0, limits.maxScenarios)) {
+    // 降级匹配可能返回知识库中不存在的通用场景，这类结果没有可引用的条目
+    const scenarioData = getScenarioData(match.scenario);
+    if (!scenarioData) {
+      continue;
+    }
+    const matchedThreats = (match.matchedThreats || []).map(item => item.threat || item);
+    const threats =
+      matchedThreats.length > 0
+        ? matchedThreats
+        : (scenarioData.threats || []).slice(0, 2);
+
+    for (const threat of threats) {
+      const key = `${match.scenario}|${threat.name}`;
+      if (entries.length >= limits.maxEntries || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      entries.push({
+        id: `KB-${entries.length + 1}`,
+        scenario: match.scenario,
+        threat: threat.name,
+        confidence: match.confidence,
+        securityRequirement: truncateField(
+          threat.security_requirement?.details,
+          limits.maxFieldChars
+        ),
+        securityDesign: truncateField(
+          threat.security_design?.details,
+          limits.maxFieldChars
+        ),
+        testCase: truncateField(threat.test_case?.details, limits.maxFieldChars)
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 生成提示词中的知识库上下文段落
+ * @param {Object[]} entries - buildKnowledgeContext 的结果
+ * @returns {string|null} 无条目时返回null
+ */
+function formatKnowledgeContextPrompt(entries) {
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+
+  const blocks = entries.map(entry =>
+    [
+      `[${entry.id}] 场景：${entry.scenario}；威胁：${entry.threat}`,
+      entry.securityRequirement && `安全需求：${entry.securityRequirement}`,
+      entry.securityDesign && `安全设计：${entry.securityDesign}`,
+      entry.testCase && `测试用例：${entry.testCase}`
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return [
+    '以下是从STAC安全知识库中检索到的、与该需求相关的条目：',
+    ...blocks,
+    '请结合本需求的具体功能、数据和角色改写这些条目，不要照搬通用描述，与本需求无关的条目可以忽略；知识库未覆盖的风险请补充。',
+    '每个威胁和测试场景都要填写 source 字段：基于知识库条目改写的填写对应编号（如 "KB-1"），知识库未覆盖、由你补充的填写 "model"。'
+  ].join('\n\n');
+}
+
+/**
+ * 按 source 字段为威胁和测试场景标注来源，引用了不存在的编号时视为模型生成
+ * @param {Object} result - 分析结果（threats、testScenarios）
+ * @param {Object[]} entries - 注入提示词的知识库条目
+ * @returns {{knowledgeBase: number, model: number}} 各来源的条目数
+ */
+function tagResultOrigins(result, entries) {
+  const entriesById = new Map(entries.map(entry => [entry.id, entry]));
+  const counts = { knowledgeBase: 0, model: 0 };
+
+  [result.threats, result.testScenarios].forEach(items => {
+    (items || []).forEach(item => {
+      const reference = String(item.source || '').match(/KB-\d+/i);
+      const entry = reference && entriesById.get(reference[0].toUpperCase());
+
+      if (entry) {
+        item.origin = ITEM_ORIGINS.KNOWLEDGE_BASE;
+        item.knowledgeBaseRef = {
+          id: entry.id,
+          scenario: entry.scenario,
+          threat: entry.threat
+        };
+        counts.knowledgeBase++;
+      } else {
+        item.origin = ITEM_ORIGINS.MODEL;
+        counts.model++;
+      }
+    });
+  });
+
+  return counts;
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    KNOWLEDGE_CONTEXT_LIMITS,
+    ITEM_ORIGINS,
+    buildKnowledgeContext,
+    formatKnowledgeContextPrompt,
+    tagResultOrigins
+  };
+} else {
+  // Browser / Service Worker environment
+  self.ITEM_ORIGINS = ITEM_ORIGINS;
+  self.buildKnowledgeContext = buildKnowledgeContext;
+  self.formatKnowledgeContextPrompt = formatKnowledgeContextPrompt;
+  self.tagResultOrigins = tagResultOrigins;
+}
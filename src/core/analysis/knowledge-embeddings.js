@@ -0,0 +1,258 @@
+// knowledge-embeddings.js - Embedding-based Semantic Search over the STAC Knowledge Base
+// 用向量模型计算知识库威胁与需求章节的语义相似度，补充关键词匹配漏掉的同义表述（如"手机验证码登录"与"短信验证码"）
+
+/* global requestToPromise */
+// requestToPromise 来自 indexed-db.js：Service Worker 中先于本文件加载，Node 中在此引入
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.requestToPromise = require('../../utils/indexed-db.js').requestToPromise;
+}
+
+const EMBEDDING_CONFIG_STORAGE_KEY = 'embeddingConfig';
+
+const EMBEDDING_SOURCES = {
+  // 使用默认档案的提供商和密钥
+  PROVIDER: 'provider',
+  // 单独配置的 OpenAI 兼容向量服务，通常是本机的 LM Studio、Ollama 等
+  CUSTOM: 'custom'
+};
+
+const EMBEDDING_DEFAULTS = {
+  enabled: false,
+  source: EMBEDDING_SOURCES.PROVIDER,
+  endpoint: 'http://localhost:1234/v1/embeddings',
+  apiKey: '',
+  model: 'text-embedding-3-small',
+  // 语义分数在最终置信度中的权重（0-1）
+  weight: 0.8
+};
+
+const EMBEDDING_LIMITS = {
+  // 单次向量请求的文本条数
+  batchSize: 64,
+  // 需求内容最多切分的片段数
+  maxSections: 40,
+  // 单个需求片段的最大字符数
+  maxSectionChars: 1500,
+  // 单个威胁文本的最大字符数
+  maxThreatChars: 1000
+};
+
+// 余弦相似度映射为 0-1 分数的区间：低于 min 视为无关，达到 max 视为完全匹配
+const EMBEDDING_SIMILARITY_RANGE = { min: 0.35, max: 0.8 };
+
+const KNOWLEDGE_EMBEDDING_DB = {
+  name: 'security-analysis-embeddings',
+  version: 1,
+  store: 'indexes'
+};
+
+/**
+ * 规范化存储中的向量检索配置，默认关闭
+ * @param {Object} stored - 存储中的配置
+ * @returns {Object} 配置
+ */
+function normalizeEmbeddingConfig(stored) {
+  const config = stored && typeof stored === 'object' ? stored : {};
+  const weight = Number(config.weight);
+
+  return {
+    enabled: config.enabled === true,
+    source: Object.values(EMBEDDING_SOURCES).includes(config.source)
+      ? config.source
+      : EMBEDDING_DEFAULTS.source,
+    endpoint: String(config.endpoint || EMBEDDING_DEFAULTS.endpoint).trim(),
+    apiKey: String(config.apiKey || '').trim(),
+    model: String(config.model || EMBEDDING_DEFAULTS.model).trim(),
+    weight:
+      Number.isFinite(weight) && config.weight !== ''
+        ? Math.min(Math.max(weight, 0), 1)
+        : EMBEDDING_DEFAULTS.weight
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function similarityToScore(similarity) {
+  const { min, max } = EMBEDDING_SIMILARITY_RANGE;
+  return Math.min(Math.max((similarity - min) / (max - min), 0), 1);
+}
+
+/**
+ * 生成知识库中每个威胁的向量文本：场景、威胁名称和威胁描述（无描述时用安全需求）
+ * @param {Object} knowledgeBase - 场景 → { threats }
+ * @returns {{scenario: string, threatIndex: number, text: string}[]} 威胁文本
+ */
+function buildThreatEmbeddingTexts(knowledgeBase) {
+  const texts = [];
+  for (const [scenario, scenarioData] of Object.entries(knowledgeBase || {})) {
+    (scenarioData.threats || []).forEach((threat, threatIndex) => {
+      const details = threat.details || threat.security_requirement?.details || '';
+      texts.push({
+        scenario,
+        threatIndex,
+        text: `${scenario} - ${threat.name}：${details}`
+          .slice(0, EMBEDDING_LIMITS.maxThreatChars)
+          .trim()
+      });
+    });
+  }
+  return texts;
+}
+
+/**
+ * 把需求章节切分为向量文本，过长的章节按字符数切开，总数不超过上限
+ * @param {{title: string, content: string}[]} sections - extractSectionsFromText 的结果
+ * @returns {string[]} 需求片段
+ */
+function buildSectionEmbeddingTexts(sections) {
+  const texts = [];
+  for (const section of sections) {
+    const text = [section.title === 'Content' ? '' : section.title, section.content]
+      .filter(Boolean)
+      .join('\n')
+      .trim();
+    for (let start = 0; start < text.length; start += EMBEDDING_LIMITS.maxSectionChars) {
+      texts.push(text.slice(start, start + EMBEDDING_LIMITS.maxSectionChars));
+    }
+  }
+  return texts.slice(0, EMBEDDING_LIMITS.maxSections);
+}
+
+/**
+ * 计算各场景的语义分数：威胁取与各需求片段的最高相似度，场景取其威胁的最高分
+ * @param {{scenario: string, threatIndex: number, vector: number[]}[]} items - 知识库威胁向量
+ * @param {number[][]} sectionVectors - 需求片段向量
+ * @returns {Map<string, {score: number, threats: Map<number, number>}>} 场景 → 分数（0-1）及各威胁的分数
+ */
+function scoreKnowledgeEmbeddings(items, sectionVectors) {
+  const scores = new Map();
+
+  for (const item of items) {
+    let similarity = 0;
+    for (const vector of sectionVectors) {
+      similarity = Math.max(similarity, cosineSimilarity(item.vector, vector));
+    }
+    const score = similarityToScore(similarity);
+    if (score <= 0) {
+      continue;
+    }
+
+    if (!scores.has(item.scenario)) {
+      scores.set(item.scenario, { score: 0, threats: new Map() });
+    }
+    const entry = scores.get(item.scenario);
+    entry.threats.set(item.threatIndex, score);
+    entry.score = Math.max(entry.score, score);
+  }
+
+  return scores;
+}
+
+/**
+ * 知识库向量索引的持久化存储
+ * 条目：key（向量模型 + 知识库版本）、model、knowledgeBaseVersion、createdAt、dimensions、items
+ */
+class KnowledgeEmbeddingStore {
+  /**
+   * @param {IDBFactory} indexedDBFactory - Service Worker 中的 indexedDB
+   */
+  constructor(indexedDBFactory) {
+    this.indexedDB = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      if (!this.indexedDB) {
+        return Promise.reject(new Error('当前环境不支持 IndexedDB'));
+      }
+      const request = this.indexedDB.open(
+        KNOWLEDGE_EMBEDDING_DB.name,
+        KNOWLEDGE_EMBEDDING_DB.version
+      );
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(KNOWLEDGE_EMBEDDING_DB.store, {
+          keyPath: 'key'
+        });
+      };
+      this.dbPromise = requestToPromise(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transact(mode, operation) {
+    const db = await this.open();
+    const transaction = db.transaction(KNOWLEDGE_EMBEDDING_DB.store, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await operation(transaction.objectStore(KNOWLEDGE_EMBEDDING_DB.store));
+    await completed;
+    return result;
+  }
+
+  async get(key) {
+    return (
+      (await this.transact('readonly', store => requestToPromise(store.get(key)))) || null
+    );
+  }
+
+  /**
+   * 保存新索引并删除其他索引，知识库或向量模型变化后旧索引不会再被使用
+   */
+  replace(entry) {
+    return this.transact('readwrite', store => {
+      store.clear();
+      return requestToPromise(store.put({ ...entry, createdAt: Date.now() }));
+    });
+  }
+
+  clear() {
+    return this.transact('readwrite', store => requestToPromise(store.clear()));
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    EMBEDDING_CONFIG_STORAGE_KEY,
+    EMBEDDING_SOURCES,
+    EMBEDDING_DEFAULTS,
+    EMBEDDING_LIMITS,
+    EMBEDDING_SIMILARITY_RANGE,
+    KNOWLEDGE_EMBEDDING_DB,
+    normalizeEmbeddingConfig,
+    cosineSimilarity,
+    buildThreatEmbeddingTexts,
+    buildSectionEmbeddingTexts,
+    scoreKnowledgeEmbeddings,
+    KnowledgeEmbeddingStore
+  };
+} else {
+  // Browser / Service Worker environment
+  self.EMBEDDING_CONFIG_STORAGE_KEY = EMBEDDING_CONFIG_STORAGE_KEY;
+  self.EMBEDDING_SOURCES = EMBEDDING_SOURCES;
+  self.EMBEDDING_LIMITS = EMBEDDING_LIMITS;
+  self.normalizeEmbeddingConfig = normalizeEmbeddingConfig;
+  self.buildThreatEmbeddingTexts = buildThreatEmbeddingTexts;
+  self.buildSectionEmbeddingTexts = buildSectionEmbeddingTexts;
+  self.scoreKnowledgeEmbeddings = scoreKnowledgeEmbeddings;
+  self.KnowledgeEmbeddingStore = KnowledgeEmbeddingStore;
+}
@@ -0,0 +1,165 @@
+// knowledge-overlay.js - Knowledge Base Packs and Edits Overlay
+// 导入的知识库包和知识库编辑器的修改保存在 IndexedDB 中，加载知识库时由 STACService 依次合并到内置知识库上
+
+/* global requestToPromise */
+// requestToPromise 来自 indexed-db.js：Service Worker 中先于本文件加载，Node 中在此引入
+if (typeof module !== 'undefined' && module.exports) {
+  globalThis.requestToPromise = require('../../utils/indexed-db.js').requestToPromise;
+}
+
+const KNOWLEDGE_OVERLAY_DB = {
+  name: 'security-knowledge-base',
+  version: 2,
+  // 编辑器修改，每个场景一条
+  store: 'overlay',
+  // 导入的知识库包，每个包名一条
+  packStore: 'packs'
+};
+
+/**
+ * 生成编辑器中的场景列表：内置和知识库包中的场景在前，随后是新增的场景
+ * 有修改的场景使用修改后的威胁列表，停用的场景和威胁带有 disabled 标记
+ * @param {Object} baseKnowledgeBase - 合并知识库包后的内置知识库
+ * @param {Object[]} entries - 覆盖条目：scenario、threats（可选）、disabled、updatedAt
+ * @param {Object} [sources] - 场景 → 提供或修改该场景的知识库包名称
+ * @returns {{name: string, builtin: boolean, packs: string[], modified: boolean,
+ *   disabled: boolean, updatedAt: number|null, threats: Object[]}[]} 场景列表
+ */
+function describeKnowledgeBase(baseKnowledgeBase, entries, sources = {}) {
+  const overlay = new Map(entries.map(entry => [entry.scenario, entry]));
+  const names = [
+    ...Object.keys(baseKnowledgeBase),
+    ...entries.map(entry => entry.scenario).filter(name => !(name in baseKnowledgeBase))
+  ];
+
+  return names.map(name => {
+    const entry = overlay.get(name);
+    return {
+      name,
+      builtin: name in baseKnowledgeBase,
+      packs: sources[name] || [],
+      modified: Boolean(entry),
+      disabled: entry?.disabled === true,
+      updatedAt: entry?.updatedAt || null,
+      threats: entry?.threats || baseKnowledgeBase[name].threats
+    };
+  });
+}
+
+/**
+ * 知识库包和覆盖条目的持久化存储
+ * 覆盖条目：scenario、threats（修改后的完整威胁列表，威胁可带 disabled 标记）、disabled、updatedAt
+ * 知识库包：name、version、author、description、scenarios、strategy、enabled、importedAt
+ */
+class KnowledgeOverlayStore {
+  /**
+   * @param {IDBFactory} indexedDBFactory - Service Worker 中的 indexedDB
+   */
+  constructor(indexedDBFactory) {
+    this.indexedDB = indexedDBFactory;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      if (!this.indexedDB) {
+        return Promise.reject(new Error('当前环境不支持 IndexedDB'));
+      }
+      const request = this.indexedDB.open(
+        KNOWLEDGE_OVERLAY_DB.name,
+        KNOWLEDGE_OVERLAY_DB.version
+      );
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(KNOWLEDGE_OVERLAY_DB.store)) {
+          db.createObjectStore(KNOWLEDGE_OVERLAY_DB.store, { keyPath: 'scenario' });
+        }
+        if (!db.objectStoreNames.contains(KNOWLEDGE_OVERLAY_DB.packStore)) {
+          db.createObjectStore(KNOWLEDGE_OVERLAY_DB.packStore, { keyPath: 'name' });
+        }
+      };
+      this.dbPromise = requestToPromise(request).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transact(mode, operation, storeName = KNOWLEDGE_OVERLAY_DB.store) {
+    const db = await this.open();
+    const transaction = db.transaction(storeName, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await operation(transaction.objectStore(storeName));
+    await completed;
+    return result;
+  }
+
+  list() {
+    return this.transact('readonly', store => requestToPromise(store.getAll()));
+  }
+
+  put(entry) {
+    return this.transact('readwrite', store =>
+      requestToPromise(store.put({ ...entry, updatedAt: Date.now() }))
+    );
+  }
+
+  delete(scenario) {
+    return this.transact('readwrite', store => requestToPromise(store.delete(scenario)));
+  }
+
+  /**
+   * @returns {Promise<Object[]>} 知识库包，先导入的在前
+   */
+  async listPacks() {
+    const packs = await this.transact(
+      'readonly',
+      store => requestToPromise(store.getAll()),
+      KNOWLEDGE_OVERLAY_DB.packStore
+    );
+    return packs.sort((a, b) => a.importedAt - b.importedAt);
+  }
+
+  getPack(name) {
+    return this.transact(
+      'readonly',
+      store => requestToPromise(store.get(name)),
+      KNOWLEDGE_OVERLAY_DB.packStore
+    );
+  }
+
+  putPack(pack) {
+    return this.transact(
+      'readwrite',
+      store => requestToPromise(store.put(pack)),
+      KNOWLEDGE_OVERLAY_DB.packStore
+    );
+  }
+
+  deletePack(name) {
+    return this.transact(
+      'readwrite',
+      store => requestToPromise(store.delete(name)),
+      KNOWLEDGE_OVERLAY_DB.packStore
+    );
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    KNOWLEDGE_OVERLAY_DB,
+    describeKnowledgeBase,
+    KnowledgeOverlayStore
+  };
+} else {
+  // Browser / Service Worker environment
+  self.describeKnowledgeBase = describeKnowledgeBase;
+  self.KnowledgeOverlayStore = KnowledgeOverlayStore;
+}
@@ -0,0 +1,270 @@
+// prd-chunker.js - PRD Chunking and Result Merging
+// 长文档的分块分析：按章节切分需求文档，并在分块分析完成后合并去重结果
+
+// 单个分块的最大字符数，超过该长度的文档才会分块分析
+const PRD_CHUNK_MAX_CHARS = 6000;
+
+const THREAT_LEVEL_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * 判断一行文本是否像章节标题
+ * 规则与 DocumentParser._extractSectionsFromText 保持一致（Service Worker 无法加载该ES模块）
+ */
+function isLikelySectionHeader(line) {
+  if (line.length >= 100 || /[.,;。，；]$/.test(line)) {
+    return false;
+  }
+
+  return Boolean(
+    line.includes(':') ||
+      line.includes('：') ||
+      line.match(/^[A-Z][a-zA-Z\s]+$/) ||
+      line.match(/^\d+\.?\s+[A-Z]/) ||
+      // 中文文档常见的标题写法：#标题、1.2 标题、一、标题、第三章 标题
+      line.match(/^#{1,6}\s*\S/) ||
+      line.match(/^\d+(\.\d+)*\.?\s*[一-龥]/) ||
+      line.match(/^[一二三四五六七八九十]+[、.．]/) ||
+      line.match(/^第[一二三四五六七八九十百\d]+[章节部分]/)
+  );
+}
+
+/**
+ * 从纯文本中提取章节
+ * @param {string} text - 纯文本内容
+ * @returns {Array<{title: string, content: string, level: number}>} 章节列表
+ */
+function extractSectionsFromText(text) {
+  const sections = [];
+  const lines = text.split('\n');
+
+  let currentSection = null;
+  let sectionContent = [];
+
+  for (const line of lines) {
+    const trimmedLine = line.trim();
+
+    // 空行只在段落之间保留
+    if (trimmedLine.length === 0) {
+      if (sectionContent.length > 0) {
+        sectionContent.push('');
+      }
+      continue;
+    }
+
+    if (isLikelySectionHeader(trimmedLine) && sectionContent.length > 0) {
+      if (currentSection) {
+        currentSection.content = sectionContent.join('\n').trim();
+        sections.push(currentSection);
+      }
+
+      currentSection = {
+        title: trimmedLine.replace(/^[#\d.\s]+/, '') || trimmedLine,
+        content: '',
+        level: 1
+      };
+      sectionContent = [];
+    } else {
+      sectionContent.push(trimmedLine);
+
+      if (!currentSection) {
+        currentSection = {
+          title: 'Content',
+          content: '',
+          level: 1
+        };
+      }
+    }
+  }
+
+  if (currentSection && sectionContent.length > 0) {
+    currentSection.content = sectionContent.join('\n').trim();
+    sections.push(currentSection);
+  }
+
+  if (sections.length === 0 && text.trim().length > 0) {
+    sections.push({
+      title: 'Content',
+      content: text.trim(),
+      level: 1
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * 将超长文本按段落、行、字符逐级切开，保证每段不超过上限
+ */
+function splitOversizedText(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [text];
+  }
+
+  const separators = ['\n\n', '\n'];
+  for (const separator of separators) {
+    const parts = text.split(separator);
+    if (parts.length > 1) {
+      const pieces = [];
+      let buffer = '';
+      parts.forEach(part => {
+        const candidate = buffer ? `${buffer}${separator}${part}` : part;
+        if (candidate.length > maxChars && buffer) {
+          pieces.push(buffer);
+          buffer = part;
+        } else {
+          buffer = candidate;
+        }
+      });
+      if (buffer) {
+        pieces.push(buffer);
+      }
+      return pieces.flatMap(piece => splitOversizedText(piece, maxChars));
+    }
+  }
+
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxChars) {
+    pieces.push(text.slice(i, i + maxChars));
+  }
+  return pieces;
+}
+
+/**
+ * 按章节切分文档并打包成不超过上限的分块
+ * @param {string} text - 需求文档文本
+ * @param {number} maxChars - 单个分块的最大字符数
+ * @returns {Array<{index: number, title: string, content: string}>} 分块列表，短文档只有一个分块
+ */
+function buildAnalysisChunks(text, maxChars = PRD_CHUNK_MAX_CHARS) {
+  if (typeof text !== 'string' || text.length <= maxChars) {
+    return [{ index: 0, title: '全文', content: text }];
+  }
+
+  const units = [];
+  extractSectionsFromText(text).forEach(section => {
+    // 未识别出标题的默认章节用首行作为展示标题
+    const isUntitled = section.title === 'Content';
+    const title = isUntitled
+      ? section.content.split('\n')[0].slice(0, 30)
+      : section.title;
+    const body = isUntitled ? section.content : `${section.title}\n${section.content}`;
+    splitOversizedText(body, maxChars).forEach((piece, pieceIndex) => {
+      units.push({
+        title: pieceIndex === 0 ? title : `${title}（续）`,
+        content: piece
+      });
+    });
+  });
+
+  // 相邻的小章节合并到同一分块，减少调用次数
+  const chunks = [];
+  let current = null;
+  units.forEach(unit => {
+    if (current && current.content.length + unit.content.length + 2 <= maxChars) {
+      current.content += `\n\n${unit.content}`;
+      current.titles.push(unit.title);
+    } else {
+      current = { titles: [unit.title], content: unit.content };
+      chunks.push(current);
+    }
+  });
+
+  return chunks.map((chunk, index) => ({
+    index,
+    title:
+      chunk.titles.length > 1
+        ? `${chunk.titles[0]} 等${chunk.titles.length}节`
+        : chunk.titles[0],
+    content: chunk.content
+  }));
+}
+
+// 去掉空白和标点后比较，避免措辞上的细微差异造成重复
+function normalizeForDedupe(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function dedupeStrings(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = normalizeForDedupe(value);
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 合并各分块的结构化结果
+ * 威胁按类型+描述去重并保留最高风险等级、合并 CWE 编号，测试场景按分类+描述去重并合并步骤
+ * @param {Object[]} results - 各分块经过Schema校验的结果
+ * @returns {Object} 合并后的结果，结构与单个分块结果相同
+ */
+function mergeAnalysisResults(results) {
+  const threats = new Map();
+  const scenarios = new Map();
+
+  results.forEach(result => {
+    (result.threats || []).forEach(threat => {
+      const key = normalizeForDedupe(`${threat.type}|${threat.description}`);
+      const existing = threats.get(key);
+      if (!existing) {
+        threats.set(key, { ...threat });
+        return;
+      }
+      if (
+        (THREAT_LEVEL_RANK[threat.level] || 0) > (THREAT_LEVEL_RANK[existing.level] || 0)
+      ) {
+        existing.level = threat.level;
+      }
+      if (threat.cwe) {
+        existing.cwe = dedupeStrings([...(existing.cwe || []), ...threat.cwe]);
+      }
+    });
+
+    (result.testScenarios || []).forEach(scenario => {
+      const key = normalizeForDedupe(`${scenario.category}|${scenario.description}`);
+      const existing = scenarios.get(key);
+      if (!existing) {
+        scenarios.set(key, { ...scenario, steps: [...(scenario.steps || [])] });
+      } else {
+        existing.steps = dedupeStrings([...existing.steps, ...(scenario.steps || [])]);
+      }
+    });
+  });
+
+  return {
+    summary: dedupeStrings(results.map(result => result.summary).filter(Boolean)).join(
+      '\n'
+    ),
+    assets: dedupeStrings(results.flatMap(result => result.assets || [])),
+    threats: Array.from(threats.values()),
+    testScenarios: Array.from(scenarios.values()),
+    recommendations: dedupeStrings(
+      results.flatMap(result => result.recommendations || [])
+    )
+  };
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    PRD_CHUNK_MAX_CHARS,
+    extractSectionsFromText,
+    buildAnalysisChunks,
+    normalizeForDedupe,
+    mergeAnalysisResults
+  };
+} else {
+  // Browser / Service Worker environment
+  self.PRD_CHUNK_MAX_CHARS = PRD_CHUNK_MAX_CHARS;
+  self.extractSectionsFromText = extractSectionsFromText;
+  self.buildAnalysisChunks = buildAnalysisChunks;
+  self.normalizeForDedupe = normalizeForDedupe;
+  self.mergeAnalysisResults = mergeAnalysisResults;
+}
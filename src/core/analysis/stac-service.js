@@ -2,12 +2,89 @@
  * STAC (Security Testing and Analysis Cases) Knowledge Base Service
  * Provides scenario matching and security requirements retrieval
  */
+
+// Runs of CJK ideographs, segmented separately from Latin words
+const CJK_RUN_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]+/g;
+
+// Delimiters between Latin words, including full-width Chinese punctuation
+const WORD_DELIMITER_PATTERN = /[\s\-_()[\]{}.,;:!?'"，。、；：！？（）【】《》“”‘’]+/;
+
+// Longest knowledge base name kept as a dictionary term
+const MAX_DICTIONARY_TERM_LENGTH = 16;
+
+// Chinese function words and generic PRD wording that carry no matching signal
+const CHINESE_STOP_WORDS = new Set([
+  '的', '了', '和', '与', '及', '或', '在', '是', '为', '对', '等', '中', '将', '可', '以',
+  '并', '其', '该', '此', '这', '那', '也', '就', '都', '而', '但', '如', '若', '则', '被',
+  '把', '从', '向', '于', '由', '之', '所', '有', '无', '不', '后', '前', '时', '上', '下',
+  '进行', '通过', '需要', '可以', '能够', '应该', '应当', '包括', '相关', '以及', '或者',
+  '并且', '如果', '因为', '所以', '其中', '这些', '那些', '这个', '那个', '一个', '一些',
+  '我们', '你们', '他们', '用于', '根据', '按照', '以下', '以上', '如下', '其他', '等等',
+  '是否', '对于', '关于', '提供', '实现', '功能', '时候', '情况', '方式', '内容', '支持',
+  '之后', '之前', '同时', '已经', '没有', '成功', '失败', '使用'
+]);
+
+// BM25 parameters: k1 controls term frequency saturation, b controls field length normalization
+const BM25_PARAMETERS = { k1: 1.2, b: 0.75 };
+
+// Field boosts: scenario name > threat name > requirement details
+const SCENARIO_FIELD_BOOSTS = { scenario: 3, threat: 2, details: 1 };
+const THREAT_FIELD_BOOSTS = { threat: 2, details: 1 };
+
+// Match threshold and result limit from constants.js, loaded before this file in the service worker
+function getSTACConstants() {
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('../../utils/constants.js').STAC_CONSTANTS;
+  }
+  return self.STAC_CONSTANTS;
+}
+
+// How an imported knowledge base pack merges a scenario whose name already exists
+const KNOWLEDGE_PACK_STRATEGIES = {
+  // Replace the existing threats with the pack's threats
+  OVERRIDE: 'override',
+  // Add the pack's threats whose names are not present yet
+  APPEND: 'append',
+  // Keep the existing scenario unchanged
+  SKIP: 'skip'
+};
+
+// Schema and migrations from knowledge-base-schema.js, loaded before this file in the service worker
+function getKnowledgeBaseSchema() {
+  if (typeof module !== 'undefined' && module.exports) {
+    return require('./knowledge-base-schema.js');
+  }
+  return self;
+}
+
+function formatKnowledgeBaseSchemaErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
 class STACService {
   constructor() {
     this.knowledgeBase = null;
+    // Bundled knowledge base, and the same with enabled packs merged (before the edits overlay)
+    this.baseKnowledgeBase = null;
+    this.layeredKnowledgeBase = null;
+    this.overlayStore = null;
+    // Scenario -> names of the packs that provided or changed it, and the packs in use
+    this.knowledgeSources = {};
+    this.activePacks = [];
     this.scenarioIndex = new Map();
+    this.bm25Index = null;
     this.isLoaded = false;
     
+    // Optional embedding-based semantic search, blended with the BM25 keyword score
+    this.semanticSearch = null;
+
+    // CJK segmentation: domain terms from knowledge base names, plus a general word segmenter
+    this.termDictionary = new Set();
+    this.maxTermLength = 0;
+    this.wordSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+      ? new Intl.Segmenter('zh', { granularity: 'word' })
+      : null;
+
     // Performance optimization: Add caching for STAC matches
     this.matchCache = new Map();
     this.cacheMaxSize = 100;
@@ -68,12 +145,21 @@ class STACService {
         
         // Security: Validate and sanitize JSON data before parsing
         const sanitizedData = this._sanitizeKnowledgeBaseData(rawData);
-        const data = JSON.parse(sanitizedData);
+        const parsedData = JSON.parse(sanitizedData);
         
-        if (!data || typeof data !== 'object') {
+        if (!parsedData || typeof parsedData !== 'object') {
           throw new Error('Knowledge base file is empty or invalid JSON');
         }
         
+        // Older shapes are migrated in memory, so the schema only has to describe the current one
+        const migration = getKnowledgeBaseSchema().migrateKnowledgeBase(parsedData);
+        const data = migration.knowledgeBase;
+        if (migration.changes.length > 0) {
+          this._logSTACError('Migrated knowledge base from an older schema', {
+            error: formatKnowledgeBaseSchemaErrors(migration.changes).slice(0, 5).join(', ')
+          });
+        }
+
         // Security: Validate knowledge base structure with detailed error reporting
         const validationResult = this.validateKnowledgeBase(data, { strict: true });
         if (!validationResult.isValid) {
@@ -86,7 +172,8 @@ class STACService {
           throw new Error(`Knowledge base security validation failed: ${securityResult.threats.join(', ')}`);
         }
         
-        this.knowledgeBase = data;
+        this.baseKnowledgeBase = data;
+        this.knowledgeBase = await this._mergeKnowledgeBaseOverlay(data);
         
         // Create indexing system for efficient scenario matching
         try {
@@ -100,7 +187,7 @@ class STACService {
         const loadTime = Date.now() - startTime;
         
         this._logSTACError(`STAC knowledge base loaded successfully`, {
-          scenarioCount: Object.keys(data).length,
+          scenarioCount: Object.keys(this.knowledgeBase).length,
           indexSize: this.scenarioIndex.size,
           loadTime,
           attempt,
@@ -197,7 +284,7 @@ class STACService {
     
     try {
       // Check if data is an object
-      if (!data || typeof data !== 'object') {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
         result.errors.push('Knowledge base must be an object');
         result.isValid = false;
         return result;
@@ -213,29 +300,28 @@ class STACService {
         return result;
       }
 
-      // Validate structure of each scenario
+      // Validate against the knowledge base schema, with errors located by field path
+      const schemaErrors = getKnowledgeBaseSchema().validateKnowledgeBaseSchema(data);
+      if (schemaErrors.length > 0) {
+        result.errors.push(...formatKnowledgeBaseSchemaErrors(schemaErrors));
+        result.isValid = false;
+      }
+
+      // Collect statistics and warnings for each scenario
       for (const scenario of scenarios) {
         const scenarioData = data[scenario];
-        let scenarioValid = true;
         
-        // Each scenario must have threats array
-        if (!scenarioData.threats || !Array.isArray(scenarioData.threats)) {
-          result.errors.push(`Scenario "${scenario}" must have a threats array`);
-          result.isValid = false;
-          scenarioValid = false;
+        if (!scenarioData || !Array.isArray(scenarioData.threats)) {
           continue;
         }
 
+        let scenarioValid = true;
         result.statistics.totalThreats += scenarioData.threats.length;
 
-        // Validate each threat structure
         for (let i = 0; i < scenarioData.threats.length; i++) {
-          const threat = scenarioData.threats[i];
-          const threatValidation = this.validateThreatStructure(threat, scenario, i);
+          const threatValidation = this.validateThreatStructure(scenarioData.threats[i], scenario, i);
           
           if (!threatValidation.isValid) {
-            result.errors.push(...threatValidation.errors);
-            result.isValid = false;
             scenarioValid = false;
           } else {
             result.statistics.validThreats++;
@@ -267,46 +353,291 @@ class STACService {
   }
 
   /**
-   * Validate the structure of a threat object
+   * Validate the structure of a threat object against the knowledge base threat schema
    * @param {Object} threat - The threat object to validate
    * @param {string} scenario - The scenario name for error reporting
-   * @returns {boolean} - True if valid, false otherwise
+   * @param {number} index - The threat index within the scenario
+   * @returns {Object} - Validation result with errors and warnings
    */
-  validateThreatStructure(threat, scenario) {
-    const requiredFields = ['name', 'security_requirement', 'security_design', 'test_case'];
+  validateThreatStructure(threat, scenario, index = 0) {
+    const result = { isValid: true, errors: [], warnings: [] };
+    const location = `Threat ${index} in scenario "${scenario}"`;
+
+    const schemaErrors = getKnowledgeBaseSchema().validateKnowledgeThreatSchema(
+      threat,
+      `${scenario}.threats[${index}]`
+    );
+    if (schemaErrors.length > 0) {
+      result.errors.push(...formatKnowledgeBaseSchemaErrors(schemaErrors));
+      result.isValid = false;
+      return result;
+    }
     
-    for (const field of requiredFields) {
-      if (!threat[field]) {
-        console.error(`Threat in scenario "${scenario}" missing required field: ${field}`);
-        return false;
+    if (!threat.details) {
+      result.warnings.push(`${location} has no details`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Use a store of knowledge base packs and edits, merged over the bundled knowledge base on load
+   * @param {Object|null} store - Store whose async listPacks() and list() return packs and edits
+   */
+  setOverlayStore(store) {
+    this.overlayStore = store;
+  }
+
+  /**
+   * Validate an overlay entry with the same rules as the bundled knowledge base
+   * @param {Object} entry - Overlay entry: { scenario, threats, disabled }
+   * @returns {Object} - Validation result with errors and warnings
+   */
+  validateOverlayEntry(entry) {
+    const result = { isValid: true, errors: [], warnings: [] };
+
+    if (!entry || typeof entry.scenario !== 'string' || !entry.scenario.trim()) {
+      result.errors.push('Overlay entry must have a scenario name');
+      result.isValid = false;
+      return result;
+    }
+
+    if (!Array.isArray(entry.threats) || entry.threats.length === 0) {
+      result.errors.push(`Scenario "${entry.scenario}" must have at least one threat`);
+      result.isValid = false;
+      return result;
+    }
+
+    const scenarioData = { [entry.scenario]: { threats: entry.threats } };
+    const validation = this.validateKnowledgeBase(scenarioData);
+    result.errors.push(...validation.errors);
+    result.warnings.push(...validation.warnings);
+
+    const securityResult = this._performKnowledgeBaseSecurityChecks(scenarioData);
+    result.errors.push(...securityResult.threats);
+    result.warnings.push(...securityResult.warnings);
+
+    result.isValid = validation.isValid && securityResult.isSafe;
+    return result;
+  }
+
+  /**
+   * Parse and validate an imported knowledge base pack with the bundled file's security checks
+   * Pack format: { schemaVersion, name, version, author, description?, scenarios: { scenario: { threats } } }
+   * Packs written for an older schema are migrated before validation
+   * @param {string} rawData - Pack file content
+   * @returns {Object} - Pack metadata, scenarios, applied migrations and validation warnings
+   */
+  parseKnowledgePack(rawData) {
+    const sanitizedData = this._sanitizeKnowledgeBaseData(rawData);
+
+    let data;
+    try {
+      data = JSON.parse(sanitizedData);
+    } catch (error) {
+      throw new Error(`Knowledge pack is not valid JSON: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Knowledge pack must be a JSON object');
+    }
+
+    const schema = getKnowledgeBaseSchema();
+    const { pack, changes } = schema.migrateKnowledgePack(data);
+    const schemaErrors = schema.validateKnowledgePackSchema(pack);
+    if (schemaErrors.length > 0) {
+      throw new Error(
+        `Knowledge pack validation failed: ${formatKnowledgeBaseSchemaErrors(schemaErrors).join(', ')}`
+      );
+    }
+
+    const validation = this.validateKnowledgeBase(pack.scenarios);
+    if (!validation.isValid) {
+      throw new Error(`Knowledge pack validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const securityResult = this._performKnowledgeBaseSecurityChecks(pack.scenarios);
+    if (!securityResult.isSafe) {
+      throw new Error(`Knowledge pack security validation failed: ${securityResult.threats.join(', ')}`);
+    }
+
+    return {
+      schemaVersion: pack.schemaVersion,
+      name: pack.name.trim(),
+      version: pack.version.trim(),
+      author: pack.author.trim(),
+      description: typeof pack.description === 'string' ? pack.description : '',
+      scenarios: pack.scenarios,
+      migrations: formatKnowledgeBaseSchemaErrors(changes),
+      warnings: [...validation.warnings, ...securityResult.warnings]
+    };
+  }
+
+  /**
+   * Packs merged into the current knowledge base, recorded with each analysis result
+   * @returns {{name: string, version: string, author: string}[]} - Active packs
+   */
+  getActivePacks() {
+    return this.activePacks.map(pack => ({ ...pack }));
+  }
+
+  /**
+   * Merge the packs and overlay again after they changed, then rebuild the index
+   * @returns {Promise<void>}
+   */
+  async applyKnowledgeBaseOverlay() {
+    if (!this.baseKnowledgeBase) {
+      throw new Error('Knowledge base is not loaded');
+    }
+
+    this.knowledgeBase = await this._mergeKnowledgeBaseOverlay(this.baseKnowledgeBase);
+    this.createScenarioIndex();
+    this.matchCache.clear();
+  }
+
+  /**
+   * Merge enabled packs and then overlay entries over the bundled knowledge base
+   * Edited scenarios replace their threats, disabled scenarios and threats are left out,
+   * packs and entries that fail validation are skipped so one bad edit cannot break loading
+   * @private
+   * @param {Object} baseKnowledgeBase - Bundled knowledge base
+   * @returns {Promise<Object>} - Knowledge base used for matching
+   */
+  async _mergeKnowledgeBaseOverlay(baseKnowledgeBase) {
+    this.layeredKnowledgeBase = baseKnowledgeBase;
+    this.knowledgeSources = {};
+    this.activePacks = [];
+
+    if (!this.overlayStore) {
+      return baseKnowledgeBase;
+    }
+
+    let packs;
+    let entries;
+    try {
+      [packs, entries] = await Promise.all([
+        this.overlayStore.listPacks(),
+        this.overlayStore.list()
+      ]);
+    } catch (error) {
+      this._logSTACError('Failed to read knowledge base overlay, using bundled knowledge base', {
+        error: error.message
+      });
+      return baseKnowledgeBase;
+    }
+
+    const layered = this._mergeKnowledgePacks(baseKnowledgeBase, packs);
+    this.layeredKnowledgeBase = layered.knowledgeBase;
+    this.knowledgeSources = layered.sources;
+    this.activePacks = layered.activePacks;
+
+    const merged = { ...layered.knowledgeBase };
+    for (const entry of entries) {
+      const validation = this.validateOverlayEntry(entry);
+      if (!validation.isValid) {
+        this._logSTACError('Skipping invalid knowledge base overlay entry', {
+          error: `${entry?.scenario}: ${validation.errors.join(', ')}`
+        });
+        continue;
       }
-      
-      // Validate nested structure
-      if (typeof threat[field] === 'object' && threat[field] !== null) {
-        if (!threat[field].name || !threat[field].details) {
-          console.error(`Threat field "${field}" in scenario "${scenario}" must have name and details`);
-          return false;
+
+      const threats = entry.threats
+        .filter(threat => threat.disabled !== true)
+        .map(threat => {
+          const copy = { ...threat };
+          delete copy.disabled;
+          return copy;
+        });
+
+      if (entry.disabled === true || threats.length === 0) {
+        delete merged[entry.scenario];
+      } else {
+        merged[entry.scenario] = { ...layered.knowledgeBase[entry.scenario], threats };
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge enabled packs in import order; scenario name conflicts follow each pack's strategy
+   * @private
+   * @param {Object} baseKnowledgeBase - Bundled knowledge base
+   * @param {Object[]} packs - Stored packs: { name, version, author, scenarios, strategy, enabled }
+   * @returns {Object} - { knowledgeBase, sources, activePacks }
+   */
+  _mergeKnowledgePacks(baseKnowledgeBase, packs) {
+    const knowledgeBase = { ...baseKnowledgeBase };
+    const sources = {};
+    const activePacks = [];
+
+    for (const pack of packs) {
+      if (pack.enabled === false) {
+        continue;
+      }
+
+      // Packs stored before a schema change are migrated on every load
+      const scenarios = getKnowledgeBaseSchema().migrateKnowledgeBase(pack.scenarios).knowledgeBase;
+      const validation = this.validateKnowledgeBase(scenarios);
+      if (!validation.isValid) {
+        this._logSTACError('Skipping invalid knowledge base pack', {
+          error: `${pack.name}: ${validation.errors.join(', ')}`
+        });
+        continue;
+      }
+
+      for (const [scenario, scenarioData] of Object.entries(scenarios)) {
+        const existing = knowledgeBase[scenario];
+
+        if (!existing) {
+          knowledgeBase[scenario] = scenarioData;
+        } else if (pack.strategy === KNOWLEDGE_PACK_STRATEGIES.SKIP) {
+          continue;
+        } else if (pack.strategy === KNOWLEDGE_PACK_STRATEGIES.APPEND) {
+          const names = new Set(existing.threats.map(threat => threat.name));
+          knowledgeBase[scenario] = {
+            ...existing,
+            threats: [
+              ...existing.threats,
+              ...scenarioData.threats.filter(threat => !names.has(threat.name))
+            ]
+          };
+        } else {
+          knowledgeBase[scenario] = scenarioData;
         }
+
+        sources[scenario] = [...(sources[scenario] || []), pack.name];
       }
+
+      activePacks.push({ name: pack.name, version: pack.version, author: pack.author });
     }
-    
-    return true;
+
+    return { knowledgeBase, sources, activePacks };
   }
 
   /**
    * Create an indexing system for efficient scenario matching
+   * The inverted index selects candidate scenarios, the BM25 statistics rank them
    */
   createScenarioIndex() {
     // Creating scenario index
     
     this.scenarioIndex.clear();
     
+    // Domain terms must be known before any text is segmented
+    this.buildTermDictionary();
+
+    const scenarioDocuments = new Map();
+    const threatDocuments = new Map();
+
     for (const [scenario, scenarioData] of Object.entries(this.knowledgeBase)) {
+      const threats = scenarioData.threats || [];
+
       // Index by scenario name
       const scenarioKeywords = this.extractKeywords(scenario);
       
       // Index by threat names and details
-      for (const threat of scenarioData.threats) {
+      for (const threat of threats) {
         const threatKeywords = this.extractKeywords(threat.name);
         const detailKeywords = threat.details ? this.extractKeywords(threat.details) : [];
         
@@ -320,29 +651,318 @@ class STACService {
           }
           this.scenarioIndex.get(keyword).add(scenario);
         }
+
+        threatDocuments.set(threat, this._createBM25Document({
+          threat: threat.name,
+          details: this._getThreatDetailsText(threat)
+        }));
       }
+
+      scenarioDocuments.set(scenario, this._createBM25Document({
+        scenario,
+        threat: threats.map(threat => threat.name).join(' '),
+        details: threats.map(threat => this._getThreatDetailsText(threat)).join(' ')
+      }));
     }
     
+    this.bm25Index = {
+      scenarios: this._createBM25Collection(scenarioDocuments, SCENARIO_FIELD_BOOSTS),
+      threats: this._createBM25Collection(threatDocuments, THREAT_FIELD_BOOSTS)
+    };
+
+    // A document scored against its own name is the reference for a full match
+    this._setBM25ReferenceScores(this.bm25Index.scenarios, scenario => scenario);
+    this._setBM25ReferenceScores(this.bm25Index.threats, threat => threat.name);
+
     // Index created successfully
   }
 
+  /**
+   * Requirement text of a threat: its own details plus the security requirement details
+   * @private
+   * @param {Object} threat - Threat entry
+   * @returns {string} - Combined details text
+   */
+  _getThreatDetailsText(threat) {
+    return [threat.details, threat.security_requirement && threat.security_requirement.details]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Create a BM25 document from field texts
+   * @private
+   * @param {Object} fieldTexts - Field name to text
+   * @returns {Object} - Term frequencies and token counts per field
+   */
+  _createBM25Document(fieldTexts) {
+    const document = { termFrequencies: {}, lengths: {}, referenceScore: 0 };
+
+    for (const [field, text] of Object.entries(fieldTexts)) {
+      const terms = this.tokenize(text);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      document.termFrequencies[field] = frequencies;
+      document.lengths[field] = terms.length;
+    }
+
+    return document;
+  }
+
+  /**
+   * Collect document frequencies and average field lengths for a set of BM25 documents
+   * @private
+   * @param {Map} documents - Key to BM25 document
+   * @param {Object} boosts - Field name to boost
+   * @returns {Object} - Collection statistics
+   */
+  _createBM25Collection(documents, boosts) {
+    const documentFrequencies = {};
+    const averageLengths = {};
+
+    for (const field of Object.keys(boosts)) {
+      const frequencies = new Map();
+      let totalLength = 0;
+      for (const document of documents.values()) {
+        totalLength += document.lengths[field];
+        for (const term of document.termFrequencies[field].keys()) {
+          frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        }
+      }
+      documentFrequencies[field] = frequencies;
+      averageLengths[field] = documents.size > 0 ? totalLength / documents.size : 0;
+    }
+
+    return { documents, boosts, documentFrequencies, averageLengths, documentCount: documents.size };
+  }
+
+  /**
+   * Score a document with BM25 per field, summed with the field boosts
+   * Each field has its own IDF, so a term that is rare among names still counts in the name field
+   * even when it is common in requirement details
+   * @private
+   * @param {string[]} queryTerms - Unique query terms
+   * @param {Object} document - BM25 document
+   * @param {Object} collection - Collection statistics
+   * @returns {{score: number, matchedTerms: string[]}} - Raw score and the terms that contributed
+   */
+  _scoreBM25(queryTerms, document, collection) {
+    const { k1, b } = BM25_PARAMETERS;
+    let score = 0;
+    const matchedTerms = [];
+
+    for (const term of queryTerms) {
+      let termScore = 0;
+
+      for (const [field, boost] of Object.entries(collection.boosts)) {
+        const frequency = document.termFrequencies[field].get(term) || 0;
+        if (frequency === 0) {
+          continue;
+        }
+
+        const documentFrequency = collection.documentFrequencies[field].get(term);
+        const idf = Math.log(
+          1 + (collection.documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5)
+        );
+        const averageLength = collection.averageLengths[field] || 1;
+        const lengthNormalization = 1 - b + b * (document.lengths[field] / averageLength);
+        termScore += boost * idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthNormalization);
+      }
+
+      if (termScore > 0) {
+        score += termScore;
+        matchedTerms.push(term);
+      }
+    }
+
+    return { score, matchedTerms };
+  }
+
+  /**
+   * Score every document against its own name as the reference for normalization
+   * @private
+   * @param {Object} collection - Collection statistics
+   * @param {Function} getName - Document key to name
+   */
+  _setBM25ReferenceScores(collection, getName) {
+    for (const [key, document] of collection.documents) {
+      document.referenceScore = this._scoreBM25(
+        this.extractKeywords(getName(key)), document, collection
+      ).score;
+    }
+  }
+
+  /**
+   * Reference score for normalizing the scores of one query: the best raw score, but no less than
+   * the reference score of the best-scoring document
+   * Content that matches its best document as strongly as naming it gets confidence 1 there, and
+   * every document is divided by the same reference, so confidence keeps the raw score order
+   * @private
+   * @param {Array<{score: number, document: Object}>} scored - Raw scores with their BM25 documents
+   * @returns {number} - Reference score, 0 when nothing scored
+   */
+  _getBM25QueryReference(scored) {
+    let best = null;
+    for (const entry of scored) {
+      if (entry.document && entry.score > 0 && (!best || entry.score > best.score)) {
+        best = entry;
+      }
+    }
+    return best ? Math.max(best.score, best.document.referenceScore) : 0;
+  }
+
+  /**
+   * Normalize a BM25 score to a 0-1 confidence against the query's reference score
+   * @private
+   * @param {number} score - Raw BM25 score
+   * @param {number} reference - Reference score from _getBM25QueryReference
+   * @returns {number} - Confidence (0-1)
+   */
+  _normalizeBM25Score(score, reference) {
+    if (score <= 0 || reference <= 0) {
+      return 0;
+    }
+    return score / reference;
+  }
+
+  /**
+   * Combine keyword and semantic confidence: either one alone can reach a match, agreement raises it
+   * @private
+   * @param {number} keywordConfidence - Normalized BM25 confidence (0-1)
+   * @param {number} semanticScore - Semantic search score (0-1)
+   * @returns {number} - Blended confidence (0-1)
+   */
+  _blendSemanticScore(keywordConfidence, semanticScore) {
+    if (!this.semanticSearch || !semanticScore) {
+      return keywordConfidence;
+    }
+    const weight = typeof this.semanticSearch.weight === 'number' ? this.semanticSearch.weight : 1;
+    return 1 - (1 - keywordConfidence) * (1 - weight * semanticScore);
+  }
+
+  /**
+   * Create an empty scenario match for scoring
+   * @private
+   * @param {string} scenario - Scenario name
+   * @returns {Object} - Scenario match
+   */
+  _createScenarioMatch(scenario) {
+    return {
+      scenario,
+      keywordMatches: 0,
+      matchedKeywords: [],
+      matchedThreats: [],
+      score: 0,
+      semanticScore: 0,
+      totalScore: 0,
+      errors: []
+    };
+  }
+
+  /**
+   * Build the CJK term dictionary from knowledge base scenario and threat names
+   * Names such as "登录认证接口" or "导出" are kept as whole terms when they appear in content
+   */
+  buildTermDictionary() {
+    this.termDictionary = new Set();
+
+    for (const [scenario, scenarioData] of Object.entries(this.knowledgeBase || {})) {
+      const names = [scenario, ...(scenarioData.threats || []).map(threat => threat.name)];
+      for (const name of names) {
+        for (const run of String(name || '').match(CJK_RUN_PATTERN) || []) {
+          if (run.length >= 2 && run.length <= MAX_DICTIONARY_TERM_LENGTH) {
+            this.termDictionary.add(run);
+          }
+        }
+      }
+    }
+
+    this.maxTermLength = 0;
+    for (const term of this.termDictionary) {
+      this.maxTermLength = Math.max(this.maxTermLength, term.length);
+    }
+  }
+
   /**
    * Extract keywords from text for indexing
    * @param {string} text - Text to extract keywords from
-   * @returns {string[]} - Array of keywords
+   * @returns {string[]} - Array of unique keywords
    */
   extractKeywords(text) {
+    return [...new Set(this.tokenize(text))]; // Remove duplicates
+  }
+
+  /**
+   * Split text into terms, keeping repeats for term frequencies
+   * Latin text is split on delimiters; CJK runs are segmented into dictionary terms and words
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} - Array of terms
+   */
+  tokenize(text) {
     if (!text || typeof text !== 'string') {
       return [];
     }
     
-    // Convert to lowercase and split by common delimiters
-    const keywords = text.toLowerCase()
-      .split(/[\s\-_\(\)\[\]{}.,;:!?'"]+/)
+    const lowerText = text.toLowerCase();
+
+    // Latin words: split by common delimiters
+    const keywords = lowerText.replace(CJK_RUN_PATTERN, ' ')
+      .split(WORD_DELIMITER_PATTERN)
       .filter(word => word.length > 2) // Filter out very short words
       .filter(word => !this.isStopWord(word)); // Filter out common stop words
     
-    return [...new Set(keywords)]; // Remove duplicates
+    // CJK terms
+    for (const run of lowerText.match(CJK_RUN_PATTERN) || []) {
+      keywords.push(...this.segmentCJK(run));
+    }
+
+    return keywords;
+  }
+
+  /**
+   * Segment a run of CJK ideographs into terms
+   * Dictionary terms are found by forward maximum matching, general words come from Intl.Segmenter
+   * @param {string} run - CJK text without delimiters
+   * @returns {string[]} - Terms of two or more characters, stop words removed
+   */
+  segmentCJK(run) {
+    const terms = [];
+
+    // Domain terms: longest dictionary match at each position
+    for (let i = 0; i < run.length;) {
+      let matched = '';
+      for (let length = Math.min(this.maxTermLength, run.length - i); length >= 2; length--) {
+        const candidate = run.slice(i, i + length);
+        if (this.termDictionary.has(candidate)) {
+          matched = candidate;
+          break;
+        }
+      }
+      if (matched) {
+        terms.push(matched);
+        i += matched.length;
+      } else {
+        i++;
+      }
+    }
+
+    // General words; without Intl.Segmenter fall back to overlapping bigrams
+    if (this.wordSegmenter) {
+      for (const { segment, isWordLike } of this.wordSegmenter.segment(run)) {
+        if (isWordLike) {
+          terms.push(segment);
+        }
+      }
+    } else {
+      for (let i = 0; i < run.length - 1; i++) {
+        terms.push(run.slice(i, i + 2));
+      }
+    }
+
+    // Single ideographs are too ambiguous to match on
+    return terms.filter(term => term.length >= 2 && !CHINESE_STOP_WORDS.has(term));
   }
 
   /**
@@ -395,6 +1015,16 @@ class STACService {
     return this.knowledgeBase[scenarioName] || null;
   }
 
+  /**
+   * Enable or disable embedding-based semantic search
+   * @param {Object|null} search - scoreScenarios(content, signal) resolves to a Map of scenario to
+   *   {score, threats: Map<threatIndex, score>} with scores in 0-1; weight (0-1) scales the semantic score
+   */
+  setSemanticSearch(search) {
+    this.semanticSearch = search || null;
+    this.matchCache.clear();
+  }
+
   /**
    * Match scenarios based on content analysis with fuzzy matching
    * @param {string} content - Content to analyze and match against scenarios
@@ -405,11 +1035,15 @@ class STACService {
    * Requirements 3.3, 4.1: STAC service error handling with graceful degradation
    * @param {string} content - Content to analyze and match against scenarios
    * @param {Object} options - Optional matching options
+   * @param {AbortSignal} [options.signal] - Cancels matching; rejects with an AbortError instead of degrading
+   * @param {boolean} [options.semantic] - Set to false to skip semantic search (no embedding requests)
    * @returns {Promise<Array>} - Array of matched scenarios with confidence scores
    */
   async matchScenarios(content, options = {}) {
     const startTime = Date.now();
-    const timeout = options.timeout || 15000; // 15 second default timeout
+    const useSemanticSearch = Boolean(this.semanticSearch) && options.semantic !== false;
+    // Embedding requests, and building the embedding index on first use, need more time
+    const timeout = options.timeout || (useSemanticSearch ? 120000 : 15000); // 15 second default timeout
     const errorContext = {
       contentLength: content?.length || 0,
       timestamp: new Date().toISOString(),
@@ -417,8 +1051,12 @@ class STACService {
     };
 
     try {
+      if (options.signal?.aborted) {
+        throw this._createAbortError();
+      }
+
       // Performance optimization: Check cache first
-      const cacheKey = this._generateMatchCacheKey(content);
+      const cacheKey = `${useSemanticSearch ? 'semantic' : 'keyword'}:${this._generateMatchCacheKey(content)}`;
       const cachedResult = this._getFromMatchCache(cacheKey);
       if (cachedResult && !options.bypassCache) {
         // Result retrieved from cache
@@ -458,9 +1096,12 @@ class STACService {
       // Set up timeout for the entire matching process
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), timeout);
+      options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
       
       try {
-        const matchingResult = await this._performScenarioMatching(content, errorContext, controller.signal);
+        const matchingResult = await this._performScenarioMatching(
+          content, errorContext, controller.signal, useSemanticSearch
+        );
         clearTimeout(timeoutId);
         
         const processingTime = Date.now() - startTime;
@@ -479,6 +1120,10 @@ class STACService {
       } catch (matchingError) {
         clearTimeout(timeoutId);
         
+        if (options.signal?.aborted) {
+          throw this._createAbortError();
+        }
+
         if (matchingError.name === 'AbortError') {
           throw new Error(`Scenario matching timed out after ${timeout}ms`);
         }
@@ -487,6 +1132,11 @@ class STACService {
       }
       
     } catch (error) {
+      // Cancellation by the caller is not a matching failure, don't degrade
+      if (options.signal?.aborted) {
+        throw this._createAbortError();
+      }
+
       const processingTime = Date.now() - startTime;
       
       this._logSTACError('Scenario matching failed, attempting graceful degradation', {
@@ -501,15 +1151,28 @@ class STACService {
     }
   }
   
+  /**
+   * Create the error thrown when matching is cancelled by the caller
+   * @private
+   * @returns {Error} - Error with name AbortError and kind aborted
+   */
+  _createAbortError() {
+    const error = new Error('Scenario matching was cancelled');
+    error.name = 'AbortError';
+    error.kind = 'aborted';
+    return error;
+  }
+
   /**
    * Perform the core scenario matching logic with error handling
    * @private
    * @param {string} content - Content to match
    * @param {Object} errorContext - Error context for logging
    * @param {AbortSignal} signal - Abort signal for timeout handling
+   * @param {boolean} useSemanticSearch - Blend in the embedding similarity of the semantic search
    * @returns {Promise<Array>} - Matched scenarios
    */
-  async _performScenarioMatching(content, errorContext, signal) {
+  async _performScenarioMatching(content, errorContext, signal, useSemanticSearch = false) {
     try {
       // Extract keywords from content with error handling
       let contentKeywords = [];
@@ -517,7 +1180,6 @@ class STACService {
         contentKeywords = this.extractKeywords(content);
         if (contentKeywords.length === 0) {
           this._logSTACError('No keywords extracted from content', errorContext);
-          // Continue with empty keywords - semantic analysis might still work
         }
       } catch (keywordError) {
         this._logSTACError('Keyword extraction failed', { 
@@ -527,25 +1189,6 @@ class STACService {
         // Continue with empty keywords
       }
       
-      // Perform semantic analysis with error handling
-      let contentSemantics = {};
-      try {
-        contentSemantics = this.performSemanticAnalysis(content);
-      } catch (semanticError) {
-        this._logSTACError('Semantic analysis failed', { 
-          ...errorContext, 
-          error: semanticError.message 
-        });
-        // Use empty semantic analysis as fallback
-        contentSemantics = {
-          securityTerms: [],
-          technicalTerms: [],
-          businessTerms: [],
-          riskIndicators: [],
-          complianceTerms: []
-        };
-      }
-      
       // Check for abort signal
       if (signal.aborted) {
         throw new Error('Matching process was aborted');
@@ -561,15 +1204,7 @@ class STACService {
           if (this.scenarioIndex.has(keyword)) {
             for (const scenario of this.scenarioIndex.get(keyword)) {
               if (!scenarioMatches.has(scenario)) {
-                scenarioMatches.set(scenario, {
-                  scenario,
-                  keywordMatches: 0,
-                  matchedKeywords: [],
-                  semanticScore: 0,
-                  matchedThreats: [],
-                  totalScore: 0,
-                  errors: []
-                });
+                scenarioMatches.set(scenario, this._createScenarioMatch(scenario));
               }
               
               const match = scenarioMatches.get(scenario);
@@ -598,6 +1233,28 @@ class STACService {
         }
       }
       
+      // Semantic search finds scenarios that share no keywords with the content
+      let semanticScores = new Map();
+      if (useSemanticSearch) {
+        try {
+          semanticScores = await this.semanticSearch.scoreScenarios(content, signal);
+        } catch (semanticError) {
+          if (signal.aborted) {
+            throw semanticError;
+          }
+          this._logSTACError('Semantic search failed, using keyword scores only', {
+            ...errorContext,
+            error: semanticError.message
+          });
+        }
+
+        for (const scenario of semanticScores.keys()) {
+          if (!scenarioMatches.has(scenario) && this.knowledgeBase[scenario]) {
+            scenarioMatches.set(scenario, this._createScenarioMatch(scenario));
+          }
+        }
+      }
+
       // Calculate scores for each match with error handling
       let scoringErrors = 0;
       for (const [scenario, match] of scenarioMatches) {
@@ -609,36 +1266,26 @@ class STACService {
             continue;
           }
           
-          // Calculate semantic similarity with error handling
-          try {
-            match.semanticScore = this.calculateSemanticSimilarity(
-              contentSemantics, 
-              scenario, 
-              scenarioData
-            );
-          } catch (semanticError) {
-            match.errors.push(`Semantic similarity calculation failed: ${semanticError.message}`);
-            match.semanticScore = 0;
-          }
-          
+          const semantic = semanticScores.get(scenario);
+
           // Find matching threats with error handling
           try {
             match.matchedThreats = this.findMatchingThreats(
               contentKeywords, 
-              contentSemantics, 
-              scenarioData.threats || []
+              scenarioData.threats || [],
+              semantic ? semantic.threats : null
             );
           } catch (threatError) {
             match.errors.push(`Threat matching failed: ${threatError.message}`);
             match.matchedThreats = [];
           }
           
-          // Calculate total confidence score with error handling
+          // Raw score here, confidence once every candidate has been scored
           try {
-            match.totalScore = this.calculateConfidenceScore(match, contentKeywords.length);
+            match.score = this.calculateScenarioScore(contentKeywords, scenario);
+            match.semanticScore = semantic ? semantic.score : 0;
           } catch (scoreError) {
             match.errors.push(`Confidence score calculation failed: ${scoreError.message}`);
-            match.totalScore = 0;
           }
           
         } catch (matchError) {
@@ -664,12 +1311,17 @@ class STACService {
         }
       }
       
-      // Convert to array and sort by confidence with error handling
+      // Confidence relative to the best match of this content
+      this.calculateConfidenceScores(
+        Array.from(scenarioMatches.values()).filter(match => match.errors.length === 0)
+      );
+
+      // Convert to array and rank by blended confidence, then raw score, with error handling
       let results = [];
       try {
         results = Array.from(scenarioMatches.values())
-          .filter(match => match.totalScore > 0.1 && match.errors.length === 0) // Filter out problematic matches
-          .sort((a, b) => b.totalScore - a.totalScore);
+          .filter(match => match.totalScore > 0 && match.errors.length === 0) // Filter out problematic matches
+          .sort((a, b) => b.totalScore - a.totalScore || b.score - a.score);
       } catch (sortError) {
         this._logSTACError('Result sorting failed, using unsorted results', {
           ...errorContext,
@@ -678,13 +1330,13 @@ class STACService {
         
         // Fallback to unsorted results
         results = Array.from(scenarioMatches.values())
-          .filter(match => match.totalScore > 0.1);
+          .filter(match => match.totalScore > 0);
       }
       
       // Apply ranking and filtering with error handling
       let rankedResults = results;
       try {
-        rankedResults = this.rankAndFilterResults(results, content);
+        rankedResults = this.rankAndFilterResults(results);
       } catch (rankingError) {
         this._logSTACError('Result ranking failed, using unranked results', {
           ...errorContext,
@@ -692,7 +1344,10 @@ class STACService {
         });
         
         // Use basic filtering as fallback
-        rankedResults = results.slice(0, 10); // Limit to top 10
+        const { MATCH_THRESHOLD, MAX_RESULTS } = getSTACConstants();
+        rankedResults = results
+          .filter(match => match.totalScore >= MATCH_THRESHOLD)
+          .slice(0, MAX_RESULTS);
       }
       
       return rankedResults;
@@ -708,144 +1363,41 @@ class STACService {
   }
 
   /**
-   * Perform semantic analysis on content to extract meaningful concepts
-   * @param {string} content - Content to analyze
-   * @returns {Object} - Semantic analysis results
-   */
-  performSemanticAnalysis(content) {
-    const analysis = {
-      securityTerms: [],
-      technicalTerms: [],
-      businessTerms: [],
-      riskIndicators: [],
-      complianceTerms: []
-    };
-    
-    const lowerContent = content.toLowerCase();
-    
-    // Security-related terms
-    const securityTerms = [
-      'authentication', 'authorization', 'encryption', 'security', 'vulnerability',
-      'attack', 'threat', 'risk', 'access control', 'permission', 'privilege',
-      'token', 'session', 'password', 'credential', 'certificate', 'ssl', 'tls',
-      'https', 'firewall', 'intrusion', 'malware', 'virus', 'phishing',
-      'injection', 'xss', 'csrf', 'sql injection', 'buffer overflow'
-    ];
-    
-    // Technical terms
-    const technicalTerms = [
-      'api', 'database', 'server', 'client', 'web', 'mobile', 'application',
-      'system', 'network', 'protocol', 'interface', 'service', 'endpoint',
-      'json', 'xml', 'http', 'rest', 'soap', 'oauth', 'jwt', 'saml',
-      'ldap', 'active directory', 'cloud', 'aws', 'azure', 'docker'
-    ];
-    
-    // Business terms
-    const businessTerms = [
-      'user', 'customer', 'account', 'profile', 'data', 'information',
-      'document', 'file', 'upload', 'download', 'payment', 'transaction',
-      'order', 'product', 'service', 'business', 'process', 'workflow'
-    ];
-    
-    // Risk indicators
-    const riskIndicators = [
-      'sensitive', 'confidential', 'private', 'personal', 'financial',
-      'medical', 'critical', 'important', 'restricted', 'classified',
-      'pii', 'phi', 'gdpr', 'compliance', 'regulation', 'audit'
-    ];
-    
-    // Find matches in content
-    analysis.securityTerms = securityTerms.filter(term => lowerContent.includes(term));
-    analysis.technicalTerms = technicalTerms.filter(term => lowerContent.includes(term));
-    analysis.businessTerms = businessTerms.filter(term => lowerContent.includes(term));
-    analysis.riskIndicators = riskIndicators.filter(term => lowerContent.includes(term));
-    
-    return analysis;
-  }
-
-  /**
-   * Calculate semantic similarity between content and scenario
-   * @param {Object} contentSemantics - Semantic analysis of content
-   * @param {string} scenario - Scenario name
-   * @param {Object} scenarioData - Scenario data
-   * @returns {number} - Semantic similarity score (0-1)
-   */
-  calculateSemanticSimilarity(contentSemantics, scenario, scenarioData) {
-    let totalScore = 0;
-    let maxScore = 0;
-    
-    // Check scenario name similarity
-    const scenarioSemantics = this.performSemanticAnalysis(scenario);
-    maxScore += 4;
-    
-    totalScore += this.compareSemanticArrays(contentSemantics.securityTerms, scenarioSemantics.securityTerms);
-    totalScore += this.compareSemanticArrays(contentSemantics.technicalTerms, scenarioSemantics.technicalTerms);
-    totalScore += this.compareSemanticArrays(contentSemantics.businessTerms, scenarioSemantics.businessTerms);
-    totalScore += this.compareSemanticArrays(contentSemantics.riskIndicators, scenarioSemantics.riskIndicators);
-    
-    // Check threat descriptions
-    for (const threat of scenarioData.threats) {
-      const threatText = `${threat.name} ${threat.details || ''}`;
-      const threatSemantics = this.performSemanticAnalysis(threatText);
-      maxScore += 4;
-      
-      totalScore += this.compareSemanticArrays(contentSemantics.securityTerms, threatSemantics.securityTerms);
-      totalScore += this.compareSemanticArrays(contentSemantics.technicalTerms, threatSemantics.technicalTerms);
-      totalScore += this.compareSemanticArrays(contentSemantics.businessTerms, threatSemantics.businessTerms);
-      totalScore += this.compareSemanticArrays(contentSemantics.riskIndicators, threatSemantics.riskIndicators);
-    }
-    
-    return maxScore > 0 ? totalScore / maxScore : 0;
-  }
-
-  /**
-   * Compare two semantic arrays and return similarity score
-   * @param {Array} arr1 - First array
-   * @param {Array} arr2 - Second array
-   * @returns {number} - Similarity score
-   */
-  compareSemanticArrays(arr1, arr2) {
-    if (arr1.length === 0 && arr2.length === 0) return 0;
-    if (arr1.length === 0 || arr2.length === 0) return 0;
-    
-    const intersection = arr1.filter(item => arr2.includes(item));
-    const union = [...new Set([...arr1, ...arr2])];
-    
-    return intersection.length / union.length;
-  }
-
-  /**
-   * Find threats that match the content
+   * Find threats that match the content, ranked by BM25 over threat name and requirement details
    * @param {Array} contentKeywords - Keywords from content
-   * @param {Object} contentSemantics - Semantic analysis of content
    * @param {Array} threats - Array of threats to check
+   * @param {Map<number, number>|null} semanticThreatScores - Semantic score by threat index, if any
    * @returns {Array} - Array of matching threats with scores
    */
-  findMatchingThreats(contentKeywords, contentSemantics, threats) {
-    const matchingThreats = [];
+  findMatchingThreats(contentKeywords, threats, semanticThreatScores = null) {
+    const collection = this.bm25Index.threats;
+    const scored = [];
     
-    for (const threat of threats) {
-      const threatKeywords = this.extractKeywords(`${threat.name} ${threat.details || ''}`);
-      const keywordMatches = contentKeywords.filter(kw => threatKeywords.includes(kw)).length;
+    threats.forEach((threat, index) => {
+      const document = collection.documents.get(threat);
+      if (!document) {
+        return;
+      }
       
-      if (keywordMatches > 0) {
-        const threatSemantics = this.performSemanticAnalysis(`${threat.name} ${threat.details || ''}`);
-        const semanticScore = this.calculateSemanticSimilarity(
-          contentSemantics, 
-          threat.name, 
-          { threats: [threat] }
-        );
-        
-        matchingThreats.push({
-          threat,
-          keywordMatches,
-          semanticScore,
-          totalScore: (keywordMatches * 0.6) + (semanticScore * 0.4)
-        });
+      const { score, matchedTerms } = this._scoreBM25(contentKeywords, document, collection);
+      const semanticScore = semanticThreatScores ? semanticThreatScores.get(index) || 0 : 0;
+      if (score > 0 || semanticScore > 0) {
+        scored.push({ threat, document, score, matchedTerms, semanticScore });
       }
-    }
+    });
     
-    return matchingThreats.sort((a, b) => b.totalScore - a.totalScore);
+    // Threats of the scenario are normalized against each other
+    const reference = this._getBM25QueryReference(scored);
+    return scored
+      .map(({ threat, score, matchedTerms, semanticScore }) => ({
+        threat,
+        keywordMatches: matchedTerms.length,
+        matchedKeywords: matchedTerms,
+        score,
+        semanticScore,
+        confidence: this._blendSemanticScore(this._normalizeBM25Score(score, reference), semanticScore)
+      }))
+      .sort((a, b) => b.confidence - a.confidence || b.score - a.score);
   }
   
   /**
@@ -1199,45 +1751,59 @@ class STACService {
   }
 
   /**
-   * Calculate overall confidence score for a scenario match
-   * @param {Object} match - Match object
-   * @param {number} totalContentKeywords - Total keywords in content
-   * @returns {number} - Confidence score (0-1)
+   * Calculate the raw BM25F score of a scenario over its name, threat names and requirement details
+   * @param {Array} contentKeywords - Keywords from content
+   * @param {string} scenario - Scenario name
+   * @returns {number} - Raw BM25 score
    */
-  calculateConfidenceScore(match, totalContentKeywords) {
-    // Keyword match score (0-0.5)
-    const keywordScore = Math.min(match.keywordMatches / totalContentKeywords, 0.5);
-    
-    // Semantic score (0-0.3)
-    const semanticScore = match.semanticScore * 0.3;
-    
-    // Threat match score (0-0.2)
-    const threatScore = Math.min(match.matchedThreats.length * 0.05, 0.2);
+  calculateScenarioScore(contentKeywords, scenario) {
+    const collection = this.bm25Index.scenarios;
+    const document = collection.documents.get(scenario);
+    if (!document) {
+      return 0;
+    }
     
-    return keywordScore + semanticScore + threatScore;
+    return this._scoreBM25(contentKeywords, document, collection).score;
+  }
+
+  /**
+   * Set the confidence (totalScore) of scored scenario matches
+   * Keyword confidence is normalized against the best match of the content, so 1 means the content
+   * matches that scenario at least as strongly as naming it, then blended with the semantic score
+   * @param {Array} matches - Scenario matches with raw and semantic scores
+   */
+  calculateConfidenceScores(matches) {
+    const documents = this.bm25Index.scenarios.documents;
+    const reference = this._getBM25QueryReference(
+      matches.map(match => ({ score: match.score, document: documents.get(match.scenario) }))
+    );
+
+    for (const match of matches) {
+      match.totalScore = this._blendSemanticScore(
+        this._normalizeBM25Score(match.score, reference),
+        match.semanticScore
+      );
+    }
   }
 
   /**
-   * Rank and filter results based on various criteria
-   * @param {Array} results - Array of match results
-   * @param {string} content - Original content for additional analysis
+   * Keep matches at or above STAC_CONSTANTS.MATCH_THRESHOLD and shape them for callers
+   * @param {Array} results - Array of match results, ranked by blended and raw score
    * @returns {Array} - Ranked and filtered results
    */
-  rankAndFilterResults(results, content) {
-    // Apply additional filtering based on content length and complexity
-    const contentLength = content.length;
-    const minConfidence = contentLength > 1000 ? 0.15 : 0.2;
-    
+  rankAndFilterResults(results) {
+    const { MATCH_THRESHOLD, MAX_RESULTS } = getSTACConstants();
     return results
-      .filter(result => result.totalScore >= minConfidence)
-      .slice(0, 10) // Limit to top 10 matches
+      .filter(result => result.totalScore >= MATCH_THRESHOLD)
+      .slice(0, MAX_RESULTS)
       .map(result => ({
         scenario: result.scenario,
         confidence: Math.round(result.totalScore * 100) / 100,
+        score: Math.round(result.score * 100) / 100,
+        semanticScore: Math.round(result.semanticScore * 100) / 100,
         keywordMatches: result.keywordMatches,
         matchedKeywords: result.matchedKeywords.slice(0, 5), // Limit keywords shown
-        matchedThreats: result.matchedThreats.slice(0, 3), // Limit threats shown
-        semanticScore: Math.round(result.semanticScore * 100) / 100
+        matchedThreats: result.matchedThreats.slice(0, 3) // Limit threats shown
       }));
   }
 
@@ -1844,7 +2410,7 @@ class STACService {
     errorContext.fallbacksAttempted.push('error_handling');
     
     try {
-      // Fallback 1: Try simple keyword matching without semantic analysis
+      // Fallback 1: Try simple keyword matching without BM25 scoring
       if (!errorContext.fallbacksAttempted.includes('simple_keyword_matching')) {
         errorContext.fallbacksAttempted.push('simple_keyword_matching');
         this._logSTACError('Attempting simple keyword matching fallback', errorContext);
@@ -1911,7 +2477,7 @@ class STACService {
   }
   
   /**
-   * Perform simple keyword matching without semantic analysis
+   * Perform simple keyword matching without BM25 scoring
    * @private
    * @param {string} content - Content to match
    * @param {Object} errorContext - Error context
@@ -1923,10 +2489,8 @@ class STACService {
         return [];
       }
       
-      // Extract keywords with basic error handling
-      const words = content.toLowerCase()
-        .split(/\s+/)
-        .filter(word => word.length > 3)
+      // Extract keywords with the same segmentation as the index
+      const words = this.extractKeywords(content)
         .slice(0, 100); // Limit to first 100 words for performance
       
       const matches = new Map();
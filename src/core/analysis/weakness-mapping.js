@@ -0,0 +1,392 @@
+// weakness-mapping.js - CWE / CAPEC Tagging of Threats
+// 本地映射表：按知识库威胁名称和模型给出的威胁类型标注 CWE 编号和 CAPEC 攻击模式，便于与按 CWE 归类的 SAST/DAST 结果对照
+
+const CWE_ID_PATTERN = /^CWE-[1-9]\d*$/;
+
+const WEAKNESS_REFERENCE_URLS = {
+  CWE: id => `https://cwe.mitre.org/data/definitions/${id}.html`,
+  CAPEC: id => `https://capec.mitre.org/data/definitions/${id}.html`
+};
+
+/**
+ * 关键词（小写）→ CWE 编号和 CAPEC 攻击模式，英文关键词写完整的单词
+ * 同一文本命中多条规则时全部标注；fallback 规则只在没有命中其他规则时使用，避免"SQL注入"同时标为通用的注入
+ */
+const WEAKNESS_MAPPINGS = [
+  {
+    keywords: ['sql注入', 'sql injection', 'sqli'],
+    cwe: ['CWE-89'],
+    capec: ['CAPEC-66']
+  },
+  {
+    keywords: ['xss', '跨站脚本', 'cross-site scripting', 'cross site scripting'],
+    cwe: ['CWE-79'],
+    capec: ['CAPEC-63']
+  },
+  {
+    keywords: ['csrf', '跨站请求伪造', 'cross-site request forgery'],
+    cwe: ['CWE-352'],
+    capec: ['CAPEC-62']
+  },
+  {
+    keywords: [
+      'ssrf',
+      '服务端请求伪造',
+      '服务器端请求伪造',
+      'server-side request forgery'
+    ],
+    cwe: ['CWE-918'],
+    capec: ['CAPEC-664']
+  },
+  {
+    keywords: ['xxe', 'xml外部实体', 'xml external entity', 'xml external entities'],
+    cwe: ['CWE-611'],
+    capec: ['CAPEC-221']
+  },
+  {
+    keywords: ['命令注入', '命令执行', 'command injection', 'os command'],
+    cwe: ['CWE-78'],
+    capec: ['CAPEC-88']
+  },
+  {
+    keywords: ['代码执行', '代码注入', 'code injection', 'code execution'],
+    cwe: ['CWE-94'],
+    capec: ['CAPEC-242']
+  },
+  { keywords: ['xpath注入', 'xpath injection'], cwe: ['CWE-643'], capec: ['CAPEC-83'] },
+  { keywords: ['ldap注入', 'ldap injection'], cwe: ['CWE-90'], capec: ['CAPEC-136'] },
+  {
+    keywords: ['反序列化', '序列化漏洞', 'deserialization', 'deserialize'],
+    cwe: ['CWE-502'],
+    capec: ['CAPEC-586']
+  },
+  {
+    keywords: [
+      '目录遍历',
+      '路径遍历',
+      '文件读取',
+      '文件下载',
+      'path traversal',
+      'directory traversal'
+    ],
+    cwe: ['CWE-22'],
+    capec: ['CAPEC-126']
+  },
+  {
+    keywords: ['文件上传', '文件解析漏洞', 'file upload', 'unrestricted upload'],
+    cwe: ['CWE-434'],
+    capec: ['CAPEC-650']
+  },
+  {
+    keywords: ['url重定向', '开放重定向', 'open redirect', 'url redirect'],
+    cwe: ['CWE-601'],
+    capec: []
+  },
+  {
+    keywords: ['中间人', 'man-in-the-middle', 'mitm', 'adversary-in-the-middle'],
+    cwe: ['CWE-300'],
+    capec: ['CAPEC-94']
+  },
+  {
+    keywords: [
+      '不安全的通信协议',
+      '数据通讯不可信',
+      '数据传输安全',
+      '传输过程',
+      '明文传输',
+      '通信内容窃取',
+      'hsts',
+      'cleartext transmission',
+      'insecure transport'
+    ],
+    cwe: ['CWE-319'],
+    capec: ['CAPEC-157']
+  },
+  {
+    keywords: ['暴力破解', '破解登录密码', 'brute force'],
+    cwe: ['CWE-307'],
+    capec: ['CAPEC-49']
+  },
+  { keywords: ['撞库', 'credential stuffing'], cwe: ['CWE-307'], capec: ['CAPEC-600'] },
+  {
+    keywords: ['弱密码', '弱口令', 'weak password'],
+    cwe: ['CWE-521'],
+    capec: ['CAPEC-16']
+  },
+  { keywords: ['动态密码复杂度', 'predictable otp'], cwe: ['CWE-330'], capec: [] },
+  {
+    keywords: ['默认账号', '默认口令', 'default credentials', 'default password'],
+    cwe: ['CWE-1392'],
+    capec: ['CAPEC-70']
+  },
+  { keywords: ['密码明文存储', 'plaintext password'], cwe: ['CWE-256'], capec: [] },
+  { keywords: ['明文存储', 'cleartext storage'], cwe: ['CWE-312'], capec: [] },
+  {
+    keywords: ['密码重置', '密码找回', 'password reset', 'password recovery'],
+    cwe: ['CWE-640'],
+    capec: ['CAPEC-50']
+  },
+  {
+    keywords: ['会话固定', '会话标识未更新', 'session fixation'],
+    cwe: ['CWE-384'],
+    capec: ['CAPEC-61']
+  },
+  {
+    keywords: [
+      '会话有效期',
+      '会话凭证未失效',
+      '会话超时',
+      '授权有效期',
+      'session expiration',
+      'session timeout'
+    ],
+    cwe: ['CWE-613'],
+    capec: ['CAPEC-60']
+  },
+  {
+    keywords: ['会话劫持', '令牌劫持', 'jwt劫持', 'session hijacking', 'token hijacking'],
+    cwe: ['CWE-522'],
+    capec: ['CAPEC-593']
+  },
+  { keywords: ['cookie', 'cookies'], cwe: ['CWE-614', 'CWE-1004'], capec: ['CAPEC-31'] },
+  {
+    keywords: ['验证码被猜测', '图形验证码', 'ocr', '滑块', 'captcha'],
+    cwe: ['CWE-804'],
+    capec: []
+  },
+  { keywords: ['重复使用', '重复利用', '重放', 'replay'], cwe: ['CWE-294'], capec: [] },
+  {
+    keywords: [
+      '短信炸弹',
+      '短信滥用',
+      '动态密码滥用',
+      '接口滥用',
+      '批量注册',
+      '垃圾信息',
+      'rate limit',
+      'rate limiting'
+    ],
+    cwe: ['CWE-799'],
+    capec: ['CAPEC-212']
+  },
+  {
+    keywords: ['拒绝服务', '资源耗尽', 'denial of service', 'ddos', 'dos攻击'],
+    cwe: ['CWE-400'],
+    capec: ['CAPEC-125']
+  },
+  {
+    keywords: [
+      '越权',
+      '未授权访问',
+      '权限控制',
+      '权限滥用',
+      'acl绕过',
+      'unauthorized access',
+      'broken access control'
+    ],
+    cwe: ['CWE-285'],
+    capec: ['CAPEC-122']
+  },
+  {
+    keywords: ['权限提升', '提权', '权限蔓延', '权限获取', 'privilege escalation'],
+    cwe: ['CWE-269'],
+    capec: ['CAPEC-233']
+  },
+  {
+    keywords: ['参数遍历', 'idor', 'insecure direct object'],
+    cwe: ['CWE-639'],
+    capec: []
+  },
+  {
+    keywords: ['权限最小化', '最小权限', 'least privilege'],
+    cwe: ['CWE-250'],
+    capec: []
+  },
+  {
+    keywords: [
+      '身份冒用',
+      '身份盗用',
+      '身份伪造',
+      '仿冒',
+      'identity spoofing',
+      'impersonation',
+      'impersonate'
+    ],
+    cwe: ['CWE-287'],
+    capec: ['CAPEC-151']
+  },
+  {
+    keywords: [
+      '身份认证',
+      '身份鉴别',
+      '认证绕过',
+      'broken authentication',
+      'authentication bypass'
+    ],
+    cwe: ['CWE-287'],
+    capec: []
+  },
+  {
+    keywords: ['日志伪造', '日志注入', 'log injection', 'log forging'],
+    cwe: ['CWE-117'],
+    capec: ['CAPEC-93']
+  },
+  {
+    keywords: ['日志泄露', '日志内容泄露', 'sensitive information in log'],
+    cwe: ['CWE-532'],
+    capec: []
+  },
+  {
+    keywords: ['安全审计', '日志缺失', '日志留存', 'insufficient logging'],
+    cwe: ['CWE-778'],
+    capec: []
+  },
+  { keywords: ['数据缓存', 'sensitive cache'], cwe: ['CWE-524'], capec: [] },
+  { keywords: ['本地存储', '数据存储', 'insecure storage'], cwe: ['CWE-922'], capec: [] },
+  { keywords: ['硬编码', 'hard-coded', 'hardcoded'], cwe: ['CWE-798'], capec: [] },
+  { keywords: ['密钥泄露', '密钥劫持', '密钥存储'], cwe: ['CWE-522'], capec: [] },
+  {
+    keywords: [
+      '加密算法',
+      '算法不安全',
+      '弱加密',
+      '签名算法',
+      'weak crypto',
+      'broken crypto'
+    ],
+    cwe: ['CWE-327'],
+    capec: ['CAPEC-97']
+  },
+  {
+    keywords: ['数据加解密', '未加密', 'missing encryption'],
+    cwe: ['CWE-311'],
+    capec: []
+  },
+  {
+    keywords: ['csp绕过', '安全头部', 'xss保护绕过', 'security headers'],
+    cwe: ['CWE-693'],
+    capec: []
+  },
+  { keywords: ['referer'], cwe: ['CWE-293'], capec: [] },
+  { keywords: ['点击劫持', 'clickjacking'], cwe: ['CWE-1021'], capec: ['CAPEC-103'] },
+  {
+    keywords: ['条件竞争', '竞态', 'race condition'],
+    cwe: ['CWE-362'],
+    capec: ['CAPEC-26']
+  },
+  {
+    keywords: ['业务逻辑', '支付漏洞', '领券', '票务盗用', 'business logic'],
+    cwe: ['CWE-841'],
+    capec: []
+  },
+  {
+    keywords: ['输入验证', '未校验', '虚假信息提交', 'input validation'],
+    cwe: ['CWE-20'],
+    capec: []
+  },
+  { keywords: ['输出编码', 'output encoding'], cwe: ['CWE-116'], capec: [] },
+  {
+    keywords: ['注入', 'injection'],
+    cwe: ['CWE-74'],
+    capec: ['CAPEC-152'],
+    fallback: true
+  },
+  {
+    keywords: ['泄露', '泄漏', '明文返回', 'disclosure', 'leak', 'leakage', 'exposure'],
+    cwe: ['CWE-200'],
+    capec: [],
+    fallback: true
+  },
+  {
+    keywords: ['篡改', '伪造', 'tamper', 'tampering', 'integrity'],
+    cwe: ['CWE-345'],
+    capec: [],
+    fallback: true
+  }
+];
+
+// 模型只给出 CWE 时，按映射表补充对应的 CAPEC 攻击模式
+const CAPEC_BY_CWE = WEAKNESS_MAPPINGS.reduce((map, rule) => {
+  rule.cwe.forEach(cwe =>
+    map.set(cwe, [...new Set([...(map.get(cwe) || []), ...rule.capec])])
+  );
+  return map;
+}, new Map());
+
+/**
+ * 关键词的英文一端按单词边界匹配，避免 ocr、sqli 等短词命中 democracy、sqlite 这类单词的一部分；
+ * 中文没有单词边界，按包含匹配
+ */
+function compileWeaknessKeyword(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const start = /^\w/.test(keyword) ? '\\b' : '';
+  const end = /\w$/.test(keyword) ? '\\b' : '';
+  return new RegExp(`${start}${escaped}${end}`);
+}
+
+const WEAKNESS_KEYWORD_PATTERNS = new Map(
+  WEAKNESS_MAPPINGS.map(rule => [rule, rule.keywords.map(compileWeaknessKeyword)])
+);
+
+function matchWeaknessRules(text) {
+  const value = String(text || '').toLowerCase();
+  if (!value.trim()) {
+    return [];
+  }
+  return WEAKNESS_MAPPINGS.filter(rule =>
+    WEAKNESS_KEYWORD_PATTERNS.get(rule).some(pattern => pattern.test(value))
+  );
+}
+
+/**
+ * 按本地映射表和模型给出的 CWE 编号确定威胁的 CWE 和 CAPEC 标签
+ * 使用第一个命中具体规则的文本；都只命中 fallback 规则时使用第一个命中的文本
+ * @param {string[]} texts - 按优先级排列的文本，如知识库威胁名称、威胁类型、描述
+ * @param {string[]} [reportedCWE] - 模型返回的 CWE 编号，格式不是 CWE-数字 的忽略
+ * @returns {{cwe: string[], capec: string[]}} 标签，按编号去重
+ */
+function resolveThreatWeaknesses(texts, reportedCWE = []) {
+  const matches = texts.map(matchWeaknessRules);
+  const rules =
+    matches
+      .map(matched => matched.filter(rule => !rule.fallback))
+      .find(matched => matched.length > 0) ||
+    matches.find(matched => matched.length > 0) ||
+    [];
+
+  const reported = (Array.isArray(reportedCWE) ? reportedCWE : []).filter(
+    id => typeof id === 'string' && CWE_ID_PATTERN.test(id)
+  );
+  const cwe = [...new Set([...reported, ...rules.flatMap(rule => rule.cwe)])];
+  const capec = [
+    ...new Set([
+      ...rules.flatMap(rule => rule.capec),
+      ...reported.flatMap(id => CAPEC_BY_CWE.get(id) || [])
+    ])
+  ];
+
+  return { cwe, capec };
+}
+
+/**
+ * @param {string} id - 如 CWE-79、CAPEC-63
+ * @returns {string|null} MITRE 上的条目地址，格式不对时返回null
+ */
+function getWeaknessReferenceURL(id) {
+  const match = String(id || '').match(/^(CWE|CAPEC)-([1-9]\d*)$/);
+  return match ? WEAKNESS_REFERENCE_URLS[match[1]](match[2]) : null;
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    WEAKNESS_MAPPINGS,
+    resolveThreatWeaknesses,
+    getWeaknessReferenceURL
+  };
+} else {
+  // Browser / Service Worker environment
+  self.resolveThreatWeaknesses = resolveThreatWeaknesses;
+  self.getWeaknessReferenceURL = getWeaknessReferenceURL;
+}
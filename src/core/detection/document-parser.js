@@ -171,9 +171,10 @@ class DocumentParser {
           result.structure.tables.push(...tables);
         }
 
-        // Extract images (requires additional processing)
+        // Record pages that contain images; rendering them for vision models
+        // is handled by document-images.js
         const operatorList = await page.getOperatorList();
-        const images = this._extractImagesFromOperatorList(operatorList);
+        const images = this._extractImagesFromOperatorList(operatorList, pdfjs.OPS, i);
         if (images.length > 0) {
           result.structure.images.push(...images);
         }
@@ -230,15 +231,19 @@ class DocumentParser {
             id: `img_${result.structure.images.length + 1}`,
             alt: image.altText || '',
             contentType: image.contentType,
-            data: image.buffer ? Buffer.from(image.buffer).toString('base64') : null
+            data: null
           };
 
           result.structure.images.push(imageData);
 
-          return {
-            src: `data:${image.contentType};base64,${imageData.data}`,
-            alt: image.altText || ''
-          };
+          // Buffer is not available in the browser, read through mammoth instead
+          return image.read('base64').then(data => {
+            imageData.data = data;
+            return {
+              src: `data:${image.contentType};base64,${data}`,
+              alt: image.altText || ''
+            };
+          });
         }),
         styleMap: [
           "p[style-name='Heading 1'] => h1:fresh",
@@ -319,9 +324,12 @@ class DocumentParser {
    * @param {string} [options.fallbackContent] - Webpage content to use as fallback
    * @param {boolean} [options.enableWebpageFallback] - Whether to enable webpage content fallback
    * @param {number} [options.timeout] - Parsing timeout in milliseconds (default: 30000)
+   * @param {AbortSignal} [options.signal] - Cancels the fetch and parsing; rejects with an AbortError
    * @returns {Promise<ParsedContent>} - Parsed content structure
    */
   async parseDocument(attachment, options = {}) {
+    this._throwIfAborted(options.signal);
+
     // Handle case where no attachment is provided (Requirement 1.4)
     if (!attachment && options.fallbackContent) {
       return this._createWebpageFallbackResult(options.fallbackContent);
@@ -370,8 +378,9 @@ class DocumentParser {
       }
 
       // Fetch the document content with enhanced error handling
-      const response = await this._enhancedFetch(attachment.url, { timeout });
+      const response = await this._enhancedFetch(attachment.url, { timeout, signal: options.signal });
       const arrayBuffer = await response.arrayBuffer();
+      this._throwIfAborted(options.signal);
       
       // Enhanced security validation and sanitization
       const validationResult = this._validateAndSanitizeFile(arrayBuffer, attachment);
@@ -455,6 +464,9 @@ class DocumentParser {
           }
       }
       
+      // Parsing libraries cannot be interrupted, so drop the result if cancelled meanwhile
+      this._throwIfAborted(options.signal);
+
       // Add source information, processing time, and security info to the result
       result.source = {
         url: attachment.url,
@@ -496,11 +508,39 @@ class DocumentParser {
       // Clean up operation tracking
       this.activeOperations.delete(operationId);
       
+      // Cancellation is not a parsing failure, skip the fallbacks
+      if (options.signal?.aborted) {
+        throw this._createAbortError();
+      }
+
       // Try fallback mechanisms (Requirement 1.3)
       return await this._handleParsingError(attachment, error, options, startTime);
     }
   }
   
+  /**
+   * Create the error thrown when parsing is cancelled by the caller
+   * @private
+   * @returns {Error} - Error with name AbortError and kind aborted
+   */
+  _createAbortError() {
+    const error = new Error('Document parsing was cancelled');
+    error.name = 'AbortError';
+    error.kind = 'aborted';
+    return error;
+  }
+
+  /**
+   * Throw if the caller has cancelled the operation
+   * @private
+   * @param {AbortSignal} [signal] - Caller's abort signal
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this._createAbortError();
+    }
+  }
+
   /**
    * Create an error result object
    * @private
@@ -1851,30 +1891,38 @@ class DocumentParser {
    * Extract images from PDF operator list
    * @private
    * @param {Object} operatorList - PDF.js operator list
-   * @returns {Array} - Extracted images
+   * @param {Object} ops - PDF.js OPS table (operator codes differ between versions)
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Array} - Image entries for the page, data is filled by document-images.js
    */
-  _extractImagesFromOperatorList(operatorList) {
+  _extractImagesFromOperatorList(operatorList, ops = {}, pageNumber = 0) {
     const images = [];
+    const imageOperators = new Set(
+      [
+        ops.paintImageXObject,
+        ops.paintImageXObjectRepeat,
+        ops.paintInlineImageXObject,
+        ops.paintInlineImageXObjectGroup,
+        ops.paintImageMaskXObject
+      ].filter(code => code !== undefined)
+    );
 
-    // This is a simplified implementation
-    // Full implementation would require deeper PDF.js integration
     if (operatorList && operatorList.fnArray) {
       let imageCount = 0;
 
       for (let i = 0; i < operatorList.fnArray.length; i++) {
-        // Check for image operators (simplified)
-        if (operatorList.fnArray[i] === 83) { // 83 is the code for paintImageXObject
+        if (imageOperators.has(operatorList.fnArray[i])) {
           imageCount++;
         }
       }
 
-      // Create placeholder entries for detected images
       for (let i = 0; i < imageCount; i++) {
         images.push({
-          id: `pdf_img_${i + 1}`,
+          id: `pdf_page_${pageNumber}_img_${i + 1}`,
+          page: pageNumber,
           alt: '',
           contentType: 'image/unknown',
-          data: null // Actual extraction would require more complex processing
+          data: null
         });
       }
     }
@@ -1978,13 +2026,17 @@ class DocumentParser {
       }
       
       // Detect potential section headers (lines that are short and don't end with punctuation)
+      // Keep in sync with isLikelySectionHeader in src/core/analysis/prd-chunker.js
       const isLikelyHeader = trimmedLine.length < 100 && 
-                            !trimmedLine.endsWith('.') && 
-                            !trimmedLine.endsWith(',') && 
-                            !trimmedLine.endsWith(';') &&
+                            !/[.,;。，；]$/.test(trimmedLine) &&
                             (trimmedLine.includes(':') || 
+                             trimmedLine.includes('：') ||
                              trimmedLine.match(/^[A-Z][a-zA-Z\s]+$/) ||
-                             trimmedLine.match(/^\d+\.?\s+[A-Z]/));
+                             trimmedLine.match(/^\d+\.?\s+[A-Z]/) ||
+                             trimmedLine.match(/^#{1,6}\s*\S/) ||
+                             trimmedLine.match(/^\d+(\.\d+)*\.?\s*[一-龥]/) ||
+                             trimmedLine.match(/^[一二三四五六七八九十]+[、.．]/) ||
+                             trimmedLine.match(/^第[一二三四五六七八九十百\d]+[章节部分]/));
       
       if (isLikelyHeader && sectionContent.length > 0) {
         // Save previous section
@@ -2333,8 +2385,12 @@ export default DocumentParser;  /**
       const timeout = options.timeout || 30000;
       const timeoutId = setTimeout(() => controller.abort(), timeout);
       
+      // Caller cancellation aborts the same request as the timeout
+      options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+      const { timeout: _timeout, signal: _signal, ...fetchOptions } = options;
       const enhancedOptions = {
-        ...options,
+        ...fetchOptions,
         signal: controller.signal,
         headers: {
           'Accept': 'application/pdf, application/vnd.openxmlformats-officedocument.wordprocessingml.document, application/msword, */*',
@@ -2409,6 +2465,10 @@ export default DocumentParser;  /**
       return response;
       
     } catch (error) {
+      if (options.signal?.aborted) {
+        throw this._createAbortError();
+      }
+
       if (error.name === 'AbortError') {
         const timeoutError = new Error(`Request timed out after ${options.timeout || 30000}ms`);
         timeoutError.name = 'AbortError';
@@ -0,0 +1,653 @@
+// llm-providers.js - LLM Provider Adapters
+// 各LLM服务商的请求构建与响应解析适配层，后台服务通过统一接口调用
+
+/**
+ * OpenAI Chat Completions 兼容适配器
+ * 适用于 OpenAI 官方接口以及 LM Studio 等兼容服务（自定义提供商）
+ */
+class OpenAICompatibleAdapter {
+  /**
+   * @param {string} id - 提供商标识
+   * @param {Object} options - jsonMode 为 true 时支持 response_format 约束输出JSON
+   */
+  constructor(id, options = {}) {
+    this.id = id;
+    this.supportsJsonMode = Boolean(options.jsonMode);
+  }
+
+  /**
+   * 构建请求头
+   */
+  buildHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // 只有在API密钥存在时才添加Authorization头
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * 转换通用消息，带图片时使用 text + image_url 内容块
+   */
+  formatMessage(message) {
+    if (!message.images?.length) {
+      return { role: message.role, content: message.content };
+    }
+
+    return {
+      role: message.role,
+      content: [
+        { type: 'text', text: message.content },
+        ...message.images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mediaType};base64,${image.data}` }
+        }))
+      ]
+    };
+  }
+
+  /**
+   * 构建请求
+   * @param {Object} config - LLM配置（endpoint、apiKey、model）
+   * @param {Object} request - 通用请求（system、messages、maxTokens、temperature、stream、responseFormat），
+   *   消息可带 images（mediaType、base64 data）
+   * @returns {{url: string, headers: Object, body: Object}} 请求描述
+   */
+  buildRequest(config, request) {
+    const messages = request.messages.map(message => this.formatMessage(message));
+    if (request.system) {
+      messages.unshift({ role: 'system', content: request.system });
+    }
+
+    const body = {
+      model: config.model,
+      messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    };
+
+    if (request.stream) {
+      body.stream = true;
+    }
+
+    if (request.responseFormat === 'json' && this.supportsJsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return {
+      url: config.endpoint,
+      headers: this.buildHeaders(config),
+      body
+    };
+  }
+
+  /**
+   * 解析响应
+   * @param {Object} result - 响应JSON
+   * @returns {{content: string, model: string, finishReason: string, usage: Object}} 统一结果
+   */
+  parseResponse(result) {
+    const choice = result?.choices?.[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error(`响应格式不正确: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+
+    return {
+      content: choice.message.content,
+      model: result.model || '',
+      finishReason: choice.finish_reason || '',
+      usage: this.parseUsage(result.usage)
+    };
+  }
+
+  /**
+   * 转换用量统计，缺少字段时按 0 计
+   */
+  parseUsage(usage) {
+    return {
+      inputTokens: usage?.prompt_tokens || 0,
+      outputTokens: usage?.completion_tokens || 0
+    };
+  }
+
+  /**
+   * 解析流式响应中的单个SSE事件
+   * @param {{event: string, data: string}} event - SSE事件
+   * @returns {{delta: string, done: boolean, finishReason: string, usage: Object|null}} 增量结果
+   */
+  parseStreamEvent(event) {
+    if (event.data === '[DONE]') {
+      return { delta: '', done: true, finishReason: '', usage: null };
+    }
+
+    const chunk = JSON.parse(event.data);
+    if (chunk.error) {
+      throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    }
+
+    const choice = chunk.choices?.[0];
+    return {
+      delta: choice?.delta?.content || '',
+      done: false,
+      finishReason: choice?.finish_reason || '',
+      usage: chunk.usage ? this.parseUsage(chunk.usage) : null
+    };
+  }
+
+  /**
+   * 构建向量请求，端点由对话端点推导（/chat/completions 替换为 /embeddings）
+   * @param {Object} config - LLM配置，model 为向量模型
+   * @param {string[]} input - 待向量化的文本
+   * @returns {{url: string, headers: Object, body: Object}} 请求描述
+   */
+  buildEmbeddingRequest(config, input) {
+    return {
+      url: config.endpoint.trim().replace(/\/chat\/completions\/?$/, '/embeddings'),
+      headers: this.buildHeaders(config),
+      body: { model: config.model, input }
+    };
+  }
+
+  /**
+   * 解析向量响应
+   * @returns {number[][]} 与输入顺序一致的向量
+   */
+  parseEmbeddingResponse(result) {
+    if (!Array.isArray(result?.data)) {
+      throw new Error(`响应格式不正确: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+    return [...result.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+
+  /**
+   * 从错误响应中提取可读的错误信息
+   */
+  extractErrorMessage(errorText) {
+    try {
+      const error = JSON.parse(errorText);
+      return error?.error?.message || error?.message || errorText;
+    } catch {
+      return errorText;
+    }
+  }
+}
+
+/**
+ * Anthropic Messages API 适配器
+ * 使用 x-api-key 认证，system 作为独立字段，max_tokens 为必填项
+ */
+class AnthropicAdapter {
+  constructor() {
+    this.id = 'anthropic';
+    // Messages API 没有JSON模式，依赖提示词约束和结果修复
+    this.supportsJsonMode = false;
+    this.apiVersion = '2023-06-01';
+    this.defaultMaxTokens = 2000;
+  }
+
+  buildHeaders(config) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey || '',
+      'anthropic-version': this.apiVersion,
+      // 扩展页面和Service Worker发出的请求带有Origin，需显式声明允许浏览器直连
+      'anthropic-dangerous-direct-browser-access': 'true'
+    };
+  }
+
+  /**
+   * 转换通用消息，图片块放在文本之前效果更好
+   */
+  formatMessage(message) {
+    if (!message.images?.length) {
+      return { role: message.role, content: message.content };
+    }
+
+    return {
+      role: message.role,
+      content: [
+        ...message.images.map(image => ({
+          type: 'image',
+          source: { type: 'base64', media_type: image.mediaType, data: image.data }
+        })),
+        { type: 'text', text: message.content }
+      ]
+    };
+  }
+
+  buildRequest(config, request) {
+    const body = {
+      model: config.model,
+      max_tokens: request.maxTokens || this.defaultMaxTokens,
+      // Messages API 不接受 system 角色的消息，统一提升到 system 字段
+      messages: request.messages
+        .filter(message => message.role !== 'system')
+        .map(message => this.formatMessage(message))
+    };
+
+    if (request.system) {
+      body.system = request.system;
+    }
+
+    if (typeof request.temperature === 'number') {
+      body.temperature = request.temperature;
+    }
+
+    if (request.stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: config.endpoint,
+      headers: this.buildHeaders(config),
+      body
+    };
+  }
+
+  parseResponse(result) {
+    if (!result || !Array.isArray(result.content)) {
+      throw new Error(`响应格式不正确: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+
+    const content = result.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: result.model || '',
+      finishReason: result.stop_reason || '',
+      usage: {
+        inputTokens: result.usage?.input_tokens || 0,
+        outputTokens: result.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * 解析流式事件：文本增量来自 content_block_delta，结束原因和输出用量来自 message_delta
+   */
+  parseStreamEvent(event) {
+    const payload = JSON.parse(event.data);
+    const result = { delta: '', done: false, finishReason: '', usage: null };
+
+    // ping、content_block_start/stop 等事件不携带文本
+    if (payload.type === 'error') {
+      throw new Error(payload.error?.message || '流式响应出错');
+    }
+    if (payload.type === 'message_start') {
+      result.usage = {
+        inputTokens: payload.message?.usage?.input_tokens || 0,
+        outputTokens: payload.message?.usage?.output_tokens || 0
+      };
+    } else if (payload.type === 'content_block_delta') {
+      if (payload.delta?.type === 'text_delta') {
+        result.delta = payload.delta.text || '';
+      }
+    } else if (payload.type === 'message_delta') {
+      result.finishReason = payload.delta?.stop_reason || '';
+      if (payload.usage) {
+        result.usage = {
+          inputTokens: 0,
+          outputTokens: payload.usage.output_tokens || 0
+        };
+      }
+    } else if (payload.type === 'message_stop') {
+      result.done = true;
+    }
+
+    return result;
+  }
+
+  extractErrorMessage(errorText) {
+    try {
+      const error = JSON.parse(errorText);
+      return error?.error?.message || errorText;
+    } catch {
+      return errorText;
+    }
+  }
+}
+
+/**
+ * Azure OpenAI 适配器
+ * 端点由资源名称、部署名称和API版本组合而成，支持API密钥或Entra ID令牌认证
+ */
+class AzureOpenAIAdapter extends OpenAICompatibleAdapter {
+  constructor() {
+    super('azure', { jsonMode: true });
+    this.defaultApiVersion = '2024-10-21';
+    this.authTypes = {
+      API_KEY: 'apiKey',
+      ENTRA_TOKEN: 'entraToken'
+    };
+  }
+
+  /**
+   * 根据Azure字段组合端点，缺少字段时回退到手动填写的端点
+   * @param {Object} config - LLM配置
+   * @returns {string} 完整端点URL
+   */
+  composeEndpoint(config) {
+    const resourceName = (config.azureResourceName || '').trim();
+    const deployment = (config.azureDeployment || '').trim();
+
+    if (!resourceName || !deployment) {
+      return config.endpoint;
+    }
+
+    const apiVersion = (config.azureApiVersion || '').trim() || this.defaultApiVersion;
+    return (
+      `https://${resourceName}.openai.azure.com/openai/deployments/` +
+      `${encodeURIComponent(deployment)}/chat/completions` +
+      `?api-version=${encodeURIComponent(apiVersion)}`
+    );
+  }
+
+  buildHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (config.azureAuthType === this.authTypes.ENTRA_TOKEN) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    } else {
+      headers['api-key'] = config.apiKey;
+    }
+
+    return headers;
+  }
+
+  buildRequest(config, request) {
+    const built = super.buildRequest(config, request);
+    built.url = this.composeEndpoint(config);
+    // 模型由部署决定，请求体中无需携带model字段
+    delete built.body.model;
+    return built;
+  }
+
+  /**
+   * 向量模型有单独的部署，model 填写该部署名称
+   * 与对话请求共用资源名称和认证字段，字段不完整时直接报错，不拼出无效的地址
+   */
+  buildEmbeddingRequest(config, input) {
+    const errors = this.validateConfig({ ...config, azureDeployment: config.model });
+    if (errors.length > 0) {
+      throw new Error(
+        `Azure OpenAI 向量接口配置有误（部署名称为向量模型的部署）：${errors[0]}`
+      );
+    }
+
+    const resourceName = config.azureResourceName.trim();
+    const apiVersion = (config.azureApiVersion || '').trim() || this.defaultApiVersion;
+    return {
+      url:
+        `https://${resourceName}.openai.azure.com/openai/deployments/` +
+        `${encodeURIComponent(config.model.trim())}/embeddings` +
+        `?api-version=${encodeURIComponent(apiVersion)}`,
+      headers: this.buildHeaders(config),
+      body: { input }
+    };
+  }
+
+  /**
+   * 校验Azure专属字段
+   * @param {Object} config - LLM配置
+   * @returns {string[]} 错误信息列表
+   */
+  validateConfig(config) {
+    const errors = [];
+    const resourceName = (config.azureResourceName || '').trim();
+    const deployment = (config.azureDeployment || '').trim();
+    const apiVersion = (config.azureApiVersion || '').trim();
+
+    if (!resourceName) {
+      errors.push('请填写Azure资源名称');
+    } else if (!/^[a-zA-Z0-9][a-zA-Z0-9-]{1,62}$/.test(resourceName)) {
+      errors.push('Azure资源名称只能包含字母、数字和连字符，长度2-63');
+    }
+
+    if (!deployment) {
+      errors.push('请填写Azure部署名称');
+    } else if (!/^[a-zA-Z0-9._-]{1,64}$/.test(deployment)) {
+      errors.push('Azure部署名称只能包含字母、数字、点、下划线和连字符');
+    }
+
+    if (apiVersion && !/^\d{4}-\d{2}-\d{2}(-preview)?$/.test(apiVersion)) {
+      errors.push('API版本格式应为 YYYY-MM-DD 或 YYYY-MM-DD-preview');
+    }
+
+    const authType = config.azureAuthType || this.authTypes.API_KEY;
+    if (!Object.values(this.authTypes).includes(authType)) {
+      errors.push('未知的Azure认证方式');
+    }
+
+    if (!config.apiKey || !config.apiKey.trim()) {
+      errors.push(
+        authType === this.authTypes.ENTRA_TOKEN
+          ? '请填写Entra ID访问令牌'
+          : '请填写Azure API密钥'
+      );
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * Ollama 原生 API 适配器
+ * 对话使用 /api/chat，流式响应为NDJSON；模型列表来自 /api/tags
+ */
+class OllamaAdapter {
+  constructor() {
+    this.id = 'ollama';
+    this.supportsJsonMode = true;
+    // 流式响应逐行返回JSON对象，而不是SSE
+    this.streamFormat = 'ndjson';
+    this.defaultEndpoint = 'http://localhost:11434/api/chat';
+  }
+
+  /**
+   * 从配置的端点推导服务根地址，兼容只填写 http://localhost:11434 的情况
+   */
+  getBaseUrl(config) {
+    const endpoint = (config.endpoint || this.defaultEndpoint).trim();
+    return endpoint.replace(/\/api(\/[a-z]*)?\/?$/, '').replace(/\/+$/, '');
+  }
+
+  buildHeaders(config) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    // 本地服务无需认证，经反向代理暴露时可能需要令牌
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * 转换通用消息，图片以 base64 字符串数组放在消息的 images 字段
+   */
+  formatMessage(message) {
+    const formatted = { role: message.role, content: message.content };
+    if (message.images?.length) {
+      formatted.images = message.images.map(image => image.data);
+    }
+    return formatted;
+  }
+
+  buildRequest(config, request) {
+    const messages = request.messages.map(message => this.formatMessage(message));
+    if (request.system) {
+      messages.unshift({ role: 'system', content: request.system });
+    }
+
+    const body = {
+      model: config.model,
+      messages,
+      // Ollama 默认流式返回，非流式请求必须显式关闭
+      stream: Boolean(request.stream),
+      options: {}
+    };
+
+    if (request.maxTokens) {
+      body.options.num_predict = request.maxTokens;
+    }
+
+    if (typeof request.temperature === 'number') {
+      body.options.temperature = request.temperature;
+    }
+
+    if (request.responseFormat === 'json') {
+      body.format = 'json';
+    }
+
+    return {
+      url: `${this.getBaseUrl(config)}/api/chat`,
+      headers: this.buildHeaders(config),
+      body
+    };
+  }
+
+  parseResponse(result) {
+    if (!result || !result.message || typeof result.message.content !== 'string') {
+      throw new Error(`响应格式不正确: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+
+    return {
+      content: result.message.content,
+      model: result.model || '',
+      finishReason: result.done_reason || '',
+      usage: this.parseUsage(result)
+    };
+  }
+
+  /**
+   * 用量统计在响应（或流的最后一行）的顶层字段中
+   */
+  parseUsage(result) {
+    return {
+      inputTokens: result.prompt_eval_count || 0,
+      outputTokens: result.eval_count || 0
+    };
+  }
+
+  /**
+   * 解析NDJSON流中的一行，最后一行 done 为 true 并带有用量统计
+   */
+  parseStreamEvent(event) {
+    const chunk = JSON.parse(event.data);
+    if (chunk.error) {
+      throw new Error(chunk.error);
+    }
+
+    return {
+      delta: chunk.message?.content || '',
+      done: Boolean(chunk.done),
+      finishReason: chunk.done_reason || '',
+      usage: chunk.done ? this.parseUsage(chunk) : null
+    };
+  }
+
+  buildEmbeddingRequest(config, input) {
+    return {
+      url: `${this.getBaseUrl(config)}/api/embed`,
+      headers: this.buildHeaders(config),
+      body: { model: config.model, input }
+    };
+  }
+
+  parseEmbeddingResponse(result) {
+    if (!Array.isArray(result?.embeddings)) {
+      throw new Error(`响应格式不正确: ${JSON.stringify(result).substring(0, 200)}`);
+    }
+    return result.embeddings;
+  }
+
+  extractErrorMessage(errorText) {
+    // 跨域校验失败时 Ollama 返回空响应体的 403
+    if (!errorText) {
+      return '请求被拒绝，请确认 Ollama 已设置 OLLAMA_ORIGINS 允许扩展访问';
+    }
+    try {
+      const error = JSON.parse(errorText);
+      return typeof error?.error === 'string' ? error.error : errorText;
+    } catch {
+      return errorText;
+    }
+  }
+
+  /**
+   * 构建获取本地已拉取模型列表的请求
+   */
+  buildModelListRequest(config) {
+    return {
+      url: `${this.getBaseUrl(config)}/api/tags`,
+      headers: this.buildHeaders(config)
+    };
+  }
+
+  /**
+   * 解析 /api/tags 响应
+   * @returns {{name: string, size: number, parameterSize: string}[]} 模型列表
+   */
+  parseModelList(result) {
+    return (result?.models || []).map(model => ({
+      name: model.name || model.model,
+      size: model.size || 0,
+      parameterSize: model.details?.parameter_size || ''
+    }));
+  }
+
+  /**
+   * 判断模型是否已拉取，未写标签时按 latest 处理
+   */
+  isModelAvailable(models, modelName) {
+    const withTag = name => (name.includes(':') ? name : `${name}:latest`);
+    return models.some(model => withTag(model.name) === withTag(modelName));
+  }
+}
+
+// 提供商适配器注册表
+const LLM_PROVIDER_ADAPTERS = {
+  openai: new OpenAICompatibleAdapter('openai', { jsonMode: true }),
+  azure: new AzureOpenAIAdapter(),
+  anthropic: new AnthropicAdapter(),
+  ollama: new OllamaAdapter(),
+  custom: new OpenAICompatibleAdapter('custom')
+};
+
+/**
+ * 获取提供商适配器，未知提供商按OpenAI兼容接口处理
+ * @param {string} provider - 提供商标识
+ * @returns {Object} 适配器实例
+ */
+function getLLMProviderAdapter(provider) {
+  return LLM_PROVIDER_ADAPTERS[provider] || LLM_PROVIDER_ADAPTERS.custom;
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    OpenAICompatibleAdapter,
+    AzureOpenAIAdapter,
+    AnthropicAdapter,
+    OllamaAdapter,
+    LLM_PROVIDER_ADAPTERS,
+    getLLMProviderAdapter
+  };
+} else {
+  // Browser / Service Worker environment
+  self.LLM_PROVIDER_ADAPTERS = LLM_PROVIDER_ADAPTERS;
+  self.getLLMProviderAdapter = getLLMProviderAdapter;
+}
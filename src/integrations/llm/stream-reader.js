@@ -0,0 +1,144 @@
+// stream-reader.js - LLM Streaming Response Reader
+// 将 fetch 响应体按 Server-Sent Events 或 NDJSON 格式拆分为事件，供各提供商适配器解析
+
+/**
+ * 解析单个SSE事件块
+ * @param {string} block - 以空行分隔的事件文本
+ * @returns {{event: string, data: string}|null} 事件，注释或空块返回null
+ */
+function parseSSEBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    // 以冒号开头的是注释（如保活心跳）
+    if (!line || line.startsWith(':')) {
+      return;
+    }
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  return { event, data: dataLines.join('\n') };
+}
+
+/**
+ * 逐个读取SSE事件
+ * @param {ReadableStream} body - fetch 响应体
+ * @returns {AsyncGenerator<{event: string, data: string}>} 事件序列
+ */
+async function* readSSEEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      // 事件之间以空行分隔，最后一段可能不完整，留到下一次读取
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? '' : blocks.pop();
+
+      for (const block of blocks) {
+        const event = parseSSEBlock(block);
+        if (event) {
+          yield event;
+        }
+      }
+
+      if (done) {
+        break;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * 逐行读取NDJSON（如 Ollama 的流式响应），每行包装成与SSE相同的事件结构
+ * @param {ReadableStream} body - fetch 响应体
+ * @returns {AsyncGenerator<{event: string, data: string}>} 事件序列
+ */
+async function* readNDJSONEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) {
+          yield { event: 'message', data: line };
+        }
+      }
+
+      if (done) {
+        break;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * 判断响应是否为事件流（部分兼容服务会忽略 stream 参数直接返回完整JSON）
+ * @param {Response} response - fetch 响应
+ * @returns {boolean} 是否为SSE
+ */
+function isEventStreamResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('text/event-stream') && Boolean(response.body);
+}
+
+/**
+ * 判断响应是否为NDJSON流
+ * @param {Response} response - fetch 响应
+ * @returns {boolean} 是否为NDJSON
+ */
+function isNDJSONResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return /application\/(x-)?ndjson/.test(contentType) && Boolean(response.body);
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    parseSSEBlock,
+    readSSEEvents,
+    readNDJSONEvents,
+    isEventStreamResponse,
+    isNDJSONResponse
+  };
+} else {
+  // Browser / Service Worker environment
+  self.readSSEEvents = readSSEEvents;
+  self.readNDJSONEvents = readNDJSONEvents;
+  self.isEventStreamResponse = isEventStreamResponse;
+  self.isNDJSONResponse = isNDJSONResponse;
+}
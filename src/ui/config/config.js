@@ -1,4 +1,11 @@
 // config.js - 配置页面脚本
+/* global getLLMProviderAdapter, REQUEST_DEFAULTS, REQUEST_ERROR_HINTS */
+/* global LLM_PROFILES_STORAGE_KEY, createLLMProfileId, normalizeLLMProfiles */
+/* global getDefaultLLMProfile, toLLMConfig, DOCUMENT_IMAGE_LIMITS */
+/* global MODEL_PRICING_STORAGE_KEY, normalizeModelPricing */
+/* global REDACTION_CONFIG_STORAGE_KEY, BUILTIN_REDACTION_DETECTORS */
+/* global normalizeRedactionConfig, compileRedactionRule */
+/* global EMBEDDING_CONFIG_STORAGE_KEY, EMBEDDING_SOURCES, normalizeEmbeddingConfig */
 class ConfigManager {
   constructor() {
     this.defaultConfig = {
@@ -6,7 +13,14 @@ class ConfigManager {
         provider: 'openai',
         endpoint: 'https://api.openai.com/v1/chat/completions',
         apiKey: '',
-        model: 'gpt-4-vision-preview'
+        model: 'gpt-4-vision-preview',
+        azureResourceName: '',
+        azureDeployment: '',
+        azureApiVersion: '',
+        azureAuthType: 'apiKey',
+        timeoutSeconds: REQUEST_DEFAULTS.timeoutMs / 1000,
+        maxRetries: REQUEST_DEFAULTS.maxRetries,
+        visionEnabled: false
       },
       threatModelingConfig: {
         baseUrl: '',
@@ -14,13 +28,22 @@ class ConfigManager {
       },
       analysisConfig: {
         defaultPrompt:
-          '根据产品需求内容，识别潜在的安全风险点，明确对应的安全测试场景，并生成相应的安全测试用例。重点关注：数据安全、身份认证、权限控制、输入验证、业务逻辑安全等方面。'
+          '根据产品需求内容，识别潜在的安全风险点，明确对应的安全测试场景，并生成相应的安全测试用例。重点关注：数据安全、身份认证、权限控制、输入验证、业务逻辑安全等方面。',
+        analysisMode: 'hybrid',
+        maxImages: DOCUMENT_IMAGE_LIMITS.maxImages,
+        maxImageKB: DOCUMENT_IMAGE_LIMITS.maxImageKB
       },
       detectionConfig: {
         customSelectors: []
-      }
+      },
+      [REDACTION_CONFIG_STORAGE_KEY]: normalizeRedactionConfig(null),
+      [EMBEDDING_CONFIG_STORAGE_KEY]: normalizeEmbeddingConfig(null)
     };
 
+    // LLM配置档案，表单中编辑的是 activeProfileId 对应的档案
+    this.profileSettings = normalizeLLMProfiles(null, this.defaultConfig.llmConfig);
+    this.activeProfileId = this.profileSettings.defaultProfileId;
+
     this.init();
   }
 
@@ -29,15 +52,20 @@ class ConfigManager {
     this.checkFirstTimeSetup();
     this.bindEvents();
     this.updateProviderEndpoint();
+    this.loadAnalysisCache();
   }
 
   async loadConfig() {
     try {
       const result = await chrome.storage.sync.get([
         'llmConfig',
+        LLM_PROFILES_STORAGE_KEY,
         'threatModelingConfig',
         'analysisConfig',
-        'detectionConfig'
+        'detectionConfig',
+        MODEL_PRICING_STORAGE_KEY,
+        REDACTION_CONFIG_STORAGE_KEY,
+        EMBEDDING_CONFIG_STORAGE_KEY
       ]);
 
       // 合并默认配置和保存的配置
@@ -54,9 +82,24 @@ class ConfigManager {
         detectionConfig: {
           ...this.defaultConfig.detectionConfig,
           ...result.detectionConfig
-        }
+        },
+        [MODEL_PRICING_STORAGE_KEY]: result[MODEL_PRICING_STORAGE_KEY],
+        [REDACTION_CONFIG_STORAGE_KEY]: result[REDACTION_CONFIG_STORAGE_KEY],
+        [EMBEDDING_CONFIG_STORAGE_KEY]: result[EMBEDDING_CONFIG_STORAGE_KEY]
       };
 
+      // 旧版只有单一 llmConfig，迁移为默认档案
+      this.profileSettings = normalizeLLMProfiles(
+        result[LLM_PROFILES_STORAGE_KEY],
+        config.llmConfig
+      );
+      this.profileSettings.profiles = this.profileSettings.profiles.map(profile => ({
+        ...this.defaultConfig.llmConfig,
+        ...profile
+      }));
+      this.activeProfileId = this.profileSettings.defaultProfileId;
+      config.llmConfig = getDefaultLLMProfile(this.profileSettings);
+
       this.populateForm(config);
     } catch (error) {
       console.error('加载配置失败:', error);
@@ -66,10 +109,8 @@ class ConfigManager {
 
   populateForm(config) {
     // LLM配置
-    document.getElementById('llm-provider').value = config.llmConfig.provider || 'openai';
-    document.getElementById('llm-endpoint').value = config.llmConfig.endpoint || '';
-    document.getElementById('llm-api-key').value = config.llmConfig.apiKey || '';
-    document.getElementById('llm-model').value = config.llmConfig.model || '';
+    this.populateLLMForm(config.llmConfig);
+    this.renderProfileControls();
 
     // 威胁建模平台配置
     document.getElementById('threat-platform-url').value =
@@ -80,10 +121,525 @@ class ConfigManager {
     // 分析配置
     document.getElementById('default-prompt').value =
       config.analysisConfig.defaultPrompt || '';
+    document.getElementById('analysis-mode').value = config.analysisConfig.analysisMode;
+    document.getElementById('max-images').value = config.analysisConfig.maxImages;
+    document.getElementById('max-image-kb').value = config.analysisConfig.maxImageKB;
 
     // 检测配置
     const customSelectors = config.detectionConfig.customSelectors || [];
     document.getElementById('custom-selectors').value = customSelectors.join('\n');
+
+    // 模型价格表，未保存过时显示默认价格
+    this.renderPricingRows(normalizeModelPricing(config[MODEL_PRICING_STORAGE_KEY]));
+
+    // 脱敏配置，未保存过时默认开启全部内置规则
+    this.populateRedactionForm(
+      normalizeRedactionConfig(config[REDACTION_CONFIG_STORAGE_KEY])
+    );
+
+    // 向量检索配置，默认关闭
+    this.populateEmbeddingForm(
+      normalizeEmbeddingConfig(config[EMBEDDING_CONFIG_STORAGE_KEY])
+    );
+  }
+
+  populateEmbeddingForm(embeddingConfig) {
+    document.getElementById('embedding-enabled').checked = embeddingConfig.enabled;
+    document.getElementById('embedding-source').value = embeddingConfig.source;
+    document.getElementById('embedding-endpoint').value = embeddingConfig.endpoint;
+    document.getElementById('embedding-api-key').value = embeddingConfig.apiKey;
+    document.getElementById('embedding-model').value = embeddingConfig.model;
+    document.getElementById('embedding-weight').value = embeddingConfig.weight;
+    this.updateEmbeddingFields();
+  }
+
+  // 单独的向量服务才需要填写地址和密钥
+  updateEmbeddingFields() {
+    const isCustom =
+      document.getElementById('embedding-source').value === EMBEDDING_SOURCES.CUSTOM;
+    document.getElementById('embedding-custom-fields').style.display = isCustom
+      ? 'block'
+      : 'none';
+  }
+
+  readEmbeddingForm() {
+    return normalizeEmbeddingConfig({
+      enabled: document.getElementById('embedding-enabled').checked,
+      source: document.getElementById('embedding-source').value,
+      endpoint: document.getElementById('embedding-endpoint').value,
+      apiKey: document.getElementById('embedding-api-key').value,
+      model: document.getElementById('embedding-model').value,
+      weight: document.getElementById('embedding-weight').value
+    });
+  }
+
+  // 重建使用已保存的配置，向量化全部知识库威胁可能需要一段时间
+  async rebuildKnowledgeEmbeddings() {
+    const status = document.getElementById('embedding-status');
+    const button = document.getElementById('rebuild-embeddings');
+    button.disabled = true;
+    status.textContent = '正在重建向量索引...';
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'rebuildKnowledgeEmbeddings'
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回索引信息');
+      }
+      const { model, count, dimensions } = response.data;
+      status.textContent = `已为 ${count} 个威胁建立向量索引（${model}，${dimensions} 维）`;
+    } catch (error) {
+      console.error('重建向量索引失败:', error);
+      status.textContent = `重建向量索引失败: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  populateRedactionForm(redactionConfig) {
+    document.getElementById('redaction-enabled').checked = redactionConfig.enabled;
+
+    const detectorList = document.getElementById('redaction-detectors');
+    while (detectorList.firstChild) {
+      detectorList.removeChild(detectorList.firstChild);
+    }
+    BUILTIN_REDACTION_DETECTORS.forEach(detector => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.detector = detector.id;
+      checkbox.checked = redactionConfig.detectors[detector.id];
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${detector.label}`));
+      detectorList.appendChild(label);
+    });
+
+    const tbody = document.getElementById('redaction-rule-rows');
+    while (tbody.firstChild) {
+      tbody.removeChild(tbody.firstChild);
+    }
+    redactionConfig.customRules.forEach(rule =>
+      tbody.appendChild(this.createRedactionRuleRow(rule))
+    );
+  }
+
+  createRedactionRuleRow(rule = {}) {
+    const row = document.createElement('tr');
+
+    [
+      ['name', rule.name, '如 工号'],
+      ['pattern', rule.pattern, '如 EMP\\d{6}']
+    ].forEach(([field, value, placeholder]) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.dataset.field = field;
+      input.value = value ?? '';
+      input.placeholder = placeholder;
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+
+    const enabledCell = document.createElement('td');
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.dataset.field = 'enabled';
+    enabled.checked = rule.enabled !== false;
+    enabledCell.appendChild(enabled);
+    row.appendChild(enabledCell);
+
+    const actionCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'profile-btn';
+    removeBtn.textContent = '删除';
+    removeBtn.addEventListener('click', () => row.remove());
+    actionCell.appendChild(removeBtn);
+    row.appendChild(actionCell);
+
+    return row;
+  }
+
+  /**
+   * 读取脱敏配置，跳过未填写正则的自定义规则行
+   */
+  readRedactionForm() {
+    const detectors = {};
+    document.querySelectorAll('#redaction-detectors [data-detector]').forEach(input => {
+      detectors[input.dataset.detector] = input.checked;
+    });
+
+    const customRules = Array.from(document.querySelectorAll('#redaction-rule-rows tr'))
+      .map(row => ({
+        name: row.querySelector('[data-field="name"]').value.trim(),
+        pattern: row.querySelector('[data-field="pattern"]').value.trim(),
+        enabled: row.querySelector('[data-field="enabled"]').checked
+      }))
+      .filter(rule => rule.pattern);
+
+    return {
+      enabled: document.getElementById('redaction-enabled').checked,
+      detectors,
+      customRules
+    };
+  }
+
+  renderPricingRows(pricingTable) {
+    const tbody = document.getElementById('model-pricing-rows');
+    while (tbody.firstChild) {
+      tbody.removeChild(tbody.firstChild);
+    }
+    pricingTable.forEach(entry => tbody.appendChild(this.createPricingRow(entry)));
+  }
+
+  createPricingRow(entry = {}) {
+    const row = document.createElement('tr');
+
+    [
+      ['model', 'text', entry.model, '如 gpt-4o'],
+      ['contextWindow', 'number', entry.contextWindow, '未知'],
+      ['inputPrice', 'number', entry.inputPrice, '0'],
+      ['outputPrice', 'number', entry.outputPrice, '0']
+    ].forEach(([field, type, value, placeholder]) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.dataset.field = field;
+      input.value = value ?? '';
+      input.placeholder = placeholder;
+      if (type === 'number') {
+        input.min = '0';
+        input.step = 'any';
+      }
+      cell.appendChild(input);
+      row.appendChild(cell);
+    });
+
+    const currencyCell = document.createElement('td');
+    const currency = document.createElement('select');
+    currency.dataset.field = 'currency';
+    [
+      ['USD', '美元'],
+      ['CNY', '人民币']
+    ].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      currency.appendChild(option);
+    });
+    currency.value = entry.currency || 'USD';
+    currencyCell.appendChild(currency);
+    row.appendChild(currencyCell);
+
+    const actionCell = document.createElement('td');
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'profile-btn';
+    removeBtn.textContent = '删除';
+    removeBtn.addEventListener('click', () => row.remove());
+    actionCell.appendChild(removeBtn);
+    row.appendChild(actionCell);
+
+    return row;
+  }
+
+  /**
+   * 读取价格表，跳过完全空白的行
+   */
+  readPricingRows() {
+    return Array.from(document.querySelectorAll('#model-pricing-rows tr'))
+      .map(row => {
+        const entry = {};
+        row.querySelectorAll('[data-field]').forEach(input => {
+          entry[input.dataset.field] = input.value.trim();
+        });
+        return entry;
+      })
+      .filter(
+        entry =>
+          entry.model || entry.contextWindow || entry.inputPrice || entry.outputPrice
+      )
+      .map(entry => ({
+        model: entry.model,
+        contextWindow: entry.contextWindow === '' ? null : Number(entry.contextWindow),
+        inputPrice: entry.inputPrice === '' ? 0 : Number(entry.inputPrice),
+        outputPrice: entry.outputPrice === '' ? 0 : Number(entry.outputPrice),
+        currency: entry.currency
+      }));
+  }
+
+  // 分析结果缓存保存在后台的 IndexedDB 中，通过消息读取和清理
+  async loadAnalysisCache() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listAnalysisCache' });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回缓存列表');
+      }
+      this.renderAnalysisCache(response.entries);
+    } catch (error) {
+      console.error('读取分析缓存失败:', error);
+      document.getElementById('analysis-cache-summary').textContent =
+        `读取分析缓存失败: ${error.message}`;
+    }
+  }
+
+  renderAnalysisCache(entries) {
+    const modeLabels = { hybrid: '混合分析', stac: '知识库优先', llm: '仅模型分析' };
+    const tbody = document.getElementById('analysis-cache-rows');
+    while (tbody.firstChild) {
+      tbody.removeChild(tbody.firstChild);
+    }
+
+    entries.forEach(entry => {
+      const row = document.createElement('tr');
+      [
+        entry.title || '未命名需求',
+        entry.model ? `${entry.model}（${entry.provider}）` : entry.provider,
+        modeLabels[entry.mode] || entry.mode,
+        new Date(entry.createdAt).toLocaleString(),
+        new Date(entry.lastUsedAt).toLocaleString()
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'profile-btn';
+      removeBtn.textContent = '删除';
+      removeBtn.addEventListener('click', () => this.deleteAnalysisCacheEntry(entry.key));
+      actionCell.appendChild(removeBtn);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+
+    const totalKB = entries.reduce((total, entry) => total + (entry.size || 0), 0) / 1024;
+    document.getElementById('analysis-cache-summary').textContent =
+      entries.length > 0
+        ? `共 ${entries.length} 条缓存结果，约 ${Math.ceil(totalKB)} KB`
+        : '暂无缓存的分析结果';
+  }
+
+  async deleteAnalysisCacheEntry(key) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'deleteAnalysisCacheEntry',
+        data: { key }
+      });
+      await this.loadAnalysisCache();
+    } catch (error) {
+      console.error('删除分析缓存失败:', error);
+      this.showStatus(`删除分析缓存失败: ${error.message}`, 'error');
+    }
+  }
+
+  async clearAnalysisCache() {
+    if (!confirm('确定要清空所有缓存的分析结果吗？')) {
+      return;
+    }
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearAnalysisCache' });
+      await this.loadAnalysisCache();
+      this.showStatus('分析结果缓存已清空', 'success');
+    } catch (error) {
+      console.error('清空分析缓存失败:', error);
+      this.showStatus(`清空分析缓存失败: ${error.message}`, 'error');
+    }
+  }
+
+  populateLLMForm(llmConfig) {
+    document.getElementById('llm-profile-name').value = llmConfig.name || '';
+    document.getElementById('llm-provider').value = llmConfig.provider || 'openai';
+    document.getElementById('llm-endpoint').value = llmConfig.endpoint || '';
+    document.getElementById('llm-api-key').value = llmConfig.apiKey || '';
+    document.getElementById('llm-model').value = llmConfig.model || '';
+    document.getElementById('llm-azure-resource').value =
+      llmConfig.azureResourceName || '';
+    document.getElementById('llm-azure-deployment').value =
+      llmConfig.azureDeployment || '';
+    document.getElementById('llm-azure-api-version').value =
+      llmConfig.azureApiVersion || '';
+    document.getElementById('llm-azure-auth-type').value =
+      llmConfig.azureAuthType || 'apiKey';
+    document.getElementById('llm-timeout').value = llmConfig.timeoutSeconds;
+    document.getElementById('llm-max-retries').value = llmConfig.maxRetries;
+    document.getElementById('llm-vision-enabled').checked = Boolean(
+      llmConfig.visionEnabled
+    );
+    this.updateAzureFields();
+    this.updateModelListFields();
+  }
+
+  getActiveProfile() {
+    return this.profileSettings.profiles.find(
+      profile => profile.id === this.activeProfileId
+    );
+  }
+
+  /**
+   * 把表单内容写回当前档案，切换档案或保存前调用
+   */
+  storeActiveProfile() {
+    const profile = this.getActiveProfile();
+    if (profile) {
+      const name = document.getElementById('llm-profile-name').value.trim();
+      Object.assign(profile, this.readLLMForm(), { name: name || profile.name });
+    }
+  }
+
+  /**
+   * 刷新档案下拉框、默认档案复选框和备用链列表
+   */
+  renderProfileControls() {
+    const { profiles, defaultProfileId, fallbackProfileIds } = this.profileSettings;
+
+    const select = document.getElementById('llm-profile-select');
+    while (select.firstChild) {
+      select.removeChild(select.firstChild);
+    }
+    profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent =
+        profile.id === defaultProfileId ? `${profile.name}（默认）` : profile.name;
+      select.appendChild(option);
+    });
+    select.value = this.activeProfileId;
+
+    // 默认档案不能直接取消，只能把其他档案设为默认
+    const defaultCheckbox = document.getElementById('llm-profile-default');
+    defaultCheckbox.checked = this.activeProfileId === defaultProfileId;
+    defaultCheckbox.disabled = defaultCheckbox.checked;
+    document.getElementById('delete-llm-profile').disabled = profiles.length <= 1;
+
+    // 已加入备用链的档案按顺序排在前面，其余档案排在后面供勾选
+    const list = document.getElementById('llm-fallback-list');
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    const others = profiles.filter(
+      profile =>
+        profile.id !== defaultProfileId && !fallbackProfileIds.includes(profile.id)
+    );
+    const ordered = [
+      ...fallbackProfileIds.map(id => profiles.find(profile => profile.id === id)),
+      ...others
+    ];
+
+    if (ordered.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'help-text';
+      empty.textContent = '新建更多档案后可在此设置备用顺序';
+      list.appendChild(empty);
+      return;
+    }
+
+    ordered.forEach(profile => {
+      const position = fallbackProfileIds.indexOf(profile.id);
+      const item = document.createElement('div');
+      item.className = 'fallback-item';
+
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = position !== -1;
+      checkbox.addEventListener('change', () => {
+        this.toggleFallbackProfile(profile.id, checkbox.checked);
+      });
+      label.appendChild(checkbox);
+      label.appendChild(
+        document.createTextNode(
+          position !== -1 ? `${position + 1}. ${profile.name}` : profile.name
+        )
+      );
+      item.appendChild(label);
+
+      if (position !== -1) {
+        [
+          ['↑', -1],
+          ['↓', 1]
+        ].forEach(([text, offset]) => {
+          const button = document.createElement('button');
+          button.className = 'profile-btn';
+          button.textContent = text;
+          const target = position + offset;
+          button.disabled = target < 0 || target >= fallbackProfileIds.length;
+          button.addEventListener('click', () => {
+            this.moveFallbackProfile(position, target);
+          });
+          item.appendChild(button);
+        });
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  switchProfile(profileId) {
+    this.storeActiveProfile();
+    this.activeProfileId = profileId;
+    this.populateLLMForm(this.getActiveProfile());
+    this.renderProfileControls();
+  }
+
+  addProfile() {
+    this.storeActiveProfile();
+    const profile = {
+      ...this.defaultConfig.llmConfig,
+      id: createLLMProfileId(),
+      name: `配置档案 ${this.profileSettings.profiles.length + 1}`
+    };
+    this.profileSettings.profiles.push(profile);
+    this.switchProfile(profile.id);
+    document.getElementById('llm-profile-name').select();
+  }
+
+  deleteProfile() {
+    const profile = this.getActiveProfile();
+    if (this.profileSettings.profiles.length <= 1 || !profile) {
+      return;
+    }
+    if (!confirm(`确定要删除配置档案“${profile.name}”吗？`)) {
+      return;
+    }
+
+    // 删除默认档案时由剩余的第一个档案接替
+    this.profileSettings = normalizeLLMProfiles({
+      ...this.profileSettings,
+      profiles: this.profileSettings.profiles.filter(item => item.id !== profile.id)
+    });
+    this.activeProfileId = this.profileSettings.defaultProfileId;
+    this.populateLLMForm(this.getActiveProfile());
+    this.renderProfileControls();
+    this.showStatus('档案已删除，保存配置后生效', 'success');
+  }
+
+  setActiveProfileAsDefault() {
+    this.storeActiveProfile();
+    this.profileSettings = normalizeLLMProfiles({
+      ...this.profileSettings,
+      defaultProfileId: this.activeProfileId
+    });
+    this.renderProfileControls();
+  }
+
+  toggleFallbackProfile(profileId, enabled) {
+    this.storeActiveProfile();
+    const ids = this.profileSettings.fallbackProfileIds.filter(id => id !== profileId);
+    if (enabled) {
+      ids.push(profileId);
+    }
+    this.profileSettings.fallbackProfileIds = ids;
+    this.renderProfileControls();
+  }
+
+  moveFallbackProfile(from, to) {
+    this.storeActiveProfile();
+    const ids = this.profileSettings.fallbackProfileIds;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    this.renderProfileControls();
   }
 
   bindEvents() {
@@ -102,11 +658,83 @@ class ConfigManager {
       this.resetConfig();
     });
 
+    // 配置档案
+    document.getElementById('llm-profile-select').addEventListener('change', event => {
+      this.switchProfile(event.target.value);
+    });
+    document.getElementById('add-llm-profile').addEventListener('click', () => {
+      this.addProfile();
+    });
+    document.getElementById('delete-llm-profile').addEventListener('click', () => {
+      this.deleteProfile();
+    });
+    document.getElementById('llm-profile-default').addEventListener('change', () => {
+      this.setActiveProfileAsDefault();
+    });
+    document.getElementById('llm-profile-name').addEventListener('change', () => {
+      this.storeActiveProfile();
+      this.renderProfileControls();
+    });
+
     // LLM提供商变化时更新端点
     document.getElementById('llm-provider').addEventListener('change', () => {
       this.updateProviderEndpoint();
     });
 
+    // Azure字段变化时重新组合端点
+    ['llm-azure-resource', 'llm-azure-deployment', 'llm-azure-api-version'].forEach(
+      id => {
+        document.getElementById(id).addEventListener('input', () => {
+          this.updateAzureFields();
+        });
+      }
+    );
+    document.getElementById('llm-azure-auth-type').addEventListener('change', () => {
+      this.updateAzureFields();
+    });
+
+    // Ollama 模型列表
+    document.getElementById('add-model-pricing').addEventListener('click', () => {
+      document.getElementById('model-pricing-rows').appendChild(this.createPricingRow());
+    });
+    document.getElementById('reset-model-pricing').addEventListener('click', () => {
+      this.renderPricingRows(normalizeModelPricing(null));
+    });
+    document.getElementById('refresh-analysis-cache').addEventListener('click', () => {
+      this.loadAnalysisCache();
+    });
+    document.getElementById('clear-analysis-cache').addEventListener('click', () => {
+      this.clearAnalysisCache();
+    });
+    document.getElementById('open-knowledge-editor').addEventListener('click', () => {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('src/ui/config/knowledge-base.html')
+      });
+    });
+    document.getElementById('embedding-source').addEventListener('change', () => {
+      this.updateEmbeddingFields();
+    });
+    document.getElementById('rebuild-embeddings').addEventListener('click', () => {
+      this.rebuildKnowledgeEmbeddings();
+    });
+    document.getElementById('add-redaction-rule').addEventListener('click', () => {
+      document
+        .getElementById('redaction-rule-rows')
+        .appendChild(this.createRedactionRuleRow());
+    });
+
+    document.getElementById('refresh-llm-models').addEventListener('click', () => {
+      this.refreshModelList();
+    });
+    document.getElementById('llm-model-select').addEventListener('change', event => {
+      if (event.target.value) {
+        document.getElementById('llm-model').value = event.target.value;
+      }
+    });
+    document.getElementById('llm-endpoint').addEventListener('change', () => {
+      this.updateModelListFields();
+    });
+
     // 快速设置向导事件
     this.bindQuickSetupEvents();
   }
@@ -210,6 +838,7 @@ class ConfigManager {
       openai: 'OpenAI GPT-4',
       azure: 'Azure OpenAI',
       anthropic: 'Anthropic Claude',
+      ollama: 'Ollama',
       custom: '自定义服务'
     };
     return names[provider] || provider;
@@ -226,14 +855,19 @@ class ConfigManager {
         model: 'gpt-4-vision-preview'
       },
       azure: {
-        endpoint:
-          'https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2023-12-01-preview',
-        model: 'gpt-4-vision-preview'
+        // 端点由Azure资源名称、部署名称和API版本组合生成
+        endpoint: '',
+        model: ''
       },
       anthropic: {
         endpoint: 'https://api.anthropic.com/v1/messages',
         model: 'claude-3-opus-20240229'
       },
+      ollama: {
+        // 模型从本地已拉取的列表中选择
+        endpoint: 'http://localhost:11434/api/chat',
+        model: ''
+      },
       custom: {
         endpoint: '',
         model: ''
@@ -247,6 +881,111 @@ class ConfigManager {
     if (defaults && !modelInput.value) {
       modelInput.value = defaults.model;
     }
+
+    this.updateAzureFields();
+    this.updateModelListFields();
+  }
+
+  /**
+   * 提供商支持列出模型时显示模型下拉框并刷新列表
+   */
+  updateModelListFields() {
+    const provider = document.getElementById('llm-provider').value;
+    const supportsModelList = Boolean(
+      getLLMProviderAdapter(provider).buildModelListRequest
+    );
+
+    document.getElementById('model-list-fields').style.display = supportsModelList
+      ? 'block'
+      : 'none';
+    if (supportsModelList) {
+      this.refreshModelList();
+    }
+  }
+
+  async refreshModelList() {
+    const select = document.getElementById('llm-model-select');
+    const help = document.getElementById('llm-model-list-help');
+    const currentModel = document.getElementById('llm-model').value.trim();
+
+    help.textContent = '正在获取模型列表...';
+    const result = await chrome.runtime.sendMessage({
+      action: 'listLLMModels',
+      data: this.readLLMForm()
+    });
+
+    while (select.firstChild) {
+      select.removeChild(select.firstChild);
+    }
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '选择模型...';
+    select.appendChild(placeholder);
+
+    if (!result || !result.success) {
+      help.textContent = `获取模型列表失败：${result?.error || '后台无响应'}`;
+      return;
+    }
+
+    result.models.forEach(model => {
+      const option = document.createElement('option');
+      option.value = model.name;
+      option.textContent = model.parameterSize
+        ? `${model.name}（${model.parameterSize}）`
+        : model.name;
+      select.appendChild(option);
+    });
+    select.value = result.models.some(model => model.name === currentModel)
+      ? currentModel
+      : '';
+
+    help.textContent =
+      result.models.length > 0
+        ? `共 ${result.models.length} 个已拉取的模型，选择后自动填入模型名称`
+        : '本地尚未拉取任何模型，请先执行 ollama pull <模型名称>';
+  }
+
+  /**
+   * 根据提供商切换Azure专属字段，并同步组合后的端点和密钥提示
+   */
+  updateAzureFields() {
+    const isAzure = document.getElementById('llm-provider').value === 'azure';
+    const endpointInput = document.getElementById('llm-endpoint');
+    const authType = document.getElementById('llm-azure-auth-type').value;
+
+    document.getElementById('azure-fields').style.display = isAzure ? 'block' : 'none';
+    endpointInput.readOnly = isAzure;
+    document.getElementById('llm-endpoint-help').textContent = isAzure
+      ? '根据资源名称、部署名称和API版本自动生成'
+      : 'LLM API的完整端点地址';
+
+    const isEntraToken = isAzure && authType === 'entraToken';
+    document.getElementById('llm-api-key-label').textContent = isEntraToken
+      ? 'Entra ID访问令牌'
+      : 'API密钥';
+    document.getElementById('llm-api-key-help').textContent = isEntraToken
+      ? '以 Bearer 方式发送的Microsoft Entra ID访问令牌，过期后需重新填写'
+      : '您的LLM API密钥，将安全存储在本地';
+
+    if (isAzure) {
+      endpointInput.value =
+        getLLMProviderAdapter('azure').composeEndpoint(this.getAzureFormFields()) || '';
+    }
+  }
+
+  getAzureFormFields() {
+    return {
+      azureResourceName: document.getElementById('llm-azure-resource').value.trim(),
+      azureDeployment: document.getElementById('llm-azure-deployment').value.trim(),
+      azureApiVersion: document.getElementById('llm-azure-api-version').value.trim(),
+      azureAuthType: document.getElementById('llm-azure-auth-type').value
+    };
+  }
+
+  // 数字输入框留空或非法时使用默认值
+  readNumberField(id, fallback) {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
   }
 
   async saveConfig() {
@@ -287,46 +1026,169 @@ class ConfigManager {
           .filter(s => s)
       : [];
 
+    // 当前编辑的内容写回档案，llmConfig 同步为默认档案以兼容只读取单一配置的模块
+    this.storeActiveProfile();
+    const profileSettings = normalizeLLMProfiles(this.profileSettings);
+
     return {
-      llmConfig: {
-        provider: document.getElementById('llm-provider').value,
-        endpoint: document.getElementById('llm-endpoint').value.trim(),
-        apiKey: document.getElementById('llm-api-key').value.trim(),
-        model: document.getElementById('llm-model').value.trim()
-      },
+      llmConfig: toLLMConfig(getDefaultLLMProfile(profileSettings)),
+      [LLM_PROFILES_STORAGE_KEY]: profileSettings,
       threatModelingConfig: {
         baseUrl: document.getElementById('threat-platform-url').value.trim(),
         apiKey: document.getElementById('threat-platform-key').value.trim()
       },
       analysisConfig: {
-        defaultPrompt: document.getElementById('default-prompt').value.trim()
+        defaultPrompt: document.getElementById('default-prompt').value.trim(),
+        analysisMode: document.getElementById('analysis-mode').value,
+        maxImages: this.readNumberField(
+          'max-images',
+          this.defaultConfig.analysisConfig.maxImages
+        ),
+        maxImageKB: this.readNumberField(
+          'max-image-kb',
+          this.defaultConfig.analysisConfig.maxImageKB
+        )
       },
       detectionConfig: {
         customSelectors
-      }
+      },
+      [MODEL_PRICING_STORAGE_KEY]: this.readPricingRows(),
+      [REDACTION_CONFIG_STORAGE_KEY]: this.readRedactionForm(),
+      [EMBEDDING_CONFIG_STORAGE_KEY]: this.readEmbeddingForm()
     };
   }
 
+  /**
+   * 读取表单中当前档案的LLM配置
+   */
+  readLLMForm() {
+    const llmConfig = {
+      provider: document.getElementById('llm-provider').value,
+      endpoint: document.getElementById('llm-endpoint').value.trim(),
+      apiKey: document.getElementById('llm-api-key').value.trim(),
+      model: document.getElementById('llm-model').value.trim(),
+      timeoutSeconds: this.readNumberField(
+        'llm-timeout',
+        this.defaultConfig.llmConfig.timeoutSeconds
+      ),
+      maxRetries: this.readNumberField(
+        'llm-max-retries',
+        this.defaultConfig.llmConfig.maxRetries
+      ),
+      visionEnabled: document.getElementById('llm-vision-enabled').checked,
+      ...this.getAzureFormFields()
+    };
+
+    if (llmConfig.provider === 'azure') {
+      llmConfig.endpoint =
+        getLLMProviderAdapter('azure').composeEndpoint(llmConfig) || '';
+    }
+
+    return llmConfig;
+  }
+
   validateConfig(config) {
+    // 逐个校验档案，多个档案时在错误信息中注明档案名称
+    const { profiles } = config[LLM_PROFILES_STORAGE_KEY];
+    for (const profile of profiles) {
+      const validation = this.validateLLMConfig(profile);
+      if (!validation.valid) {
+        return profiles.length > 1
+          ? { valid: false, message: `${profile.name}: ${validation.message}` }
+          : validation;
+      }
+    }
+
+    for (const entry of config[MODEL_PRICING_STORAGE_KEY]) {
+      if (!entry.model) {
+        return { valid: false, message: '模型价格表中有未填写模型名称的行' };
+      }
+      const numbers = [entry.contextWindow ?? 0, entry.inputPrice, entry.outputPrice];
+      if (numbers.some(value => Number.isNaN(value) || value < 0)) {
+        return {
+          valid: false,
+          message: `模型 ${entry.model} 的价格或上下文窗口不是有效的非负数`
+        };
+      }
+    }
+
+    for (const rule of config[REDACTION_CONFIG_STORAGE_KEY].customRules) {
+      const { error } = compileRedactionRule(rule);
+      if (error) {
+        return { valid: false, message: `脱敏规则的正则表达式无效：${error}` };
+      }
+    }
+
+    const embeddingValidation = this.validateEmbeddingConfig(config);
+    if (!embeddingValidation.valid) {
+      return embeddingValidation;
+    }
+
+    try {
+      if (config.threatModelingConfig.baseUrl) {
+        new URL(config.threatModelingConfig.baseUrl);
+      }
+    } catch (error) {
+      return { valid: false, message: 'URL格式不正确' };
+    }
+
+    return { valid: true };
+  }
+
+  validateEmbeddingConfig(config) {
+    const embeddingConfig = config[EMBEDDING_CONFIG_STORAGE_KEY];
+    if (!embeddingConfig.enabled) {
+      return { valid: true };
+    }
+    if (!embeddingConfig.model) {
+      return { valid: false, message: '请填写向量模型' };
+    }
+
+    if (embeddingConfig.source === EMBEDDING_SOURCES.CUSTOM) {
+      try {
+        new URL(embeddingConfig.endpoint);
+      } catch (error) {
+        return { valid: false, message: '向量接口地址格式不正确' };
+      }
+    } else {
+      const provider = config.llmConfig.provider;
+      if (typeof getLLMProviderAdapter(provider).buildEmbeddingRequest !== 'function') {
+        return {
+          valid: false,
+          message: `${this.getProviderName(provider)} 不提供向量接口，请选择单独的向量服务`
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  validateLLMConfig(llmConfig) {
+    // Azure OpenAI 使用专属字段，模型由部署决定
+    if (llmConfig.provider === 'azure') {
+      const errors = getLLMProviderAdapter('azure').validateConfig(llmConfig);
+      if (errors.length > 0) {
+        return { valid: false, message: errors[0] };
+      }
+    }
+
     // LLM配置验证
-    if (!config.llmConfig.endpoint) {
+    if (!llmConfig.endpoint) {
       return { valid: false, message: '请填写LLM API端点' };
     }
 
-    if (!config.llmConfig.apiKey) {
+    // Ollama 本地服务无需密钥
+    if (!llmConfig.apiKey && llmConfig.provider !== 'ollama') {
       return { valid: false, message: '请填写LLM API密钥' };
     }
 
-    if (!config.llmConfig.model) {
+    if (!llmConfig.model && llmConfig.provider !== 'azure') {
       return { valid: false, message: '请填写LLM模型名称' };
     }
 
     // URL格式验证
     try {
-      new URL(config.llmConfig.endpoint);
-      if (config.threatModelingConfig.baseUrl) {
-        new URL(config.threatModelingConfig.baseUrl);
-      }
+      new URL(llmConfig.endpoint);
     } catch (error) {
       return { valid: false, message: 'URL格式不正确' };
     }
@@ -336,20 +1198,33 @@ class ConfigManager {
 
   async testConfig() {
     try {
-      const config = this.getFormConfig();
+      // 测试当前正在编辑的档案
+      const llmConfig = this.readLLMForm();
+
+      if (llmConfig.provider === 'azure') {
+        const errors = getLLMProviderAdapter('azure').validateConfig(llmConfig);
+        if (errors.length > 0) {
+          this.showStatus(errors[0], 'error');
+          return;
+        }
+      }
 
       this.showStatus('正在测试配置...', 'success');
 
       // 测试LLM连接
       const testResult = await chrome.runtime.sendMessage({
         action: 'testLLMConnection',
-        data: config.llmConfig
+        data: llmConfig
       });
 
       if (testResult.success) {
         this.showStatus('配置测试成功！LLM连接正常', 'success');
       } else {
-        this.showStatus('配置测试失败: ' + testResult.error, 'error');
+        const hint = REQUEST_ERROR_HINTS[testResult.errorKind];
+        const message = hint
+          ? `${hint.title}：${testResult.error}。${hint.hint}`
+          : testResult.error;
+        this.showStatus('配置测试失败: ' + message, 'error');
       }
     } catch (error) {
       console.error('测试配置失败:', error);
@@ -361,7 +1236,12 @@ class ConfigManager {
     if (confirm('确定要重置所有配置吗？这将清除所有已保存的设置。')) {
       try {
         await chrome.storage.sync.clear();
-        this.populateForm(this.defaultConfig);
+        this.profileSettings = normalizeLLMProfiles(null, this.defaultConfig.llmConfig);
+        this.activeProfileId = this.profileSettings.defaultProfileId;
+        this.populateForm({
+          ...this.defaultConfig,
+          llmConfig: getDefaultLLMProfile(this.profileSettings)
+        });
         this.showStatus('配置已重置为默认值', 'success');
       } catch (error) {
         console.error('重置配置失败:', error);
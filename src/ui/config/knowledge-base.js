@@ -0,0 +1,631 @@
+// knowledge-base.js - 知识库编辑页面脚本
+// 导入的知识库包和编辑器的修改由后台保存在 IndexedDB 中，与内置知识库合并后用于匹配
+
+// 威胁中由名称和内容组成的字段，行业标准可留空
+const THREAT_SECTIONS = [
+  { key: 'security_requirement', label: '安全需求', required: true },
+  { key: 'security_design', label: '安全设计', required: true },
+  { key: 'test_case', label: '测试用例', required: true },
+  { key: 'industry_standard', label: '行业标准', required: false }
+];
+
+// 场景列表的筛选条件，"全部"不在其中
+const SCENARIO_FILTERS = {
+  modified: scenario => scenario.builtin && scenario.modified,
+  custom: scenario => !scenario.builtin,
+  pack: scenario => scenario.packs.length > 0,
+  disabled: scenario =>
+    scenario.disabled || scenario.threats.some(threat => threat.disabled === true)
+};
+
+class KnowledgeBaseEditor {
+  constructor() {
+    // 后台返回的场景列表：name、builtin、modified、disabled、updatedAt、threats
+    this.scenarios = [];
+    // 正在编辑的场景，新增场景时为 null
+    this.selected = null;
+    this.isNew = false;
+    // 编辑表单有未保存的修改
+    this.dirty = false;
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    await this.loadScenarios();
+  }
+
+  bindEvents() {
+    document
+      .getElementById('kb-search')
+      .addEventListener('input', () => this.renderList());
+    document
+      .getElementById('kb-filter')
+      .addEventListener('change', () => this.renderList());
+    document
+      .getElementById('kb-add-scenario')
+      .addEventListener('click', () => this.newScenario());
+    document.getElementById('kb-add-threat').addEventListener('click', () => {
+      document.getElementById('kb-threats').appendChild(this.createThreatForm({}, true));
+      this.dirty = true;
+    });
+    document
+      .getElementById('kb-save')
+      .addEventListener('click', () => this.saveScenario());
+    document
+      .getElementById('kb-reset')
+      .addEventListener('click', () => this.resetScenario());
+    document
+      .getElementById('kb-import-pack')
+      .addEventListener('click', () => this.importPack());
+
+    const form = document.getElementById('kb-scenario-form');
+    form.addEventListener('input', () => {
+      this.dirty = true;
+    });
+    form.addEventListener('change', () => {
+      this.dirty = true;
+    });
+
+    window.addEventListener('beforeunload', event => {
+      if (this.dirty) {
+        event.preventDefault();
+        event.returnValue = '';
+      }
+    });
+  }
+
+  async loadScenarios() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getKnowledgeBaseEditor'
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回知识库内容');
+      }
+      this.applyEditorData(response.data);
+      this.renderList();
+    } catch (error) {
+      console.error('读取知识库失败:', error);
+      document.getElementById('kb-summary').textContent =
+        `读取知识库失败: ${error.message}`;
+    }
+  }
+
+  applyEditorData(data) {
+    this.scenarios = data.scenarios;
+    this.renderPacks(data.packs || []);
+  }
+
+  renderPacks(packs) {
+    const strategyLabels = { override: '覆盖已有场景', append: '追加威胁', skip: '跳过' };
+    const tbody = document.getElementById('kb-pack-rows');
+    while (tbody.firstChild) {
+      tbody.removeChild(tbody.firstChild);
+    }
+
+    if (packs.length === 0) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.className = 'help-text';
+      cell.textContent = '尚未导入知识库包';
+      row.appendChild(cell);
+      tbody.appendChild(row);
+      return;
+    }
+
+    packs.forEach(pack => {
+      const row = document.createElement('tr');
+      [
+        pack.name,
+        pack.version,
+        pack.author,
+        `${pack.scenarioCount} / ${pack.threatCount}`
+      ].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      row.firstChild.title = pack.description || '';
+
+      const strategyCell = document.createElement('td');
+      const strategySelect = document.createElement('select');
+      Object.entries(strategyLabels).forEach(([value, label]) => {
+        strategySelect.add(new Option(label, value, false, value === pack.strategy));
+      });
+      strategySelect.addEventListener('change', () =>
+        this.updatePack(pack.name, { strategy: strategySelect.value })
+      );
+      strategyCell.appendChild(strategySelect);
+      row.appendChild(strategyCell);
+
+      const enabledCell = document.createElement('td');
+      const enabledInput = document.createElement('input');
+      enabledInput.type = 'checkbox';
+      enabledInput.checked = pack.enabled !== false;
+      enabledInput.addEventListener('change', () =>
+        this.updatePack(pack.name, { enabled: enabledInput.checked })
+      );
+      enabledCell.appendChild(enabledInput);
+      row.appendChild(enabledCell);
+
+      const actionCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'profile-btn';
+      removeBtn.textContent = '删除';
+      removeBtn.addEventListener('click', () => this.deletePack(pack));
+      actionCell.appendChild(removeBtn);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+  }
+
+  async importPack() {
+    const fileInput = document.getElementById('kb-pack-file');
+    const file = fileInput.files[0];
+    if (!file) {
+      this.showStatus('请选择知识库包文件', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'importKnowledgePack',
+        data: {
+          content: await file.text(),
+          strategy: document.getElementById('kb-pack-strategy').value
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未响应');
+      }
+      this.refreshAfterPackChange(response.data);
+      fileInput.value = '';
+
+      const { imported } = response.data;
+      const message = imported.previousVersion
+        ? `知识库包"${imported.name}"已从 ${imported.previousVersion} 更新到 ${imported.version}`
+        : `已导入知识库包"${imported.name}" ${imported.version}，共 ${imported.scenarioCount} 个场景`;
+      this.showStatus(
+        imported.migrationCount > 0
+          ? `${message}\n包文件使用旧格式，已自动迁移 ${imported.migrationCount} 处，可用 scripts/migrate-knowledge-base.js 更新包文件`
+          : message,
+        'success'
+      );
+    } catch (error) {
+      console.error('导入知识库包失败:', error);
+      this.showStatus(error.message, 'error');
+    }
+  }
+
+  async updatePack(name, changes) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateKnowledgePack',
+        data: { name, ...changes }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未响应');
+      }
+      this.refreshAfterPackChange(response.data);
+      this.showStatus('知识库包已更新，知识库已重新加载', 'success');
+    } catch (error) {
+      console.error('更新知识库包失败:', error);
+      this.showStatus(`更新知识库包失败: ${error.message}`, 'error');
+    }
+  }
+
+  async deletePack(pack) {
+    if (!confirm(`确定要删除知识库包"${pack.name}"吗？`)) {
+      return;
+    }
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'deleteKnowledgePack',
+        data: { name: pack.name }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未响应');
+      }
+      this.refreshAfterPackChange(response.data);
+      this.showStatus('知识库包已删除', 'success');
+    } catch (error) {
+      console.error('删除知识库包失败:', error);
+      this.showStatus(`删除知识库包失败: ${error.message}`, 'error');
+    }
+  }
+
+  // 知识库包变化后场景内容可能改变，当前场景没有未保存的修改时重新显示
+  refreshAfterPackChange(data) {
+    this.applyEditorData(data);
+    if (this.selected && !this.getScenario(this.selected)) {
+      this.selected = null;
+      this.renderScenarioForm(null);
+    } else if (this.selected && !this.dirty) {
+      this.renderScenarioForm(this.getScenario(this.selected));
+    }
+    this.renderList();
+  }
+
+  getScenario(name) {
+    return this.scenarios.find(scenario => scenario.name === name) || null;
+  }
+
+  /**
+   * 场景名称或威胁各字段的内容中包含所有关键词即匹配
+   */
+  matchesSearch(scenario, query) {
+    if (!query) {
+      return true;
+    }
+    const text = [scenario.name, JSON.stringify(scenario.threats)]
+      .join('\n')
+      .toLowerCase();
+    return query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .every(term => text.includes(term));
+  }
+
+  matchesFilter(scenario, filter) {
+    const predicate = SCENARIO_FILTERS[filter];
+    return predicate ? predicate(scenario) : true;
+  }
+
+  renderList() {
+    const query = document.getElementById('kb-search').value.trim();
+    const filter = document.getElementById('kb-filter').value;
+    const list = document.getElementById('kb-scenario-list');
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    const visible = this.scenarios.filter(
+      scenario =>
+        this.matchesFilter(scenario, filter) && this.matchesSearch(scenario, query)
+    );
+    visible.forEach(scenario => {
+      const item = document.createElement('li');
+      item.classList.toggle('selected', scenario.name === this.selected);
+      item.classList.toggle('disabled', scenario.disabled);
+
+      const name = document.createElement('span');
+      name.className = 'kb-scenario-name';
+      name.textContent = scenario.name;
+      item.appendChild(name);
+
+      if (!scenario.builtin) {
+        item.appendChild(this.createBadge('新增', 'custom'));
+      } else if (scenario.modified) {
+        item.appendChild(this.createBadge('已修改'));
+      }
+      if (scenario.disabled) {
+        item.appendChild(this.createBadge('停用', 'disabled'));
+      }
+
+      const count = document.createElement('span');
+      count.className = 'kb-count';
+      count.textContent = scenario.threats.length;
+      item.appendChild(count);
+
+      item.addEventListener('click', () => this.selectScenario(scenario.name));
+      list.appendChild(item);
+    });
+
+    const threatCount = this.scenarios.reduce(
+      (total, scenario) => total + scenario.threats.length,
+      0
+    );
+    const modifiedCount = this.scenarios.filter(
+      scenario => scenario.builtin && scenario.modified
+    ).length;
+    const customCount = this.scenarios.filter(scenario => !scenario.builtin).length;
+    const disabledCount = this.scenarios.filter(scenario => scenario.disabled).length;
+    const shown =
+      visible.length < this.scenarios.length ? `；当前显示 ${visible.length} 个` : '';
+    document.getElementById('kb-summary').textContent =
+      `共 ${this.scenarios.length} 个场景、${threatCount} 个威胁，` +
+      `已修改 ${modifiedCount} 个，新增 ${customCount} 个，停用 ${disabledCount} 个${shown}`;
+  }
+
+  createBadge(text, type = '') {
+    const badge = document.createElement('span');
+    badge.className = `kb-badge ${type}`.trim();
+    badge.textContent = text;
+    return badge;
+  }
+
+  confirmDiscard() {
+    return !this.dirty || confirm('当前场景有未保存的修改，确定要放弃吗？');
+  }
+
+  selectScenario(name) {
+    if (name === this.selected && !this.isNew) {
+      return;
+    }
+    if (!this.confirmDiscard()) {
+      return;
+    }
+    this.selected = name;
+    this.isNew = false;
+    this.renderScenarioForm(this.getScenario(name));
+    this.renderList();
+  }
+
+  newScenario() {
+    if (!this.confirmDiscard()) {
+      return;
+    }
+    this.selected = null;
+    this.isNew = true;
+    this.renderScenarioForm({
+      name: '',
+      builtin: false,
+      modified: false,
+      disabled: false,
+      threats: [{}]
+    });
+    this.renderList();
+    document.getElementById('kb-scenario-name').focus();
+  }
+
+  renderScenarioForm(scenario) {
+    document.getElementById('kb-empty').style.display = scenario ? 'none' : 'block';
+    document.getElementById('kb-scenario-form').style.display = scenario
+      ? 'block'
+      : 'none';
+    this.dirty = false;
+    if (!scenario) {
+      return;
+    }
+
+    const nameInput = document.getElementById('kb-scenario-name');
+    nameInput.value = scenario.name;
+    // 已有场景的名称是覆盖条目的键，不允许修改
+    nameInput.readOnly = !this.isNew;
+
+    let meta = '新增场景，保存后参与知识库匹配';
+    if (scenario.builtin) {
+      const origin =
+        scenario.packs.length > 0
+          ? `来自知识库包：${scenario.packs.join('、')}`
+          : '内置场景';
+      meta = scenario.modified
+        ? `${origin}，已于 ${new Date(scenario.updatedAt).toLocaleString()} 修改`
+        : origin;
+    } else if (!this.isNew) {
+      meta = `新增的场景，最近保存于 ${new Date(scenario.updatedAt).toLocaleString()}`;
+    }
+    document.getElementById('kb-scenario-meta').textContent = meta;
+    document.getElementById('kb-scenario-disabled').checked = scenario.disabled;
+
+    const threats = document.getElementById('kb-threats');
+    while (threats.firstChild) {
+      threats.removeChild(threats.firstChild);
+    }
+    scenario.threats.forEach(threat => {
+      threats.appendChild(this.createThreatForm(threat, this.isNew));
+    });
+
+    const resetBtn = document.getElementById('kb-reset');
+    resetBtn.textContent = scenario.builtin ? '恢复内置内容' : '删除场景';
+    resetBtn.style.display =
+      this.isNew || (scenario.builtin && !scenario.modified) ? 'none' : '';
+  }
+
+  createTextField(labelText, value, multiline) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    if (!multiline) {
+      input.type = 'text';
+    }
+    input.value = value || '';
+    label.appendChild(input);
+    group.appendChild(label);
+    return { group, input };
+  }
+
+  /**
+   * 威胁编辑表单，读取时保留表单中没有的原有字段
+   */
+  createThreatForm(threat, open = false) {
+    const container = document.createElement('details');
+    container.className = 'kb-threat';
+    container.open = open;
+    container.classList.toggle('disabled', threat.disabled === true);
+
+    const summary = document.createElement('summary');
+    const title = document.createElement('span');
+    title.className = 'kb-scenario-name';
+    title.textContent = threat.name || '新威胁';
+    summary.appendChild(title);
+    const disabledBadge = this.createBadge('停用', 'disabled');
+    disabledBadge.style.display = threat.disabled === true ? '' : 'none';
+    summary.appendChild(disabledBadge);
+    container.appendChild(summary);
+
+    const fields = {};
+    const nameField = this.createTextField('威胁名称', threat.name, false);
+    nameField.input.addEventListener('input', () => {
+      title.textContent = nameField.input.value || '新威胁';
+    });
+    fields.name = nameField.input;
+    container.appendChild(nameField.group);
+
+    const detailsField = this.createTextField('威胁描述', threat.details, true);
+    fields.details = detailsField.input;
+    container.appendChild(detailsField.group);
+
+    THREAT_SECTIONS.forEach(section => {
+      const value = threat[section.key] || {};
+      const pair = document.createElement('div');
+      pair.className = 'kb-field-pair';
+      const suffix = section.required ? '' : '（可选）';
+      const sectionName = this.createTextField(
+        `${section.label}名称${suffix}`,
+        value.name,
+        false
+      );
+      const sectionDetails = this.createTextField(
+        `${section.label}内容${suffix}`,
+        value.details,
+        true
+      );
+      pair.appendChild(sectionName.group);
+      pair.appendChild(sectionDetails.group);
+      container.appendChild(pair);
+      fields[section.key] = { name: sectionName.input, details: sectionDetails.input };
+    });
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-row';
+    const disabledLabel = document.createElement('label');
+    disabledLabel.className = 'checkbox-label';
+    const disabledInput = document.createElement('input');
+    disabledInput.type = 'checkbox';
+    disabledInput.checked = threat.disabled === true;
+    disabledInput.addEventListener('change', () => {
+      container.classList.toggle('disabled', disabledInput.checked);
+      disabledBadge.style.display = disabledInput.checked ? '' : 'none';
+    });
+    disabledLabel.appendChild(disabledInput);
+    disabledLabel.appendChild(document.createTextNode('停用此威胁'));
+    actions.appendChild(disabledLabel);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'profile-btn';
+    removeBtn.textContent = '删除威胁';
+    removeBtn.addEventListener('click', () => {
+      container.remove();
+      this.dirty = true;
+    });
+    actions.appendChild(removeBtn);
+    container.appendChild(actions);
+
+    // 保存时按表单读取威胁，原对象中的其他字段原样保留
+    container.readThreat = () => {
+      const result = {
+        ...threat,
+        name: fields.name.value.trim(),
+        details: fields.details.value.trim()
+      };
+      THREAT_SECTIONS.forEach(section => {
+        const name = fields[section.key].name.value.trim();
+        const details = fields[section.key].details.value.trim();
+        if (section.required) {
+          result[section.key] = { ...threat[section.key], name, details };
+        } else {
+          result[section.key] =
+            name || details ? { name, details: details || null } : null;
+        }
+      });
+      if (disabledInput.checked) {
+        result.disabled = true;
+      } else {
+        delete result.disabled;
+      }
+      return result;
+    };
+
+    return container;
+  }
+
+  readScenarioForm() {
+    return {
+      scenario: document.getElementById('kb-scenario-name').value.trim(),
+      disabled: document.getElementById('kb-scenario-disabled').checked,
+      threats: Array.from(
+        document.querySelectorAll('#kb-threats .kb-threat'),
+        container => container.readThreat()
+      ),
+      isNew: this.isNew
+    };
+  }
+
+  async saveScenario() {
+    const data = this.readScenarioForm();
+    if (!data.scenario) {
+      this.showStatus('请填写场景名称', 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'saveKnowledgeScenario',
+        data
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未响应');
+      }
+      this.applyEditorData(response.data);
+      this.selected = data.scenario;
+      this.isNew = false;
+      this.renderScenarioForm(this.getScenario(data.scenario));
+      this.renderList();
+      this.showStatus('场景已保存，知识库已重新加载', 'success');
+    } catch (error) {
+      console.error('保存知识库场景失败:', error);
+      this.showStatus(`保存失败: ${error.message}`, 'error');
+    }
+  }
+
+  async resetScenario() {
+    const scenario = this.getScenario(this.selected);
+    if (!scenario) {
+      return;
+    }
+    const message = scenario.builtin
+      ? `确定要放弃对"${scenario.name}"的所有修改，恢复内置内容吗？`
+      : `确定要删除场景"${scenario.name}"吗？`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'resetKnowledgeScenario',
+        data: { scenario: scenario.name }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未响应');
+      }
+      this.applyEditorData(response.data);
+      if (!this.getScenario(scenario.name)) {
+        this.selected = null;
+      }
+      this.renderScenarioForm(this.getScenario(this.selected));
+      this.renderList();
+      this.showStatus(scenario.builtin ? '已恢复内置内容' : '场景已删除', 'success');
+    } catch (error) {
+      console.error('恢复知识库场景失败:', error);
+      this.showStatus(`操作失败: ${error.message}`, 'error');
+    }
+  }
+
+  showStatus(message, type) {
+    const statusDiv = document.getElementById('status');
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    statusDiv.style.display = 'block';
+
+    // 校验错误保留显示，便于对照修改
+    clearTimeout(this.statusTimer);
+    if (type === 'success') {
+      this.statusTimer = setTimeout(() => {
+        statusDiv.style.display = 'none';
+      }, 3000);
+    }
+  }
+}
+
+// 初始化知识库编辑器
+document.addEventListener('DOMContentLoaded', () => {
+  new KnowledgeBaseEditor();
+});
@@ -1,4 +1,27 @@
 // popup.js - Security Requirements Analysis Popup Logic
+/* global REQUEST_ERROR_HINTS, LLM_PROFILES_STORAGE_KEY */
+/* global normalizeLLMProfiles, resolveLLMProfileChain */
+/* global resolveImageLimits, extractDocumentImages, formatAnalysisEstimate */
+/* global ANALYSIS_JOB_STATE_LABELS */
+/* global resolveThreatWeaknesses, getWeaknessReferenceURL */
+
+// 与后台约定的流式分析端口名称
+const ANALYSIS_STREAM_PORT = 'analysis-stream';
+
+// 各分析步骤完成时对应的进度百分比
+const ANALYSIS_STEP_PROGRESS = {
+  parse: 20,
+  stac: 40,
+  ai: 60,
+  result: 100
+};
+
+// 合规映射中条款的覆盖情况
+const COMPLIANCE_STATUS_LABELS = {
+  covered: '已覆盖',
+  partial: '部分覆盖',
+  uncovered: '未覆盖'
+};
 
 class SecurityAnalysisPopup {
   constructor() {
@@ -19,6 +42,22 @@ class SecurityAnalysisPopup {
 
     // 导出相关属性
     this.lastAnalysisResult = null;
+    // 结果所属的后台任务，追问时用于读取原始需求，合并条目后同步更新任务结果
+    this.lastAnalysisJobId = null;
+
+    // 追问对话记录
+    this.followUpHistory = [];
+    this.followUpPending = false;
+
+    // 流式输出相关属性
+    this.streamedText = '';
+    this.streamedThreatCount = 0;
+    this.streamChunk = null;
+
+    // 后台正在执行的分析任务，用于取消
+    this.currentJobId = null;
+    // 从点击到任务结束期间为 true，在第一个 await 之前同步置位，防止连点重复发起任务
+    this.analysisInFlight = false;
 
     this.init();
   }
@@ -38,6 +77,7 @@ class SecurityAnalysisPopup {
     this.bindEvents();
     this.showContent();
     this.showConfigStatus(configStatus);
+    this.resumePendingAnalysis();
   }
 
   showLoading() {
@@ -484,6 +524,21 @@ class SecurityAnalysisPopup {
       this.startAnalysis();
     });
 
+    // 强制重新分析按钮：跳过缓存重新调用模型
+    document.getElementById('force-analyze-btn')?.addEventListener('click', () => {
+      this.startAnalysis({ forceRefresh: true });
+    });
+
+    // 脱敏预览按钮
+    document.getElementById('redaction-preview-btn')?.addEventListener('click', () => {
+      this.previewRedaction();
+    });
+
+    // 取消分析按钮
+    document.getElementById('cancel-analysis-btn')?.addEventListener('click', () => {
+      this.cancelAnalysis();
+    });
+
     // 导出按钮
     document.getElementById('export-btn')?.addEventListener('click', () => {
       this.showExportOptions();
@@ -494,6 +549,17 @@ class SecurityAnalysisPopup {
       this.openBatchAnalysis();
     });
 
+    // 追问发送按钮，Ctrl/Cmd+Enter 同样发送
+    document.getElementById('followup-send-btn')?.addEventListener('click', () => {
+      this.sendFollowUp();
+    });
+    document.getElementById('followup-input')?.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.sendFollowUp();
+      }
+    });
+
     // 附件选择变化
     document.addEventListener('change', e => {
       if (e.target.name === 'attachment') {
@@ -718,11 +784,18 @@ class SecurityAnalysisPopup {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   }
 
-  async startAnalysis() {
+  /**
+   * @param {Object} options - forceRefresh 为 true 时跳过缓存重新分析
+   */
+  async startAnalysis(options = {}) {
     console.log('🚀 开始分析按钮被点击');
+    // 已有任务在执行时不重复发起
+    if (this.analysisInFlight) return;
+    this.analysisInFlight = true;
+
     try {
       this.showProgress();
-      this.updateProgress(10, '准备分析...', '正在验证输入内容');
+      this.updateProgress(5, '准备分析...', '正在获取分析内容');
 
       console.log('📊 获取分析内容...');
       const content = await this.getAnalysisContent();
@@ -732,33 +805,442 @@ class SecurityAnalysisPopup {
         throw new Error('没有可分析的内容');
       }
 
-      this.updateProgress(30, '解析内容...', '正在处理文档内容');
-      await new Promise(resolve => setTimeout(resolve, 500));
+      // 内容中有疑似提示词注入时，先让用户查看可疑片段再决定是否发送
+      if (!(await this.confirmContentScreening(content))) {
+        return;
+      }
 
-      this.updateProgress(70, 'AI分析中...', '正在生成安全分析');
+      // 发起请求前估算用量，内容超出模型上下文窗口时需要用户确认
+      if (!(await this.confirmAnalysisEstimate(content))) {
+        return;
+      }
+
+      this.updateProgress(10, '开始分析...', '正在连接后台服务');
       console.log('🤖 调用AI分析...');
-      const result = await this.performAnalysis(content);
+      const result = await this.performAnalysis(content, options);
       console.log('🤖 AI分析结果:', result);
 
-      this.updateProgress(100, '分析完成', '正在生成结果');
-      this.hideProgress();
+      this.completeAnalysis(result);
+    } catch (error) {
+      this.handleAnalysisError(error);
+    } finally {
+      this.analysisInFlight = false;
+    }
+  }
 
-      setTimeout(() => {
-        this.showAnalysisResult(result);
-      }, 500);
+  // popup重新打开时连接到仍在执行（或结果尚未取回）的后台任务，避免重复发起分析
+  async resumePendingAnalysis() {
+    this.loadJobList();
+    if (this.analysisInFlight) return;
+
+    let job;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getPendingAnalysis' });
+      job = response?.job;
     } catch (error) {
-      console.error('❌ 分析过程出错:', error);
-      this.hideProgress();
-      this.showError('分析失败', error.message || '分析过程中出现未知错误', {
-        retryable: true,
+      console.warn('⚠️ 查询后台分析任务失败:', error);
+      return;
+    }
+    if (!job) return;
+
+    console.log('🔄 重新连接到分析任务:', job);
+    await this.attachToJob(job.jobId, '已重新连接到后台分析任务');
+  }
+
+  // 连接到后台任务并显示进度，已结束的任务直接显示结果
+  async attachToJob(jobId, details) {
+    if (this.analysisInFlight) return;
+    this.analysisInFlight = true;
+
+    this.currentOperation = 'analysis';
+    this.showProgress();
+    this.updateProgress(10, '分析进行中...', details);
+
+    try {
+      const result = await this.connectAnalysisJob({ action: 'attachAnalysis', jobId });
+      this.completeAnalysis(result);
+    } catch (error) {
+      this.handleAnalysisError(error);
+    } finally {
+      this.analysisInFlight = false;
+    }
+  }
+
+  async loadJobList() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listAnalysisJobs' });
+      this.renderJobList(response?.jobs || []);
+    } catch (error) {
+      console.warn('⚠️ 获取分析任务列表失败:', error);
+    }
+  }
+
+  renderJobList(jobs) {
+    const section = document.getElementById('jobs-section');
+    const list = document.getElementById('job-list');
+    if (!section || !list) return;
+
+    section.style.display = jobs.length > 0 ? 'block' : 'none';
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    jobs.forEach(job => {
+      const item = document.createElement('div');
+      item.className = `job-item ${job.state}`;
+
+      const info = document.createElement('div');
+      info.className = 'job-info';
+      const title = document.createElement('div');
+      title.className = 'job-title';
+      title.textContent = job.title;
+      title.title = job.title;
+      const meta = document.createElement('div');
+      meta.className = 'job-meta';
+      meta.textContent = [
+        ANALYSIS_JOB_STATE_LABELS[job.state] || job.state,
+        new Date(job.createdAt).toLocaleString(),
+        job.state === 'failed' ? job.error : null
+      ]
+        .filter(Boolean)
+        .join(' · ');
+      info.appendChild(title);
+      info.appendChild(meta);
+      item.appendChild(info);
+
+      const action = document.createElement('button');
+      action.className = 'debug-btn';
+      if (job.state === 'done') {
+        action.textContent = '打开';
+        action.onclick = () => this.attachToJob(job.id, '正在打开分析结果');
+      } else if (job.state === 'failed') {
+        action.textContent = '重试';
+        action.onclick = () => this.retryJob(job.id);
+      } else {
+        action.textContent = '查看进度';
+        action.onclick = () => this.attachToJob(job.id, '已连接到后台分析任务');
+      }
+      item.appendChild(action);
+
+      list.appendChild(item);
+    });
+  }
+
+  async retryJob(jobId) {
+    if (this.analysisInFlight) return;
+    this.analysisInFlight = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'retryAnalysisJob',
+        data: { jobId }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '重试分析任务失败');
+      }
+    } catch (error) {
+      this.handleAnalysisError(error);
+      return;
+    } finally {
+      // 紧接着由 attachToJob 同步重新置位，中间没有 await
+      this.analysisInFlight = false;
+    }
+
+    this.loadJobList();
+    await this.attachToJob(jobId, '已重新开始分析任务');
+  }
+
+  completeAnalysis(result) {
+    this.updateProgress(100, '分析完成', '正在生成结果');
+    this.hideProgress();
+    this.loadJobList();
+
+    if (result?.cache?.hit) {
+      const cachedAt = new Date(result.cache.cachedAt).toLocaleString();
+      this.showTimeoutNotification(
+        `结果来自 ${cachedAt} 的缓存，如需重新调用模型请点击"♻️ 强制重新分析"`
+      );
+    }
+
+    setTimeout(() => {
+      this.showAnalysisResult(result);
+    }, 500);
+  }
+
+  handleAnalysisError(error) {
+    this.hideProgress();
+    this.loadJobList();
+
+    // 用户主动取消不作为错误提示
+    if (error.kind === 'aborted') {
+      console.log('⏹️ 分析已取消');
+      return;
+    }
+
+    console.error('❌ 分析过程出错:', error);
+    // 后台返回的错误类型对应具体原因和处理建议
+    const hint = REQUEST_ERROR_HINTS[error.kind];
+    const message = error.message || '分析过程中出现未知错误';
+    this.showError(
+      hint ? `分析失败：${hint.title}` : '分析失败',
+      hint ? `${message}\n${hint.hint}` : message,
+      {
+        retryable: hint ? hint.retryable : true,
         fallback: {
           text: '使用简化分析',
           action: () => this.fallbackAnalysis()
         }
+      }
+    );
+  }
+
+  async cancelAnalysis() {
+    if (!this.currentJobId) return;
+
+    document.getElementById('cancel-analysis-btn').disabled = true;
+    this.updateProgress(-1, '正在取消...', '正在停止后台分析');
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'cancelAnalysis',
+        data: { jobId: this.currentJobId }
+      });
+    } catch (error) {
+      console.warn('⚠️ 取消分析失败:', error);
+      document.getElementById('cancel-analysis-btn').disabled = false;
+    }
+  }
+
+  // 记录当前任务并切换取消按钮的显示
+  setCurrentJob(jobId) {
+    this.currentJobId = jobId;
+
+    const cancelBtn = document.getElementById('cancel-analysis-btn');
+    if (cancelBtn) {
+      cancelBtn.style.display = jobId ? 'inline-block' : 'none';
+      cancelBtn.disabled = false;
+    }
+  }
+
+  /**
+   * 筛查需求内容中的提示词注入迹象，发现可疑片段时由用户确认是否继续
+   * 继续分析时后台会隔离需求内容，并在结果中记录筛查结果
+   * @returns {Promise<boolean>} 是否继续分析
+   */
+  async confirmContentScreening(content) {
+    let screening;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'screenContent',
+        data: { content: content.content }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回筛查结果');
+      }
+      screening = response.data;
+    } catch (error) {
+      // 后台分析时仍会筛查，这里失败不阻止分析
+      console.warn('⚠️ 提示词注入筛查失败:', error);
+      return true;
+    }
+
+    if (!screening.detected) {
+      return true;
+    }
+
+    console.warn('⚠️ 疑似提示词注入:', screening);
+    this.hideProgress();
+    const confirmed = await this.showScreeningPanel(screening);
+    if (confirmed) {
+      this.showProgress();
+      this.updateProgress(6, '准备分析...', '已确认可疑内容');
+    }
+    return confirmed;
+  }
+
+  showScreeningPanel(screening) {
+    const container = document.getElementById('screening-container');
+    const list = document.getElementById('screening-list');
+    const omitted = screening.indicatorCount - screening.indicators.length;
+
+    document.getElementById('screening-message').textContent = [
+      `共发现 ${screening.indicatorCount} 处可疑内容${omitted > 0 ? `（仅显示前 ${screening.indicators.length} 处）` : ''}。`,
+      '这些文本可能试图改变模型的分析行为。继续分析时，需求内容会被隔离标注、不可见字符会被移除，结果中也会记录筛查情况。'
+    ].join('\n');
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    screening.indicators.forEach(indicator => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'screening-label';
+      label.textContent = `${indicator.label}：`;
+      const mark = document.createElement('mark');
+      mark.textContent = indicator.match;
+      item.append(label, indicator.before, mark, indicator.after);
+      list.appendChild(item);
+    });
+
+    container.classList.add('active');
+
+    return new Promise(resolve => {
+      const finish = confirmed => {
+        container.classList.remove('active');
+        resolve(confirmed);
+      };
+      document.getElementById('screening-continue-btn').onclick = () => finish(true);
+      document.getElementById('screening-cancel-btn').onclick = () => finish(false);
+    });
+  }
+
+  /**
+   * 预览发送到当前模型前会被替换为占位符的敏感信息
+   */
+  async previewRedaction() {
+    try {
+      const content = await this.getAnalysisContent();
+      if (!content || !content.content) {
+        throw new Error('没有可分析的内容');
+      }
+
+      const response = await chrome.runtime.sendMessage({
+        action: 'previewRedaction',
+        data: {
+          content: content.content,
+          prompt: document.getElementById('custom-prompt').value.trim()
+        }
       });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回脱敏预览');
+      }
+      this.showRedactionPanel(response.data, content);
+    } catch (error) {
+      console.error('❌ 脱敏预览失败:', error);
+      this.showTimeoutNotification(`脱敏预览失败: ${error.message}`);
     }
   }
 
+  showRedactionPanel(preview, content) {
+    const container = document.getElementById('redaction-container');
+    const list = document.getElementById('redaction-list');
+    const target = `${preview.profile.name}（${preview.profile.model || preview.profile.provider}）`;
+
+    let message;
+    if (!preview.enabled) {
+      message = `脱敏已在配置页关闭，内容将按原文发送到 ${target}。`;
+    } else if (!preview.remote) {
+      message = `${target} 为本机模型服务，不做脱敏。`;
+    } else if (preview.total === 0) {
+      message = `未发现需要脱敏的内容，将按原文发送到 ${target}。`;
+    } else {
+      message = `发送到 ${target} 前将替换 ${preview.total} 处敏感信息，分析结果在本地还原。`;
+    }
+    const lines = [message];
+    if (content.images?.length > 0 && preview.enabled && preview.remote) {
+      lines.push(`文档中的 ${content.images.length} 张图片无法脱敏，将按原样发送。`);
+    }
+    document.getElementById('redaction-message').textContent = lines.join('\n');
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    preview.matches.forEach(match => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.className = 'screening-label';
+      label.textContent = `${match.label}：`;
+      const original = document.createElement('mark');
+      original.textContent = match.original;
+      item.append(label, original, ` → ${match.placeholder}`);
+      list.appendChild(item);
+    });
+
+    container.classList.add('active');
+    document.getElementById('redaction-close-btn').onclick = () => {
+      container.classList.remove('active');
+    };
+    document.getElementById('redaction-analyze-btn').onclick = () => {
+      container.classList.remove('active');
+      this.startAnalysis();
+    };
+  }
+
+  /**
+   * 估算token用量和费用并显示在进度区域
+   * 估算状态为 warn 时由用户确认是否继续，为 block 时只能取消或调整配置
+   * @returns {Promise<boolean>} 是否继续分析
+   */
+  async confirmAnalysisEstimate(content) {
+    const estimateEl = document.getElementById('progress-estimate');
+    estimateEl.textContent = '';
+
+    let estimate;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'estimateAnalysis',
+        data: {
+          content: content.content,
+          prompt: document.getElementById('custom-prompt').value.trim(),
+          imageCount: content.images?.length || 0
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '后台未返回估算结果');
+      }
+      estimate = response.data;
+    } catch (error) {
+      // 估算只是辅助信息，失败时不阻止分析
+      console.warn('⚠️ 用量估算失败:', error);
+      return true;
+    }
+
+    console.log('💰 用量估算:', estimate);
+    estimateEl.textContent = formatAnalysisEstimate(estimate);
+    if (estimate.status === 'ok') {
+      return true;
+    }
+
+    this.hideProgress();
+    const confirmed = await this.showEstimatePanel(estimate);
+    if (confirmed) {
+      this.showProgress();
+      this.updateProgress(8, '准备分析...', '已确认分析用量');
+    }
+    return confirmed;
+  }
+
+  showEstimatePanel(estimate) {
+    const container = document.getElementById('estimate-container');
+    const blocked = estimate.status === 'block';
+
+    container.classList.toggle('blocked', blocked);
+    container.classList.add('active');
+    document.getElementById('estimate-title').textContent = blocked
+      ? '⛔ 内容超出模型上下文窗口'
+      : '⚠️ 内容较长，请确认分析用量';
+    document.getElementById('estimate-message').textContent = [
+      ...estimate.warnings,
+      formatAnalysisEstimate(estimate)
+    ].join('\n');
+
+    const continueBtn = document.getElementById('estimate-continue-btn');
+    continueBtn.style.display = blocked ? 'none' : '';
+
+    return new Promise(resolve => {
+      const finish = confirmed => {
+        container.classList.remove('active');
+        resolve(confirmed);
+      };
+      continueBtn.onclick = () => finish(true);
+      document.getElementById('estimate-cancel-btn').onclick = () => finish(false);
+      document.getElementById('estimate-config-btn').onclick = () => {
+        chrome.runtime.openOptionsPage();
+        finish(false);
+      };
+    });
+  }
+
   async getAnalysisContent() {
     console.log('📊 开始获取分析内容...');
 
@@ -771,10 +1253,13 @@ class SecurityAnalysisPopup {
         this.updateProgress(20, '解析本地文件...', '正在读取文件内容');
         const fileContent = await this.parseLocalFile(this.selectedFile);
         console.log('✅ 本地文件解析成功，内容长度:', fileContent.length);
+        const { images, skipped } = await this.extractLocalFileImages(this.selectedFile);
         return {
           type: 'localFile',
           content: fileContent,
-          filename: this.selectedFile.name
+          filename: this.selectedFile.name,
+          images,
+          skippedImages: skipped
         };
       } catch (error) {
         console.warn('❌ 本地文件解析失败:', error);
@@ -860,6 +1345,51 @@ class SecurityAnalysisPopup {
     }
   }
 
+  /**
+   * 提取本地文件中的架构图、流程图，仅在有档案开启图片输入时进行
+   * 图片提取失败不影响文本分析
+   */
+  async extractLocalFileImages(file) {
+    const none = { images: [], skipped: [] };
+
+    try {
+      const settings = await chrome.storage.sync.get([
+        'llmConfig',
+        LLM_PROFILES_STORAGE_KEY,
+        'analysisConfig'
+      ]);
+      const profiles = resolveLLMProfileChain(
+        normalizeLLMProfiles(settings[LLM_PROFILES_STORAGE_KEY], settings.llmConfig || {})
+      );
+      if (!profiles.some(profile => profile.visionEnabled)) {
+        return none;
+      }
+
+      this.updateProgress(25, '提取文档图片...', '正在渲染文档中的图表');
+      if (self.pdfjsLib && !self.pdfjsLib.GlobalWorkerOptions.workerSrc) {
+        self.pdfjsLib.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(
+          'libs/pdf.worker.min.js'
+        );
+      }
+
+      const arrayBuffer = await this.fileToArrayBuffer(file);
+      const result = await extractDocumentImages(
+        file,
+        arrayBuffer,
+        resolveImageLimits(settings.analysisConfig),
+        { pdfjsLib: self.pdfjsLib, mammoth: self.mammoth }
+      );
+      console.log(
+        `🖼️ 提取图片 ${result.images.length} 张，跳过 ${result.skipped.length} 张`,
+        result.skipped
+      );
+      return result;
+    } catch (error) {
+      console.warn('⚠️ 文档图片提取失败，仅分析文本:', error);
+      return none;
+    }
+  }
+
   // 将文件转换为ArrayBuffer
   fileToArrayBuffer(file) {
     console.log('📁 开始将文件转换为ArrayBuffer:', file.name);
@@ -881,24 +1411,257 @@ class SecurityAnalysisPopup {
     });
   }
 
-  async performAnalysis(content) {
+  // 通过长连接端口发起分析，实时接收进度和模型输出
+  performAnalysis(content, options = {}) {
     const customPrompt = document.getElementById('custom-prompt').value.trim();
 
-    // Send to background for analysis
-    const result = await chrome.runtime.sendMessage({
+    return this.connectAnalysisJob({
       action: 'analyzeContent',
       data: {
         content: content.content,
         prompt: customPrompt,
-        source: this.selectedSource
+        source: this.selectedSource,
+        images: content.images,
+        skippedImages: content.skippedImages,
+        forceRefresh: Boolean(options.forceRefresh)
       }
     });
+  }
+
+  /**
+   * 连接到后台分析任务，接收进度、模型输出和最终结果
+   * 重新连接时后台会先回放任务已有的进度和输出
+   * @param {Object} request - analyzeContent 创建新任务，attachAnalysis 连接到已有任务
+   * @returns {Promise<Object>} 分析结果
+   */
+  connectAnalysisJob(request) {
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: ANALYSIS_STREAM_PORT });
+      let settled = false;
+      let jobId = request.jobId || null;
+
+      this.resetStreamPreview();
+
+      const settle = () => {
+        settled = true;
+        this.setCurrentJob(null);
+        port.disconnect();
+      };
+
+      port.onMessage.addListener(message => {
+        switch (message.type) {
+          case 'job':
+            jobId = message.jobId;
+            this.setCurrentJob(message.jobId);
+            if (request.action === 'analyzeContent') {
+              this.loadJobList();
+            }
+            break;
+          case 'progress':
+            this.handleAnalysisProgress(message);
+            break;
+          case 'token':
+            this.appendStreamToken(message.delta);
+            break;
+          case 'result':
+            settle();
+            this.lastAnalysisJobId = jobId;
+            resolve(message.data);
+            break;
+          case 'error':
+            settle();
+            reject(
+              Object.assign(new Error(message.error || 'AI分析失败'), {
+                kind: message.errorKind
+              })
+            );
+            break;
+          default:
+            console.warn('⚠️ 未知的流式消息:', message);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          this.setCurrentJob(null);
+          reject(new Error('与后台服务的连接已断开'));
+        }
+      });
+
+      port.postMessage(request);
+    });
+  }
+
+  // 根据后台上报的步骤更新进度条和步骤图标
+  handleAnalysisProgress(progress) {
+    this.setProgressStep(progress.step, progress.status);
+
+    // 切换到备用档案后重新接收模型输出，丢弃失败档案的部分输出
+    if (progress.profile) {
+      this.resetStreamPreview();
+    }
+
+    // 长文档分块分析时，每个分块的模型输出单独解析
+    if (progress.chunk) {
+      this.startStreamChunk(progress.chunk);
+    }
+
+    const percentage =
+      progress.status === 'completed' ? ANALYSIS_STEP_PROGRESS[progress.step] : undefined;
+    const text =
+      progress.step === 'ai' && progress.status === 'active' ? 'AI分析中...' : null;
+    this.updateProgress(percentage ?? -1, text, progress.message);
+  }
 
-    if (!result.success) {
-      throw new Error(result.error || 'AI分析失败');
+  setProgressStep(step, status) {
+    const icon = document.getElementById(`step-${step}`);
+    if (icon) {
+      icon.className = `step-icon ${status}`;
     }
+  }
+
+  startStreamChunk(chunk) {
+    this.streamChunk = chunk;
+    this.streamedText = '';
+    this.streamedThreatCount = 0;
+  }
 
-    return result.data;
+  resetStreamPreview() {
+    this.streamedText = '';
+    this.streamedThreatCount = 0;
+    this.streamChunk = null;
+
+    const preview = document.getElementById('stream-preview');
+    const threatList = document.getElementById('stream-threat-list');
+    const output = document.getElementById('stream-output');
+
+    if (preview) preview.style.display = 'none';
+    if (output) output.textContent = '';
+    if (threatList) {
+      while (threatList.firstChild) {
+        threatList.removeChild(threatList.firstChild);
+      }
+    }
+    document.getElementById('stream-threat-count').textContent = '0';
+  }
+
+  appendStreamToken(delta) {
+    if (!delta) return;
+
+    this.streamedText += delta;
+
+    const preview = document.getElementById('stream-preview');
+    const output = document.getElementById('stream-output');
+    preview.style.display = 'block';
+
+    // 只展示末尾部分，避免长输出撑开弹窗
+    output.textContent = this.streamedText.slice(-400);
+    output.scrollTop = output.scrollHeight;
+
+    // 模型输出长度未知，进度按已接收字符数渐近逼近当前分块的上限
+    const chunk = this.streamChunk || { index: 0, total: 1 };
+    const span = (95 - ANALYSIS_STEP_PROGRESS.ai) / chunk.total;
+    const received = this.streamedText.length;
+    const streamProgress = 1 - Math.exp(-received / 3000);
+    this.updateProgress(
+      ANALYSIS_STEP_PROGRESS.ai + span * (chunk.index + streamProgress),
+      'AI分析中...',
+      chunk.total > 1
+        ? `第 ${chunk.index + 1}/${chunk.total} 部分，已接收 ${received} 个字符`
+        : `已接收 ${received} 个字符`
+    );
+
+    this.renderStreamedThreats();
+  }
+
+  // 将已完整输出的威胁对象逐条追加到列表
+  renderStreamedThreats() {
+    const threats = this.extractStreamedThreats(this.streamedText);
+    if (threats.length <= this.streamedThreatCount) return;
+
+    const threatList = document.getElementById('stream-threat-list');
+    threats.slice(this.streamedThreatCount).forEach(threat => {
+      const item = document.createElement('li');
+      const level = document.createElement('span');
+      level.className = `stream-threat-level ${threat.level || 'medium'}`;
+      level.textContent = threat.level || 'medium';
+      item.appendChild(level);
+      if (/^KB-\d+/i.test(threat.source || '')) {
+        item.appendChild(document.createTextNode('[知识库] '));
+      }
+      item.appendChild(
+        document.createTextNode(
+          [threat.type, threat.description].filter(Boolean).join('：') || '未命名威胁'
+        )
+      );
+      // 流式输出中的威胁尚未经过后台处理，先按本地映射表显示标签
+      item.appendChild(
+        this.createWeaknessLinks(
+          resolveThreatWeaknesses([threat.type, threat.description], threat.cwe)
+        )
+      );
+      threatList.appendChild(item);
+    });
+
+    this.streamedThreatCount = threats.length;
+    document.getElementById('stream-threat-count').textContent = String(
+      threatList.children.length
+    );
+  }
+
+  /**
+   * 从尚未输出完整的JSON文本中提取 threats 数组里已闭合的对象
+   * @param {string} text - 已接收的模型输出
+   * @returns {Object[]} 已完整解析的威胁
+   */
+  extractStreamedThreats(text) {
+    const keyIndex = text.indexOf('"threats"');
+    if (keyIndex === -1) return [];
+
+    const arrayStart = text.indexOf('[', keyIndex);
+    if (arrayStart === -1) return [];
+
+    const threats = [];
+    let depth = 0;
+    let objectStart = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = arrayStart + 1; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        if (depth === 0) objectStart = i;
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0 && objectStart !== -1) {
+          try {
+            threats.push(JSON.parse(text.slice(objectStart, i + 1)));
+          } catch (error) {
+            // 模型输出的对象不是合法JSON时跳过，最终结果以完整解析为准
+          }
+          objectStart = -1;
+        }
+      } else if (char === ']' && depth === 0) {
+        break;
+      }
+    }
+
+    return threats;
   }
 
   async fallbackAnalysis() {
@@ -917,6 +1680,7 @@ class SecurityAnalysisPopup {
       });
 
       if (result.success) {
+        this.lastAnalysisJobId = null;
         this.showAnalysisResult(result.data);
       } else {
         throw new Error(result.error);
@@ -932,15 +1696,19 @@ class SecurityAnalysisPopup {
   showProgress() {
     const container = document.getElementById('progress-container');
     container.classList.add('active');
+    Object.keys(ANALYSIS_STEP_PROGRESS).forEach(step =>
+      this.setProgressStep(step, 'pending')
+    );
     this.hideError();
   }
 
+  // percentage 为负数时仅更新文字
   updateProgress(percentage, text, details = '') {
     const progressFill = document.getElementById('progress-fill');
     const progressText = document.getElementById('progress-text');
     const progressDetails = document.getElementById('progress-details');
 
-    if (progressFill)
+    if (progressFill && percentage >= 0)
       progressFill.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
     if (progressText && text) progressText.textContent = text;
     if (progressDetails && details) progressDetails.textContent = details;
@@ -1014,6 +1782,7 @@ class SecurityAnalysisPopup {
   showAnalysisResult(result) {
     // 保存分析结果以供导出
     this.lastAnalysisResult = result;
+    this.resetFollowUp();
 
     // 显示导出按钮
     const exportBtn = document.getElementById('export-btn');
@@ -1032,6 +1801,7 @@ class SecurityAnalysisPopup {
           .section { margin-bottom: 20px; padding: 15px; border: 1px solid #dee2e6; border-radius: 5px; }
           .analysis { background: #fff; }
           pre { background: #f8f9fa; padding: 10px; border-radius: 3px; overflow-x: auto; }
+          .weakness-tag { margin-left: 6px; font-size: 12px; }
         </style>
       </head>
       <body>
@@ -1039,6 +1809,7 @@ class SecurityAnalysisPopup {
           <h1>🛡️ 安全需求分析结果</h1>
           <p>生成时间: ${new Date().toLocaleString()}</p>
         </div>
+        ${this.formatThreatWeaknessesAsHTML(result.threats)}
         <div class="section analysis">
           <h2>📊 分析结果</h2>
           <pre>${JSON.stringify(result, null, 2)}</pre>
@@ -1074,6 +1845,138 @@ class SecurityAnalysisPopup {
     }
   }
 
+  // 新的分析结果开始新的追问对话
+  resetFollowUp() {
+    this.followUpHistory = [];
+
+    const section = document.getElementById('followup-section');
+    const messages = document.getElementById('followup-messages');
+    if (!section || !messages) return;
+
+    while (messages.firstChild) {
+      messages.removeChild(messages.firstChild);
+    }
+    section.style.display = this.lastAnalysisResult ? 'block' : 'none';
+  }
+
+  // 发送追问，原始需求和当前结果由后台作为上下文
+  async sendFollowUp() {
+    const input = document.getElementById('followup-input');
+    const question = input.value.trim();
+    if (!question || this.followUpPending || !this.lastAnalysisResult) return;
+
+    this.followUpPending = true;
+    const sendBtn = document.getElementById('followup-send-btn');
+    sendBtn.disabled = true;
+    input.value = '';
+    this.appendFollowUpMessage('user', question);
+    const pendingEl = this.appendFollowUpMessage('assistant', '思考中...');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'followUpAnalysis',
+        data: {
+          jobId: this.lastAnalysisJobId,
+          result: this.lastAnalysisResult,
+          history: this.followUpHistory,
+          question
+        }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '追问失败');
+      }
+
+      const { answer, reply, items } = response.data;
+      this.followUpHistory.push(
+        { role: 'user', content: question },
+        { role: 'assistant', content: reply }
+      );
+      pendingEl.textContent = answer;
+      this.renderFollowUpItems(pendingEl, items);
+    } catch (error) {
+      console.error('❌ 追问失败:', error);
+      pendingEl.className = 'followup-message error';
+      pendingEl.textContent = `追问失败：${error.message}`;
+      // 失败的问题放回输入框，便于修改后重试
+      input.value = question;
+    } finally {
+      this.followUpPending = false;
+      sendBtn.disabled = false;
+    }
+  }
+
+  appendFollowUpMessage(role, text) {
+    const messages = document.getElementById('followup-messages');
+    const messageEl = document.createElement('div');
+    messageEl.className = `followup-message ${role}`;
+    messageEl.textContent = text;
+    messages.appendChild(messageEl);
+    messages.scrollTop = messages.scrollHeight;
+    return messageEl;
+  }
+
+  // 回答中包含新增的威胁或测试场景时，提供合并到结果的按钮
+  renderFollowUpItems(messageEl, items) {
+    const threats = items?.threats || [];
+    const scenarios = items?.testScenarios || [];
+    if (threats.length === 0 && scenarios.length === 0) return;
+
+    const itemsEl = document.createElement('div');
+    itemsEl.className = 'followup-items';
+
+    const list = document.createElement('ul');
+    threats.forEach(threat => {
+      const li = document.createElement('li');
+      li.textContent = `威胁：${threat.description}（${threat.level}）`;
+      li.appendChild(this.createWeaknessLinks(threat));
+      list.appendChild(li);
+    });
+    scenarios.forEach(scenario => {
+      const li = document.createElement('li');
+      li.textContent = `测试场景：${scenario.category} - ${scenario.description}`;
+      list.appendChild(li);
+    });
+    itemsEl.appendChild(list);
+
+    const mergeBtn = document.createElement('button');
+    mergeBtn.className = 'debug-btn';
+    mergeBtn.textContent = `合并到分析结果（${threats.length} 个威胁，${scenarios.length} 个测试场景）`;
+    mergeBtn.onclick = () => this.mergeFollowUpItems(items, mergeBtn);
+    itemsEl.appendChild(mergeBtn);
+
+    messageEl.appendChild(itemsEl);
+  }
+
+  async mergeFollowUpItems(items, mergeBtn) {
+    mergeBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'mergeFollowUpItems',
+        data: { jobId: this.lastAnalysisJobId, result: this.lastAnalysisResult, items }
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || '合并失败');
+      }
+
+      const before = this.lastAnalysisResult.followUp;
+      const after = response.result.followUp;
+      const addedThreats = after.mergedThreats - (before?.mergedThreats || 0);
+      const addedScenarios =
+        after.mergedTestScenarios - (before?.mergedTestScenarios || 0);
+      this.lastAnalysisResult = response.result;
+
+      mergeBtn.textContent = '✅ 已合并';
+      this.showTimeoutNotification(
+        `已合并 ${addedThreats} 个威胁、${addedScenarios} 个测试场景，重复的条目已跳过；导出结果将包含新增条目`
+      );
+    } catch (error) {
+      console.error('❌ 合并追问结果失败:', error);
+      mergeBtn.disabled = false;
+      this.showTimeoutNotification(`合并失败：${error.message}`);
+    }
+  }
+
   // 显示导出选项
   showExportOptions() {
     if (!this.lastAnalysisResult) {
@@ -1086,6 +1989,9 @@ class SecurityAnalysisPopup {
       { value: 'txt', text: '文本格式', icon: '📝' },
       { value: 'html', text: 'HTML 报告', icon: '🌐' }
     ];
+    if (this.lastAnalysisResult.compliance) {
+      exportOptions.push({ value: 'compliance', text: '合规映射表 (CSV)', icon: '📋' });
+    }
 
     let optionsHtml =
       '<div style="text-align: center; margin-bottom: 15px;"><strong>选择导出格式</strong></div>';
@@ -1135,6 +2041,16 @@ class SecurityAnalysisPopup {
         extension = 'html';
         break;
 
+      case 'compliance':
+        if (!this.lastAnalysisResult.compliance) {
+          this.showTimeoutNotification('分析结果没有引用标准条款');
+          return;
+        }
+        content = this.formatComplianceAsCSV(this.lastAnalysisResult.compliance);
+        mimeType = 'text/csv';
+        extension = 'compliance.csv';
+        break;
+
       default:
         this.showTimeoutNotification('不支持的导出格式');
         return;
@@ -1149,11 +2065,140 @@ class SecurityAnalysisPopup {
     }
   }
 
+  // 混合分析结果中条目的来源说明，其他分析方式的结果没有来源标记
+  describeItemOrigin(item) {
+    if (item.origin === 'knowledge_base' && item.knowledgeBaseRef) {
+      return `知识库（${item.knowledgeBaseRef.scenario} / ${item.knowledgeBaseRef.threat}）`;
+    }
+    if (item.origin === 'follow_up') {
+      return '追问补充';
+    }
+    return item.origin === 'model' ? '模型补充' : null;
+  }
+
+  // 提示词注入筛查结果按类型汇总，如"要求忽略之前的指令 2 处"
+  describePromptInjection(promptInjection) {
+    return Object.values(promptInjection.types).map(
+      ({ label, count }) => `${label} ${count} 处`
+    );
+  }
+
+  // 脱敏统计按类型汇总，如"手机号 2 处"，结果中不保存被脱敏的原文
+  describeRedaction(redaction) {
+    return Object.values(redaction.counts).map(
+      ({ label, count }) => `${label} ${count} 处`
+    );
+  }
+
+  // 参与匹配的知识库包，如"支付安全 1.2.0（安全团队）"
+  describeKnowledgePacks(knowledgePacks) {
+    return knowledgePacks
+      .map(pack => `${pack.name} ${pack.version}（${pack.author}）`)
+      .join('、');
+  }
+
+  escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  // 标准或法律的显示名称，如"JR/T 0068-2020 网上银行系统信息安全通用规范"
+  describeComplianceStandard(standard) {
+    return standard.title ? `${standard.standard} ${standard.title}` : standard.standard;
+  }
+
+  // 引用条款的知识库威胁及结果中是否有其安全需求和测试用例
+  describeComplianceThreat(threat) {
+    return `${threat.scenario} / ${threat.threat}（安全需求${threat.requirement ? '✓' : '✗'} 测试用例${threat.testCase ? '✓' : '✗'}）`;
+  }
+
+  // 合规映射汇总，如"涉及 3 项标准和法律的 8 个条款：已覆盖 6，部分覆盖 1，未覆盖 1"
+  describeComplianceSummary(summary) {
+    return `涉及 ${summary.standards} 项标准和法律的 ${summary.clauses} 个条款：${Object.entries(
+      COMPLIANCE_STATUS_LABELS
+    )
+      .map(([status, label]) => `${label} ${summary[status]}`)
+      .join('，')}`;
+  }
+
+  // 合规映射表，每行一个条款和引用它的一个知识库威胁，供审计人员在表格软件中筛选
+  formatComplianceAsCSV(compliance) {
+    const quote = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [
+      [
+        '标准',
+        '标准名称',
+        '条款',
+        '覆盖情况',
+        '场景',
+        '威胁',
+        '安全需求',
+        '测试用例',
+        'CWE',
+        'CAPEC',
+        '参考链接',
+        '原始引用'
+      ]
+    ];
+
+    compliance.standards.forEach(standard => {
+      standard.clauses.forEach(clause => {
+        clause.threats.forEach(threat => {
+          rows.push([
+            standard.standard,
+            standard.title,
+            clause.clause,
+            COMPLIANCE_STATUS_LABELS[clause.status],
+            threat.scenario,
+            threat.threat,
+            threat.requirement ? '有' : '无',
+            threat.testCase ? '有' : '无',
+            (threat.cwe || []).join(' '),
+            (threat.capec || []).join(' '),
+            this.getWeaknessLinks(threat)
+              .map(({ url }) => url)
+              .join(' '),
+            clause.citations.join('；')
+          ]);
+        });
+      });
+    });
+
+    // 带 BOM，Excel 打开时按 UTF-8 识别中文
+    return `\ufeff${rows.map(row => row.map(quote).join(',')).join('\r\n')}`;
+  }
+
   // 格式化为文本格式
   formatResultAsText(result) {
     let text = '🛡️ 安全需求分析结果\n';
     text += '='.repeat(30) + '\n';
-    text += `生成时间: ${new Date().toLocaleString()}\n\n`;
+    text += `生成时间: ${new Date().toLocaleString()}\n`;
+    if (result.knowledgePacks?.length > 0) {
+      text += `知识库包: ${this.describeKnowledgePacks(result.knowledgePacks)}\n`;
+    }
+    text += '\n';
+
+    if (result.promptInjection?.detected) {
+      text += '🚨 提示词注入筛查:\n';
+      text += '-'.repeat(20) + '\n';
+      text += `需求内容中发现 ${result.promptInjection.indicatorCount} 处疑似提示词注入，分析时已隔离需求内容\n`;
+      this.describePromptInjection(result.promptInjection).forEach(line => {
+        text += `- ${line}\n`;
+      });
+      result.promptInjection.indicators.forEach(indicator => {
+        text += `  ${indicator.label}: ${indicator.before}【${indicator.match}】${indicator.after}\n`;
+      });
+      text += '\n';
+    }
+
+    if (result.redaction?.total > 0) {
+      text += '🔒 敏感信息脱敏:\n';
+      text += '-'.repeat(20) + '\n';
+      text += `发送到模型前替换了 ${result.redaction.total} 处敏感信息，结果已在本地还原\n`;
+      this.describeRedaction(result.redaction).forEach(line => {
+        text += `- ${line}\n`;
+      });
+      text += '\n';
+    }
 
     if (result.analysis) {
       text += '📊 分析内容:\n';
@@ -1168,6 +2213,11 @@ class SecurityAnalysisPopup {
         text += `${index + 1}. ${threat.description || threat.type}\n`;
         text += `   威胁等级: ${threat.level}\n`;
         if (threat.impact) text += `   影响范围: ${threat.impact}\n`;
+        this.getWeaknessLinks(threat).forEach(({ id, url }) => {
+          text += `   ${id}: ${url}\n`;
+        });
+        const origin = this.describeItemOrigin(threat);
+        if (origin) text += `   来源: ${origin}\n`;
         text += '\n';
       });
     }
@@ -1186,6 +2236,8 @@ class SecurityAnalysisPopup {
             text += `     ${stepIndex + 1}) ${step}\n`;
           });
         }
+        const origin = this.describeItemOrigin(scenario);
+        if (origin) text += `   来源: ${origin}\n`;
         text += '\n';
       });
     }
@@ -1198,9 +2250,123 @@ class SecurityAnalysisPopup {
       });
     }
 
+    if (result.compliance) {
+      text += '\n📋 合规映射:\n';
+      text += '-'.repeat(20) + '\n';
+      text += `${this.describeComplianceSummary(result.compliance.summary)}\n`;
+      result.compliance.standards.forEach(standard => {
+        text += `\n${this.describeComplianceStandard(standard)}\n`;
+        standard.clauses.forEach(clause => {
+          text += `- ${clause.clause}  [${COMPLIANCE_STATUS_LABELS[clause.status]}]\n`;
+          clause.threats.forEach(threat => {
+            const weaknesses = this.getWeaknessLinks(threat)
+              .map(({ id }) => id)
+              .join(' ');
+            text += `    ${this.describeComplianceThreat(threat)}${weaknesses ? ` ${weaknesses}` : ''}\n`;
+          });
+        });
+      });
+    }
+
     return text;
   }
 
+  // 威胁的 CWE 和 CAPEC 标签及 MITRE 上的条目地址，旧结果没有标注时为空
+  getWeaknessLinks(threat) {
+    return [...(threat.cwe || []), ...(threat.capec || [])]
+      .map(id => ({ id, url: getWeaknessReferenceURL(id) }))
+      .filter(({ url }) => url);
+  }
+
+  formatWeaknessesAsHTML(threat) {
+    return this.getWeaknessLinks(threat)
+      .map(
+        ({ id, url }) =>
+          `<a class="weakness-tag" href="${url}" target="_blank" rel="noopener noreferrer">${id}</a>`
+      )
+      .join('');
+  }
+
+  // 结果页中按威胁列出标签，完整结果仍以JSON显示在下方
+  formatThreatWeaknessesAsHTML(threats) {
+    const tagged = (threats || []).filter(
+      threat => this.getWeaknessLinks(threat).length > 0
+    );
+    if (tagged.length === 0) return '';
+    return `
+        <div class="section">
+          <h2>🏷️ CWE / CAPEC</h2>
+          ${tagged
+            .map(
+              threat =>
+                `<div>${this.escapeHTML(threat.description || threat.type)}${this.formatWeaknessesAsHTML(threat)}</div>`
+            )
+            .join('')}
+        </div>`;
+  }
+
+  // 弹窗中的标签链接，点击后在新标签页打开
+  createWeaknessLinks(threat) {
+    const container = document.createElement('span');
+    this.getWeaknessLinks(threat).forEach(({ id, url }) => {
+      const link = document.createElement('a');
+      link.className = 'weakness-tag';
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = id;
+      container.appendChild(link);
+    });
+    return container;
+  }
+
+  formatThreatLevelAsHTML(level) {
+    const text = this.escapeHTML(level);
+    return `<span class="threat-level ${text}">${text}</span>`;
+  }
+
+  formatOriginAsHTML(item) {
+    const origin = this.describeItemOrigin(item);
+    if (!origin) return '';
+    const className = this.escapeHTML(item.origin);
+    return `<div class="origin ${className}"><strong>来源:</strong> ${this.escapeHTML(origin)}</div>`;
+  }
+
+  // 合规映射：每个标准或法律一张表，列出条款、覆盖情况和引用该条款的知识库威胁
+  formatComplianceAsHTML(compliance) {
+    const tables = compliance.standards
+      .map(
+        standard => `
+          <h3>${this.escapeHTML(this.describeComplianceStandard(standard))}</h3>
+          <table class="compliance-table">
+            <tr><th>条款</th><th>覆盖情况</th><th>引用该条款的知识库威胁</th></tr>
+            ${standard.clauses
+              .map(
+                clause => `
+            <tr>
+              <td>${this.escapeHTML(clause.clause)}</td>
+              <td class="compliance-status ${clause.status}">${COMPLIANCE_STATUS_LABELS[clause.status]}</td>
+              <td>${clause.threats
+                .map(
+                  threat =>
+                    `${this.escapeHTML(this.describeComplianceThreat(threat))}${this.formatWeaknessesAsHTML(threat)}`
+                )
+                .join('<br>')}</td>
+            </tr>`
+              )
+              .join('')}
+          </table>`
+      )
+      .join('');
+
+    return `
+        <div class="section">
+          <h2>📋 合规映射</h2>
+          <p>${this.describeComplianceSummary(compliance.summary)}。未覆盖的条款在结果中没有对应的安全需求和测试用例，请补充或说明不适用的原因。</p>
+          ${tables}
+        </div>`;
+  }
+
   // 格式化为HTML格式
   formatResultAsHTML(result) {
     return `
@@ -1262,6 +2428,18 @@ class SecurityAnalysisPopup {
           .steps { margin-top: 10px; }
           .steps ol { margin: 5px 0; padding-left: 20px; }
           .recommendations { background: #e8f5e8; }
+          .origin { margin-top: 8px; font-size: 13px; color: #7f8c8d; }
+          .weakness-tag { display: inline-block; margin: 4px 6px 0 0; padding: 1px 6px; border: 1px solid #3498db; border-radius: 4px; font-size: 12px; color: #2980b9; text-decoration: none; }
+          .origin.knowledge_base { color: #2980b9; }
+          .origin.follow_up { color: #8e44ad; }
+          .injection-warning { background: #fdecea; border-left: 4px solid #e74c3c; }
+          .redaction-note { background: #eef6fc; border-left: 4px solid #3498db; }
+          .compliance-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+          .compliance-table th, .compliance-table td { border: 1px solid #e1e5e9; padding: 6px 10px; text-align: left; vertical-align: top; }
+          .compliance-table th { background: #f8f9fa; }
+          .compliance-status.covered { color: #27ae60; }
+          .compliance-status.partial { color: #f39c12; }
+          .compliance-status.uncovered { color: #e74c3c; font-weight: bold; }
           .timestamp { text-align: center; color: #7f8c8d; margin-top: 30px; font-size: 14px; }
         </style>
       </head>
@@ -1271,12 +2449,40 @@ class SecurityAnalysisPopup {
           <p>由安全需求分析助手生成</p>
         </div>
 
+        ${
+          result.promptInjection?.detected
+            ? `
+        <div class="section injection-warning">
+          <h2>🚨 提示词注入筛查</h2>
+          <p>需求内容中发现 ${result.promptInjection.indicatorCount} 处疑似提示词注入，分析时已隔离需求内容，请复核原文档中的相关文本。</p>
+          <ul>${this.describePromptInjection(result.promptInjection)
+            .map(line => `<li>${this.escapeHTML(line)}</li>`)
+            .join('')}</ul>
+        </div>
+        `
+            : ''
+        }
+
+        ${
+          result.redaction?.total > 0
+            ? `
+        <div class="section redaction-note">
+          <h2>🔒 敏感信息脱敏</h2>
+          <p>发送到模型前替换了 ${result.redaction.total} 处敏感信息，结果已在本地还原。</p>
+          <ul>${this.describeRedaction(result.redaction)
+            .map(line => `<li>${this.escapeHTML(line)}</li>`)
+            .join('')}</ul>
+        </div>
+        `
+            : ''
+        }
+
         ${
           result.analysis
             ? `
         <div class="section">
           <h2>📊 分析概述</h2>
-          <div>${result.analysis.replace(/\n/g, '<br>')}</div>
+          <div>${this.escapeHTML(result.analysis).replace(/\n/g, '<br>')}</div>
         </div>
         `
             : ''
@@ -1292,10 +2498,12 @@ class SecurityAnalysisPopup {
               threat => `
             <div class="threat-item">
               <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
-                <strong>${threat.description || threat.type}</strong>
-                <span class="threat-level ${threat.level}">${threat.level}</span>
+                <strong>${this.escapeHTML(threat.description || threat.type)}</strong>
+                ${this.formatThreatLevelAsHTML(threat.level)}
               </div>
-              ${threat.impact ? `<div><strong>影响范围:</strong> ${threat.impact}</div>` : ''}
+              ${threat.impact ? `<div><strong>影响范围:</strong> ${this.escapeHTML(threat.impact)}</div>` : ''}
+              ${this.formatWeaknessesAsHTML(threat)}
+              ${this.formatOriginAsHTML(threat)}
             </div>
           `
             )
@@ -1314,10 +2522,10 @@ class SecurityAnalysisPopup {
             .map(
               (scenario, index) => `
             <div class="scenario-item">
-              <h3>${index + 1}. ${scenario.category || scenario.description}</h3>
+              <h3>${index + 1}. ${this.escapeHTML(scenario.category || scenario.description)}</h3>
               ${
                 scenario.description && scenario.category !== scenario.description
-                  ? `<div><strong>描述:</strong> ${scenario.description}</div>`
+                  ? `<div><strong>描述:</strong> ${this.escapeHTML(scenario.description)}</div>`
                   : ''
               }
               ${
@@ -1326,7 +2534,7 @@ class SecurityAnalysisPopup {
                 <div class="steps">
                   <strong>测试步骤:</strong>
                   <ol>
-                    ${scenario.steps.map(step => `<li>${step}</li>`).join('')}
+                    ${scenario.steps.map(step => `<li>${this.escapeHTML(step)}</li>`).join('')}
                   </ol>
                 </div>
               `
@@ -1334,9 +2542,10 @@ class SecurityAnalysisPopup {
               }
               ${
                 scenario.expectedResult
-                  ? `<div><strong>预期结果:</strong> ${scenario.expectedResult}</div>`
+                  ? `<div><strong>预期结果:</strong> ${this.escapeHTML(scenario.expectedResult)}</div>`
                   : ''
               }
+              ${this.formatOriginAsHTML(scenario)}
             </div>
           `
             )
@@ -1352,15 +2561,24 @@ class SecurityAnalysisPopup {
         <div class="section recommendations">
           <h2>💡 安全建议</h2>
           <ul>
-            ${result.recommendations.map(rec => `<li>${rec}</li>`).join('')}
+            ${result.recommendations.map(rec => `<li>${this.escapeHTML(rec)}</li>`).join('')}
           </ul>
         </div>
         `
             : ''
         }
 
+        ${result.compliance ? this.formatComplianceAsHTML(result.compliance) : ''}
+
         <div class="timestamp">
           报告生成时间: ${new Date().toLocaleString()}
+          ${
+            result.knowledgePacks?.length > 0
+              ? `<br>知识库包: ${this.escapeHTML(
+                  this.describeKnowledgePacks(result.knowledgePacks)
+                )}`
+              : ''
+          }
         </div>
       </body>
       </html>
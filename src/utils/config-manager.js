@@ -25,16 +25,22 @@ export class SharedConfigManager {
       },
       azure: {
         name: "Azure OpenAI",
-        endpoint: "https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2023-12-01-preview",
+        endpoint: "https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2024-10-21",
         model: "gpt-4-vision",
         requiresApiKey: true
       },
       anthropic: {
         name: "Anthropic Claude",
         endpoint: "https://api.anthropic.com/v1/messages",
-        model: "claude-3-vision",
+        model: "claude-3-opus-20240229",
         requiresApiKey: true
       },
+      ollama: {
+        name: "Ollama",
+        endpoint: "http://localhost:11434/api/chat",
+        model: "",
+        requiresApiKey: false
+      },
       custom: {
         name: "自定义LLM",
         endpoint: "http://localhost:1234/v1/chat/completions",
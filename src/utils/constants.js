@@ -1,5 +1,6 @@
 // src/shared/constants.js - 共享常量定义
-export const CONFIG_KEYS = {
+// 经典脚本：Service Worker 通过 importScripts 加载，作为模块导入时常量挂在 self 上
+const CONFIG_KEYS = {
     LLM_CONFIG: 'llmConfig',
     THREAT_MODELING_CONFIG: 'threatModelingConfig',
     ANALYSIS_CONFIG: 'analysisConfig',
@@ -7,35 +8,40 @@ export const CONFIG_KEYS = {
     HAS_COMPLETED_SETUP: 'hasCompletedSetup'
 };
 
-export const LLM_PROVIDERS = {
+const LLM_PROVIDERS = {
     OPENAI: 'openai',
     AZURE: 'azure',
     ANTHROPIC: 'anthropic',
+    OLLAMA: 'ollama',
     CUSTOM: 'custom'
 };
 
-export const PROVIDER_DEFAULTS = {
+const PROVIDER_DEFAULTS = {
     [LLM_PROVIDERS.OPENAI]: {
         endpoint: 'https://api.openai.com/v1/chat/completions',
         model: 'gpt-4-vision-preview'
     },
     [LLM_PROVIDERS.AZURE]: {
-        endpoint: 'https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2023-12-01-preview',
+        endpoint: 'https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2024-10-21',
         model: 'gpt-4-vision-preview'
     },
     [LLM_PROVIDERS.ANTHROPIC]: {
         endpoint: 'https://api.anthropic.com/v1/messages',
         model: 'claude-3-opus-20240229'
     },
+    [LLM_PROVIDERS.OLLAMA]: {
+        endpoint: 'http://localhost:11434/api/chat',
+        model: ''
+    },
     [LLM_PROVIDERS.CUSTOM]: {
         endpoint: '',
         model: ''
     }
 };
 
-export const SUPPORTED_FILE_TYPES = ['pdf', 'docx', 'doc'];
+const SUPPORTED_FILE_TYPES = ['pdf', 'docx', 'doc'];
 
-export const DOCUMENT_PARSER_CONSTANTS = {
+const DOCUMENT_PARSER_CONSTANTS = {
     MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
     PARSING_TIMEOUT: 30000, // 30 seconds
     CONTENT_TYPES: {
@@ -45,21 +51,37 @@ export const DOCUMENT_PARSER_CONSTANTS = {
     }
 };
 
-export const STAC_CONSTANTS = {
+const STAC_CONSTANTS = {
     KNOWLEDGE_BASE_PATH: 'assets/STAC知识库.json',
     MATCH_THRESHOLD: 0.7, // Minimum confidence score for a match
     MAX_RESULTS: 10 // Maximum number of results to return
 };
 
-export const MESSAGE_TYPES = {
+const MESSAGE_TYPES = {
     DETECT_CONTENT: 'detectContent',
     ANALYZE_CONTENT: 'analyzeContent',
     PARSE_FILE: 'parseFile',
     UPDATE_CONFIG: 'updateConfig',
-    TEST_LLM_CONNECTION: 'testLLMConnection'
+    TEST_LLM_CONNECTION: 'testLLMConnection',
+    LIST_LLM_MODELS: 'listLLMModels',
+    ESTIMATE_ANALYSIS: 'estimateAnalysis',
+    CANCEL_ANALYSIS: 'cancelAnalysis',
+    GET_PENDING_ANALYSIS: 'getPendingAnalysis',
+    LIST_ANALYSIS_JOBS: 'listAnalysisJobs',
+    RETRY_ANALYSIS_JOB: 'retryAnalysisJob',
+    LIST_ANALYSIS_CACHE: 'listAnalysisCache',
+    DELETE_ANALYSIS_CACHE_ENTRY: 'deleteAnalysisCacheEntry',
+    CLEAR_ANALYSIS_CACHE: 'clearAnalysisCache',
+    REBUILD_KNOWLEDGE_EMBEDDINGS: 'rebuildKnowledgeEmbeddings',
+    GET_KNOWLEDGE_BASE_EDITOR: 'getKnowledgeBaseEditor',
+    SAVE_KNOWLEDGE_SCENARIO: 'saveKnowledgeScenario',
+    RESET_KNOWLEDGE_SCENARIO: 'resetKnowledgeScenario',
+    IMPORT_KNOWLEDGE_PACK: 'importKnowledgePack',
+    UPDATE_KNOWLEDGE_PACK: 'updateKnowledgePack',
+    DELETE_KNOWLEDGE_PACK: 'deleteKnowledgePack'
 };
 
-export const ANALYSIS_RESULT_FIELDS = {
+const ANALYSIS_RESULT_FIELDS = {
     SUMMARY: 'summary',
     ASSETS: 'assets',
     THREATS: 'threats',
@@ -67,9 +89,36 @@ export const ANALYSIS_RESULT_FIELDS = {
     RECOMMENDATIONS: 'recommendations'
 };
 
-export const THREAT_LEVELS = {
+const THREAT_LEVELS = {
     LOW: 'low',
     MEDIUM: 'medium',
     HIGH: 'high',
     CRITICAL: 'critical'
-};
\ No newline at end of file
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    CONFIG_KEYS,
+    LLM_PROVIDERS,
+    PROVIDER_DEFAULTS,
+    SUPPORTED_FILE_TYPES,
+    DOCUMENT_PARSER_CONSTANTS,
+    STAC_CONSTANTS,
+    MESSAGE_TYPES,
+    ANALYSIS_RESULT_FIELDS,
+    THREAT_LEVELS
+  };
+} else {
+  // Browser / Service Worker environment
+  self.CONFIG_KEYS = CONFIG_KEYS;
+  self.LLM_PROVIDERS = LLM_PROVIDERS;
+  self.PROVIDER_DEFAULTS = PROVIDER_DEFAULTS;
+  self.SUPPORTED_FILE_TYPES = SUPPORTED_FILE_TYPES;
+  self.DOCUMENT_PARSER_CONSTANTS = DOCUMENT_PARSER_CONSTANTS;
+  self.STAC_CONSTANTS = STAC_CONSTANTS;
+  self.MESSAGE_TYPES = MESSAGE_TYPES;
+  self.ANALYSIS_RESULT_FIELDS = ANALYSIS_RESULT_FIELDS;
+  self.THREAT_LEVELS = THREAT_LEVELS;
+}
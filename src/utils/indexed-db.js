@@ -0,0 +1,25 @@
+// indexed-db.js - Shared IndexedDB Helpers
+// 分析缓存、知识库覆盖和向量索引共用的 IndexedDB 工具，Service Worker 中先于这些模块加载
+
+/**
+ * 把 IDBRequest 包装为 Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} 请求的结果
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    requestToPromise
+  };
+} else {
+  // Browser / Service Worker environment
+  self.requestToPromise = requestToPromise;
+}
@@ -0,0 +1,153 @@
+// json-schema.js - Lightweight JSON Schema Validator
+// 支持扩展内用到的 JSON Schema 子集，返回带字段路径的错误列表
+
+const JSON_SCHEMA_TYPE_NAMES = {
+  object: '对象',
+  array: '数组',
+  string: '字符串',
+  number: '数字',
+  integer: '整数',
+  boolean: '布尔值',
+  null: 'null'
+};
+
+/**
+ * 获取值对应的 JSON Schema 类型
+ */
+function getJSONType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = getJSONType(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * 按 Schema 校验数据
+ * 支持 type、enum、const、required、properties、additionalProperties、items、
+ * minItems、maxItems、minLength、maxLength、pattern、minimum、maximum
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - 待校验数据
+ * @param {string} path - 当前字段路径，根节点为空字符串
+ * @returns {{path: string, message: string}[]} 错误列表，为空表示通过
+ */
+function validateJSONSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(根)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      const expected = types.map(type => JSON_SCHEMA_TYPE_NAMES[type] || type).join('或');
+      errors.push({ path: at, message: `应为${expected}` });
+      // 类型不符时继续校验子字段没有意义
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `必须为 ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `必须是 ${schema.enum.join('/')} 之一` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `长度不能少于 ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `长度不能超过 ${schema.maxLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: `格式不符合 ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `不能小于 ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `不能大于 ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `至少需要 ${schema.minItems} 项` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `最多允许 ${schema.maxItems} 项` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJSONSchema(schema.items, item, joinPath(path, index)));
+      });
+    }
+  }
+
+  if (getJSONType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: joinPath(path, key), message: '缺少必填字段' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        errors.push(
+          ...validateJSONSchema(properties[key], value[key], joinPath(path, key))
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: '不允许的字段' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateJSONSchema(
+            schema.additionalProperties,
+            value[key],
+            joinPath(path, key)
+          )
+        );
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * 将错误列表格式化为可读文本
+ */
+function formatJSONSchemaErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`).join('\n');
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    validateJSONSchema,
+    formatJSONSchemaErrors
+  };
+} else {
+  // Browser / Service Worker environment
+  self.validateJSONSchema = validateJSONSchema;
+  self.formatJSONSchemaErrors = formatJSONSchemaErrors;
+}
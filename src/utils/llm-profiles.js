@@ -0,0 +1,103 @@
+// llm-profiles.js - LLM Provider Profiles
+// 多个命名的LLM配置档案：一个默认档案，加上主档案失败时按顺序尝试的备用链
+
+// 档案列表存储在 chrome.storage.sync 的该键下，llmConfig 始终同步为默认档案
+const LLM_PROFILES_STORAGE_KEY = 'llmProfiles';
+
+function createLLMProfileId() {
+  return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * 规范化档案设置，去掉失效的引用；尚无档案时由旧版单一 llmConfig 迁移出默认档案
+ * @param {Object} stored - 存储中的档案设置
+ * @param {Object} legacyLLMConfig - 旧版 llmConfig
+ * @returns {{profiles: Object[], defaultProfileId: string, fallbackProfileIds: string[]}}
+ */
+function normalizeLLMProfiles(stored, legacyLLMConfig = {}) {
+  const profiles = Array.isArray(stored?.profiles)
+    ? stored.profiles.filter(profile => profile && profile.id)
+    : [];
+
+  if (profiles.length === 0) {
+    profiles.push({ ...legacyLLMConfig, id: 'default', name: '默认配置' });
+  }
+
+  const ids = new Set(profiles.map(profile => profile.id));
+  const defaultProfileId = ids.has(stored?.defaultProfileId)
+    ? stored.defaultProfileId
+    : profiles[0].id;
+  const fallbackProfileIds = (stored?.fallbackProfileIds || []).filter(
+    (id, index, list) =>
+      ids.has(id) && id !== defaultProfileId && list.indexOf(id) === index
+  );
+
+  return { profiles, defaultProfileId, fallbackProfileIds };
+}
+
+/**
+ * 获取默认档案
+ */
+function getDefaultLLMProfile(settings) {
+  return (
+    settings.profiles.find(profile => profile.id === settings.defaultProfileId) ||
+    settings.profiles[0]
+  );
+}
+
+/**
+ * 按尝试顺序返回档案：默认档案在前，其后为备用链
+ * @param {Object} settings - normalizeLLMProfiles 的返回值
+ * @returns {Object[]} 档案列表
+ */
+function resolveLLMProfileChain(settings) {
+  return [settings.defaultProfileId, ...settings.fallbackProfileIds]
+    .map(id => settings.profiles.find(profile => profile.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * 去掉档案的标识字段，得到可直接用于请求的 llmConfig
+ */
+function toLLMConfig(profile) {
+  const llmConfig = { ...profile };
+  delete llmConfig.id;
+  delete llmConfig.name;
+  return llmConfig;
+}
+
+/**
+ * 结果元数据中记录的档案信息（不含密钥）
+ */
+function describeLLMProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    provider: profile.provider,
+    // Azure OpenAI 的模型由部署决定
+    model: profile.provider === 'azure' ? profile.azureDeployment : profile.model
+  };
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    LLM_PROFILES_STORAGE_KEY,
+    createLLMProfileId,
+    normalizeLLMProfiles,
+    getDefaultLLMProfile,
+    resolveLLMProfileChain,
+    toLLMConfig,
+    describeLLMProfile
+  };
+} else {
+  // Browser / Service Worker environment
+  self.LLM_PROFILES_STORAGE_KEY = LLM_PROFILES_STORAGE_KEY;
+  self.createLLMProfileId = createLLMProfileId;
+  self.normalizeLLMProfiles = normalizeLLMProfiles;
+  self.getDefaultLLMProfile = getDefaultLLMProfile;
+  self.resolveLLMProfileChain = resolveLLMProfileChain;
+  self.toLLMConfig = toLLMConfig;
+  self.describeLLMProfile = describeLLMProfile;
+}
@@ -0,0 +1,365 @@
+// redaction.js - Sensitive Data Redaction
+// 需求内容发送到远程模型前，把手机号、身份证号、银行卡号、内网主机和凭据替换为占位符，模型返回后在本地还原
+
+// 脱敏配置存储在 chrome.storage.sync 的该键下，可在配置页编辑
+const REDACTION_CONFIG_STORAGE_KEY = 'redactionConfig';
+
+// 占位符形如 [PHONE_1]，同一原文在一次请求中始终对应同一个占位符
+const REDACTION_PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+/**
+ * 校验18位身份证号的校验码
+ */
+function isValidChineseIdNumber(value) {
+  const id = value.toUpperCase();
+  const weights = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+  const checkCodes = '10X98765432';
+  const sum = weights.reduce(
+    (total, weight, index) => total + weight * Number(id[index]),
+    0
+  );
+  return checkCodes[sum % 11] === id[17];
+}
+
+/**
+ * Luhn 校验，过滤掉订单号、时间戳等普通长数字
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// 凭据字段名及分隔符，如 password=、"api_key": 、密码：
+const CREDENTIAL_KEY_PATTERN = String.raw`(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|secret[_-]?key|client[_-]?secret|密码|口令|密钥|令牌)["']?\s*[:=：]\s*`;
+
+// 凭据取值的字符：只匹配 ASCII，避免把"密码：长度不少于8位"这类需求描述当成凭据；, ; & 为分隔符
+const CREDENTIAL_VALUE_CHAR = String.raw`(?![,;&])[\x21-\x7e]`;
+
+// 内置检测规则，靠前的规则在重叠时优先；含 value 命名分组的规则只替换该分组
+const BUILTIN_REDACTION_DETECTORS = [
+  {
+    id: 'credential',
+    label: '凭据',
+    placeholder: 'CREDENTIAL',
+    patterns: [
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+      /\b(?<value>sk-[A-Za-z0-9_-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g,
+      /\bBearer\s+(?<value>[A-Za-z0-9._~+/-]{15,}[A-Za-z0-9_~+/-]=*)/g,
+      // 加引号的取值到对应的闭合引号为止，可以包含空格和另一种引号
+      new RegExp(
+        String.raw`${CREDENTIAL_KEY_PATTERN}(?<quote>["'])(?<value>(?:\\[\x20-\x7e]|(?!\k<quote>)[\x20-\x7e]){4,})\k<quote>(?!${CREDENTIAL_VALUE_CHAR})`,
+        'gi'
+      ),
+      // 未加引号（或引号不成对）的取值到空白或分隔符为止，中间的引号属于取值
+      new RegExp(
+        String.raw`${CREDENTIAL_KEY_PATTERN}["']?(?<value>(?!["'])(?:${CREDENTIAL_VALUE_CHAR}){4,})`,
+        'gi'
+      )
+    ]
+  },
+  {
+    id: 'id_card',
+    label: '身份证号',
+    placeholder: 'ID_CARD',
+    patterns: [
+      /(?<![\dA-Za-z])[1-9]\d{5}(?:18|19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{3}[\dXx](?![\dA-Za-z])/g
+    ],
+    validate: isValidChineseIdNumber
+  },
+  {
+    id: 'bank_card',
+    label: '银行卡号',
+    placeholder: 'BANK_CARD',
+    patterns: [/(?<![\d-])\d{4}(?:[ -]?\d{4}){2,3}(?:[ -]?\d{1,3})?(?![\d-])/g],
+    validate: passesLuhn
+  },
+  {
+    id: 'phone',
+    label: '手机号',
+    placeholder: 'PHONE',
+    patterns: [/(?<![\d+])(?:\+?86[- ]?)?1[3-9]\d[- ]?\d{4}[- ]?\d{4}(?!\d)/g]
+  },
+  {
+    id: 'email',
+    label: '邮箱地址',
+    placeholder: 'EMAIL',
+    patterns: [/[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g]
+  },
+  {
+    id: 'internal_host',
+    label: '内网主机',
+    placeholder: 'INTERNAL_HOST',
+    patterns: [
+      /\b(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:local|internal|intranet|intra|corp|lan|localdomain|private)\b/gi,
+      /(?<![\d.])(?:10(?:\.\d{1,3}){3}|172\.(?:1[6-9]|2\d|3[01])(?:\.\d{1,3}){2}|192\.168(?:\.\d{1,3}){2})(?![\d.])/g
+    ]
+  }
+];
+
+/**
+ * 规范化存储中的脱敏配置：默认开启全部内置规则，自定义规则去掉空白行
+ * @param {Object} stored - 存储中的配置
+ * @returns {{enabled: boolean, detectors: Object, customRules: Object[]}} 配置
+ */
+function normalizeRedactionConfig(stored) {
+  const config = stored && typeof stored === 'object' ? stored : {};
+  const detectors = {};
+  BUILTIN_REDACTION_DETECTORS.forEach(detector => {
+    detectors[detector.id] = config.detectors?.[detector.id] !== false;
+  });
+
+  return {
+    enabled: config.enabled !== false,
+    detectors,
+    customRules: (Array.isArray(config.customRules) ? config.customRules : [])
+      .filter(rule => rule && typeof rule.pattern === 'string' && rule.pattern.trim())
+      .map(rule => ({
+        name: String(rule.name || '').trim(),
+        pattern: rule.pattern.trim(),
+        enabled: rule.enabled !== false
+      }))
+  };
+}
+
+/**
+ * 编译自定义规则，规则无效时返回错误信息
+ * @returns {{regex: RegExp|null, error: string|null}}
+ */
+function compileRedactionRule(rule) {
+  try {
+    return { regex: new RegExp(rule.pattern, 'gu'), error: null };
+  } catch (error) {
+    return { regex: null, error: `${rule.name || rule.pattern}: ${error.message}` };
+  }
+}
+
+// 配置中启用的检测规则，自定义规则排在内置规则之后
+// 自定义规则按在 customRules 中的位置编号，停用其中一条不会改变其他规则的编号和占位符
+function resolveRedactionDetectors(config) {
+  const builtin = BUILTIN_REDACTION_DETECTORS.filter(
+    detector => config.detectors[detector.id]
+  );
+  const custom = [];
+  config.customRules.forEach((rule, index) => {
+    if (!rule.enabled) {
+      return;
+    }
+    custom.push({
+      id: `custom_${index + 1}`,
+      label: rule.name || '自定义规则',
+      placeholder: `CUSTOM${index + 1}`,
+      patterns: [compileRedactionRule(rule).regex].filter(Boolean)
+    });
+  });
+  return [...builtin, ...custom];
+}
+
+/**
+ * 创建一次请求的脱敏状态，同一请求中的多段文本共用占位符编号
+ */
+function createRedactionState(config) {
+  return {
+    detectors: resolveRedactionDetectors(config),
+    mapping: {},
+    placeholders: new Map(),
+    counters: {},
+    matches: []
+  };
+}
+
+// 在文本中查找所有检测规则的命中，重叠时保留位置靠前、规则优先的命中
+function findRedactionMatches(text, detectors) {
+  const found = [];
+  detectors.forEach((detector, priority) => {
+    detector.patterns.forEach(pattern => {
+      for (const match of text.matchAll(pattern)) {
+        const value = match.groups?.value ?? match[0];
+        if (!value) {
+          continue;
+        }
+        if (detector.validate && !detector.validate(value)) {
+          continue;
+        }
+        const offset = match.groups?.value ? match[0].lastIndexOf(value) : 0;
+        found.push({ detector, priority, index: match.index + offset, value });
+      }
+    });
+  });
+
+  found.sort((a, b) => a.index - b.index || a.priority - b.priority);
+  const kept = [];
+  let end = 0;
+  found.forEach(match => {
+    if (match.index >= end) {
+      kept.push(match);
+      end = match.index + match.value.length;
+    }
+  });
+  return kept;
+}
+
+/**
+ * 把文本中的敏感信息替换为占位符，对照表记录在 state.mapping 中
+ * @param {string} text - 原文
+ * @param {Object} state - createRedactionState 创建的状态
+ * @returns {string} 脱敏后的文本
+ */
+function redactText(text, state) {
+  if (typeof text !== 'string' || !text) {
+    return text;
+  }
+
+  let result = '';
+  let cursor = 0;
+  findRedactionMatches(text, state.detectors).forEach(({ detector, index, value }) => {
+    let placeholder = state.placeholders.get(value);
+    if (!placeholder) {
+      state.counters[detector.placeholder] =
+        (state.counters[detector.placeholder] || 0) + 1;
+      placeholder = `[${detector.placeholder}_${state.counters[detector.placeholder]}]`;
+      state.placeholders.set(value, placeholder);
+      state.mapping[placeholder] = value;
+      state.matches.push({
+        type: detector.id,
+        label: detector.label,
+        placeholder,
+        value
+      });
+    }
+    result += text.slice(cursor, index) + placeholder;
+    cursor = index + value.length;
+  });
+
+  return result + text.slice(cursor);
+}
+
+/**
+ * 把模型输出中的占位符还原为原文
+ * @param {string} text - 模型输出
+ * @param {Object} mapping - 占位符到原文的对照表
+ * @param {Object} options - jsonSafe 为 true 时按JSON字符串转义原文，避免引号、换行破坏JSON结构
+ * @returns {string} 还原后的文本
+ */
+function rehydrateText(text, mapping, options = {}) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return text.replace(REDACTION_PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const original = mapping[`[${name}]`];
+    if (original === undefined) {
+      return placeholder;
+    }
+    return options.jsonSafe ? JSON.stringify(original).slice(1, -1) : original;
+  });
+}
+
+// 流式输出中尚未闭合的占位符最多保留的字符数
+const STREAM_HOLD_CHARS = 32;
+
+/**
+ * 流式输出的增量还原：占位符可能被拆在两个增量中，末尾未闭合的 [ 片段留到下一次一起还原
+ * @param {Object} mapping - 占位符到原文的对照表
+ * @param {Function} onToken - 接收还原后增量文本的回调
+ * @returns {{push: Function, flush: Function}} push 接收原始增量，flush 输出剩余内容
+ */
+function createStreamRehydrator(mapping, onToken) {
+  let pending = '';
+  const emit = text => {
+    if (text) {
+      onToken(rehydrateText(text, mapping));
+    }
+  };
+
+  return {
+    push(delta) {
+      pending += delta;
+      const open = pending.lastIndexOf('[');
+      const tail = open === -1 ? '' : pending.slice(open);
+      if (tail && !tail.includes(']') && tail.length <= STREAM_HOLD_CHARS) {
+        emit(pending.slice(0, open));
+        pending = tail;
+      } else {
+        emit(pending);
+        pending = '';
+      }
+    },
+    flush() {
+      emit(pending);
+      pending = '';
+    }
+  };
+}
+
+/**
+ * 结果元数据中记录的脱敏统计（不含原文）
+ */
+function summarizeRedaction(matches) {
+  const counts = {};
+  matches.forEach(({ type, label }) => {
+    counts[type] = counts[type] || { label, count: 0 };
+    counts[type].count++;
+  });
+  return { total: matches.length, counts };
+}
+
+/**
+ * 是否为本机地址，本机运行的模型服务不需要脱敏
+ */
+function isLocalEndpoint(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return (
+    hostname === 'localhost' ||
+    hostname.endsWith('.localhost') ||
+    hostname === '[::1]' ||
+    hostname === '0.0.0.0' ||
+    /^127(?:\.\d{1,3}){3}$/.test(hostname)
+  );
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    REDACTION_CONFIG_STORAGE_KEY,
+    BUILTIN_REDACTION_DETECTORS,
+    normalizeRedactionConfig,
+    compileRedactionRule,
+    createRedactionState,
+    redactText,
+    rehydrateText,
+    createStreamRehydrator,
+    summarizeRedaction,
+    isLocalEndpoint
+  };
+} else {
+  // Browser / Service Worker environment
+  self.REDACTION_CONFIG_STORAGE_KEY = REDACTION_CONFIG_STORAGE_KEY;
+  self.BUILTIN_REDACTION_DETECTORS = BUILTIN_REDACTION_DETECTORS;
+  self.normalizeRedactionConfig = normalizeRedactionConfig;
+  self.compileRedactionRule = compileRedactionRule;
+  self.createRedactionState = createRedactionState;
+  self.redactText = redactText;
+  self.rehydrateText = rehydrateText;
+  self.createStreamRehydrator = createStreamRehydrator;
+  self.summarizeRedaction = summarizeRedaction;
+  self.isLocalEndpoint = isLocalEndpoint;
+}
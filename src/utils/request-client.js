@@ -0,0 +1,374 @@
+// request-client.js - Shared Outbound Request Layer
+// 统一的外部请求封装：超时控制、指数退避重试、Retry-After 处理和错误分类
+
+const REQUEST_DEFAULTS = {
+  timeoutMs: 120000,
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 20000,
+  // 服务端要求等待过久时不再自动重试，直接报告限流
+  maxRetryAfterMs: 60000,
+  // 读取响应正文时两次收到数据的最长间隔，未设置时与 timeoutMs 相同
+  idleTimeoutMs: null
+};
+
+// 各类错误的展示信息，retryable 表示该类错误值得自动重试
+const REQUEST_ERROR_HINTS = {
+  auth: {
+    title: '认证失败',
+    hint: '请检查API密钥或访问令牌是否正确、是否已过期',
+    retryable: false
+  },
+  quota: {
+    title: '额度不足',
+    hint: '账户额度或配额已用尽，请充值或更换API密钥',
+    retryable: false
+  },
+  rate_limit: {
+    title: '请求过于频繁',
+    hint: '服务端限流，自动重试后仍未成功，请稍后再试',
+    retryable: true
+  },
+  timeout: {
+    title: '请求超时',
+    hint: '模型响应时间过长，可在配置页调大超时时间或缩短分析内容',
+    retryable: true
+  },
+  model_not_found: {
+    title: '模型不存在',
+    hint: '请检查模型名称（Azure OpenAI 为部署名称）是否正确，以及账户是否有权访问该模型',
+    retryable: false
+  },
+  endpoint_not_found: {
+    title: '接口地址错误',
+    hint: '请检查配置页中的API端点是否完整正确',
+    retryable: false
+  },
+  context_length: {
+    title: '内容超出上下文长度',
+    hint: '请缩短分析内容，或换用上下文更长的模型',
+    retryable: false
+  },
+  bad_request: {
+    title: '请求参数错误',
+    hint: '服务端拒绝了请求参数，请检查模型和端点配置',
+    retryable: false
+  },
+  server: {
+    title: '服务暂时不可用',
+    hint: '服务端出错或过载，自动重试后仍未恢复，请稍后再试',
+    retryable: true
+  },
+  network: {
+    title: '网络连接失败',
+    hint: '请检查网络连接，或确认本地模型服务已启动',
+    retryable: true
+  },
+  aborted: {
+    title: '请求已取消',
+    hint: '请求在完成前被取消',
+    retryable: false
+  },
+  unknown: {
+    title: '请求失败',
+    hint: '出现未知错误，请查看后台日志',
+    retryable: false
+  }
+};
+
+/**
+ * 外部请求错误，kind 对应 REQUEST_ERROR_HINTS 中的分类
+ */
+class RequestError extends Error {
+  constructor(
+    message,
+    { kind = 'unknown', status = 0, detail = '', retryAfterMs = null } = {}
+  ) {
+    super(message);
+    this.name = 'RequestError';
+    this.kind = kind;
+    this.status = status;
+    this.detail = detail;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = Boolean(REQUEST_ERROR_HINTS[kind]?.retryable);
+    this.attempts = 1;
+  }
+}
+
+/**
+ * 根据HTTP状态码和响应内容判断错误类型
+ * @param {number} status - HTTP状态码
+ * @param {string} detail - 响应中的错误信息
+ * @returns {string} 错误类型
+ */
+function classifyHTTPError(status, detail = '') {
+  const text = String(detail).toLowerCase();
+  const mentionsModel = /model|deployment/.test(text);
+
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return /quota|billing|insufficient|credit|余额|额度/.test(text)
+      ? 'quota'
+      : 'rate_limit';
+  }
+  if (status === 402) {
+    return 'quota';
+  }
+  if (status === 404) {
+    return mentionsModel ? 'model_not_found' : 'endpoint_not_found';
+  }
+  if (status === 408) {
+    return 'timeout';
+  }
+  if (status === 400 || status === 413 || status === 422) {
+    if (/context|maximum.*tokens|too long|too large|prompt is too long/.test(text)) {
+      return 'context_length';
+    }
+    if (
+      mentionsModel &&
+      /not found|does not exist|not exist|invalid model|unknown model/.test(text)
+    ) {
+      return 'model_not_found';
+    }
+    return 'bad_request';
+  }
+  // 529 为 Anthropic 的过载状态码
+  if (status >= 500 || status === 529) {
+    return 'server';
+  }
+  return 'unknown';
+}
+
+/**
+ * 解析 Retry-After（秒数或HTTP日期），OpenAI 还会返回毫秒精度的 retry-after-ms
+ * @param {Headers} headers - 响应头
+ * @returns {number|null} 等待毫秒数
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = headers.get('retry-after-ms');
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Math.max(0, Number(retryAfterMs));
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避，取一半固定加一半随机抖动）
+ */
+function computeBackoffDelay(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs } = { ...REQUEST_DEFAULTS, ...options };
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new RequestError('请求已取消', { kind: 'aborted' }));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new RequestError('请求已取消', { kind: 'aborted' }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// 成功响应 → 正文读取的空闲计时器，由 readResponseBody 使用
+const bodyWatchdogs = new WeakMap();
+
+/**
+ * 响应头到达后开始计时，超过 idleTimeoutMs 没有收到数据时中断请求
+ * stop 同时移除对外部取消的监听
+ */
+function createBodyWatchdog(controller, settings, abortFromCaller) {
+  const idleTimeoutMs = settings.idleTimeoutMs || settings.timeoutMs;
+  let timer = null;
+  const watchdog = {
+    label: settings.label || '请求失败',
+    idleTimeoutMs,
+    expired: false,
+    reset() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        watchdog.expired = true;
+        controller.abort();
+      }, idleTimeoutMs);
+    },
+    stop() {
+      clearTimeout(timer);
+      settings.signal?.removeEventListener('abort', abortFromCaller);
+    }
+  };
+  watchdog.reset();
+  return watchdog;
+}
+
+/**
+ * 在空闲超时的限制下读取 fetchWithRetry 返回的响应正文
+ * 流式读取时每收到一段数据调用 touch 重新计时；response.json() 等一次性读取不调用，计时持续到读取完成
+ * @param {Response} response - fetchWithRetry 返回的响应
+ * @param {Function} read - (touch) => Promise，读取并解析正文
+ * @returns {Promise<*>} read 的结果
+ * @throws {RequestError} 超时未收到数据时抛出 kind 为 timeout 的错误
+ */
+async function readResponseBody(response, read) {
+  const watchdog = bodyWatchdogs.get(response);
+  try {
+    return await read(() => watchdog?.reset());
+  } catch (error) {
+    if (watchdog?.expired) {
+      throw new RequestError(
+        `${watchdog.label}: 超过 ${Math.round(watchdog.idleTimeoutMs / 1000)} 秒未收到数据`,
+        { kind: 'timeout' }
+      );
+    }
+    throw error;
+  } finally {
+    watchdog?.stop();
+  }
+}
+
+function defaultExtractErrorMessage(errorText) {
+  try {
+    const error = JSON.parse(errorText);
+    return error?.error?.message || error?.message || errorText;
+  } catch {
+    return errorText;
+  }
+}
+
+/**
+ * 发送请求，失败时按错误类型决定是否重试
+ * 超时从发出请求到收到响应头为止计算，正文应通过 readResponseBody 读取，受空闲超时限制
+ * 外部取消（signal）在读取响应正文期间仍然有效
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数
+ * @param {Object} options - timeoutMs、idleTimeoutMs、maxRetries、baseDelayMs、maxDelayMs、
+ *   signal（外部取消）、label（错误信息前缀）、extractErrorMessage、onRetry
+ * @returns {Promise<Response>} 状态码为 2xx 的响应
+ * @throws {RequestError} 不可重试或重试耗尽时抛出
+ */
+async function fetchWithRetry(url, init = {}, options = {}) {
+  const settings = { ...REQUEST_DEFAULTS, ...options };
+  const label = settings.label || '请求失败';
+  const extractErrorMessage = settings.extractErrorMessage || defaultExtractErrorMessage;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, settings.timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    settings.signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+    let error;
+    let succeeded = false;
+    try {
+      if (settings.signal?.aborted) {
+        throw new RequestError(`${label}: 请求已取消`, { kind: 'aborted' });
+      }
+
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      if (response.ok) {
+        succeeded = true;
+        bodyWatchdogs.set(
+          response,
+          createBodyWatchdog(controller, settings, abortFromCaller)
+        );
+        return response;
+      }
+
+      const detail = extractErrorMessage(await response.text());
+      error = new RequestError(`${label}: ${response.status} ${detail}`, {
+        kind: classifyHTTPError(response.status, detail),
+        status: response.status,
+        detail,
+        retryAfterMs: parseRetryAfter(response.headers)
+      });
+    } catch (fetchError) {
+      if (fetchError instanceof RequestError) {
+        error = fetchError;
+      } else if (timedOut) {
+        error = new RequestError(
+          `${label}: 超过 ${Math.round(settings.timeoutMs / 1000)} 秒未响应`,
+          {
+            kind: 'timeout'
+          }
+        );
+      } else if (settings.signal?.aborted) {
+        error = new RequestError(`${label}: 请求已取消`, { kind: 'aborted' });
+      } else {
+        error = new RequestError(`${label}: ${fetchError.message}`, {
+          kind: 'network',
+          detail: fetchError.message
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+      // 成功时保留外部取消，调用方读取正文（如流式输出）时仍可中断，由正文读取结束时移除
+      if (!succeeded) {
+        settings.signal?.removeEventListener('abort', abortFromCaller);
+      }
+    }
+
+    error.attempts = attempt + 1;
+    const tooLongToWait =
+      error.retryAfterMs !== null && error.retryAfterMs > settings.maxRetryAfterMs;
+    if (!error.retryable || attempt >= settings.maxRetries || tooLongToWait) {
+      throw error;
+    }
+
+    const delay = error.retryAfterMs ?? computeBackoffDelay(attempt, settings);
+    console.warn(
+      `⏳ ${label}（${error.kind}），${Math.round(delay)}ms 后进行第 ${attempt + 1} 次重试`
+    );
+    if (settings.onRetry) {
+      settings.onRetry({ attempt: attempt + 1, delay, error });
+    }
+    await sleep(delay, settings.signal);
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    REQUEST_DEFAULTS,
+    REQUEST_ERROR_HINTS,
+    RequestError,
+    classifyHTTPError,
+    parseRetryAfter,
+    computeBackoffDelay,
+    fetchWithRetry,
+    readResponseBody
+  };
+} else {
+  // Browser / Service Worker environment
+  self.REQUEST_DEFAULTS = REQUEST_DEFAULTS;
+  self.REQUEST_ERROR_HINTS = REQUEST_ERROR_HINTS;
+  self.RequestError = RequestError;
+  self.fetchWithRetry = fetchWithRetry;
+  self.readResponseBody = readResponseBody;
+}
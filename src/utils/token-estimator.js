@@ -0,0 +1,315 @@
+// token-estimator.js - Token and Cost Estimation
+// 分析前估算token用量和费用，并检查内容是否超出所选模型的上下文窗口
+
+// 价格表存储在 chrome.storage.sync 的该键下，可在配置页编辑
+const MODEL_PRICING_STORAGE_KEY = 'modelPricing';
+
+// 价格为每百万token的费用；model 按前缀匹配模型名称，取最长的匹配项
+const DEFAULT_MODEL_PRICING = [
+  {
+    model: 'gpt-4o-mini',
+    contextWindow: 128000,
+    inputPrice: 0.15,
+    outputPrice: 0.6,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-4o',
+    contextWindow: 128000,
+    inputPrice: 2.5,
+    outputPrice: 10,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-4.1',
+    contextWindow: 1047576,
+    inputPrice: 2,
+    outputPrice: 8,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-4-turbo',
+    contextWindow: 128000,
+    inputPrice: 10,
+    outputPrice: 30,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-4-vision-preview',
+    contextWindow: 128000,
+    inputPrice: 10,
+    outputPrice: 30,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-4',
+    contextWindow: 8192,
+    inputPrice: 30,
+    outputPrice: 60,
+    currency: 'USD'
+  },
+  {
+    model: 'gpt-3.5-turbo',
+    contextWindow: 16385,
+    inputPrice: 0.5,
+    outputPrice: 1.5,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-3-5-sonnet',
+    contextWindow: 200000,
+    inputPrice: 3,
+    outputPrice: 15,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-3-5-haiku',
+    contextWindow: 200000,
+    inputPrice: 0.8,
+    outputPrice: 4,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-3-opus',
+    contextWindow: 200000,
+    inputPrice: 15,
+    outputPrice: 75,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-3-haiku',
+    contextWindow: 200000,
+    inputPrice: 0.25,
+    outputPrice: 1.25,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-sonnet-4',
+    contextWindow: 200000,
+    inputPrice: 3,
+    outputPrice: 15,
+    currency: 'USD'
+  },
+  {
+    model: 'claude-opus-4',
+    contextWindow: 200000,
+    inputPrice: 15,
+    outputPrice: 75,
+    currency: 'USD'
+  },
+  {
+    model: 'deepseek-chat',
+    contextWindow: 64000,
+    inputPrice: 2,
+    outputPrice: 8,
+    currency: 'CNY'
+  },
+  {
+    model: 'deepseek-reasoner',
+    contextWindow: 64000,
+    inputPrice: 4,
+    outputPrice: 16,
+    currency: 'CNY'
+  },
+  {
+    model: 'qwen-plus',
+    contextWindow: 131072,
+    inputPrice: 0.8,
+    outputPrice: 2,
+    currency: 'CNY'
+  }
+];
+
+const CURRENCY_SYMBOLS = { USD: '$', CNY: '¥' };
+
+// 本地运行的模型不产生费用
+const LOCAL_LLM_PROVIDERS = ['custom', 'ollama'];
+
+// 粗略估算：中日韩字符约1个token，其余文本约4个字符1个token
+const LATIN_CHARS_PER_TOKEN = 4;
+const CJK_CHAR_PATTERN =
+  /[\u3000-\u303f\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+// 单张图片按高清模式的大致token数计算
+const IMAGE_TOKEN_ESTIMATE = 1500;
+
+// 查不到上下文窗口时，超过该长度也提醒用户确认
+const LARGE_CONTENT_TOKENS = 50000;
+
+/**
+ * 估算文本的token数（按字符类别近似，不依赖具体分词器）
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const cjkCount = (String(text).match(CJK_CHAR_PATTERN) || []).length;
+  return Math.ceil(cjkCount + (text.length - cjkCount) / LATIN_CHARS_PER_TOKEN);
+}
+
+/**
+ * 规范化存储中的价格表，未配置时使用默认价格
+ * @param {Object[]} stored - 存储中的价格表
+ * @returns {Object[]} 价格表
+ */
+function normalizeModelPricing(stored) {
+  if (!Array.isArray(stored)) {
+    return DEFAULT_MODEL_PRICING.map(entry => ({ ...entry }));
+  }
+
+  return stored
+    .filter(entry => entry && typeof entry.model === 'string' && entry.model.trim())
+    .map(entry => ({
+      model: entry.model.trim(),
+      contextWindow: Number(entry.contextWindow) > 0 ? Number(entry.contextWindow) : null,
+      inputPrice: Math.max(0, Number(entry.inputPrice) || 0),
+      outputPrice: Math.max(0, Number(entry.outputPrice) || 0),
+      currency: CURRENCY_SYMBOLS[entry.currency] ? entry.currency : 'USD'
+    }));
+}
+
+/**
+ * 查找模型的价格，兼容 openai/gpt-4o 这类带厂商前缀的模型名称
+ * @param {Object[]} pricingTable - 价格表
+ * @param {string} model - 模型名称
+ * @returns {Object|null} 匹配的价格项
+ */
+function findModelPricing(pricingTable, model) {
+  const name = String(model || '')
+    .toLowerCase()
+    .split('/')
+    .pop();
+  if (!name) {
+    return null;
+  }
+
+  return pricingTable
+    .filter(entry => name.startsWith(entry.model.toLowerCase()))
+    .reduce(
+      (best, entry) => (!best || entry.model.length > best.model.length ? entry : best),
+      null
+    );
+}
+
+/**
+ * 汇总一次分析的用量和费用，并判断是否需要提醒或阻止
+ * @param {Object} params - callPromptTokens（每次调用的输入token）、completionTokensPerCall、
+ *   contentTokens（需求内容本身的token）、provider、model、pricingTable
+ * @returns {Object} 估算结果，status 为 ok、warn 或 block
+ */
+function buildAnalysisEstimate({
+  callPromptTokens,
+  completionTokensPerCall,
+  contentTokens,
+  provider,
+  model,
+  pricingTable
+}) {
+  const pricing = findModelPricing(pricingTable, model);
+  const isLocal = LOCAL_LLM_PROVIDERS.includes(provider);
+  const calls = callPromptTokens.length;
+  const promptTokens = callPromptTokens.reduce((sum, tokens) => sum + tokens, 0);
+  const completionTokens = calls * completionTokensPerCall;
+  const contextWindow = pricing?.contextWindow || null;
+
+  let cost = null;
+  if (pricing && !isLocal) {
+    const inputCost = (promptTokens / 1e6) * pricing.inputPrice;
+    const outputCost = (completionTokens / 1e6) * pricing.outputPrice;
+    cost = {
+      input: inputCost,
+      output: outputCost,
+      total: inputCost + outputCost,
+      currency: pricing.currency
+    };
+  }
+
+  const warnings = [];
+  let status = 'ok';
+  const largestCall = Math.max(...callPromptTokens) + completionTokensPerCall;
+  const windowText = `${model} 的上下文窗口 ${contextWindow?.toLocaleString()} tokens`;
+  const contentText = `内容约 ${contentTokens.toLocaleString()} tokens`;
+
+  if (contextWindow && largestCall > contextWindow) {
+    status = 'block';
+    warnings.push(
+      `单次请求约 ${largestCall.toLocaleString()} tokens，超出 ${windowText}，请换用上下文更长的模型`
+    );
+  } else if (contextWindow && contentTokens > contextWindow) {
+    status = 'warn';
+    warnings.push(`${contentText}，超出 ${windowText}，将分 ${calls} 次调用`);
+  } else if (!contextWindow && contentTokens > LARGE_CONTENT_TOKENS) {
+    status = 'warn';
+    warnings.push(
+      `${contentText}，将分 ${calls} 次调用；价格表中没有 ${model} 的上下文窗口，无法确认是否超限`
+    );
+  }
+
+  return {
+    provider,
+    model,
+    calls,
+    promptTokens,
+    completionTokens,
+    contentTokens,
+    contextWindow,
+    pricing,
+    isLocal,
+    cost,
+    status,
+    warnings
+  };
+}
+
+function formatCost(cost) {
+  const symbol = CURRENCY_SYMBOLS[cost.currency] || '';
+  // 金额很小时保留更多小数位，避免显示为0
+  const digits = cost.total < 0.01 ? 4 : 2;
+  return `${symbol}${cost.total.toFixed(digits)}`;
+}
+
+/**
+ * 生成展示给用户的一行估算摘要
+ */
+function formatAnalysisEstimate(estimate) {
+  const promptTokens = estimate.promptTokens.toLocaleString();
+  const completionTokens = estimate.completionTokens.toLocaleString();
+  const usage = `预计输入约 ${promptTokens} tokens，输出至多 ${completionTokens} tokens`;
+  const calls = estimate.calls > 1 ? `（${estimate.calls} 次调用）` : '';
+
+  let price;
+  if (estimate.isLocal) {
+    price = '本地模型不产生费用';
+  } else if (estimate.cost) {
+    price = `费用约 ${formatCost(estimate.cost)}`;
+  } else {
+    price = `价格表中没有 ${estimate.model} 的价格`;
+  }
+
+  return `${usage}${calls}，${price}`;
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    MODEL_PRICING_STORAGE_KEY,
+    DEFAULT_MODEL_PRICING,
+    IMAGE_TOKEN_ESTIMATE,
+    estimateTokens,
+    normalizeModelPricing,
+    findModelPricing,
+    buildAnalysisEstimate,
+    formatAnalysisEstimate
+  };
+} else {
+  // Browser / Service Worker environment
+  self.MODEL_PRICING_STORAGE_KEY = MODEL_PRICING_STORAGE_KEY;
+  self.DEFAULT_MODEL_PRICING = DEFAULT_MODEL_PRICING;
+  self.IMAGE_TOKEN_ESTIMATE = IMAGE_TOKEN_ESTIMATE;
+  self.estimateTokens = estimateTokens;
+  self.normalizeModelPricing = normalizeModelPricing;
+  self.findModelPricing = findModelPricing;
+  self.buildAnalysisEstimate = buildAnalysisEstimate;
+  self.formatAnalysisEstimate = formatAnalysisEstimate;
+}
@@ -1,5 +1,7 @@
 // src/shared/utils.js - 共享工具函数
-import { SUPPORTED_FILE_TYPES, THREAT_LEVELS } from './constants.js';
+import './constants.js';
+
+const { SUPPORTED_FILE_TYPES, THREAT_LEVELS } = self;
 
 /**
  * 获取文件类型
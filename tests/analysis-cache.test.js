@@ -0,0 +1,118 @@
+import { buildAnalysisCacheKey } from '../src/core/analysis/analysis-cache.js';
+import { loadServiceWorker, waitFor } from './helpers/service-worker.js';
+
+describe('buildAnalysisCacheKey', () => {
+  const parts = {
+    content: '用户通过短信验证码登录',
+    prompt: '',
+    provider: 'openai',
+    model: 'gpt-4o',
+    knowledgeBaseVersion: 'kb1',
+    mode: 'hybrid'
+  };
+
+  it('is stable for the same inputs', async () => {
+    const key = await buildAnalysisCacheKey(parts);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(await buildAnalysisCacheKey({ ...parts })).toBe(key);
+  });
+
+  it.each(['content', 'prompt', 'provider', 'model', 'knowledgeBaseVersion', 'mode'])(
+    'changes when %s changes',
+    async field => {
+      const key = await buildAnalysisCacheKey(parts);
+      expect(await buildAnalysisCacheKey({ ...parts, [field]: 'other' })).not.toBe(key);
+    }
+  );
+
+  it('keeps the key without semantic retrieval unchanged', async () => {
+    const key = await buildAnalysisCacheKey(parts);
+    expect(await buildAnalysisCacheKey({ ...parts, retrieval: '' })).toBe(key);
+    expect(
+      await buildAnalysisCacheKey({ ...parts, retrieval: 'embedding:bge-m3' })
+    ).not.toBe(key);
+  });
+});
+
+describe('analysis result caching with fallback profiles', () => {
+  let service;
+  let entries;
+
+  beforeEach(async () => {
+    ['log', 'warn', 'error'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+    ({ service } = loadServiceWorker({
+      sync: {
+        analysisConfig: { analysisMode: 'llm' },
+        llmProfiles: {
+          profiles: [
+            { id: 'primary', name: '主模型', provider: 'openai', model: 'gpt-4o' },
+            { id: 'backup', name: '备用模型', provider: 'ollama', model: 'qwen2.5:7b' }
+          ],
+          defaultProfileId: 'primary',
+          fallbackProfileIds: ['backup']
+        }
+      }
+    }));
+    await waitFor(() => service.llmProfiles?.defaultProfileId === 'primary');
+    entries = new Map();
+    service.resultCache = {
+      get: vi.fn(async key => entries.get(key) || null),
+      set: vi.fn(async entry => entries.set(entry.key, { ...entry, createdAt: 1 }))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const answerWith = failingProfiles => {
+    service.analyzeWithLLM = vi.fn(async (content, prompt, options) => {
+      if (failingProfiles.includes(options.llmConfig.model)) {
+        throw Object.assign(new Error('服务不可用'), { kind: 'server' });
+      }
+      return { threats: [], testScenarios: [], model: options.llmConfig.model };
+    });
+  };
+
+  it('caches results from the default profile under that profile', async () => {
+    answerWith([]);
+    await service.analyzeContent({ content: '用户通过短信验证码登录', prompt: '' });
+
+    expect(service.resultCache.set).toHaveBeenCalledTimes(1);
+    expect(service.resultCache.set.mock.calls[0][0]).toMatchObject({
+      provider: 'openai',
+      model: 'gpt-4o'
+    });
+
+    const cached = await service.analyzeContent({
+      content: '用户通过短信验证码登录',
+      prompt: ''
+    });
+    expect(cached.cache.hit).toBe(true);
+    expect(service.analyzeWithLLM).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not cache results answered by a fallback profile', async () => {
+    answerWith(['gpt-4o']);
+    const result = await service.analyzeContent({
+      content: '用户通过短信验证码登录',
+      prompt: ''
+    });
+
+    expect(result.llmProfile).toMatchObject({ id: 'backup', model: 'qwen2.5:7b' });
+    expect(result.failedProfiles).toHaveLength(1);
+    expect(service.resultCache.set).not.toHaveBeenCalled();
+
+    // 默认档案恢复后重新分析，而不是返回后备档案的结果
+    answerWith([]);
+    const retried = await service.analyzeContent({
+      content: '用户通过短信验证码登录',
+      prompt: ''
+    });
+    expect(retried.cache).toBeUndefined();
+    expect(retried.llmProfile.id).toBe('primary');
+    expect(service.resultCache.set).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  ANALYSIS_JOBS_STORAGE_KEY,
+  ANALYSIS_JOB_LIMITS,
+  ANALYSIS_JOB_STATES,
+  AnalysisJobStore,
+  hasExhaustedAttempts,
+  summarizeJobTitle
+} from '../src/core/analysis/analysis-job-store.js';
+import { loadServiceWorker, waitFor } from './helpers/service-worker.js';
+
+describe('AnalysisJobStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new AnalysisJobStore(chrome.storage.local);
+  });
+
+  it('stores the input separately from the queued job', async () => {
+    const job = await store.create({ content: '\n  登录模块需求\n细节', source: 'page' });
+
+    expect(job).toMatchObject({
+      state: ANALYSIS_JOB_STATES.QUEUED,
+      title: '登录模块需求',
+      attempts: 0
+    });
+    expect(await store.getInput(job.id)).toEqual({
+      content: '\n  登录模块需求\n细节',
+      source: 'page'
+    });
+    const [listed] = (await chrome.storage.local.get(ANALYSIS_JOBS_STORAGE_KEY))[
+      ANALYSIS_JOBS_STORAGE_KEY
+    ];
+    expect(listed).not.toHaveProperty('content');
+  });
+
+  it('serializes concurrent updates and records when a job finishes', async () => {
+    const job = await store.create({ content: '需求' });
+
+    await Promise.all([
+      store.update(job.id, { message: '解析中' }),
+      store.update(job.id, { attempts: 1 }),
+      store.update(job.id, { state: ANALYSIS_JOB_STATES.DONE })
+    ]);
+
+    const updated = await store.get(job.id);
+    expect(updated).toMatchObject({ message: '解析中', attempts: 1, state: 'done' });
+    expect(updated.finishedAt).toBe(updated.updatedAt);
+    expect(await store.next()).toBeNull();
+  });
+
+  it('returns the oldest unfinished job next', async () => {
+    const first = await store.create({ content: '一' });
+    const second = await store.create({ content: '二' });
+    await store.update(first.id, { state: ANALYSIS_JOB_STATES.FAILED });
+
+    expect((await store.next()).id).toBe(second.id);
+  });
+
+  it('prunes the oldest finished jobs beyond the limit together with their data', async () => {
+    const jobs = [];
+    for (let i = 0; i < ANALYSIS_JOB_LIMITS.maxJobs; i++) {
+      const job = await store.create({ content: `需求 ${i}` });
+      await store.update(job.id, { state: ANALYSIS_JOB_STATES.DONE });
+      jobs.push(job);
+    }
+    await store.create({ content: '新需求' });
+    await waitFor(async () => !(await store.getInput(jobs[0].id)));
+
+    const ids = (await store.list()).map(job => job.id);
+    expect(ids).toHaveLength(ANALYSIS_JOB_LIMITS.maxJobs);
+    expect(ids).not.toContain(jobs[0].id);
+  });
+
+  it('shortens long titles', () => {
+    expect(summarizeJobTitle('')).toBe('未命名需求');
+    expect(summarizeJobTitle('长'.repeat(50))).toBe(`${'长'.repeat(40)}…`);
+  });
+
+  it('reports when a job has used up its automatic attempts', () => {
+    expect(hasExhaustedAttempts({ attempts: ANALYSIS_JOB_LIMITS.maxAttempts - 1 })).toBe(
+      false
+    );
+    expect(hasExhaustedAttempts({ attempts: ANALYSIS_JOB_LIMITS.maxAttempts })).toBe(
+      true
+    );
+  });
+});
+
+describe('resuming analysis jobs in the service worker', () => {
+  const job = attempts => ({
+    id: 'job_resume',
+    state: ANALYSIS_JOB_STATES.LLM,
+    title: '登录需求',
+    createdAt: 1,
+    updatedAt: 1,
+    finishedAt: null,
+    attempts,
+    delivered: false
+  });
+
+  const loadWithJob = attempts =>
+    loadServiceWorker({
+      local: {
+        [ANALYSIS_JOBS_STORAGE_KEY]: [job(attempts)],
+        'analysisJob:job_resume:input': { content: '登录需求' }
+      }
+    });
+
+  beforeEach(() => {
+    ['log', 'warn', 'error'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('fails a job that keeps getting interrupted instead of running it again', async () => {
+    const { service, storage } = loadWithJob(ANALYSIS_JOB_LIMITS.maxAttempts);
+    const analyzeContent = vi.spyOn(service, 'analyzeContent');
+
+    const [record] = await waitFor(() => {
+      const jobs = storage.local.items[ANALYSIS_JOBS_STORAGE_KEY];
+      return jobs[0].state === ANALYSIS_JOB_STATES.FAILED && jobs;
+    });
+
+    expect(analyzeContent).not.toHaveBeenCalled();
+    expect(record.attempts).toBe(ANALYSIS_JOB_LIMITS.maxAttempts);
+    expect(record.error).toContain(
+      `已执行 ${ANALYSIS_JOB_LIMITS.maxAttempts} 次仍未完成`
+    );
+  });
+
+  it('resumes a job that still has attempts left and counts the attempt', async () => {
+    const { service, storage } = loadWithJob(1);
+    service.analyzeContent = vi.fn(async () => ({ threats: [] }));
+
+    const [record] = await waitFor(() => {
+      const jobs = storage.local.items[ANALYSIS_JOBS_STORAGE_KEY];
+      return jobs[0].state === ANALYSIS_JOB_STATES.DONE && jobs;
+    });
+
+    expect(service.analyzeContent).toHaveBeenCalledTimes(1);
+    expect(record.attempts).toBe(2);
+  });
+
+  it('starts counting again when the user retries a failed job', async () => {
+    const { service, storage } = loadWithJob(ANALYSIS_JOB_LIMITS.maxAttempts);
+    await waitFor(
+      () =>
+        storage.local.items[ANALYSIS_JOBS_STORAGE_KEY][0].state ===
+        ANALYSIS_JOB_STATES.FAILED
+    );
+    service.analyzeContent = vi.fn(async () => ({ threats: [] }));
+
+    await service.retryAnalysisJob('job_resume');
+    const [record] = await waitFor(() => {
+      const jobs = storage.local.items[ANALYSIS_JOBS_STORAGE_KEY];
+      return jobs[0].state === ANALYSIS_JOB_STATES.DONE && jobs;
+    });
+
+    expect(record.attempts).toBe(1);
+  });
+});
@@ -0,0 +1,129 @@
+import {
+  buildAnalysisRepairPrompt,
+  extractAnalysisJSON,
+  normalizeAnalysisResult,
+  sanitizeAnalysisResult,
+  validateAnalysisResult
+} from '../src/core/analysis/analysis-result-schema.js';
+
+const threat = { type: '注入', description: 'SQL注入', level: 'high' };
+const scenario = {
+  category: '注入',
+  description: '验证参数化查询',
+  steps: ['提交单引号']
+};
+
+describe('extractAnalysisJSON', () => {
+  it('parses plain, fenced and embedded JSON', () => {
+    expect(extractAnalysisJSON('{"threats":[]}')).toEqual({ threats: [] });
+    expect(extractAnalysisJSON('结果如下：\n```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(extractAnalysisJSON('前言 {"a":{"b":"}"}} 后记')).toEqual({ a: { b: '}' } });
+  });
+
+  it('ignores reasoning blocks, including an unopened closing tag', () => {
+    expect(extractAnalysisJSON('<think>{"draft":true}</think>{"a":1}')).toEqual({ a: 1 });
+    expect(extractAnalysisJSON('先想一下 {"draft":true}</think>{"a":2}')).toEqual({
+      a: 2
+    });
+  });
+
+  it('returns null when no object can be found', () => {
+    expect(extractAnalysisJSON('')).toBeNull();
+    expect(extractAnalysisJSON('[1,2]')).toBeNull();
+    expect(extractAnalysisJSON('{"a":')).toBeNull();
+  });
+});
+
+describe('normalizeAnalysisResult', () => {
+  it('maps level aliases, field aliases and single values', () => {
+    const result = normalizeAnalysisResult({
+      overview: '概述',
+      assets: '用户数据',
+      threats: { name: '越权', description: '水平越权', riskLevel: '高危' },
+      securityScenarios: [
+        { type: '权限', description: '切换账号', steps: '登录A\n访问B' }
+      ],
+      recommendations: [{ title: '校验归属' }]
+    });
+
+    expect(result.summary).toBe('概述');
+    expect(result.assets).toEqual(['用户数据']);
+    expect(result.threats[0]).toMatchObject({ type: '越权', level: 'high' });
+    expect(result.testScenarios[0]).toMatchObject({
+      category: '权限',
+      steps: ['登录A', '访问B']
+    });
+    expect(result.recommendations).toEqual(['校验归属']);
+  });
+
+  it('normalizes CWE ids from the different spellings models use', () => {
+    const result = normalizeAnalysisResult({
+      threats: [
+        { ...threat, cwe: 'cwe79, CWE-089，bogus' },
+        { ...threat, cwe_id: 352 }
+      ]
+    });
+    expect(result.threats[0].cwe).toEqual(['CWE-79', 'CWE-89']);
+    expect(result.threats[1].cwe).toEqual(['CWE-352']);
+  });
+});
+
+describe('validateAnalysisResult', () => {
+  it('only requires threats and testScenarios', () => {
+    expect(
+      validateAnalysisResult({ threats: [threat], testScenarios: [scenario] })
+    ).toEqual([]);
+    expect(validateAnalysisResult({ summary: '概述' }).map(error => error.path)).toEqual([
+      'threats',
+      'testScenarios'
+    ]);
+  });
+
+  it('reports invalid items', () => {
+    const errors = validateAnalysisResult({
+      threats: [{ ...threat, level: 'urgent', cwe: ['79'] }],
+      testScenarios: []
+    });
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('sanitizeAnalysisResult', () => {
+  it('defaults the optional top-level fields', () => {
+    expect(
+      sanitizeAnalysisResult({ threats: [threat], testScenarios: [scenario] })
+    ).toEqual({
+      summary: '',
+      assets: [],
+      threats: [threat],
+      testScenarios: [scenario],
+      recommendations: []
+    });
+  });
+
+  it('drops items that do not match the schema', () => {
+    const result = sanitizeAnalysisResult({
+      summary: 42,
+      assets: ['账号', ''],
+      threats: [threat, { type: '缺少等级', description: '...' }],
+      testScenarios: [scenario, { category: '缺少步骤', description: '...' }],
+      recommendations: 'not a list'
+    });
+    expect(result).toEqual({
+      summary: '',
+      assets: ['账号'],
+      threats: [threat],
+      testScenarios: [scenario],
+      recommendations: []
+    });
+  });
+});
+
+describe('buildAnalysisRepairPrompt', () => {
+  it('lists the validation errors, or a parse failure', () => {
+    expect(
+      buildAnalysisRepairPrompt('{}', [{ path: 'threats', message: '缺少必填字段' }])
+    ).toContain('- threats: 缺少必填字段');
+    expect(buildAnalysisRepairPrompt('oops', null)).toContain('找不到合法的JSON对象');
+  });
+});
@@ -0,0 +1,224 @@
+import {
+  buildComplianceMapping,
+  COMPLIANCE_SOURCE_TYPES,
+  COMPLIANCE_STATUSES,
+  parseStandardCitation
+} from '../src/core/analysis/compliance-mapping.js';
+import { threat as baseThreat } from './helpers/knowledge-base.js';
+import { loadServiceWorker, waitFor } from './helpers/service-worker.js';
+
+// 引用了标准条款的威胁
+const threat = (name, citation) => ({
+  ...baseThreat(name, null),
+  industry_standard: citation ? { name: citation, details: null } : null
+});
+
+const knowledgeBase = {
+  登录认证: {
+    threats: [
+      threat('暴力破解', 'JR/T 0068/2020：6.2.2.4 d）'),
+      threat('会话固定', 'JRT0068/2020：6.2.2.4d)'),
+      threat('弱口令', '网安第四章第四十二条')
+    ]
+  },
+  数据导出: {
+    threats: [threat('越权导出', '访问控制'), threat('敏感数据泄露', '个保第五十一条')]
+  },
+  文件上传: { threats: [threat('恶意文件上传')] }
+};
+
+describe('parseStandardCitation', () => {
+  it.each([
+    [
+      'JR/T 0068/2020：6.2.2.4 d）',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.FINANCIAL_STANDARD,
+        standard: 'JR/T 0068-2020',
+        title: '网上银行系统信息安全通用规范',
+        clause: '6.2.2.4 d)'
+      }
+    ],
+    [
+      'JR/T  0213/2021：5.1',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.FINANCIAL_STANDARD,
+        standard: 'JR/T 0213-2021',
+        title: null,
+        clause: '5.1'
+      }
+    ],
+    [
+      'JR/T 0071.2-2020',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.FINANCIAL_STANDARD,
+        standard: 'JR/T 0071.2-2020',
+        title: '金融行业网络安全等级保护实施指引 第2部分：基本要求',
+        clause: '（未注明条款）'
+      }
+    ],
+    [
+      '《数安》第二十七条',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.LAW,
+        standard: '数据安全法',
+        title: '中华人民共和国数据安全法',
+        clause: '第二十七条'
+      }
+    ],
+    [
+      '网安第四章第四十二条第一款',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.LAW,
+        standard: '网络安全法',
+        title: '中华人民共和国网络安全法',
+        clause: '第四十二条第一款'
+      }
+    ],
+    [
+      ' 访问控制 ',
+      {
+        type: COMPLIANCE_SOURCE_TYPES.CATEGORY,
+        standard: '安全类别',
+        title: '知识库只标注了安全类别，未引用具体条款',
+        clause: '访问控制'
+      }
+    ]
+  ])('parses %s', (citation, expected) => {
+    expect(parseStandardCitation(citation)).toEqual(expected);
+  });
+
+  it('returns null without a citation', () => {
+    expect(parseStandardCitation('')).toBeNull();
+    expect(parseStandardCitation(null)).toBeNull();
+  });
+});
+
+describe('buildComplianceMapping', () => {
+  const scenarios = Object.entries(knowledgeBase).map(([scenario, { threats }]) => ({
+    scenario,
+    threats
+  }));
+
+  it('groups threats by standard and clause and resolves their coverage', () => {
+    const coverage = {
+      暴力破解: { requirement: true, testCase: true },
+      会话固定: { requirement: true, testCase: false },
+      弱口令: { requirement: false, testCase: true }
+    };
+    const mapping = buildComplianceMapping(
+      scenarios,
+      (scenario, item) => coverage[item.name] || {}
+    );
+
+    expect(mapping.standards.map(standard => standard.standard)).toEqual([
+      'JR/T 0068-2020',
+      '个人信息保护法',
+      '网络安全法',
+      '安全类别'
+    ]);
+
+    const [clause] = mapping.standards[0].clauses;
+    expect(clause).toMatchObject({
+      clause: '6.2.2.4 d)',
+      citations: ['JR/T 0068/2020：6.2.2.4 d）', 'JRT0068/2020：6.2.2.4d)'],
+      status: COMPLIANCE_STATUSES.COVERED
+    });
+    expect(clause.threats.map(item => item.threat)).toEqual(['暴力破解', '会话固定']);
+    expect(mapping.standards[1].clauses[0].status).toBe(COMPLIANCE_STATUSES.UNCOVERED);
+    expect(mapping.standards[2].clauses[0].status).toBe(COMPLIANCE_STATUSES.PARTIAL);
+
+    // 安全类别不计入覆盖统计
+    expect(mapping.summary).toEqual({
+      standards: 3,
+      clauses: 3,
+      covered: 1,
+      partial: 1,
+      uncovered: 1
+    });
+  });
+
+  it('merges threats with the same name in a scenario', () => {
+    const coverage = [
+      { requirement: true, testCase: false },
+      { requirement: false, testCase: true }
+    ];
+    const mapping = buildComplianceMapping(
+      [
+        {
+          scenario: '页面展示',
+          threats: [threat('XSS', '网安第二十一条'), threat('XSS', '网安第二十一条')]
+        }
+      ],
+      () => coverage.shift()
+    );
+    expect(mapping.standards[0].clauses[0].threats).toEqual([
+      { scenario: '页面展示', threat: 'XSS', requirement: true, testCase: true }
+    ]);
+  });
+
+  it('returns null when no threat cites a standard', () => {
+    expect(
+      buildComplianceMapping(
+        [{ scenario: '文件上传', threats: [threat('恶意文件上传')] }],
+        () => ({})
+      )
+    ).toBeNull();
+  });
+});
+
+describe('compliance mapping in the service worker', () => {
+  let service;
+
+  beforeEach(async () => {
+    ['log', 'warn', 'error', 'info'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+    ({ service } = loadServiceWorker());
+    await waitFor(() => service.stacService?.isLoaded, 10000);
+    service.stacService.knowledgeBase = knowledgeBase;
+    service.stacService.createScenarioIndex();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('uses the requirements and test cases of knowledge base results', () => {
+    const { threats } = knowledgeBase.登录认证;
+    const mapping = service.mapCompliance({
+      analysisMethod: 'STAC',
+      stacMatches: [{ scenario: '登录认证' }, { scenario: '登录认证' }],
+      securityRequirements: [
+        threats[0].security_requirement,
+        threats[2].security_requirement
+      ],
+      testCases: [threats[0].test_case]
+    });
+
+    expect(mapping.summary).toMatchObject({ clauses: 2, covered: 1, partial: 1 });
+    expect(mapping.standards[0].clauses[0].threats).toMatchObject([
+      { scenario: '登录认证', threat: '暴力破解', requirement: true, testCase: true },
+      { scenario: '登录认证', threat: '会话固定', requirement: false, testCase: false }
+    ]);
+  });
+
+  it('uses the knowledge base references of hybrid results', () => {
+    const ref = (scenario, name) => ({ knowledgeBaseRef: { scenario, threat: name } });
+    const mapping = service.mapCompliance({
+      analysisMethod: 'HYBRID',
+      knowledgeBase: { entries: [{ scenario: '数据导出' }] },
+      threats: [ref('数据导出', '敏感数据泄露'), { title: '模型补充的威胁' }],
+      testScenarios: [ref('数据导出', '敏感数据泄露')]
+    });
+
+    expect(mapping.summary).toMatchObject({ standards: 1, covered: 1 });
+    expect(mapping.standards.map(standard => standard.standard)).toEqual([
+      '个人信息保护法',
+      '安全类别'
+    ]);
+  });
+
+  it('has no mapping for results produced by the model alone', () => {
+    expect(service.mapCompliance({ analysisMethod: 'LLM' })).toBeNull();
+  });
+});
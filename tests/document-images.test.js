@@ -0,0 +1,143 @@
+import {
+  DOCUMENT_IMAGE_LIMITS,
+  applyImageLimits,
+  extractDOCXImages,
+  extractDocumentImages,
+  renderPDFImages,
+  resolveImageLimits
+} from '../src/core/analysis/document-images.js';
+
+const OPS = { paintImageXObject: 85, constructPath: 91, showText: 44 };
+
+// 按页给出操作符列表的 PDF.js 替身
+function fakePdfjs(pages) {
+  const pdf = {
+    numPages: pages.length,
+    getPage: vi.fn(async number => ({
+      getOperatorList: async () => ({ fnArray: pages[number - 1] }),
+      cleanup: vi.fn()
+    })),
+    destroy: vi.fn()
+  };
+  return { OPS, pdf, getDocument: () => ({ promise: Promise.resolve(pdf) }) };
+}
+
+function fakeMammoth(embedded) {
+  return {
+    images: { imgElement: handler => handler },
+    convertToHtml: async (input, { convertImage }) => {
+      for (const image of embedded) {
+        await convertImage({ ...image, read: async () => 'AAAA' });
+      }
+    }
+  };
+}
+
+describe('resolveImageLimits', () => {
+  it('accepts non-negative integers and ignores the rest', () => {
+    expect(resolveImageLimits({ maxImages: '2', maxImageKB: -1 })).toEqual({
+      ...DOCUMENT_IMAGE_LIMITS,
+      maxImages: 2
+    });
+    expect(resolveImageLimits({ maxImages: 0 }).maxImages).toBe(0);
+  });
+});
+
+describe('applyImageLimits', () => {
+  it('keeps valid images up to the limits and explains the rest', () => {
+    const png = source => ({ source, mediaType: 'image/png', data: 'AAAA', extra: 1 });
+    const result = applyImageLimits(
+      [
+        png('图1'),
+        { source: '图2', mediaType: 'image/x-emf', data: 'AAAA' },
+        { source: '图3', mediaType: 'image/png', data: 'A'.repeat(4000) },
+        png('图4'),
+        png('图5'),
+        null
+      ],
+      { maxImages: 2, maxImageKB: 1 }
+    );
+
+    expect(result.images).toEqual([
+      { source: '图1', mediaType: 'image/png', data: 'AAAA' },
+      { source: '图4', mediaType: 'image/png', data: 'AAAA' }
+    ]);
+    expect(result.skipped).toEqual([
+      { source: '图2', reason: '图片数据或格式无效' },
+      { source: '图3', reason: '超过单张图片大小上限' },
+      { source: '图5', reason: '已达到单次分析的图片数量上限' },
+      { source: '未知来源', reason: '图片数据或格式无效' }
+    ]);
+  });
+});
+
+describe('extractDocumentImages', () => {
+  it('reports a missing parser library instead of failing', async () => {
+    const limits = resolveImageLimits();
+    const pdf = await extractDocumentImages({ name: 'a.PDF', type: '' }, null, limits);
+    const docx = await extractDocumentImages({ name: 'b.docx', type: '' }, null, limits);
+
+    expect(pdf.skipped).toEqual([{ source: 'a.PDF', reason: '未加载PDF.js' }]);
+    expect(docx.skipped).toEqual([{ source: 'b.docx', reason: '未加载mammoth.js' }]);
+  });
+
+  it('returns nothing for text files or when images are disabled', async () => {
+    const limits = resolveImageLimits({ maxImages: 0 });
+    expect(await extractDocumentImages({ name: 'a.pdf' }, null, limits)).toEqual({
+      images: [],
+      skipped: []
+    });
+    expect(
+      await extractDocumentImages({ name: 'a.txt' }, null, resolveImageLimits())
+    ).toEqual({ images: [], skipped: [] });
+  });
+});
+
+describe('renderPDFImages', () => {
+  it('only considers pages with bitmaps or diagrams and respects the scan limit', async () => {
+    const diagram = Array(40).fill(OPS.constructPath);
+    const lib = fakePdfjs([
+      [OPS.showText],
+      [OPS.showText, OPS.paintImageXObject],
+      diagram,
+      Array(39).fill(OPS.constructPath),
+      [OPS.paintImageXObject]
+    ]);
+
+    const result = await renderPDFImages(lib, new ArrayBuffer(8), {
+      ...DOCUMENT_IMAGE_LIMITS,
+      maxImages: 0,
+      maxScanPages: 4
+    });
+
+    expect(result.images).toEqual([]);
+    expect(result.skipped).toEqual([
+      { source: 'PDF 第 2 页', reason: '已达到单次分析的图片数量上限' },
+      { source: 'PDF 第 3 页', reason: '已达到单次分析的图片数量上限' },
+      { source: 'PDF 第 5-5 页', reason: '超出扫描页数上限' }
+    ]);
+    expect(lib.pdf.getPage).toHaveBeenCalledTimes(4);
+    expect(lib.pdf.destroy).toHaveBeenCalled();
+  });
+});
+
+describe('extractDOCXImages', () => {
+  it('skips unsupported formats and images over the count limit', async () => {
+    const result = await extractDOCXImages(
+      fakeMammoth([
+        { contentType: 'image/x-wmf', altText: '流程图' },
+        { contentType: 'image/png' }
+      ]),
+      new ArrayBuffer(8),
+      { ...DOCUMENT_IMAGE_LIMITS, maxImages: 0 }
+    );
+
+    expect(result).toEqual({
+      images: [],
+      skipped: [
+        { source: 'DOCX 图片 1（流程图）', reason: '不支持的图片格式 image/x-wmf' },
+        { source: 'DOCX 图片 2', reason: '已达到单次分析的图片数量上限' }
+      ]
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { onTestFinished } from 'vitest';
+import STACService from '../../src/core/analysis/stac-service.js';
+
+// 当前格式的知识库威胁，四个部分都有内容
+export const threat = (name, details = `${name}的描述`) => ({
+  name,
+  details,
+  security_requirement: { name, details: `防止${name}` },
+  security_design: { name, details: `${name}的设计` },
+  test_case: { name, details: `测试${name}` },
+  industry_standard: null
+});
+
+export const baseKnowledgeBase = {
+  登录认证: { threats: [threat('暴力破解'), threat('会话固定')] },
+  数据导出: { threats: [threat('越权导出')] },
+  文件上传: { threats: [threat('恶意文件上传')] }
+};
+
+/**
+ * 创建已加载指定知识库的 STACService，测试结束时自动清理
+ * 须在 beforeEach 或用例中调用
+ */
+export function createSTACService(knowledgeBase = baseKnowledgeBase) {
+  const service = new STACService();
+  service.knowledgeBase = knowledgeBase;
+  service.isLoaded = true;
+  service.createScenarioIndex();
+  onTestFinished(() => service.cleanup());
+  return service;
+}
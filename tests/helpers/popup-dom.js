@@ -0,0 +1,73 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { JSDOM } from 'jsdom';
+
+const SRC_DIR = resolve(__dirname, '../../src');
+
+// popup.html 中按顺序加载的脚本（PDF.js、mammoth 等第三方库不参与测试）
+const POPUP_SCRIPTS = [
+  'utils/request-client.js',
+  'utils/llm-profiles.js',
+  'utils/token-estimator.js',
+  'core/analysis/document-images.js',
+  'core/analysis/analysis-job-store.js',
+  'core/analysis/weakness-mapping.js',
+  'ui/popup/popup.js'
+];
+
+function createChromeStub(overrides = {}) {
+  return {
+    storage: { sync: { get: async () => ({}) } },
+    tabs: {
+      query: async () => [{ id: 1, url: 'https://example.com/prd' }],
+      sendMessage: async () => ({
+        success: true,
+        data: { pageContent: '', attachments: [] }
+      }),
+      create: async () => {}
+    },
+    runtime: {
+      getURL: path => `chrome-extension://test/${path}`,
+      openOptionsPage: () => {},
+      sendMessage: async () => ({ success: true }),
+      connect: () => ({
+        onMessage: { addListener() {} },
+        onDisconnect: { addListener() {} },
+        postMessage() {},
+        disconnect() {}
+      })
+    },
+    ...overrides
+  };
+}
+
+/**
+ * 在独立的 jsdom 窗口中按 popup.html 的顺序执行弹窗脚本，返回初始化完成的弹窗实例
+ * @param {Object} chromeOverrides - 覆盖默认 chrome API 替身的字段
+ */
+export async function loadPopup(chromeOverrides) {
+  const html = readFileSync(resolve(SRC_DIR, 'ui/popup/popup.html'), 'utf8').replace(
+    /<script[^>]*><\/script>/g,
+    ''
+  );
+  const dom = new JSDOM(html, { runScripts: 'dangerously' });
+  const { window } = dom;
+  window.chrome = createChromeStub(chromeOverrides);
+  window.console = console;
+
+  // 以内联脚本方式执行，顶层声明与浏览器中一样共享全局作用域
+  const runScript = source => {
+    const script = window.document.createElement('script');
+    script.textContent = source;
+    window.document.body.appendChild(script);
+  };
+  POPUP_SCRIPTS.forEach(file => runScript(readFileSync(resolve(SRC_DIR, file), 'utf8')));
+  // 弹窗实例保存在全局变量 popup 中，页面加载完成后才创建
+  await new Promise(done => window.addEventListener('load', done));
+  // 等待 init 中的异步检查完成
+  await new Promise(done => setTimeout(done, 20));
+
+  runScript('window.popupInstance = popup;');
+
+  return { popup: window.popupInstance, window };
+}
@@ -0,0 +1,140 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import vm from 'vm';
+
+const ROOT_DIR = resolve(__dirname, '../..');
+const SW_DIR = resolve(ROOT_DIR, 'src/background');
+const EXTENSION_ORIGIN = 'chrome-extension://test/';
+
+// 与 setup.js 相同语义的存储区，另外支持以对象形式传入默认值
+function createStorageArea(items) {
+  return {
+    items,
+    get: async keys => {
+      if (keys === null || keys === undefined) {
+        return { ...items };
+      }
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const list = Array.isArray(keys)
+        ? keys
+        : typeof keys === 'string'
+          ? [keys]
+          : Object.keys(keys);
+      return Object.fromEntries(
+        list
+          .filter(key => key in items || key in defaults)
+          .map(key => [key, key in items ? items[key] : defaults[key]])
+      );
+    },
+    set: async values => {
+      Object.assign(items, values);
+    },
+    remove: async keys => {
+      [].concat(keys).forEach(key => delete items[key]);
+    }
+  };
+}
+
+const listenerStub = () => ({ addListener() {} });
+
+/**
+ * 在独立的 vm 上下文中加载 Service Worker，importScripts 按相对路径读取仓库中的源码
+ * 扩展内资源（如知识库JSON）从仓库读取，其余请求交给 options.fetch
+ * @param {Object} options - sync、local 为存储初始内容，fetch 为外部请求的实现，indexedDB 可选
+ * @returns {{service: Object, context: Object, storage: Object, send: Function}}
+ */
+export function loadServiceWorker(options = {}) {
+  const storage = {
+    sync: createStorageArea({ ...options.sync }),
+    local: createStorageArea({ ...options.local })
+  };
+  const messageListeners = [];
+  const externalFetch =
+    options.fetch || (() => Promise.reject(new Error('网络请求未模拟')));
+
+  const context = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    structuredClone,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    AbortSignal,
+    URL,
+    Response,
+    Headers,
+    Blob,
+    Intl,
+    crypto: globalThis.crypto,
+    indexedDB: options.indexedDB,
+    fetch: async (url, init) => {
+      const target = String(url);
+      if (target.startsWith(EXTENSION_ORIGIN)) {
+        const file = decodeURIComponent(target.slice(EXTENSION_ORIGIN.length));
+        return new Response(readFileSync(resolve(ROOT_DIR, file)));
+      }
+      return externalFetch(url, init);
+    },
+    chrome: {
+      runtime: {
+        getURL: path => `${EXTENSION_ORIGIN}${path}`,
+        onMessage: { addListener: listener => messageListeners.push(listener) },
+        onConnect: listenerStub(),
+        onStartup: listenerStub(),
+        onInstalled: listenerStub()
+      },
+      tabs: {
+        onUpdated: listenerStub(),
+        get: async () => ({}),
+        query: async () => [],
+        sendMessage: async () => ({})
+      },
+      scripting: { executeScript: async () => [] },
+      storage: { sync: storage.sync, local: storage.local, onChanged: listenerStub() }
+    }
+  };
+  context.self = context;
+  context.globalThis = context;
+  context.importScripts = (...files) => {
+    files.forEach(file => {
+      const filename = resolve(SW_DIR, file);
+      vm.runInContext(readFileSync(filename, 'utf8'), context, { filename });
+    });
+  };
+  vm.createContext(context);
+
+  const filename = resolve(SW_DIR, 'service-worker.js');
+  vm.runInContext(readFileSync(filename, 'utf8'), context, { filename });
+
+  return {
+    service: vm.runInContext('securityAnalysisService', context),
+    context,
+    storage,
+    // 模拟 popup 的 chrome.runtime.sendMessage
+    send: request =>
+      new Promise(done => {
+        messageListeners[0](request, {}, done);
+      })
+  };
+}
+
+/**
+ * 轮询等待条件成立，用于等待后台异步流程（初始化、任务队列）完成
+ */
+export async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('等待条件超时');
+    }
+    await new Promise(done => setTimeout(done, 10));
+  }
+}
@@ -0,0 +1,246 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  KNOWLEDGE_BASE_SCHEMA,
+  KNOWLEDGE_PACK_SCHEMA,
+  migrateKnowledgeBase,
+  migrateKnowledgePack,
+  validateKnowledgeBaseSchema,
+  validateKnowledgePackSchema,
+  validateKnowledgeThreatSchema
+} from '../src/core/analysis/knowledge-base-schema.js';
+import { threat } from './helpers/knowledge-base.js';
+
+const root = path.resolve(__dirname, '..');
+
+// 旧格式：场景直接是威胁数组，各字段是纯文本
+const legacyKnowledgeBase = {
+  短信验证码: [
+    {
+      name: '验证码爆破',
+      security_requirement: '限制尝试次数',
+      security_design: '验证码有效期与次数限制',
+      test_case: '连续提交错误验证码',
+      industry_standard: 'JR/T 0068/2020：6.2.2.4'
+    }
+  ],
+  文件上传: { threats: [{ ...threat('恶意文件'), industry_standard: ' ' }] }
+};
+
+describe('knowledge base migration', () => {
+  it('converts legacy scenarios and sections and records each change', () => {
+    const { knowledgeBase, changes } = migrateKnowledgeBase(legacyKnowledgeBase);
+
+    expect(knowledgeBase.短信验证码.threats[0]).toEqual({
+      name: '验证码爆破',
+      security_requirement: { name: '验证码爆破', details: '限制尝试次数' },
+      security_design: { name: '验证码爆破', details: '验证码有效期与次数限制' },
+      test_case: { name: '验证码爆破', details: '连续提交错误验证码' },
+      industry_standard: { name: 'JR/T 0068/2020：6.2.2.4', details: null }
+    });
+    expect(knowledgeBase.文件上传.threats[0].industry_standard).toBeNull();
+    expect(changes.map(change => change.path)).toEqual([
+      '短信验证码',
+      '短信验证码.threats[0].security_requirement',
+      '短信验证码.threats[0].security_design',
+      '短信验证码.threats[0].test_case',
+      '短信验证码.threats[0].industry_standard',
+      '文件上传.threats[0].industry_standard'
+    ]);
+    expect(Array.isArray(legacyKnowledgeBase.短信验证码)).toBe(true);
+    expect(validateKnowledgeBaseSchema(knowledgeBase)).toEqual([]);
+  });
+
+  it('leaves a current knowledge base unchanged', () => {
+    const current = { 登录认证: { threats: [threat('暴力破解')] } };
+    expect(migrateKnowledgeBase(current)).toEqual({
+      knowledgeBase: current,
+      changes: []
+    });
+  });
+
+  it('adds the schema version to legacy packs and migrates their scenarios', () => {
+    const { pack, changes } = migrateKnowledgePack({
+      name: '短信安全',
+      version: 3,
+      author: '安全团队',
+      scenarios: legacyKnowledgeBase
+    });
+
+    expect(pack).toMatchObject({ schemaVersion: '1.0', version: '3' });
+    expect(changes.slice(0, 3)).toEqual([
+      { path: 'schemaVersion', message: '已补充为 1.0' },
+      { path: 'version', message: '数字已转换为字符串' },
+      { path: 'scenarios.短信验证码', message: '威胁数组已转换为 {threats}' }
+    ]);
+    expect(validateKnowledgePackSchema(pack)).toEqual([]);
+  });
+
+  it('keeps packs with an unsupported schema version for validation to reject', () => {
+    const future = {
+      schemaVersion: '2.0',
+      name: 'x',
+      version: '1',
+      author: 'y',
+      scenarios: {}
+    };
+    expect(migrateKnowledgePack(future)).toEqual({ pack: future, changes: [] });
+    expect(validateKnowledgePackSchema(future).map(error => error.path)).toEqual([
+      'schemaVersion'
+    ]);
+  });
+});
+
+describe('knowledge base validation', () => {
+  it('reports the path of each invalid threat field', () => {
+    const errors = validateKnowledgeThreatSchema(
+      { ...threat('越权导出'), test_case: { name: '越权导出', details: '' } },
+      '数据导出.threats[0]'
+    );
+    expect(errors.map(error => error.path)).toEqual([
+      '数据导出.threats[0].test_case.details'
+    ]);
+  });
+
+  it('requires pack metadata', () => {
+    const errors = validateKnowledgePackSchema({ schemaVersion: '1.0', scenarios: {} });
+    expect(errors.map(error => error.path)).toEqual(
+      expect.arrayContaining(['name', 'version', 'author'])
+    );
+  });
+
+  it.each([
+    ['stac-knowledge-base.schema.json', KNOWLEDGE_BASE_SCHEMA],
+    ['stac-knowledge-pack.schema.json', KNOWLEDGE_PACK_SCHEMA]
+  ])('publishes %s generated from the current schema', (file, schema) => {
+    const published = JSON.parse(
+      fs.readFileSync(path.join(root, 'docs/schemas', file), 'utf8')
+    );
+    expect(published).toEqual({ $schema: expect.any(String), ...schema });
+  });
+
+  it('accepts the bundled knowledge base', () => {
+    const bundled = JSON.parse(
+      fs.readFileSync(path.join(root, 'assets/STAC知识库.json'), 'utf8')
+    );
+    expect(validateKnowledgeBaseSchema(bundled)).toEqual([]);
+  });
+});
+
+describe('scripts/migrate-knowledge-base.js', () => {
+  let dir;
+
+  const writeJSON = (name, data) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+
+  const run = (...args) =>
+    spawnSync(process.execPath, ['scripts/migrate-knowledge-base.js', ...args], {
+      cwd: root,
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stac-migrate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('checks a knowledge base without writing it', () => {
+    const input = writeJSON('kb.json', legacyKnowledgeBase);
+    const result = run(input);
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('knowledge base, schema 1.0');
+    expect(result.stdout).toContain('6 change(s)');
+    expect(JSON.parse(fs.readFileSync(input, 'utf8'))).toEqual(legacyKnowledgeBase);
+  });
+
+  it('wraps a knowledge base into a pack', () => {
+    const input = writeJSON('kb.json', legacyKnowledgeBase);
+    const out = path.join(dir, 'pack.json');
+    const result = run(
+      input,
+      '--out',
+      out,
+      '--name',
+      '短信安全',
+      '--version',
+      '1.0.0',
+      '--author',
+      '安全团队'
+    );
+
+    expect(result.status).toBe(0);
+    const pack = JSON.parse(fs.readFileSync(out, 'utf8'));
+    expect(pack).toMatchObject({
+      schemaVersion: '1.0',
+      name: '短信安全',
+      author: '安全团队'
+    });
+    expect(validateKnowledgePackSchema(pack)).toEqual([]);
+  });
+
+  it('exits with 1 when validation errors remain', () => {
+    const input = writeJSON('pack.json', {
+      name: '不完整',
+      version: '1.0.0',
+      scenarios: { 登录认证: { threats: [{ name: '暴力破解' }] } }
+    });
+    const out = path.join(dir, 'migrated.json');
+    const result = run(input, '--out', out);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('validation error(s)');
+    expect(result.stderr).toContain('author');
+    expect(result.stderr).toContain('登录认证.threats[0].security_requirement');
+    expect(fs.existsSync(out)).toBe(true);
+  });
+
+  it.each([
+    ['--out', []],
+    ['--name', ['--out', 'pack.json']]
+  ])('exits with 1 when %s has no value', (flag, rest) => {
+    const input = writeJSON('kb.json', legacyKnowledgeBase);
+    const result = run(input, flag, ...rest);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr.trim()).toBe(`${flag} requires a value`);
+    expect(fs.readdirSync(dir)).toEqual(['kb.json']);
+  });
+
+  it.each([
+    ['a missing file', () => path.join(dir, 'missing.json')],
+    [
+      'invalid JSON',
+      () => {
+        const file = path.join(dir, 'broken.json');
+        fs.writeFileSync(file, '{"登录认证": ');
+        return file;
+      }
+    ]
+  ])('reports %s on one line and exits with 1', (_, createInput) => {
+    const input = createInput();
+    const result = run(input);
+
+    expect(result.status).toBe(1);
+    const lines = result.stderr.trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(lines[0].startsWith(`${input}: `)).toBe(true);
+  });
+
+  it('writes the schemas', () => {
+    expect(run('--schema', dir).status).toBe(0);
+    expect(fs.readdirSync(dir).sort()).toEqual([
+      'stac-knowledge-base.schema.json',
+      'stac-knowledge-pack.schema.json'
+    ]);
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  ITEM_ORIGINS,
+  buildKnowledgeContext,
+  formatKnowledgeContextPrompt,
+  tagResultOrigins
+} from '../src/core/analysis/knowledge-context.js';
+import { threat } from './helpers/knowledge-base.js';
+import { loadPopup } from './helpers/popup-dom.js';
+
+const knowledgeBase = {
+  登录: { threats: [threat('暴力破解'), threat('凭证泄露'), threat('会话固定')] },
+  // 支付场景的威胁没有安全设计
+  支付: {
+    threats: ['金额篡改', '重放攻击'].map(name => ({
+      ...threat(name),
+      security_design: { name, details: '' }
+    }))
+  }
+};
+const getScenarioData = name => knowledgeBase[name];
+
+describe('buildKnowledgeContext', () => {
+  it('prefers matched threats and falls back to the first threats of a scenario', () => {
+    const entries = buildKnowledgeContext(
+      [
+        {
+          scenario: '登录',
+          confidence: 0.9,
+          matchedThreats: [{ threat: threat('会话固定') }]
+        },
+        { scenario: '通用场景', confidence: 0.5 },
+        { scenario: '支付', confidence: 0.4 }
+      ],
+      getScenarioData
+    );
+
+    expect(entries.map(entry => [entry.id, entry.scenario, entry.threat])).toEqual([
+      ['KB-1', '登录', '会话固定'],
+      ['KB-2', '支付', '金额篡改'],
+      ['KB-3', '支付', '重放攻击']
+    ]);
+    expect(entries[0]).toMatchObject({
+      confidence: 0.9,
+      securityRequirement: '防止会话固定',
+      securityDesign: '会话固定的设计',
+      testCase: '测试会话固定'
+    });
+  });
+
+  it('applies the scenario, entry and field limits', () => {
+    const entries = buildKnowledgeContext(
+      [
+        { scenario: '登录', matchedThreats: knowledgeBase.登录.threats },
+        { scenario: '支付' }
+      ],
+      name => (name === '登录' ? { threats: [threat('很长'.repeat(10))] } : null),
+      { maxScenarios: 1, maxEntries: 2, maxFieldChars: 5 }
+    );
+
+    expect(entries).toHaveLength(2);
+    expect(entries[0].securityRequirement).toBe('防止暴力破…');
+  });
+});
+
+describe('formatKnowledgeContextPrompt', () => {
+  it('lists each entry with its reference id and omits empty fields', () => {
+    const prompt = formatKnowledgeContextPrompt(
+      buildKnowledgeContext([{ scenario: '支付' }], getScenarioData)
+    );
+    expect(prompt).toContain(
+      '[KB-1] 场景：支付；威胁：金额篡改\n安全需求：防止金额篡改\n测试用例：测试金额篡改'
+    );
+    expect(prompt).not.toContain('安全设计：');
+    expect(formatKnowledgeContextPrompt([])).toBeNull();
+  });
+});
+
+describe('tagResultOrigins', () => {
+  it('links cited entries and treats unknown references as model output', () => {
+    const entries = buildKnowledgeContext([{ scenario: '支付' }], getScenarioData);
+    const result = {
+      threats: [{ source: 'kb-2' }, { source: 'KB-9' }, {}],
+      testScenarios: [{ source: '基于 KB-1 改写' }]
+    };
+
+    expect(tagResultOrigins(result, entries)).toEqual({ knowledgeBase: 2, model: 2 });
+    expect(result.threats[0]).toMatchObject({
+      origin: ITEM_ORIGINS.KNOWLEDGE_BASE,
+      knowledgeBaseRef: { id: 'KB-2', scenario: '支付', threat: '重放攻击' }
+    });
+    expect(result.threats[1].origin).toBe(ITEM_ORIGINS.MODEL);
+    expect(result.testScenarios[0].knowledgeBaseRef.id).toBe('KB-1');
+  });
+});
+
+describe('HTML export', () => {
+  const payload = '<img src=x onerror=alert(1)>';
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('escapes knowledge base references and result text', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { popup } = await loadPopup();
+    const html = popup.formatResultAsHTML({
+      analysis: `概述\n${payload}`,
+      threats: [
+        {
+          description: payload,
+          level: 'high',
+          impact: payload,
+          origin: ITEM_ORIGINS.KNOWLEDGE_BASE,
+          knowledgeBaseRef: { scenario: payload, threat: payload }
+        }
+      ],
+      securityScenarios: [
+        {
+          category: payload,
+          description: `${payload}描述`,
+          steps: [payload],
+          expectedResult: payload,
+          origin: ITEM_ORIGINS.MODEL
+        }
+      ],
+      recommendations: [payload]
+    });
+
+    expect(html).not.toContain('<img');
+    expect(html).toContain(
+      '知识库（&#60;img src=x onerror=alert(1)&#62; / &#60;img src=x onerror=alert(1)&#62;）'
+    );
+    expect(html).toContain('概述<br>&#60;img');
+    expect(html.match(/&#60;img src=x onerror=alert\(1\)&#62;/g)).toHaveLength(10);
+  });
+});
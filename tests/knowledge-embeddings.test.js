@@ -0,0 +1,161 @@
+import {
+  buildSectionEmbeddingTexts,
+  buildThreatEmbeddingTexts,
+  cosineSimilarity,
+  EMBEDDING_DEFAULTS,
+  EMBEDDING_LIMITS,
+  normalizeEmbeddingConfig,
+  scoreKnowledgeEmbeddings
+} from '../src/core/analysis/knowledge-embeddings.js';
+import { loadServiceWorker, waitFor } from './helpers/service-worker.js';
+
+const knowledgeBase = {
+  短信验证码: {
+    threats: [{ name: '验证码爆破', details: '攻击者穷举短信验证码' }]
+  },
+  文件上传: {
+    threats: [
+      { name: '恶意文件上传', security_requirement: { details: '校验上传文件类型' } }
+    ]
+  }
+};
+
+describe('embedding helpers', () => {
+  it('normalizes the stored config', () => {
+    expect(normalizeEmbeddingConfig(null)).toEqual(EMBEDDING_DEFAULTS);
+    expect(
+      normalizeEmbeddingConfig({ enabled: true, source: 'other', weight: '1.5' })
+    ).toMatchObject({ enabled: true, source: 'provider', weight: 1 });
+    expect(normalizeEmbeddingConfig({ weight: '' }).weight).toBe(
+      EMBEDDING_DEFAULTS.weight
+    );
+  });
+
+  it('computes cosine similarity', () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+  });
+
+  it('builds one text per threat, falling back to the requirement details', () => {
+    expect(buildThreatEmbeddingTexts(knowledgeBase)).toEqual([
+      {
+        scenario: '短信验证码',
+        threatIndex: 0,
+        text: '短信验证码 - 验证码爆破：攻击者穷举短信验证码'
+      },
+      {
+        scenario: '文件上传',
+        threatIndex: 0,
+        text: '文件上传 - 恶意文件上传：校验上传文件类型'
+      }
+    ]);
+  });
+
+  it('splits long sections and caps the number of texts', () => {
+    const long = '长'.repeat(EMBEDDING_LIMITS.maxSectionChars + 10);
+    expect(
+      buildSectionEmbeddingTexts([
+        { title: 'Content', content: '概述' },
+        { title: '一、登录', content: long }
+      ]).map(text => text.length)
+    ).toEqual([2, EMBEDDING_LIMITS.maxSectionChars, 15]);
+
+    const many = Array.from({ length: EMBEDDING_LIMITS.maxSections + 5 }, (_, index) => ({
+      title: `第${index}节`,
+      content: '内容'
+    }));
+    expect(buildSectionEmbeddingTexts(many)).toHaveLength(EMBEDDING_LIMITS.maxSections);
+  });
+
+  it('scores scenarios by their best matching threat', () => {
+    const scores = scoreKnowledgeEmbeddings(
+      [
+        { scenario: 'A', threatIndex: 0, vector: [1, 0] },
+        { scenario: 'A', threatIndex: 1, vector: [0.6, 0.8] },
+        { scenario: 'B', threatIndex: 0, vector: [0, 1] }
+      ],
+      [[1, 0]]
+    );
+    expect([...scores.keys()]).toEqual(['A']);
+    expect(scores.get('A').score).toBe(1);
+    expect(scores.get('A').threats.get(1)).toBeCloseTo((0.6 - 0.35) / (0.8 - 0.35));
+  });
+});
+
+// 按主题词生成向量：验证码类、上传类，以及一个公共分量
+const embed = text => [
+  /验证码|短信|手机/.test(text) ? 1 : 0,
+  /上传|文件/.test(text) ? 1 : 0,
+  0.1
+];
+
+describe('semantic search in the service worker', () => {
+  let service;
+  let embeddingRequests;
+
+  beforeEach(async () => {
+    ['log', 'warn', 'error', 'info'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+    embeddingRequests = [];
+    ({ service } = loadServiceWorker({
+      fetch: async (url, init) => {
+        const { input } = JSON.parse(init.body);
+        embeddingRequests.push({ url, input });
+        return new Response(
+          JSON.stringify({
+            data: input.map((text, index) => ({ index, embedding: embed(text) }))
+          }),
+          { status: 200, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+    }));
+    await waitFor(() => service.stacService?.isLoaded, 10000);
+
+    service.stacService.knowledgeBase = knowledgeBase;
+    service.stacService.createScenarioIndex();
+    service.embeddingConfig = normalizeEmbeddingConfig({
+      enabled: true,
+      source: 'custom',
+      endpoint: 'http://localhost:1234/v1/embeddings',
+      model: 'bge-m3'
+    });
+    service.configureSemanticSearch();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('matches paraphrased content that shares no keywords with the scenario', async () => {
+    const content = '支持手机动态码登录';
+    expect(
+      await service.stacService.matchScenarios(content, { semantic: false })
+    ).toEqual([]);
+
+    const [match] = await service.stacService.matchScenarios(content);
+    expect(match).toMatchObject({ scenario: '短信验证码', score: 0, semanticScore: 1 });
+    expect(match.confidence).toBeCloseTo(service.embeddingConfig.weight);
+    expect(embeddingRequests.at(-1)).toEqual({
+      url: 'http://localhost:1234/v1/embeddings',
+      input: [content]
+    });
+  });
+
+  it('reuses the index and rebuilds it when the knowledge base changes', async () => {
+    const first = await service.ensureKnowledgeEmbeddings();
+    expect(first.items).toHaveLength(2);
+    expect(await service.ensureKnowledgeEmbeddings()).toBe(first);
+    const indexRequests = embeddingRequests.length;
+
+    service.stacService.knowledgeBase = {
+      ...knowledgeBase,
+      数据导出: { threats: [{ name: '越权导出', details: '导出他人数据' }] }
+    };
+    const rebuilt = await service.ensureKnowledgeEmbeddings();
+    expect(rebuilt.items).toHaveLength(3);
+    expect(rebuilt.knowledgeBaseVersion).not.toBe(first.knowledgeBaseVersion);
+    expect(embeddingRequests).toHaveLength(indexRequests + 1);
+  });
+});
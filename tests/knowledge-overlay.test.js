@@ -0,0 +1,108 @@
+import { describeKnowledgeBase } from '../src/core/analysis/knowledge-overlay.js';
+import {
+  baseKnowledgeBase,
+  createSTACService,
+  threat
+} from './helpers/knowledge-base.js';
+
+describe('describeKnowledgeBase', () => {
+  it('lists bundled scenarios first and marks edits, additions and packs', () => {
+    const scenarios = describeKnowledgeBase(
+      baseKnowledgeBase,
+      [
+        { scenario: '数据导出', disabled: true, updatedAt: 5 },
+        { scenario: '短信验证码', threats: [threat('验证码爆破')], updatedAt: 6 }
+      ],
+      { 文件上传: ['上传安全包'] }
+    );
+
+    expect(
+      scenarios.map(({ name, builtin, modified, disabled, packs }) => [
+        name,
+        builtin,
+        modified,
+        disabled,
+        packs
+      ])
+    ).toEqual([
+      ['登录认证', true, false, false, []],
+      ['数据导出', true, true, true, []],
+      ['文件上传', true, false, false, ['上传安全包']],
+      ['短信验证码', false, true, false, []]
+    ]);
+    expect(scenarios[1].threats).toBe(baseKnowledgeBase.数据导出.threats);
+  });
+});
+
+describe('STACService knowledge base overlay', () => {
+  let service;
+  let store;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    store = { listPacks: async () => [], list: async () => [] };
+    service = createSTACService();
+    service.setOverlayStore(store);
+    service.baseKnowledgeBase = baseKnowledgeBase;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('applies edits, additions and disabled scenarios and threats', async () => {
+    store.list = async () => [
+      {
+        scenario: '登录认证',
+        threats: [
+          threat('暴力破解', '修改后的描述'),
+          { ...threat('会话固定'), disabled: true }
+        ]
+      },
+      { scenario: '数据导出', threats: [threat('越权导出')], disabled: true },
+      { scenario: '短信验证码', threats: [threat('验证码爆破')] }
+    ];
+
+    const merged = await service._mergeKnowledgeBaseOverlay(baseKnowledgeBase);
+
+    expect(Object.keys(merged)).toEqual(['登录认证', '文件上传', '短信验证码']);
+    expect(merged.登录认证.threats).toEqual([threat('暴力破解', '修改后的描述')]);
+    expect(merged.文件上传).toBe(baseKnowledgeBase.文件上传);
+    expect(Object.keys(baseKnowledgeBase)).toHaveLength(3);
+  });
+
+  it('skips invalid entries and keeps the rest', async () => {
+    store.list = async () => [
+      { scenario: '登录认证', threats: [{ name: '缺少字段' }] },
+      { scenario: '', threats: [threat('无名场景')] },
+      { scenario: '短信验证码', threats: [threat('验证码爆破')] }
+    ];
+
+    const merged = await service._mergeKnowledgeBaseOverlay(baseKnowledgeBase);
+    expect(merged.登录认证).toBe(baseKnowledgeBase.登录认证);
+    expect(Object.keys(merged)).toEqual([
+      ...Object.keys(baseKnowledgeBase),
+      '短信验证码'
+    ]);
+  });
+
+  it('falls back to the bundled knowledge base when the store cannot be read', async () => {
+    store.list = async () => {
+      throw new Error('IndexedDB 不可用');
+    };
+    expect(await service._mergeKnowledgeBaseOverlay(baseKnowledgeBase)).toBe(
+      baseKnowledgeBase
+    );
+  });
+
+  it('rebuilds the index so added scenarios can be matched', async () => {
+    store.list = async () => [
+      { scenario: '短信验证码', threats: [threat('验证码爆破')] }
+    ];
+    expect(await service.matchScenarios('短信验证码')).toEqual([]);
+
+    await service.applyKnowledgeBaseOverlay();
+    const [match] = await service.matchScenarios('短信验证码');
+    expect(match.scenario).toBe('短信验证码');
+  });
+});
@@ -0,0 +1,170 @@
+import {
+  baseKnowledgeBase,
+  createSTACService,
+  threat
+} from './helpers/knowledge-base.js';
+
+const pack = (name, scenarios, strategy = 'override', extra = {}) => ({
+  name,
+  version: '1.0.0',
+  author: '安全团队',
+  scenarios,
+  strategy,
+  enabled: true,
+  ...extra
+});
+
+describe('STACService knowledge base packs', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    service = createSTACService();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('_mergeKnowledgePacks', () => {
+    it.each([
+      ['override', ['暴力破解（包）']],
+      ['append', ['暴力破解', '会话固定', '撞库']],
+      ['skip', ['暴力破解', '会话固定']]
+    ])('merges existing scenarios with the %s strategy', (strategy, names) => {
+      const { knowledgeBase, sources } = service._mergeKnowledgePacks(baseKnowledgeBase, [
+        pack(
+          '认证增强',
+          {
+            登录认证: {
+              threats:
+                strategy === 'append'
+                  ? [threat('暴力破解', '重复的威胁'), threat('撞库')]
+                  : [threat('暴力破解（包）')]
+            }
+          },
+          strategy
+        )
+      ]);
+
+      expect(knowledgeBase.登录认证.threats.map(item => item.name)).toEqual(names);
+      expect(knowledgeBase.登录认证.threats[0].details).not.toBe('重复的威胁');
+      expect(sources).toEqual(strategy === 'skip' ? {} : { 登录认证: ['认证增强'] });
+    });
+
+    it('adds new scenarios and applies packs in order', () => {
+      const { knowledgeBase, sources, activePacks } = service._mergeKnowledgePacks(
+        baseKnowledgeBase,
+        [
+          pack('支付安全', { 支付回调: { threats: [threat('回调伪造')] } }),
+          pack('支付补充', { 支付回调: { threats: [threat('金额篡改')] } }, 'append', {
+            version: '2.1.0'
+          }),
+          pack(
+            '已停用',
+            { 短信验证码: { threats: [threat('验证码爆破')] } },
+            'override',
+            {
+              enabled: false
+            }
+          )
+        ]
+      );
+
+      expect(Object.keys(knowledgeBase)).toEqual([
+        '登录认证',
+        '数据导出',
+        '文件上传',
+        '支付回调'
+      ]);
+      expect(knowledgeBase.支付回调.threats.map(item => item.name)).toEqual([
+        '回调伪造',
+        '金额篡改'
+      ]);
+      expect(sources).toEqual({ 支付回调: ['支付安全', '支付补充'] });
+      expect(activePacks).toEqual([
+        { name: '支付安全', version: '1.0.0', author: '安全团队' },
+        { name: '支付补充', version: '2.1.0', author: '安全团队' }
+      ]);
+      expect(Object.keys(baseKnowledgeBase)).toHaveLength(3);
+    });
+
+    it('migrates stored packs and skips invalid ones', () => {
+      const { knowledgeBase, activePacks } = service._mergeKnowledgePacks(
+        baseKnowledgeBase,
+        [
+          pack('旧格式', {
+            短信验证码: [
+              {
+                name: '验证码爆破',
+                details: '穷举验证码',
+                security_requirement: '限制尝试次数',
+                security_design: '验证码有效期与次数限制',
+                test_case: '连续提交错误验证码',
+                industry_standard: ''
+              }
+            ]
+          }),
+          pack('缺少字段', { 支付回调: { threats: [{ name: '回调伪造' }] } })
+        ]
+      );
+
+      expect(knowledgeBase.短信验证码.threats[0]).toMatchObject({
+        security_requirement: { name: '验证码爆破', details: '限制尝试次数' },
+        industry_standard: null
+      });
+      expect(knowledgeBase.支付回调).toBeUndefined();
+      expect(activePacks.map(item => item.name)).toEqual(['旧格式']);
+    });
+  });
+
+  describe('parseKnowledgePack', () => {
+    const packFile = {
+      schemaVersion: '1.0',
+      name: ' 支付安全 ',
+      version: '1.2.0',
+      author: '安全团队',
+      scenarios: { 支付回调: { threats: [threat('回调伪造')] } }
+    };
+
+    it('returns trimmed metadata and the scenarios', () => {
+      const parsed = service.parseKnowledgePack(JSON.stringify(packFile));
+      expect(parsed).toMatchObject({
+        schemaVersion: '1.0',
+        name: '支付安全',
+        version: '1.2.0',
+        author: '安全团队',
+        description: '',
+        migrations: []
+      });
+      expect(parsed.scenarios).toEqual(packFile.scenarios);
+    });
+
+    it('migrates packs without a schema version', () => {
+      const legacy = { ...packFile, version: 2 };
+      delete legacy.schemaVersion;
+      const parsed = service.parseKnowledgePack(JSON.stringify(legacy));
+      expect(parsed.version).toBe('2');
+      expect(parsed.migrations).toEqual([
+        'schemaVersion: 已补充为 1.0',
+        'version: 数字已转换为字符串'
+      ]);
+    });
+
+    it.each([
+      ['not json', /not valid JSON/],
+      ['[]', /must be a JSON object/],
+      [JSON.stringify({ ...packFile, schemaVersion: '9.0' }), /schemaVersion/],
+      [JSON.stringify({ ...packFile, author: '' }), /author/],
+      [
+        JSON.stringify({
+          ...packFile,
+          scenarios: { 支付回调: { threats: [{ name: 'x' }] } }
+        }),
+        /security_requirement/
+      ]
+    ])('rejects an invalid pack: %s', (raw, message) => {
+      expect(() => service.parseKnowledgePack(raw)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import {
+  createLLMProfileId,
+  describeLLMProfile,
+  getDefaultLLMProfile,
+  normalizeLLMProfiles,
+  resolveLLMProfileChain,
+  toLLMConfig
+} from '../src/utils/llm-profiles.js';
+
+const openai = {
+  id: 'a',
+  name: '主力',
+  provider: 'openai',
+  model: 'gpt-4o',
+  apiKey: 'sk-a'
+};
+const azure = {
+  id: 'b',
+  name: 'Azure',
+  provider: 'azure',
+  azureDeployment: 'gpt-4o-prod',
+  apiKey: 'az'
+};
+const ollama = { id: 'c', name: '本地', provider: 'ollama', model: 'qwen2.5' };
+
+describe('normalizeLLMProfiles', () => {
+  it('migrates the legacy llmConfig into a default profile', () => {
+    const settings = normalizeLLMProfiles(undefined, {
+      provider: 'openai',
+      model: 'gpt-4o'
+    });
+    expect(settings).toEqual({
+      profiles: [
+        { provider: 'openai', model: 'gpt-4o', id: 'default', name: '默认配置' }
+      ],
+      defaultProfileId: 'default',
+      fallbackProfileIds: []
+    });
+  });
+
+  it('drops stale references, duplicates and the default from the fallback chain', () => {
+    const settings = normalizeLLMProfiles({
+      profiles: [openai, azure, ollama, null],
+      defaultProfileId: 'b',
+      fallbackProfileIds: ['b', 'c', 'gone', 'c', 'a']
+    });
+    expect(settings.profiles).toHaveLength(3);
+    expect(settings.defaultProfileId).toBe('b');
+    expect(settings.fallbackProfileIds).toEqual(['c', 'a']);
+  });
+
+  it('falls back to the first profile when the default is missing', () => {
+    const settings = normalizeLLMProfiles({
+      profiles: [openai, azure],
+      defaultProfileId: 'x'
+    });
+    expect(getDefaultLLMProfile(settings)).toBe(openai);
+  });
+});
+
+describe('resolveLLMProfileChain', () => {
+  it('orders the default profile before the fallbacks', () => {
+    const settings = normalizeLLMProfiles({
+      profiles: [openai, azure, ollama],
+      defaultProfileId: 'c',
+      fallbackProfileIds: ['a']
+    });
+    expect(resolveLLMProfileChain(settings).map(profile => profile.id)).toEqual([
+      'c',
+      'a'
+    ]);
+  });
+});
+
+describe('profile helpers', () => {
+  it('strips profile identity from the request config', () => {
+    expect(toLLMConfig(openai)).toEqual({
+      provider: 'openai',
+      model: 'gpt-4o',
+      apiKey: 'sk-a'
+    });
+  });
+
+  it('describes profiles without secrets, using the Azure deployment as the model', () => {
+    expect(describeLLMProfile(azure)).toEqual({
+      id: 'b',
+      name: 'Azure',
+      provider: 'azure',
+      model: 'gpt-4o-prod'
+    });
+    expect(describeLLMProfile(openai)).not.toHaveProperty('apiKey');
+  });
+
+  it('creates distinct profile ids', () => {
+    expect(createLLMProfileId()).toMatch(/^profile_/);
+    expect(createLLMProfileId()).not.toBe(createLLMProfileId());
+  });
+});
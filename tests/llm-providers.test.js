@@ -0,0 +1,303 @@
+import { LLMStubServer } from '../tools/debug/llm-stub-server.js';
+import {
+  AnthropicAdapter,
+  AzureOpenAIAdapter,
+  OllamaAdapter,
+  OpenAICompatibleAdapter,
+  getLLMProviderAdapter
+} from '../src/integrations/llm/llm-providers.js';
+
+// 按适配器构建的请求描述发往桩服务
+async function send(built) {
+  const response = await fetch(built.url, {
+    method: 'POST',
+    headers: built.headers,
+    body: JSON.stringify(built.body)
+  });
+  return { status: response.status, text: await response.text() };
+}
+
+const request = {
+  system: '你是安全专家',
+  messages: [{ role: 'user', content: '分析登录需求' }],
+  maxTokens: 500,
+  temperature: 0.2
+};
+
+describe('LLM provider adapters against the stub server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = new LLMStubServer(0).start();
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    vi.restoreAllMocks();
+  });
+
+  describe('OpenAI compatible', () => {
+    const adapter = new OpenAICompatibleAdapter('openai', { jsonMode: true });
+    const config = () => ({
+      endpoint: `${baseUrl}/v1/chat/completions`,
+      apiKey: 'sk-test',
+      model: 'gpt-4o'
+    });
+
+    it('puts the system prompt first and requests JSON mode', () => {
+      const built = adapter.buildRequest(config(), {
+        ...request,
+        responseFormat: 'json'
+      });
+      expect(built.headers.Authorization).toBe('Bearer sk-test');
+      expect(built.body.messages[0]).toEqual({ role: 'system', content: '你是安全专家' });
+      expect(built.body.response_format).toEqual({ type: 'json_object' });
+      expect(built.body.max_tokens).toBe(500);
+    });
+
+    it('omits the Authorization header without an API key', () => {
+      const built = new OpenAICompatibleAdapter('custom').buildRequest(
+        { ...config(), apiKey: '' },
+        { ...request, responseFormat: 'json' }
+      );
+      expect(built.headers.Authorization).toBeUndefined();
+      expect(built.body.response_format).toBeUndefined();
+    });
+
+    it('parses a completion returned by the stub', async () => {
+      const { status, text } = await send(adapter.buildRequest(config(), request));
+      expect(status).toBe(200);
+
+      const parsed = adapter.parseResponse(JSON.parse(text));
+      expect(JSON.parse(parsed.content).threats[0].level).toBe('high');
+      expect(parsed.finishReason).toBe('stop');
+      expect(parsed.usage).toEqual({ inputTokens: 100, outputTokens: 50 });
+    });
+
+    it('rejects a response without a message', () => {
+      expect(() => adapter.parseResponse({ choices: [] })).toThrow('响应格式不正确');
+    });
+  });
+
+  describe('Anthropic Messages API', () => {
+    const adapter = new AnthropicAdapter();
+    const config = () => ({
+      endpoint: `${baseUrl}/v1/messages`,
+      apiKey: 'sk-ant-test',
+      model: 'claude-sonnet'
+    });
+
+    it('moves system prompts to the top-level field', () => {
+      const built = adapter.buildRequest(config(), {
+        ...request,
+        messages: [{ role: 'system', content: '旧的系统消息' }, ...request.messages]
+      });
+      expect(built.headers['x-api-key']).toBe('sk-ant-test');
+      expect(built.headers['anthropic-version']).toBe('2023-06-01');
+      expect(built.body.system).toBe('你是安全专家');
+      expect(built.body.messages).toEqual([{ role: 'user', content: '分析登录需求' }]);
+    });
+
+    it('defaults max_tokens, which the API requires', () => {
+      const built = adapter.buildRequest(config(), { messages: request.messages });
+      expect(built.body.max_tokens).toBe(2000);
+      expect(built.body).not.toHaveProperty('temperature');
+    });
+
+    it('places images before the text block', () => {
+      const message = adapter.formatMessage({
+        role: 'user',
+        content: '看图',
+        images: [{ mediaType: 'image/png', data: 'AAAA' }]
+      });
+      expect(message.content[0]).toEqual({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: 'AAAA' }
+      });
+      expect(message.content[1]).toEqual({ type: 'text', text: '看图' });
+    });
+
+    it('parses a message returned by the stub', async () => {
+      const { status, text } = await send(adapter.buildRequest(config(), request));
+      expect(status).toBe(200);
+
+      const parsed = adapter.parseResponse(JSON.parse(text));
+      expect(JSON.parse(parsed.content).summary).toBe('桩服务返回的示例分析');
+      expect(parsed.finishReason).toBe('end_turn');
+      expect(parsed.usage).toEqual({ inputTokens: 100, outputTokens: 50 });
+    });
+
+    it('extracts the error message when the key is missing', async () => {
+      const { status, text } = await send(
+        adapter.buildRequest({ ...config(), apiKey: '' }, request)
+      );
+      expect(status).toBe(401);
+      expect(adapter.extractErrorMessage(text)).toBe('缺少 x-api-key 请求头');
+    });
+  });
+
+  describe('Azure OpenAI', () => {
+    const adapter = new AzureOpenAIAdapter();
+    const config = {
+      provider: 'azure',
+      azureResourceName: 'contoso-ai',
+      azureDeployment: 'gpt-4o_prod',
+      azureApiVersion: '',
+      apiKey: 'azure-key',
+      model: ''
+    };
+
+    it('composes the endpoint from resource, deployment and API version', () => {
+      expect(adapter.composeEndpoint(config)).toBe(
+        'https://contoso-ai.openai.azure.com/openai/deployments/gpt-4o_prod/chat/completions?api-version=2024-10-21'
+      );
+      expect(
+        adapter.composeEndpoint({ ...config, azureApiVersion: '2024-08-01-preview' })
+      ).toMatch(/api-version=2024-08-01-preview$/);
+    });
+
+    it('sends the key in api-key, or as a bearer token for Entra ID', () => {
+      expect(adapter.buildHeaders(config)['api-key']).toBe('azure-key');
+      const entra = adapter.buildHeaders({ ...config, azureAuthType: 'entraToken' });
+      expect(entra.Authorization).toBe('Bearer azure-key');
+      expect(entra).not.toHaveProperty('api-key');
+    });
+
+    it('leaves the model to the deployment', () => {
+      const built = adapter.buildRequest({ ...config, model: 'gpt-4o' }, request);
+      expect(built.body).not.toHaveProperty('model');
+      expect(built.body.messages[0].role).toBe('system');
+    });
+
+    it('reports missing and malformed Azure fields', () => {
+      expect(adapter.validateConfig(config)).toEqual([]);
+      expect(
+        adapter.validateConfig({
+          azureResourceName: '',
+          azureDeployment: 'bad/name',
+          azureApiVersion: '2024-13',
+          azureAuthType: 'entraToken',
+          apiKey: ' '
+        })
+      ).toEqual([
+        '请填写Azure资源名称',
+        'Azure部署名称只能包含字母、数字、点、下划线和连字符',
+        'API版本格式应为 YYYY-MM-DD 或 YYYY-MM-DD-preview',
+        '请填写Entra ID访问令牌'
+      ]);
+    });
+
+    it('builds embedding requests against the embedding deployment', () => {
+      const built = adapter.buildEmbeddingRequest(
+        { ...config, model: 'text-embedding-3-small' },
+        ['登录']
+      );
+      expect(built.url).toBe(
+        'https://contoso-ai.openai.azure.com/openai/deployments/text-embedding-3-small/embeddings?api-version=2024-10-21'
+      );
+      expect(built.body).toEqual({ input: ['登录'] });
+    });
+
+    it('refuses to build an embedding request without a resource name', () => {
+      expect(() =>
+        adapter.buildEmbeddingRequest(
+          { ...config, azureResourceName: '', model: 'text-embedding-3-small' },
+          ['登录']
+        )
+      ).toThrow('请填写Azure资源名称');
+      expect(() => adapter.buildEmbeddingRequest(config, ['登录'])).toThrow(
+        '请填写Azure部署名称'
+      );
+    });
+
+    it('is accepted by the stub when the endpoint is entered by hand', async () => {
+      const manual = {
+        apiKey: 'azure-key',
+        endpoint: `${baseUrl}/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21`
+      };
+      const ok = await send(adapter.buildRequest(manual, request));
+      expect(ok.status).toBe(200);
+      expect(
+        JSON.parse(adapter.parseResponse(JSON.parse(ok.text)).content).assets
+      ).toHaveLength(2);
+
+      const denied = await send(adapter.buildRequest({ ...manual, apiKey: '' }, request));
+      expect(denied.status).toBe(401);
+    });
+  });
+
+  describe('Ollama native API', () => {
+    const adapter = new OllamaAdapter();
+    const config = () => ({ endpoint: baseUrl, model: 'qwen2.5:7b' });
+
+    it('derives the chat URL from a bare or full endpoint', () => {
+      expect(adapter.buildRequest(config(), request).url).toBe(`${baseUrl}/api/chat`);
+      expect(
+        adapter.buildRequest({ ...config(), endpoint: `${baseUrl}/api/chat/` }, request)
+          .url
+      ).toBe(`${baseUrl}/api/chat`);
+      expect(adapter.buildModelListRequest({}).url).toBe(
+        'http://localhost:11434/api/tags'
+      );
+    });
+
+    it('disables streaming explicitly and maps generation options', () => {
+      const built = adapter.buildRequest(config(), {
+        ...request,
+        responseFormat: 'json',
+        messages: [
+          {
+            role: 'user',
+            content: '看图',
+            images: [{ mediaType: 'image/png', data: 'AAAA' }]
+          }
+        ]
+      });
+      expect(built.body).toMatchObject({
+        stream: false,
+        format: 'json',
+        options: { num_predict: 500, temperature: 0.2 }
+      });
+      expect(built.body.messages).toEqual([
+        { role: 'system', content: '你是安全专家' },
+        { role: 'user', content: '看图', images: ['AAAA'] }
+      ]);
+      expect(built.headers.Authorization).toBeUndefined();
+    });
+
+    it('parses a non-streaming chat response with usage', async () => {
+      const { status, text } = await send(adapter.buildRequest(config(), request));
+      expect(status).toBe(200);
+      const parsed = adapter.parseResponse(JSON.parse(text));
+      expect(JSON.parse(parsed.content).threats).toHaveLength(1);
+      expect(parsed.usage).toEqual({ inputTokens: 100, outputTokens: 50 });
+    });
+
+    it('lists pulled models and treats an untagged name as latest', async () => {
+      const built = adapter.buildModelListRequest(config());
+      const response = await fetch(built.url, { headers: built.headers });
+      const models = adapter.parseModelList(await response.json());
+      expect(models.map(model => model.name)).toEqual(['qwen2.5:7b', 'llama3.1:latest']);
+      expect(adapter.isModelAvailable(models, 'llama3.1')).toBe(true);
+      expect(adapter.isModelAvailable(models, 'qwen2.5')).toBe(false);
+    });
+
+    it('surfaces the error for a model that has not been pulled', async () => {
+      const { status, text } = await send(
+        adapter.buildRequest({ ...config(), model: 'mistral' }, request)
+      );
+      expect(status).toBe(404);
+      expect(adapter.extractErrorMessage(text)).toContain('model "mistral" not found');
+      expect(adapter.extractErrorMessage('')).toContain('OLLAMA_ORIGINS');
+    });
+  });
+
+  it('falls back to the OpenAI compatible adapter for unknown providers', () => {
+    expect(getLLMProviderAdapter('anthropic')).toBeInstanceOf(AnthropicAdapter);
+    expect(getLLMProviderAdapter('unknown').id).toBe('custom');
+  });
+});
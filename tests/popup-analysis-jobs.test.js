@@ -0,0 +1,61 @@
+import { loadPopup } from './helpers/popup-dom.js';
+
+describe('popup analysis job guard', () => {
+  let popup;
+  let window;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    ({ popup, window } = await loadPopup());
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('ignores a second click before the first await settles', async () => {
+    let release;
+    popup.getAnalysisContent = vi.fn(() => new Promise(resolve => (release = resolve)));
+    popup.performAnalysis = vi.fn();
+
+    const first = popup.startAnalysis();
+    const second = popup.startAnalysis();
+    await second;
+    expect(popup.getAnalysisContent).toHaveBeenCalledTimes(1);
+
+    release(null);
+    await first;
+    expect(popup.performAnalysis).not.toHaveBeenCalled();
+    expect(popup.analysisInFlight).toBe(false);
+  });
+
+  it('does not attach to or retry another job while an analysis starts', async () => {
+    popup.getAnalysisContent = vi.fn(() => new Promise(() => {}));
+    popup.connectAnalysisJob = vi.fn();
+    const sendMessage = vi.spyOn(window.chrome.runtime, 'sendMessage');
+
+    popup.startAnalysis();
+    await popup.attachToJob('job_1', '已连接到后台分析任务');
+    await popup.retryJob('job_2');
+
+    expect(popup.connectAnalysisJob).not.toHaveBeenCalled();
+    expect(sendMessage).not.toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'retryAnalysisJob' })
+    );
+  });
+
+  it('releases the guard after a retried job finishes', async () => {
+    popup.connectAnalysisJob = vi.fn(async () => ({ threats: [] }));
+    popup.completeAnalysis = vi.fn();
+
+    await popup.retryJob('job_1');
+
+    expect(popup.connectAnalysisJob).toHaveBeenCalledWith({
+      action: 'attachAnalysis',
+      jobId: 'job_1'
+    });
+    expect(popup.completeAnalysis).toHaveBeenCalled();
+    expect(popup.analysisInFlight).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  buildAnalysisChunks,
+  extractSectionsFromText,
+  mergeAnalysisResults
+} from '../src/core/analysis/prd-chunker.js';
+
+describe('extractSectionsFromText', () => {
+  it('recognises common Chinese heading styles', () => {
+    const sections = extractSectionsFromText(
+      [
+        '需求背景介绍',
+        '一、登录',
+        '支持短信验证码',
+        '第二章 支付',
+        '调用第三方支付'
+      ].join('\n')
+    );
+    expect(sections.map(section => section.title)).toEqual([
+      'Content',
+      '一、登录',
+      '第二章 支付'
+    ]);
+    expect(sections[2].content).toBe('调用第三方支付');
+  });
+});
+
+describe('buildAnalysisChunks', () => {
+  it('keeps short documents in a single chunk', () => {
+    expect(buildAnalysisChunks('短文档', 100)).toEqual([
+      { index: 0, title: '全文', content: '短文档' }
+    ]);
+  });
+
+  it('packs sections into chunks under the limit', () => {
+    const section = title => `${title}\n${'需求描述。'.repeat(10)}`;
+    const text = ['# 登录', '# 注册', '# 支付'].map(section).join('\n');
+    const chunks = buildAnalysisChunks(text, 120);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.content.length).toBeLessThanOrEqual(120));
+    expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((chunk, i) => i));
+    expect(chunks.map(chunk => chunk.content).join('')).toContain('支付');
+  });
+
+  it('splits a section longer than the limit and marks the continuation', () => {
+    const text = `# 审计日志\n${Array(30).fill('记录所有管理员操作').join('\n')}`;
+    const chunks = buildAnalysisChunks(text, 100);
+
+    expect(chunks[0].title).toContain('审计日志');
+    expect(chunks.some(chunk => chunk.title.includes('审计日志（续）'))).toBe(true);
+    chunks.forEach(chunk => expect(chunk.content.length).toBeLessThanOrEqual(100));
+  });
+});
+
+describe('mergeAnalysisResults', () => {
+  it('dedupes items across chunks and keeps the highest threat level', () => {
+    const merged = mergeAnalysisResults([
+      {
+        summary: '登录模块',
+        assets: ['用户凭证'],
+        threats: [
+          { type: '注入', description: 'SQL注入', level: 'medium', cwe: ['CWE-89'] }
+        ],
+        testScenarios: [
+          { category: '注入', description: '参数化', steps: ['输入单引号'] }
+        ],
+        recommendations: ['使用参数化查询']
+      },
+      {
+        summary: '登录模块。',
+        assets: ['用户凭证 ', '订单'],
+        threats: [
+          {
+            type: '注入',
+            description: 'SQL 注入',
+            level: 'high',
+            cwe: ['CWE-89', 'CWE-20']
+          }
+        ],
+        testScenarios: [
+          {
+            category: '注入',
+            description: '参数化',
+            steps: ['输入单引号', '输入 OR 1=1']
+          }
+        ],
+        recommendations: ['使用参数化查询。']
+      }
+    ]);
+
+    expect(merged).toEqual({
+      summary: '登录模块',
+      assets: ['用户凭证', '订单'],
+      threats: [
+        { type: '注入', description: 'SQL注入', level: 'high', cwe: ['CWE-89', 'CWE-20'] }
+      ],
+      testScenarios: [
+        { category: '注入', description: '参数化', steps: ['输入单引号', '输入 OR 1=1'] }
+      ],
+      recommendations: ['使用参数化查询']
+    });
+  });
+});
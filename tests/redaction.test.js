@@ -0,0 +1,153 @@
+import {
+  compileRedactionRule,
+  createRedactionState,
+  createStreamRehydrator,
+  isLocalEndpoint,
+  normalizeRedactionConfig,
+  redactText,
+  rehydrateText,
+  summarizeRedaction
+} from '../src/utils/redaction.js';
+import { loadPopup } from './helpers/popup-dom.js';
+
+const redact = (text, stored = {}) => {
+  const state = createRedactionState(normalizeRedactionConfig(stored));
+  return { text: redactText(text, state), state };
+};
+
+describe('credential redaction', () => {
+  it.each([
+    ['password=P@ss"w0rd 下一行', 'P@ss"w0rd'],
+    [String.raw`pwd=it's-secret`, String.raw`it's-secret`],
+    ['password="P@ss"w0rd', 'P@ss"w0rd'],
+    ['{"password": "abc def", "user": "bob"}', 'abc def'],
+    ['api_key: \'k3y "quoted" val\' 其他', 'k3y "quoted" val'],
+    [String.raw`secret="a\"bcd"`, String.raw`a\"bcd`],
+    ['token=abcd&user=bob', 'abcd'],
+    ['密码：Xy9#kLm2，请妥善保管', 'Xy9#kLm2']
+  ])('redacts the whole value in %s', (input, value) => {
+    const { text, state } = redact(input);
+    expect(state.mapping).toEqual({ '[CREDENTIAL_1]': value });
+    expect(text).toBe(input.replace(value, '[CREDENTIAL_1]'));
+  });
+
+  it('does not treat requirement wording as a credential', () => {
+    const input = '密码：长度不少于8位，需包含大小写字母';
+    expect(redact(input).text).toBe(input);
+  });
+
+  it('replaces well-known token formats and Bearer headers', () => {
+    const key = `sk-${'a'.repeat(24)}`;
+    const { text } = redact(`Authorization: Bearer ${'b'.repeat(20)}\nkey ${key}`);
+    expect(text).toBe('Authorization: Bearer [CREDENTIAL_1]\nkey [CREDENTIAL_2]');
+  });
+});
+
+describe('personal data redaction', () => {
+  it('validates ID and bank card numbers before replacing them', () => {
+    const { text } = redact(
+      '身份证 11010519491231002X，订单号 110105194912310021，卡号 4111 1111 1111 1111，流水 4111111111111112'
+    );
+    expect(text).toBe(
+      '身份证 [ID_CARD_1]，订单号 110105194912310021，卡号 [BANK_CARD_1]，流水 4111111111111112'
+    );
+  });
+
+  it('replaces phones, emails and internal hosts and reuses placeholders', () => {
+    const { text, state } = redact(
+      '联系 13812345678 或 ops@example.com，接口 api.corp、10.1.2.3，再次联系 13812345678'
+    );
+    expect(text).toBe(
+      '联系 [PHONE_1] 或 [EMAIL_1]，接口 [INTERNAL_HOST_1]、[INTERNAL_HOST_2]，再次联系 [PHONE_1]'
+    );
+    expect(summarizeRedaction(state.matches)).toEqual({
+      total: 4,
+      counts: {
+        phone: { label: '手机号', count: 1 },
+        email: { label: '邮箱地址', count: 1 },
+        internal_host: { label: '内网主机', count: 2 }
+      }
+    });
+  });
+
+  it('respects disabled detectors and applies custom rules', () => {
+    const { text } = redact('13812345678 项目代号 PRJ-0042', {
+      detectors: { phone: false },
+      customRules: [{ name: '项目代号', pattern: 'PRJ-\\d+' }]
+    });
+    expect(text).toBe('13812345678 项目代号 [CUSTOM1_1]');
+  });
+
+  it('numbers custom rules by their position in the config', () => {
+    const { text, state } = redact('PRJ-0042 工单 OPS-7', {
+      customRules: [
+        { name: '项目代号', pattern: 'PRJ-\\d+', enabled: false },
+        { name: '工单号', pattern: 'OPS-\\d+' }
+      ]
+    });
+    expect(text).toBe('PRJ-0042 工单 [CUSTOM2_1]');
+    expect(summarizeRedaction(state.matches).counts).toEqual({
+      custom_2: { label: '工单号', count: 1 }
+    });
+  });
+
+  it('reports invalid custom rules', () => {
+    expect(compileRedactionRule({ name: '坏规则', pattern: '(' }).error).toMatch(
+      /^坏规则: /
+    );
+  });
+});
+
+describe('rehydration', () => {
+  const mapping = { '[CREDENTIAL_1]': 'a"b\nc', '[PHONE_1]': '13812345678' };
+
+  it('restores placeholders and escapes them for JSON when asked', () => {
+    expect(rehydrateText('[PHONE_1] [UNKNOWN_1]', mapping)).toBe(
+      '13812345678 [UNKNOWN_1]'
+    );
+    const json = rehydrateText('{"v":"[CREDENTIAL_1]"}', mapping, { jsonSafe: true });
+    expect(JSON.parse(json).v).toBe('a"b\nc');
+  });
+
+  it('restores placeholders split across stream deltas', () => {
+    const tokens = [];
+    const rehydrator = createStreamRehydrator(mapping, token => tokens.push(token));
+    ['联系 [PHO', 'NE_', '1] 处理', ' [未闭合'].forEach(delta => rehydrator.push(delta));
+    rehydrator.flush();
+    expect(tokens.join('')).toBe('联系 13812345678 处理 [未闭合');
+    expect(tokens[0]).toBe('联系 ');
+  });
+});
+
+describe('isLocalEndpoint', () => {
+  it.each([
+    ['http://localhost:11434/api/chat', true],
+    ['http://127.0.0.1:8080', true],
+    ['http://[::1]:8080', true],
+    ['https://api.openai.com/v1', false],
+    ['not a url', false]
+  ])('%s -> %s', (url, expected) => {
+    expect(isLocalEndpoint(url)).toBe(expected);
+  });
+});
+
+describe('redaction note in the HTML export', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('escapes user-defined rule labels', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { popup } = await loadPopup();
+    const html = popup.formatResultAsHTML({
+      threats: [],
+      testScenarios: [],
+      redaction: {
+        total: 1,
+        counts: { custom_1: { label: '<img src=x onerror=alert(1)>', count: 1 } }
+      }
+    });
+    expect(html).toContain('<li>&#60;img src=x onerror=alert(1)&#62; 1 处</li>');
+    expect(html).not.toContain('<img src=x');
+  });
+});
@@ -0,0 +1,292 @@
+import {
+  RequestError,
+  classifyHTTPError,
+  computeBackoffDelay,
+  fetchWithRetry,
+  parseRetryAfter,
+  readResponseBody
+} from '../src/utils/request-client.js';
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers });
+
+// 在 signal 被取消前一直挂起的请求
+const hangingFetch = (url, init) =>
+  new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+
+describe('classifyHTTPError', () => {
+  it.each([
+    [401, '', 'auth'],
+    [429, 'Rate limit reached', 'rate_limit'],
+    [429, 'You exceeded your current quota', 'quota'],
+    [404, 'The model `gpt-5` does not exist', 'model_not_found'],
+    [404, 'Not Found', 'endpoint_not_found'],
+    [400, 'maximum context length is 8192 tokens', 'context_length'],
+    [400, 'invalid model ID', 'model_not_found'],
+    [422, 'missing field', 'bad_request'],
+    [529, 'Overloaded', 'server'],
+    [503, '', 'server'],
+    [418, '', 'unknown']
+  ])('maps %i "%s" to %s', (status, detail, kind) => {
+    expect(classifyHTTPError(status, detail)).toBe(kind);
+  });
+});
+
+describe('RequestError', () => {
+  it('derives retryable from the error kind', () => {
+    expect(new RequestError('x', { kind: 'server' }).retryable).toBe(true);
+    expect(new RequestError('x', { kind: 'auth' }).retryable).toBe(false);
+    expect(new RequestError('x').kind).toBe('unknown');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('prefers retry-after-ms and accepts seconds', () => {
+    expect(
+      parseRetryAfter(new Headers({ 'retry-after-ms': '250', 'retry-after': '9' }))
+    ).toBe(250);
+    expect(parseRetryAfter(new Headers({ 'retry-after': '2' }))).toBe(2000);
+    expect(parseRetryAfter(new Headers())).toBeNull();
+  });
+});
+
+describe('computeBackoffDelay', () => {
+  it('grows exponentially and stays under the cap', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 300 };
+    expect(computeBackoffDelay(0, options)).toBeGreaterThanOrEqual(50);
+    expect(computeBackoffDelay(0, options)).toBeLessThanOrEqual(100);
+    expect(computeBackoffDelay(5, options)).toBeLessThanOrEqual(300);
+  });
+});
+
+// 先发送 chunks（每段间隔 intervalMs），之后挂起直到请求被取消，与真实 fetch 一样取消时正文读取报错
+function streamingFetch(chunks, { intervalMs = 0, end = false } = {}) {
+  return (url, init) => {
+    const body = new ReadableStream({
+      async start(controller) {
+        init.signal.addEventListener('abort', () =>
+          controller.error(new Error('aborted'))
+        );
+        const encoder = new TextEncoder();
+        for (const chunk of chunks) {
+          await new Promise(resolve => setTimeout(resolve, intervalMs));
+          if (init.signal.aborted) {
+            return;
+          }
+          controller.enqueue(encoder.encode(chunk));
+        }
+        if (end) {
+          controller.close();
+        }
+      }
+    });
+    return Promise.resolve(new Response(body, { status: 200 }));
+  };
+}
+
+// 记录 signal 上尚未移除的监听器数量
+const trackListeners = signal => {
+  const listeners = new Set();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    listeners.add(listener);
+    add(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    listeners.delete(listener);
+    remove(type, listener, options);
+  };
+  return listeners;
+};
+
+const readChunks = async (response, touch) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text;
+    }
+    touch();
+    text += decoder.decode(value);
+  }
+};
+
+describe('fetchWithRetry', () => {
+  const fastRetry = { baseDelayMs: 1, maxDelayMs: 2, label: 'LLM API请求失败' };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('retries server errors and returns the first successful response', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(503, { error: { message: 'busy' } }))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    const onRetry = vi.fn();
+
+    const response = await fetchWithRetry(
+      'https://api.test',
+      {},
+      { ...fastRetry, onRetry }
+    );
+
+    expect(await response.json()).toEqual({ ok: true });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1 }));
+  });
+
+  it('does not retry auth errors and keeps the extracted detail', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(jsonResponse(401, { error: { message: 'Invalid API key' } }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const error = await fetchWithRetry('https://api.test', {}, fastRetry).catch(e => e);
+
+    expect(error).toBeInstanceOf(RequestError);
+    expect(error).toMatchObject({ kind: 'auth', status: 401, attempts: 1 });
+    expect(error.message).toBe('LLM API请求失败: 401 Invalid API key');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const error = await fetchWithRetry(
+      'https://api.test',
+      {},
+      {
+        ...fastRetry,
+        maxRetries: 2
+      }
+    ).catch(e => e);
+
+    expect(error).toMatchObject({ kind: 'network', attempts: 3 });
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('stops when the server asks to wait longer than maxRetryAfterMs', async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(
+        jsonResponse(429, { message: 'slow down' }, { 'retry-after': '120' })
+      );
+    vi.stubGlobal('fetch', fetchMock);
+
+    const error = await fetchWithRetry('https://api.test', {}, fastRetry).catch(e => e);
+
+    expect(error).toMatchObject({ kind: 'rate_limit', retryAfterMs: 120000 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a timeout when no response arrives in time', async () => {
+    vi.stubGlobal('fetch', vi.fn(hangingFetch));
+
+    const error = await fetchWithRetry(
+      'https://api.test',
+      {},
+      {
+        ...fastRetry,
+        timeoutMs: 20,
+        maxRetries: 0
+      }
+    ).catch(e => e);
+
+    expect(error.kind).toBe('timeout');
+  });
+
+  it('reports cancellation by the caller without retrying', async () => {
+    const fetchMock = vi.fn(hangingFetch);
+    vi.stubGlobal('fetch', fetchMock);
+    const controller = new AbortController();
+
+    const pending = fetchWithRetry(
+      'https://api.test',
+      {},
+      {
+        ...fastRetry,
+        signal: controller.signal
+      }
+    ).catch(e => e);
+    controller.abort();
+
+    expect((await pending).kind).toBe('aborted');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('readResponseBody', () => {
+  const options = { timeoutMs: 1000, idleTimeoutMs: 40, label: 'LLM API调用失败' };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('keeps reading while chunks arrive within the idle timeout', async () => {
+    vi.stubGlobal(
+      'fetch',
+      streamingFetch(['a', 'b', 'c', 'd', 'e'], { intervalMs: 15, end: true })
+    );
+    const response = await fetchWithRetry('https://api.test', {}, options);
+
+    expect(await readResponseBody(response, touch => readChunks(response, touch))).toBe(
+      'abcde'
+    );
+  });
+
+  it('reports a timeout when a stream stalls', async () => {
+    vi.stubGlobal('fetch', streamingFetch(['data: {}\n\n']));
+    const response = await fetchWithRetry('https://api.test', {}, options);
+
+    const error = await readResponseBody(response, touch =>
+      readChunks(response, touch)
+    ).catch(e => e);
+    expect(error).toBeInstanceOf(RequestError);
+    expect(error).toMatchObject({ kind: 'timeout' });
+    expect(error.message).toContain('未收到数据');
+  });
+
+  it('bounds a non-streaming body read', async () => {
+    vi.stubGlobal('fetch', streamingFetch(['{"content":']));
+    const response = await fetchWithRetry('https://api.test', {}, options);
+
+    const error = await readResponseBody(response, () => response.json()).catch(e => e);
+    expect(error.kind).toBe('timeout');
+  });
+
+  it('removes every listener it added to the caller signal', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(503, { message: 'busy' }))
+      .mockResolvedValueOnce(jsonResponse(503, { message: 'busy' }))
+      .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+    vi.stubGlobal('fetch', fetchMock);
+    const controller = new AbortController();
+    const listeners = trackListeners(controller.signal);
+
+    const response = await fetchWithRetry(
+      'https://api.test',
+      {},
+      { baseDelayMs: 1, maxDelayMs: 2, signal: controller.signal }
+    );
+    expect(await readResponseBody(response, () => response.json())).toEqual({ ok: true });
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(listeners.size).toBe(0);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,41 @@
+// tests/setup.js - 测试环境初始化
+// 提供扩展运行时的最小 chrome API，各用例按需覆盖其中的方法
+
+import { beforeEach, vi } from 'vitest';
+
+function createStorageArea() {
+  let items = {};
+  return {
+    get: vi.fn(async keys => {
+      if (keys === null || keys === undefined) {
+        return { ...items };
+      }
+      const list = Array.isArray(keys) ? keys : [keys];
+      return Object.fromEntries(
+        list.filter(key => key in items).map(key => [key, items[key]])
+      );
+    }),
+    set: vi.fn(async values => {
+      items = { ...items, ...values };
+    }),
+    remove: vi.fn(async keys => {
+      [].concat(keys).forEach(key => delete items[key]);
+    }),
+    clear: vi.fn(async () => {
+      items = {};
+    })
+  };
+}
+
+beforeEach(() => {
+  globalThis.chrome = {
+    runtime: {
+      getURL: path => `chrome-extension://test/${path}`,
+      sendMessage: vi.fn(async () => ({ success: true }))
+    },
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea()
+    }
+  };
+});
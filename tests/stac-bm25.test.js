@@ -0,0 +1,123 @@
+import { STAC_CONSTANTS } from '../src/utils/constants.js';
+import { createSTACService } from './helpers/knowledge-base.js';
+import { loadServiceWorker } from './helpers/service-worker.js';
+
+const knowledgeBase = {
+  登录认证: {
+    threats: [
+      {
+        name: '暴力破解',
+        details: '攻击者对登录接口批量尝试密码',
+        security_requirement: { details: '连续失败后锁定账号' }
+      },
+      { name: '会话固定', details: '登录后未更换会话标识' }
+    ]
+  },
+  数据导出: {
+    threats: [{ name: '越权导出', details: '普通用户导出他人的订单数据' }]
+  },
+  文件上传: {
+    threats: [{ name: '恶意文件上传', details: '上传可执行脚本文件' }]
+  },
+  支付回调: {
+    threats: [{ name: '回调伪造', details: '伪造支付结果通知，订单数据被篡改' }]
+  }
+};
+
+describe('STACService BM25 ranking', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    service = createSTACService(knowledgeBase);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('gives full confidence to content that names a scenario', async () => {
+    const [match] = await service.matchScenarios('登录认证');
+    expect(match).toMatchObject({ scenario: '登录认证', confidence: 1 });
+  });
+
+  it('does not saturate confidence when content matches several scenarios', async () => {
+    const matches = await service.matchScenarios(
+      '用户通过登录认证后可以进行数据导出，导出订单数据，登录失败多次需要锁定账号，防止暴力破解'
+    );
+
+    expect(matches.map(match => match.scenario)).toEqual(['登录认证', '数据导出']);
+    expect(matches[0].confidence).toBe(1);
+    expect(matches[1].confidence).toBeLessThan(1);
+    expect(matches[1].confidence).toBeGreaterThanOrEqual(STAC_CONSTANTS.MATCH_THRESHOLD);
+    expect(matches[0].score).toBeGreaterThan(matches[1].score);
+  });
+
+  it('keeps weak matches below the threshold', async () => {
+    const keywords = service.extractKeywords('订单数据');
+    const matches = ['数据导出', '支付回调'].map(scenario => ({
+      ...service._createScenarioMatch(scenario),
+      score: service.calculateScenarioScore(keywords, scenario)
+    }));
+    service.calculateConfidenceScores(matches);
+
+    expect(matches.every(match => match.score > 0)).toBe(true);
+    expect(Math.max(...matches.map(match => match.totalScore))).toBeLessThan(
+      STAC_CONSTANTS.MATCH_THRESHOLD
+    );
+    expect(await service.matchScenarios('订单数据')).toEqual([]);
+  });
+
+  it('ranks a term in the scenario name above the same term in details', () => {
+    service.knowledgeBase = {
+      密码重置: { threats: [{ name: '验证码爆破', details: '短信验证码可被穷举' }] },
+      短信通知: { threats: [{ name: '内容伪造', details: '篡改密码重置链接' }] }
+    };
+    service.createScenarioIndex();
+
+    expect(service.calculateScenarioScore(['密码重置'], '密码重置')).toBeGreaterThan(
+      service.calculateScenarioScore(['密码重置'], '短信通知')
+    );
+  });
+
+  it('normalizes repeated content terms without exceeding 1', () => {
+    const keywords = service.tokenize(`${'文件上传 '.repeat(20)}上传可执行脚本文件`);
+    const matches = [{ ...service._createScenarioMatch('文件上传') }];
+    matches[0].score = service.calculateScenarioScore(keywords, '文件上传');
+    service.calculateConfidenceScores(matches);
+    expect(matches[0].totalScore).toBe(1);
+  });
+
+  it('ranks threats by raw score within a scenario', () => {
+    const threats = service.findMatchingThreats(
+      service.extractKeywords('登录失败多次需要锁定账号，防止暴力破解'),
+      knowledgeBase.登录认证.threats
+    );
+
+    expect(threats.map(match => match.threat.name)).toEqual(['暴力破解', '会话固定']);
+    expect(threats[0].confidence).toBe(1);
+    expect(threats[1].confidence).toBeLessThan(0.5);
+    expect(threats[0].score).toBeGreaterThan(threats[1].score);
+  });
+
+  it('filters and limits results with STAC_CONSTANTS', () => {
+    const results = Array.from({ length: 12 }, (_, index) => ({
+      ...service._createScenarioMatch(`场景${index}`),
+      score: 12 - index,
+      totalScore: 1 - index * 0.02
+    }));
+    results.push({ ...service._createScenarioMatch('弱匹配'), totalScore: 0.5 });
+
+    const ranked = service.rankAndFilterResults(results);
+    expect(ranked).toHaveLength(STAC_CONSTANTS.MAX_RESULTS);
+    expect(ranked.map(result => result.scenario)).not.toContain('弱匹配');
+  });
+
+  it('loads the limits from constants.js in the service worker', () => {
+    ['warn', 'error'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+    const { context } = loadServiceWorker();
+    expect(context.STAC_CONSTANTS).toEqual(STAC_CONSTANTS);
+  });
+});
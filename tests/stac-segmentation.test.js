@@ -0,0 +1,71 @@
+import { createSTACService } from './helpers/knowledge-base.js';
+
+const knowledgeBase = {
+  登录认证接口: {
+    threats: [{ name: '暴力破解', details: '攻击者对登录认证接口批量尝试密码' }]
+  },
+  数据导出: {
+    threats: [{ name: '越权导出', details: '普通用户导出他人的订单数据' }]
+  }
+};
+
+describe('STACService CJK segmentation', () => {
+  let service;
+
+  beforeEach(() => {
+    service = createSTACService(knowledgeBase);
+  });
+
+  it('builds the term dictionary from scenario and threat names', () => {
+    expect([...service.termDictionary].sort()).toEqual(
+      ['登录认证接口', '数据导出', '暴力破解', '越权导出'].sort()
+    );
+    expect(service.maxTermLength).toBe(6);
+  });
+
+  it('keeps dictionary terms whole inside a sentence', () => {
+    const terms = service.segmentCJK('用户调用登录认证接口后可以导出报表');
+    expect(terms).toContain('登录认证接口');
+    expect(terms.every(term => term.length >= 2)).toBe(true);
+    expect(terms).not.toContain('可以');
+  });
+
+  it('falls back to bigrams without Intl.Segmenter', () => {
+    service.wordSegmenter = null;
+    expect(service.segmentCJK('订单数据导出')).toEqual([
+      '数据导出',
+      '订单',
+      '单数',
+      '数据',
+      '据导',
+      '导出'
+    ]);
+  });
+
+  it('splits mixed text into Latin words and CJK terms', () => {
+    const terms = service.tokenize(
+      '通过 JWT token 调用登录认证接口，并且 the API 返回结果'
+    );
+    expect(terms).toEqual(
+      expect.arrayContaining(['jwt', 'token', 'api', '登录认证接口'])
+    );
+    expect(terms).not.toContain('the');
+    expect(terms).not.toContain('通过');
+    expect(terms).not.toContain('并且');
+  });
+
+  it('keeps repeats in tokenize and removes them in extractKeywords', () => {
+    const text = '数据导出，数据导出';
+    expect(service.tokenize(text).filter(term => term === '数据导出')).toHaveLength(2);
+    expect(
+      service.extractKeywords(text).filter(term => term === '数据导出')
+    ).toHaveLength(1);
+  });
+
+  it('indexes scenarios by the same terms that content is segmented into', () => {
+    expect([...service.scenarioIndex.get('登录认证接口')]).toEqual(['登录认证接口']);
+    const contentTerms = service.extractKeywords('管理员可以在后台进行数据导出');
+    const indexed = contentTerms.filter(term => service.scenarioIndex.has(term));
+    expect(indexed).toContain('数据导出');
+  });
+});
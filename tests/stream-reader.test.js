@@ -0,0 +1,186 @@
+import { LLMStubServer } from '../tools/debug/llm-stub-server.js';
+import {
+  isEventStreamResponse,
+  isNDJSONResponse,
+  parseSSEBlock,
+  readNDJSONEvents,
+  readSSEEvents
+} from '../src/integrations/llm/stream-reader.js';
+import {
+  AnthropicAdapter,
+  OllamaAdapter,
+  OpenAICompatibleAdapter
+} from '../src/integrations/llm/llm-providers.js';
+
+// 把文本分段放入响应体，模拟网络分包
+function streamOf(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+async function collect(events) {
+  const list = [];
+  for await (const event of events) {
+    list.push(event);
+  }
+  return list;
+}
+
+describe('parseSSEBlock', () => {
+  it('reads the event name and joins multi-line data', () => {
+    expect(parseSSEBlock('event: delta\ndata: {"a":\ndata: 1}')).toEqual({
+      event: 'delta',
+      data: '{"a":\n1}'
+    });
+  });
+
+  it('skips comments and blocks without data', () => {
+    expect(parseSSEBlock(': keep-alive')).toBeNull();
+    expect(parseSSEBlock('event: ping')).toBeNull();
+    expect(parseSSEBlock('data:[DONE]')).toEqual({ event: 'message', data: '[DONE]' });
+  });
+});
+
+describe('readSSEEvents', () => {
+  it('reassembles events split across chunks and CRLF line endings', async () => {
+    const events = await collect(
+      readSSEEvents(
+        streamOf(['data: {"n"', ':1}\r\n\r\n: ping\r\n\r\nevent: e', 'nd\ndata: x\n\n'])
+      )
+    );
+    expect(events).toEqual([
+      { event: 'message', data: '{"n":1}' },
+      { event: 'end', data: 'x' }
+    ]);
+  });
+
+  it('emits a final event that is not followed by a blank line', async () => {
+    const events = await collect(readSSEEvents(streamOf(['data: last'])));
+    expect(events).toEqual([{ event: 'message', data: 'last' }]);
+  });
+});
+
+describe('readNDJSONEvents', () => {
+  it('yields one event per non-empty line across chunk boundaries', async () => {
+    const events = await collect(
+      readNDJSONEvents(streamOf(['{"a":1}\n\n{"b"', ':2}\r\n{"c":3}']))
+    );
+    expect(events.map(event => JSON.parse(event.data))).toEqual([
+      { a: 1 },
+      { b: 2 },
+      { c: 3 }
+    ]);
+  });
+});
+
+describe('streaming from the stub server', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    server = new LLMStubServer(0).start();
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    vi.restoreAllMocks();
+  });
+
+  // 与后台服务相同：逐个事件交给适配器解析并拼接增量
+  async function streamThrough(adapter, config) {
+    const built = adapter.buildRequest(config, {
+      messages: [{ role: 'user', content: '分析登录需求' }],
+      maxTokens: 500,
+      stream: true
+    });
+    const response = await fetch(built.url, {
+      method: 'POST',
+      headers: built.headers,
+      body: JSON.stringify(built.body)
+    });
+    expect(isEventStreamResponse(response)).toBe(true);
+
+    let text = '';
+    let finishReason = '';
+    let done = false;
+    const usage = [];
+    for await (const event of readSSEEvents(response.body)) {
+      const parsed = adapter.parseStreamEvent(event);
+      text += parsed.delta;
+      finishReason = parsed.finishReason || finishReason;
+      done = done || parsed.done;
+      if (parsed.usage) usage.push(parsed.usage);
+    }
+    return { text, finishReason, done, usage };
+  }
+
+  it('assembles an OpenAI compatible stream', async () => {
+    const result = await streamThrough(new OpenAICompatibleAdapter('openai'), {
+      endpoint: `${baseUrl}/v1/chat/completions`,
+      apiKey: 'sk-test',
+      model: 'gpt-4o'
+    });
+    expect(JSON.parse(result.text).threats).toHaveLength(1);
+    expect(result.finishReason).toBe('stop');
+    expect(result.done).toBe(true);
+  });
+
+  it('assembles an Anthropic stream with usage from message_start and message_delta', async () => {
+    const result = await streamThrough(new AnthropicAdapter(), {
+      endpoint: `${baseUrl}/v1/messages`,
+      apiKey: 'sk-ant-test',
+      model: 'claude-sonnet'
+    });
+    expect(JSON.parse(result.text).summary).toBe('桩服务返回的示例分析');
+    expect(result.finishReason).toBe('end_turn');
+    expect(result.done).toBe(true);
+    expect(result.usage).toEqual([
+      { inputTokens: 100, outputTokens: 1 },
+      { inputTokens: 0, outputTokens: 50 }
+    ]);
+  });
+
+  it('assembles an Ollama NDJSON stream with usage from the final line', async () => {
+    const adapter = new OllamaAdapter();
+    const built = adapter.buildRequest(
+      { endpoint: baseUrl, model: 'qwen2.5:7b' },
+      { messages: [{ role: 'user', content: '分析登录需求' }], stream: true }
+    );
+    const response = await fetch(built.url, {
+      method: 'POST',
+      headers: built.headers,
+      body: JSON.stringify(built.body)
+    });
+    expect(isNDJSONResponse(response)).toBe(true);
+
+    let text = '';
+    let last;
+    for await (const event of readNDJSONEvents(response.body)) {
+      last = adapter.parseStreamEvent(event);
+      text += last.delta;
+    }
+    expect(JSON.parse(text).assets).toHaveLength(2);
+    expect(last).toMatchObject({
+      done: true,
+      finishReason: 'stop',
+      usage: { inputTokens: 100, outputTokens: 50 }
+    });
+  });
+
+  it('raises stream errors reported by Anthropic', () => {
+    expect(() =>
+      new AnthropicAdapter().parseStreamEvent({
+        event: 'error',
+        data: JSON.stringify({ type: 'error', error: { message: 'Overloaded' } })
+      })
+    ).toThrow('Overloaded');
+  });
+});
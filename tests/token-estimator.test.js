@@ -0,0 +1,116 @@
+import {
+  DEFAULT_MODEL_PRICING,
+  buildAnalysisEstimate,
+  estimateTokens,
+  findModelPricing,
+  formatAnalysisEstimate,
+  normalizeModelPricing
+} from '../src/utils/token-estimator.js';
+
+const pricingTable = normalizeModelPricing([
+  { model: 'gpt-4o', contextWindow: 1000, inputPrice: 2.5, outputPrice: 10 },
+  { model: 'gpt-4o-mini', contextWindow: 1000, inputPrice: 0.15, outputPrice: 0.6 },
+  { model: 'qwen', inputPrice: 2, outputPrice: 6, currency: 'CNY' }
+]);
+
+const estimate = overrides =>
+  buildAnalysisEstimate({
+    callPromptTokens: [400],
+    completionTokensPerCall: 100,
+    contentTokens: 300,
+    provider: 'openai',
+    model: 'gpt-4o',
+    pricingTable,
+    ...overrides
+  });
+
+describe('estimateTokens', () => {
+  it('counts CJK characters as one token and other text at four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('登录需求')).toBe(4);
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('登录 login')).toBe(4);
+  });
+});
+
+describe('normalizeModelPricing', () => {
+  it('uses the defaults when nothing is stored', () => {
+    expect(normalizeModelPricing(undefined)).toEqual(DEFAULT_MODEL_PRICING);
+  });
+
+  it('cleans invalid entries and values', () => {
+    expect(
+      normalizeModelPricing([
+        {
+          model: ' m ',
+          contextWindow: -1,
+          inputPrice: 'x',
+          outputPrice: -2,
+          currency: 'EUR'
+        },
+        { model: '' },
+        null
+      ])
+    ).toEqual([
+      { model: 'm', contextWindow: null, inputPrice: 0, outputPrice: 0, currency: 'USD' }
+    ]);
+  });
+});
+
+describe('findModelPricing', () => {
+  it('picks the longest prefix and ignores vendor prefixes', () => {
+    expect(findModelPricing(pricingTable, 'openai/GPT-4o-mini-2024').model).toBe(
+      'gpt-4o-mini'
+    );
+    expect(findModelPricing(pricingTable, 'gpt-4o-2024-08-06').model).toBe('gpt-4o');
+    expect(findModelPricing(pricingTable, 'claude')).toBeNull();
+    expect(findModelPricing(pricingTable, '')).toBeNull();
+  });
+});
+
+describe('buildAnalysisEstimate', () => {
+  it('prices input and output tokens per million', () => {
+    const result = estimate({ callPromptTokens: [400, 200] });
+    expect(result).toMatchObject({ calls: 2, promptTokens: 600, completionTokens: 200 });
+    expect(result.cost.total).toBeCloseTo((600 * 2.5 + 200 * 10) / 1e6);
+    expect(result.status).toBe('ok');
+  });
+
+  it('blocks when a single call exceeds the context window', () => {
+    const result = estimate({ callPromptTokens: [950] });
+    expect(result.status).toBe('block');
+    expect(result.warnings[0]).toContain('超出 gpt-4o 的上下文窗口');
+  });
+
+  it('warns when the content will be split into several calls', () => {
+    const result = estimate({ callPromptTokens: [600, 600], contentTokens: 1100 });
+    expect(result.status).toBe('warn');
+    expect(result.warnings[0]).toContain('将分 2 次调用');
+  });
+
+  it('warns about large content when the context window is unknown', () => {
+    expect(estimate({ model: 'qwen', contentTokens: 60000 }).status).toBe('warn');
+    expect(estimate({ model: 'qwen', contentTokens: 1000 }).status).toBe('ok');
+  });
+
+  it('does not charge local providers', () => {
+    expect(estimate({ provider: 'ollama' }).cost).toBeNull();
+  });
+});
+
+describe('formatAnalysisEstimate', () => {
+  it('summarises usage and cost', () => {
+    expect(formatAnalysisEstimate(estimate())).toBe(
+      '预计输入约 400 tokens，输出至多 100 tokens，费用约 $0.0020'
+    );
+    expect(
+      formatAnalysisEstimate(estimate({ model: 'qwen', callPromptTokens: [1e6, 1e6] }))
+    ).toMatch(/（2 次调用）.*¥4\.00$/);
+    expect(formatAnalysisEstimate(estimate({ provider: 'ollama' }))).toContain(
+      '本地模型不产生费用'
+    );
+    expect(formatAnalysisEstimate(estimate({ model: 'claude' }))).toContain(
+      '价格表中没有 claude 的价格'
+    );
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  getWeaknessReferenceURL,
+  resolveThreatWeaknesses,
+  WEAKNESS_MAPPINGS
+} from '../src/core/analysis/weakness-mapping.js';
+import { loadServiceWorker, waitFor } from './helpers/service-worker.js';
+
+describe('resolveThreatWeaknesses', () => {
+  it('tags a threat by its name, ignoring case', () => {
+    expect(resolveThreatWeaknesses(['存储型XSS'])).toEqual({
+      cwe: ['CWE-79'],
+      capec: ['CAPEC-63']
+    });
+    expect(resolveThreatWeaknesses(['Brute Force login'])).toEqual({
+      cwe: ['CWE-307'],
+      capec: ['CAPEC-49']
+    });
+  });
+
+  it('tags every specific rule the text matches', () => {
+    expect(resolveThreatWeaknesses(['会话固定与会话劫持'])).toEqual({
+      cwe: ['CWE-384', 'CWE-522'],
+      capec: ['CAPEC-61', 'CAPEC-593']
+    });
+  });
+
+  it('uses fallback rules only when no specific rule matches', () => {
+    expect(resolveThreatWeaknesses(['SQL注入']).cwe).toEqual(['CWE-89']);
+    expect(resolveThreatWeaknesses(['模板注入'])).toEqual({
+      cwe: ['CWE-74'],
+      capec: ['CAPEC-152']
+    });
+  });
+
+  it('prefers the first text with a specific rule', () => {
+    expect(resolveThreatWeaknesses([null, '数据泄露', '越权访问他人订单']).cwe).toEqual([
+      'CWE-285'
+    ]);
+    expect(resolveThreatWeaknesses(['数据泄露', '信息篡改']).cwe).toEqual(['CWE-200']);
+    expect(resolveThreatWeaknesses(['', '界面文案有误'])).toEqual({ cwe: [], capec: [] });
+  });
+
+  it('matches English keywords as whole words only', () => {
+    expect(resolveThreatWeaknesses(['图片 OCR 识别绕过']).cwe).toEqual(['CWE-804']);
+    expect(resolveThreatWeaknesses(['存储型xss']).cwe).toEqual(['CWE-79']);
+    expect(resolveThreatWeaknesses(['xpath注入']).cwe).toEqual(['CWE-643']);
+    expect(resolveThreatWeaknesses(['Insecure deserialization']).cwe).toEqual([
+      'CWE-502'
+    ]);
+    ['democracy', 'mediocre pages', 'sqlite database', 'bleak outlook'].forEach(text =>
+      expect(resolveThreatWeaknesses([text]).cwe).toEqual([])
+    );
+  });
+
+  it('keeps valid reported CWE ids and adds their CAPEC patterns', () => {
+    expect(
+      resolveThreatWeaknesses(['跨站脚本'], ['CWE-79', 'CWE-352', 'cwe79', 42])
+    ).toEqual({
+      cwe: ['CWE-79', 'CWE-352'],
+      capec: ['CAPEC-63', 'CAPEC-62']
+    });
+    expect(resolveThreatWeaknesses(['未知问题'], 'CWE-89')).toEqual({
+      cwe: [],
+      capec: []
+    });
+  });
+
+  it('maps only well-formed ids', () => {
+    const pattern = /^(CWE|CAPEC)-[1-9]\d*$/;
+    WEAKNESS_MAPPINGS.forEach(rule => {
+      expect([...rule.cwe, ...rule.capec].every(id => pattern.test(id))).toBe(true);
+      expect(rule.keywords.every(keyword => keyword === keyword.toLowerCase())).toBe(
+        true
+      );
+    });
+  });
+});
+
+describe('getWeaknessReferenceURL', () => {
+  it('links CWE and CAPEC entries on MITRE', () => {
+    expect(getWeaknessReferenceURL('CWE-79')).toBe(
+      'https://cwe.mitre.org/data/definitions/79.html'
+    );
+    expect(getWeaknessReferenceURL('CAPEC-63')).toBe(
+      'https://capec.mitre.org/data/definitions/63.html'
+    );
+  });
+
+  it.each(['CWE-079', 'cwe-79', 'OWASP-A1', '', null])('returns null for %s', id => {
+    expect(getWeaknessReferenceURL(id)).toBeNull();
+  });
+});
+
+describe('weakness tags in the service worker', () => {
+  let service;
+
+  beforeEach(async () => {
+    ['log', 'warn', 'error', 'info'].forEach(method =>
+      vi.spyOn(console, method).mockImplementation(() => {})
+    );
+    ({ service } = loadServiceWorker());
+    await waitFor(() => service.stacService?.isLoaded, 10000);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('tags model threats by knowledge base reference, type and description', () => {
+    const threats = service.tagThreatWeaknesses([
+      {
+        type: '认证缺陷',
+        description: '登录接口可被撞库',
+        knowledgeBaseRef: { scenario: '登录认证', threat: '暴力破解' }
+      },
+      { type: '认证缺陷', description: '登录接口可被撞库' },
+      { type: '其他', description: '优惠券可叠加', cwe: ['CWE-840'] }
+    ]);
+
+    expect(threats.map(({ cwe, capec }) => ({ cwe, capec }))).toEqual([
+      { cwe: ['CWE-307'], capec: ['CAPEC-49'] },
+      { cwe: ['CWE-307'], capec: ['CAPEC-600'] },
+      { cwe: ['CWE-840'], capec: [] }
+    ]);
+    expect(threats[0].description).toBe('登录接口可被撞库');
+    expect(service.tagThreatWeaknesses(undefined)).toEqual([]);
+  });
+});
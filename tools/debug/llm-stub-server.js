@@ -0,0 +1,296 @@
+// tools/debug/llm-stub-server.js - 本地LLM桩服务
+// 模拟各提供商的接口格式，用于在不消耗真实额度的情况下调试适配层
+const http = require('http');
+
+const CANNED_ANALYSIS = {
+    summary: '桩服务返回的示例分析',
+    assets: ['用户信息', '登录接口'],
+    threats: [
+        { type: '身份认证', description: '登录接口缺少暴力破解防护', level: 'high' }
+    ],
+    testScenarios: [
+        { category: '身份认证', description: '连续错误登录后验证账号锁定', steps: ['连续输入错误密码10次'] }
+    ],
+    recommendations: ['为登录接口增加频率限制与验证码']
+};
+
+class LLMStubServer {
+    constructor(port) {
+        this.port = port;
+        this.routes = {
+            '/v1/chat/completions': (req, body, res) => this.handleOpenAI(req, body, res),
+            '/v1/messages': (req, body, res) => this.handleAnthropic(req, body, res),
+            '/api/chat': (req, body, res) => this.handleOllamaChat(req, body, res)
+        };
+        this.getRoutes = {
+            '/api/tags': (req, body, res) => this.handleOllamaTags(req, body, res)
+        };
+        // 模拟 Ollama 本地已拉取的模型
+        this.ollamaModels = ['qwen2.5:7b', 'llama3.1:latest'];
+    }
+
+    start() {
+        const server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => {
+                raw += chunk;
+            });
+            req.on('end', () => {
+                const path = req.url.split('?')[0];
+                const route =
+                    req.method === 'GET' ? this.getRoutes[path] : req.method === 'POST' && this.resolveRoute(path);
+                if (!route) {
+                    return this.send(res, 404, { error: { message: `未知路径: ${req.url}` } });
+                }
+
+                let body;
+                try {
+                    body = JSON.parse(raw || '{}');
+                } catch (error) {
+                    return this.send(res, 400, { error: { message: '请求体不是合法JSON' } });
+                }
+
+                console.log(`📨 ${req.method} ${req.url}`, JSON.stringify(body).substring(0, 200));
+                route(req, body, res);
+            });
+        });
+
+        server.listen(this.port, () => {
+            console.log(`🧪 LLM桩服务已启动: http://localhost:${this.port}`);
+            console.log(`- OpenAI兼容: http://localhost:${this.port}/v1/chat/completions`);
+            console.log(`- Anthropic: http://localhost:${this.port}/v1/messages`);
+            console.log(
+                `- Azure OpenAI: http://localhost:${this.port}/openai/deployments/<部署>/chat/completions?api-version=...`
+            );
+            console.log(`- Ollama: http://localhost:${this.port}/api/chat（模型列表 /api/tags）`);
+        });
+
+        return server;
+    }
+
+    resolveRoute(path) {
+        if (this.routes[path]) {
+            return this.routes[path];
+        }
+        // Azure OpenAI: /openai/deployments/{deployment}/chat/completions
+        if (/^\/openai\/deployments\/[^/]+\/chat\/completions$/.test(path)) {
+            return (req, body, res) => this.handleAzure(req, body, res);
+        }
+        return null;
+    }
+
+    handleAzure(req, body, res) {
+        if (!new URL(req.url, 'http://localhost').searchParams.get('api-version')) {
+            return this.send(res, 404, {
+                error: { code: '404', message: 'Resource not found' }
+            });
+        }
+        if (!req.headers['api-key'] && !req.headers.authorization) {
+            return this.send(res, 401, {
+                error: {
+                    code: '401',
+                    message: 'Access denied due to missing subscription key or Entra token.'
+                }
+            });
+        }
+
+        this.handleOpenAI(req, body, res);
+    }
+
+    handleOpenAI(req, body, res) {
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            return this.send(res, 400, { error: { message: 'messages 不能为空' } });
+        }
+
+        if (body.stream) {
+            const model = body.model || 'stub-model';
+            const events = this.splitCannedText().map(text => ({
+                data: { object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: { content: text } }] }
+            }));
+            events.push({
+                data: { object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }
+            });
+            events.push({ data: '[DONE]' });
+            return this.sendStream(res, events);
+        }
+
+        this.send(res, 200, {
+            id: 'chatcmpl-stub',
+            object: 'chat.completion',
+            model: body.model || 'stub-model',
+            choices: [
+                {
+                    index: 0,
+                    message: { role: 'assistant', content: JSON.stringify(CANNED_ANALYSIS) },
+                    finish_reason: 'stop'
+                }
+            ],
+            usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+        });
+    }
+
+    handleAnthropic(req, body, res) {
+        if (!req.headers['x-api-key']) {
+            return this.send(res, 401, {
+                type: 'error',
+                error: { type: 'authentication_error', message: '缺少 x-api-key 请求头' }
+            });
+        }
+        if (!req.headers['anthropic-version']) {
+            return this.send(res, 400, {
+                type: 'error',
+                error: { type: 'invalid_request_error', message: '缺少 anthropic-version 请求头' }
+            });
+        }
+        if (!body.max_tokens) {
+            return this.send(res, 400, {
+                type: 'error',
+                error: { type: 'invalid_request_error', message: 'max_tokens: Field required' }
+            });
+        }
+        if ((body.messages || []).some(message => message.role === 'system')) {
+            return this.send(res, 400, {
+                type: 'error',
+                error: { type: 'invalid_request_error', message: 'system 角色需使用顶层 system 字段' }
+            });
+        }
+
+        if (body.stream) {
+            const events = [
+                {
+                    event: 'message_start',
+                    data: {
+                        type: 'message_start',
+                        message: { id: 'msg_stub', model: body.model, usage: { input_tokens: 100, output_tokens: 1 } }
+                    }
+                },
+                { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+                { event: 'ping', data: { type: 'ping' } },
+                ...this.splitCannedText().map(text => ({
+                    event: 'content_block_delta',
+                    data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }
+                })),
+                { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+                {
+                    event: 'message_delta',
+                    data: { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 50 } }
+                },
+                { event: 'message_stop', data: { type: 'message_stop' } }
+            ];
+            return this.sendStream(res, events);
+        }
+
+        this.send(res, 200, {
+            id: 'msg_stub',
+            type: 'message',
+            role: 'assistant',
+            model: body.model || 'stub-model',
+            content: [{ type: 'text', text: JSON.stringify(CANNED_ANALYSIS) }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 100, output_tokens: 50 }
+        });
+    }
+
+    handleOllamaTags(req, body, res) {
+        this.send(res, 200, {
+            models: this.ollamaModels.map(name => ({
+                name,
+                model: name,
+                size: 4683087332,
+                details: { family: name.split(':')[0], parameter_size: '7.6B' }
+            }))
+        });
+    }
+
+    handleOllamaChat(req, body, res) {
+        const withTag = name => (String(name).includes(':') ? name : `${name}:latest`);
+        if (!this.ollamaModels.includes(withTag(body.model))) {
+            return this.send(res, 404, { error: `model "${body.model}" not found, try pulling it first` });
+        }
+
+        const model = body.model;
+        // Ollama 未指定 stream 时默认流式返回NDJSON
+        if (body.stream !== false) {
+            const lines = this.splitCannedText().map(text => ({
+                model,
+                message: { role: 'assistant', content: text },
+                done: false
+            }));
+            lines.push({
+                model,
+                message: { role: 'assistant', content: '' },
+                done: true,
+                done_reason: 'stop',
+                prompt_eval_count: 100,
+                eval_count: 50
+            });
+            return this.sendNDJSON(res, lines);
+        }
+
+        this.send(res, 200, {
+            model,
+            message: { role: 'assistant', content: JSON.stringify(CANNED_ANALYSIS) },
+            done: true,
+            done_reason: 'stop',
+            prompt_eval_count: 100,
+            eval_count: 50
+        });
+    }
+
+    // 将示例结果切成小段，模拟逐token输出
+    splitCannedText() {
+        const text = JSON.stringify(CANNED_ANALYSIS, null, 2);
+        const pieces = [];
+        for (let i = 0; i < text.length; i += 12) {
+            pieces.push(text.slice(i, i + 12));
+        }
+        return pieces;
+    }
+
+    sendStream(res, events) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+
+        let index = 0;
+        const next = () => {
+            if (index >= events.length) {
+                return res.end();
+            }
+            const { event, data } = events[index++];
+            const payload = typeof data === 'string' ? data : JSON.stringify(data);
+            res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+            setTimeout(next, 20);
+        };
+        next();
+    }
+
+    sendNDJSON(res, lines) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+
+        let index = 0;
+        const next = () => {
+            if (index >= lines.length) {
+                return res.end();
+            }
+            res.write(`${JSON.stringify(lines[index++])}\n`);
+            setTimeout(next, 20);
+        };
+        next();
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+}
+
+// 如果直接运行此脚本
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || 1234;
+    new LLMStubServer(port).start();
+}
+
+module.exports = { LLMStubServer };